@@ -1,16 +1,19 @@
 /*
-Auto-generated by: https://github.com/pmndrs/gltfjsx
-Command: npx gltfjsx@6.2.3 public/models/68b60708ce2e48a9f5fa3bd4.glb -o src/components/Avatar.jsx -k -r public
+Originally generated by https://github.com/pmndrs/gltfjsx; the model is now
+loaded from a configurable URL and its meshes discovered at runtime
+(see utils/avatarModel.js), so any rigged GLB can be used.
 */
 
 import { useAnimations, useGLTF } from "@react-three/drei";
 import { useFrame } from "@react-three/fiber";
-import { button, useControls } from "leva";
-import React, { useEffect, useRef, useState } from "react";
+import { button, folder, useControls } from "leva";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Lipsync } from "wawa-lipsync";
 
 import * as THREE from "three";
+import * as SkeletonUtils from "three/examples/jsm/utils/SkeletonUtils";
 import { useChat } from "../hooks/useChat";
+import { useVisemeCalibration } from "../hooks/useVisemeCalibration";
 import {
   testVisemeMapping,
   sampleVisemeSequence,
@@ -19,6 +22,8 @@ import {
 import {
   detectBrowserSupport,
   categorizeError,
+  FALLBACK_ENVELOPE_CONFIG,
+  computeAmplitudeEnvelope,
   generateFallbackLipsync,
   getRecoveryStrategy,
   logLipsyncError,
@@ -31,190 +36,77 @@ import {
   AdaptivePerformanceOptimizer,
   detectBrowserAndOptimize,
 } from "../utils/lipsyncOptimization";
+import { facialExpressions } from "../utils/facialExpressions";
+import { resolveAudioSource } from "../utils/audioSource";
+import {
+  AVATAR_MODEL_CONFIG,
+  discoverAvatarMeshes,
+  getMorphTargetNames,
+  resolveAvatarModelUrl,
+} from "../utils/avatarModel";
+import { applyExpressionOverrides, stepOpacity } from "../utils/avatarCatalog";
+import {
+  isSpeechSynthesisSupported,
+  SpeechPlayback,
+  SPEECH_FALLBACK_CONFIG,
+} from "../utils/speechFallback";
+import {
+  combineVisemeWeights,
+  detectVisemeProfile,
+  mapVisemeToMorphTarget,
+  resolveVisemeProfile,
+  VISEMES,
+} from "../utils/visemeProfiles";
+import {
+  CALIBRATION_CONFIG,
+  getPreviewConversation,
+  getSequenceVisemeAt,
+} from "../utils/visemeCalibration";
+import {
+  createCueSource,
+  createLipsyncSource,
+  LIPSYNC_SOURCE_TYPES,
+  normalizeLipsync,
+  selectLipsyncSource,
+} from "../utils/lipsyncSources";
+import {
+  createAnalysisSource,
+  decodeAudioClip,
+  selectStrongestVisemes,
+} from "../utils/visemeAnalysis";
+import { VisemePlaybackEngine } from "../utils/visemeEngine";
+import {
+  downloadRecording,
+  findHeadMesh,
+  lipsyncRecorder,
+  readMorphInfluences,
+} from "../utils/lipsyncRecorder";
 
-const facialExpressions = {
-  default: {},
-  smile: {
-    browInnerUp: 0.17,
-    eyeSquintLeft: 0.4,
-    eyeSquintRight: 0.44,
-    noseSneerLeft: 0.1700000727403593,
-    noseSneerRight: 0.14000002836874015,
-    mouthPressLeft: 0.61,
-    mouthPressRight: 0.41000000000000003,
-  },
-  funnyFace: {
-    jawLeft: 0.63,
-    mouthPucker: 0.53,
-    noseSneerLeft: 1,
-    noseSneerRight: 0.39,
-    mouthLeft: 1,
-    eyeLookUpLeft: 1,
-    eyeLookUpRight: 1,
-    cheekPuff: 0.9999924982764238,
-    mouthDimpleLeft: 0.414743888682652,
-    mouthRollLower: 0.32,
-    mouthSmileLeft: 0.35499733688813034,
-    mouthSmileRight: 0.35499733688813034,
-  },
-  sad: {
-    mouthFrownLeft: 1,
-    mouthFrownRight: 1,
-    mouthShrugLower: 0.78341,
-    browInnerUp: 0.452,
-    eyeSquintLeft: 0.72,
-    eyeSquintRight: 0.75,
-    eyeLookDownLeft: 0.5,
-    eyeLookDownRight: 0.5,
-    jawForward: 1,
-  },
-  surprised: {
-    eyeWideLeft: 0.5,
-    eyeWideRight: 0.5,
-    jawOpen: 0.351,
-    mouthFunnel: 1,
-    browInnerUp: 1,
-  },
-  angry: {
-    browDownLeft: 1,
-    browDownRight: 1,
-    eyeSquintLeft: 1,
-    eyeSquintRight: 1,
-    jawForward: 1,
-    jawLeft: 1,
-    mouthShrugLower: 1,
-    noseSneerLeft: 1,
-    noseSneerRight: 0.42,
-    eyeLookDownLeft: 0.16,
-    eyeLookDownRight: 0.16,
-    cheekSquintLeft: 1,
-    cheekSquintRight: 1,
-    mouthClose: 0.23,
-    mouthFunnel: 0.63,
-    mouthDimpleRight: 1,
-  },
-  crazy: {
-    browInnerUp: 0.9,
-    jawForward: 1,
-    noseSneerLeft: 0.5700000000000001,
-    noseSneerRight: 0.51,
-    eyeLookDownLeft: 0.39435766259644545,
-    eyeLookUpRight: 0.4039761421719682,
-    eyeLookInLeft: 0.9618479575523053,
-    eyeLookInRight: 0.9618479575523053,
-    jawOpen: 0.9618479575523053,
-    mouthDimpleLeft: 0.9618479575523053,
-    mouthDimpleRight: 0.9618479575523053,
-    mouthStretchLeft: 0.27893590769016857,
-    mouthStretchRight: 0.2885543872656917,
-    mouthSmileLeft: 0.5578718153803371,
-    mouthSmileRight: 0.38473918302092225,
-    tongueOut: 0.9618479575523053,
-  },
-};
-
-// Basic lipsync mapping using only available morph targets
-// Your model only has 'mouthOpen' and 'mouthSmile' - we'll use these for basic lipsync simulation
-const visemeMapping = {
-  // Silence and neutral positions - no mouth movement
-  viseme_sil: null, // No movement for silence
-
-  // Consonants - use mouthSmile for most consonants (slight mouth movement)
-  viseme_PP: "mouthSmile", // P, B, M sounds (lips closed) - slight smile
-  viseme_FF: "mouthSmile", // F, V sounds 
-  viseme_TH: "mouthSmile", // TH sounds 
-  viseme_DD: "mouthSmile", // D, T, N, L sounds 
-  viseme_kk: "mouthSmile", // K, G sounds 
-  viseme_CH: "mouthSmile", // CH, J, SH sounds 
-  viseme_SS: "mouthSmile", // S, Z sounds 
-  viseme_nn: "mouthSmile", // N, NG sounds 
-  viseme_RR: "mouthSmile", // R sounds 
-
-  // Vowels - use mouthOpen for open vowel sounds
-  viseme_aa: "mouthOpen", // A sounds (mouth open) - use mouthOpen
-  viseme_AA: "mouthOpen", // Alternative A mapping
-  viseme_E: "mouthOpen", // E sounds - use mouthOpen
-  viseme_I: "mouthSmile", // I sounds - use mouthSmile (narrower)
-  viseme_O: "mouthOpen", // O sounds - use mouthOpen
-  viseme_U: "mouthSmile", // U sounds - use mouthSmile
-
-  // Additional wawa-lipsync standard visemes with fallback mapping
-  A: "mouthOpen", // Alternative A mapping
-  E: "mouthOpen", // Alternative E mapping
-  I: "mouthSmile", // Alternative I mapping
-  O: "mouthOpen", // Alternative O mapping
-  U: "mouthSmile", // Alternative U mapping
-
-  // Fallback mappings for common phonemes
-  B: "mouthSmile",
-  P: "mouthSmile",
-  M: "mouthSmile",
-  F: "mouthSmile",
-  V: "mouthSmile",
-  T: "mouthSmile",
-  D: "mouthSmile",
-  N: "mouthSmile",
-  L: "mouthSmile",
-  S: "mouthSmile",
-  Z: "mouthSmile",
-  R: "mouthSmile",
-  K: "mouthSmile",
-  G: "mouthSmile",
-};
+// Browser TTS used when a message has no playable audio
+const ttsLang = import.meta.env.VITE_TTS_LANG || SPEECH_FALLBACK_CONFIG.lang;
+const ttsVoice = import.meta.env.VITE_TTS_VOICE || null;
 
 // Use optimized smoothing parameters
 const LIPSYNC_SMOOTHING = OPTIMAL_LIPSYNC_CONFIG.smoothing;
 
-// Helper function to map wawa-lipsync visemes to morph targets with enhanced fallback
-const mapVisemeToMorphTarget = (viseme) => {
-  // First try direct mapping
-  let morphTarget = visemeMapping[viseme];
-
-  // If no direct mapping found, try case-insensitive lookup
-  if (!morphTarget) {
-    const upperViseme = viseme.toUpperCase();
-    const lowerViseme = viseme.toLowerCase();
-    morphTarget = visemeMapping[upperViseme] || visemeMapping[lowerViseme];
-  }
-
-  // If still no mapping, try to extract base viseme name
-  if (!morphTarget && viseme.startsWith("viseme_")) {
-    const baseViseme = viseme.replace("viseme_", "").toUpperCase();
-    morphTarget =
-      visemeMapping[baseViseme] || visemeMapping[`viseme_${baseViseme}`];
-  }
-
-  return morphTarget;
-};
-
-// Enhanced function to apply viseme values with smooth blending and error handling
-const applyVisemeValue = (
+// Lerp one morph target on every mesh that has it
+const applyMorphTargetValue = (
   morphTarget,
   targetValue,
-  nodes,
+  meshes,
   lerpSpeed = LIPSYNC_SMOOTHING.ACTIVE_LERP_SPEED
 ) => {
-  // Handle null morphTarget (for silence)
   if (!morphTarget) {
     return;
   }
-  
+
   if (typeof targetValue !== "number" || isNaN(targetValue)) {
     return;
   }
 
   try {
-    // Check specific meshes that are likely to have viseme morph targets
-    const meshesToCheck = [
-      nodes.Wolf3D_Head,
-      nodes.Wolf3D_Teeth,
-      nodes.EyeLeft,
-      nodes.EyeRight,
-    ];
-
-    let applied = false;
-
-    meshesToCheck.forEach((mesh) => {
+    // Morph meshes discovered on the loaded model (face first)
+    meshes.forEach((mesh) => {
       if (mesh && mesh.morphTargetDictionary && mesh.morphTargetInfluences) {
         const index = mesh.morphTargetDictionary[morphTarget];
         if (
@@ -224,68 +116,262 @@ const applyVisemeValue = (
           // Store current value for smooth transitions with safety checks
           const currentValue = mesh.morphTargetInfluences[index] || 0;
           const clampedTargetValue = Math.max(0, Math.min(targetValue, 1));
-          const newValue = THREE.MathUtils.lerp(
+          mesh.morphTargetInfluences[index] = THREE.MathUtils.lerp(
             currentValue,
             clampedTargetValue,
             lerpSpeed
           );
+        }
+      }
+    });
+  } catch (error) {
+    console.warn(`⚠️ Error applying morph target value for ${morphTarget}:`, error);
+  }
+};
 
-          mesh.morphTargetInfluences[index] = newValue;
-          applied = true;
+// Apply all visemes of a frame at once; visemes sharing a target (e.g. jawOpen)
+// add up instead of fighting each other. Returns the morph targets driven.
+const applyVisemeFrame = (
+  visemeValues,
+  meshes,
+  profile,
+  lerpSpeed = LIPSYNC_SMOOTHING.ACTIVE_LERP_SPEED
+) => {
+  const targetValues = combineVisemeWeights(visemeValues, profile);
+  Object.entries(targetValues).forEach(([target, value]) =>
+    applyMorphTargetValue(target, value, meshes, lerpSpeed)
+  );
+  return new Set(Object.keys(targetValues));
+};
 
-          // Update controls if not in setup mode
-          if (!setupMode) {
-            try {
-              set({ [morphTarget]: newValue });
-            } catch (e) {
-              // Silently handle control update errors
-            }
-          }
-        }
+// Snap every lipsync morph target back to neutral (used when speech is interrupted)
+const resetVisemeTargets = (meshes, profile) => {
+  meshes.forEach((mesh) => {
+    if (!mesh || !mesh.morphTargetDictionary || !mesh.morphTargetInfluences) {
+      return;
+    }
+    profile.targets.forEach((target) => {
+      const index = mesh.morphTargetDictionary[target];
+      if (index !== undefined) {
+        mesh.morphTargetInfluences[index] = 0;
       }
     });
+  });
+};
 
-    // Temporarily disable warnings to prevent infinite loop
-    // if (!applied && process.env.NODE_ENV === "development") {
-    //   console.warn(`⚠️ Morph target not found: ${morphTarget}`);
-    // }
-  } catch (error) {
-    console.warn(`⚠️ Error applying viseme value for ${morphTarget}:`, error);
+// Leva keys of the calibration panel (unique across its folders)
+const gainKey = (viseme) => `${viseme} gain`;
+const weightKey = (viseme, target) => `${viseme} → ${target}`;
+const clampKey = (target) => `${target} range`;
+
+// Panel values for a profile and its (optional) calibration
+const getCalibrationControlValues = (profile, calibration) => {
+  const values = {};
+  VISEMES.filter((viseme) => viseme !== "viseme_sil").forEach((viseme) => {
+    const entry = calibration?.visemes[viseme] || {};
+    values[gainKey(viseme)] = entry.gain ?? 1;
+    profile.visemes[viseme].forEach(({ target, weight }) => {
+      values[weightKey(viseme, target)] = entry.weights?.[target] ?? weight;
+    });
+  });
+  profile.targets.forEach((target) => {
+    const clamp = calibration?.clamps[target];
+    values[clampKey(target)] = clamp ? [clamp.min, clamp.max] : [0, 1];
+  });
+  return values;
+};
+
+// Report how well the selected profile covers the visemes
+const validateVisemeProfile = (profile) => {
+  const unmapped = VISEMES.filter(
+    (viseme) => viseme !== "viseme_sil" && profile.visemes[viseme].length === 0
+  );
+  console.log(
+    `📋 Viseme profile: ${profile.name} (${profile.targets.size} morph targets)`,
+    [...profile.targets]
+  );
+  if (unmapped.length > 0) {
+    console.warn("⚠️ Visemes without morph targets on this model:", unmapped);
   }
+  return unmapped.length === 0;
 };
 
-// Validate viseme mapping on component load
-const validateVisemeMapping = () => {
-  // Only check for the morph targets we actually have available
-  const requiredMorphTargets = [
-    "mouthOpen",   // Available morph target for open vowel sounds
-    "mouthSmile",  // Available morph target for consonants and narrow vowels
-  ];
-  
-  // Check if our mapping covers the basic visemes we need
-  const basicVisemes = ["viseme_aa", "viseme_PP", "viseme_sil"];
-  const mappedTargets = basicVisemes.map(viseme => visemeMapping[viseme]).filter(target => target);
-  
-  console.log("✅ All required viseme mappings are present");
-  console.log("📋 Using basic lipsync with available morph targets:", requiredMorphTargets);
-  
-  return true; // Always return true since we're using a simplified mapping
+// Fade every material of a model; original opacity/transparency are kept in userData
+const setModelOpacity = (materials, opacity) => {
+  materials.forEach((material) => {
+    if (material.userData.baseOpacity === undefined) {
+      material.userData.baseOpacity = material.opacity;
+      material.userData.baseTransparent = material.transparent;
+    }
+    const transparent = opacity < 1 || material.userData.baseTransparent;
+    material.opacity = material.userData.baseOpacity * opacity;
+    if (material.transparent !== transparent) {
+      material.transparent = transparent;
+      material.needsUpdate = true;
+    }
+  });
 };
 
 let setupMode = false;
 
-export function Avatar(props) {
-  const { nodes, materials, scene } = useGLTF(
-    "/models/68b6f9136e93b8842ffb9fd0.glb"
+// Leva panels of the active avatar. Leva keys panels by name in one global
+// store, so only the active avatar mounts them: during a crossfade two avatars
+// would otherwise share the panels and drive the wrong model.
+function AvatarControls({
+  facialExpressionControls,
+  calibrationControls,
+  calibration,
+  baseVisemeProfile,
+  applyingCalibrationRef,
+  recorderControls,
+  statusControls,
+  morphTargetControls,
+  morphTargetPanelRef,
+}) {
+  useControls("FacialExpressions", facialExpressionControls);
+
+  const [, setCalibrationControls] = useControls(
+    "Viseme Calibration",
+    calibrationControls,
+    [baseVisemeProfile]
   );
 
-  const { message, onMessagePlayed, chat } = useChat();
+  // Show a calibration loaded from storage/file (or reset) in the panel
+  useEffect(() => {
+    applyingCalibrationRef.current = true;
+    try {
+      setCalibrationControls(
+        getCalibrationControlValues(baseVisemeProfile, calibration.calibration)
+      );
+    } catch (error) {
+      console.warn("⚠️ Could not update calibration panel:", error);
+    }
+    applyingCalibrationRef.current = false;
+  }, [calibration.revision, baseVisemeProfile]);
+
+  useControls("Lipsync Recorder", recorderControls);
+  useControls("Lipsync Status", statusControls);
+
+  // The avatar mirrors its morph target values into this panel
+  const [, setMorphTargetValues] = useControls("MorphTarget", morphTargetControls);
+  useEffect(() => {
+    morphTargetPanelRef.current = setMorphTargetValues;
+    return () => {
+      morphTargetPanelRef.current = null;
+    };
+  }, [setMorphTargetValues]);
+
+  return null;
+}
+
+export function Avatar({
+  modelUrl,
+  persona,
+  // Only the active avatar plays messages; the others are fading in or out
+  active = true,
+  visible = true,
+  fadeIn = false,
+  // Shared state for taking over from the previous avatar (message offset, animation)
+  handoff,
+  onReady,
+  onHidden,
+  ...props
+}) {
+  // Persona model, else the modelUrl prop, ?avatar= query, VITE_AVATAR_URL or the default
+  const url = useMemo(
+    () =>
+      persona?.url ||
+      resolveAvatarModelUrl({
+        prop: modelUrl,
+        search: window.location.search,
+        env: import.meta.env.VITE_AVATAR_URL,
+      }),
+    [persona, modelUrl]
+  );
+  const { scene } = useGLTF(url);
+  // Cloned so the same GLB can be mounted more than once (skeletons included),
+  // with its own materials so fading one instance doesn't fade the other
+  const model = useMemo(() => {
+    const clone = SkeletonUtils.clone(scene);
+    clone.traverse((object) => {
+      if (!object.isMesh) return;
+      object.material = Array.isArray(object.material)
+        ? object.material.map((material) => material.clone())
+        : object.material.clone();
+    });
+    return clone;
+  }, [scene]);
+  const modelMaterials = useMemo(() => {
+    const list = new Set();
+    model.traverse((object) => {
+      if (object.isMesh) [].concat(object.material).forEach((material) => list.add(material));
+    });
+    return [...list];
+  }, [model]);
+  // Persona expression overrides on top of the shared presets
+  const expressions = useMemo(
+    () => applyExpressionOverrides(facialExpressions, persona?.expressionOverrides),
+    [persona]
+  );
+  const { morphMeshes, skinnedMeshes, warnings } = useMemo(
+    () => discoverAvatarMeshes(model),
+    [model]
+  );
+  useEffect(() => {
+    console.log(
+      `✅ Avatar model loaded: ${url} (${skinnedMeshes.length} skinned, ${morphMeshes.length} with morph targets)`
+    );
+    warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+  }, [url, skinnedMeshes, morphMeshes, warnings]);
+  // Viseme -> morph target profile picked from the model's blendshapes
+  const baseVisemeProfile = useMemo(() => {
+    const names = getMorphTargetNames(morphMeshes);
+    return resolveVisemeProfile(detectVisemeProfile(names), names);
+  }, [morphMeshes]);
+  // Per-model calibration on top of it (gains, weights, clamps)
+  const calibration = useVisemeCalibration(url, baseVisemeProfile);
+  const visemeProfile = calibration.profile;
+  // Viseme(s) being previewed from the calibration panel: { sequence, startedAt }
+  const calibrationPreviewRef = useRef(null);
+
+  const {
+    message,
+    onMessagePlayed,
+    chat,
+    registerPlayback,
+    registerAnimations,
+    getVisemeAnalysis,
+    history,
+    startReplay,
+  } = useChat();
 
   // Audio ref for wawa-lipsync to analyze
   const audioRef = useRef();
+  // Frees the current audio source (aborts streams, revokes MediaSource URLs)
+  const releaseAudioRef = useRef(null);
+  const releaseAudio = () => {
+    releaseAudioRef.current?.();
+    releaseAudioRef.current = null;
+  };
+
+  // Playback speed of the current message (replays can run faster or slower)
+  const playbackRateRef = useRef(1);
 
   // wawa-lipsync instance ref
   const wawaLipsyncRef = useRef();
+  // Precomputed viseme cues of the playing message (message.lipsync)
+  const messageLipsyncRef = useRef(null);
+  // Text, language and loudness envelope of the playing message, for the fallback
+  const messageFallbackRef = useRef(null);
+  // Source that drove the mouth last frame (logged when it changes)
+  const lipsyncSourceTypeRef = useRef(null);
+  // Raw wawa-lipsync scores of the last live frame (for the recorder)
+  const liveScoresRef = useRef(null);
+  // Shapes source visemes into the values applied to the morph targets
+  const visemeEngineRef = useRef(null);
+  if (!visemeEngineRef.current) {
+    visemeEngineRef.current = new VisemePlaybackEngine(LIPSYNC_SMOOTHING);
+  }
 
   // Error handling state
   const [lipsyncError, setLipsyncError] = useState(null);
@@ -300,36 +386,18 @@ export function Avatar(props) {
   // Auto-debug function to show morph targets on load
   const autoDebugMorphTargets = () => {
     console.log("🔍 AUTO-DEBUG: Available morph targets by mesh:");
-    console.log(
-      "EyeLeft:",
-      Object.keys(nodes.EyeLeft?.morphTargetDictionary || {})
-    );
-    console.log(
-      "EyeRight:",
-      Object.keys(nodes.EyeRight?.morphTargetDictionary || {})
-    );
-    console.log(
-      "Wolf3D_Head:",
-      Object.keys(nodes.Wolf3D_Head?.morphTargetDictionary || {})
-    );
-    console.log(
-      "Wolf3D_Teeth:",
-      Object.keys(nodes.Wolf3D_Teeth?.morphTargetDictionary || {})
-    );
+    morphMeshes.forEach((mesh) => {
+      console.log(`${mesh.name}:`, Object.keys(mesh.morphTargetDictionary || {}));
+    });
 
     // Check which morph targets we're actually using for lipsync
-    const usedMorphTargets = ["mouthOpen", "mouthSmile"];
+    const usedMorphTargets = [...visemeProfile.targets];
     const availableTargets = [];
     const missingTargets = [];
 
     usedMorphTargets.forEach((target) => {
       let found = false;
-      [
-        nodes.EyeLeft,
-        nodes.EyeRight,
-        nodes.Wolf3D_Head,
-        nodes.Wolf3D_Teeth,
-      ].forEach((mesh) => {
+      morphMeshes.forEach((mesh) => {
         if (
           mesh &&
           mesh.morphTargetDictionary &&
@@ -371,8 +439,8 @@ export function Avatar(props) {
 
   // Initialize wawa-lipsync instance with comprehensive error handling
   useEffect(() => {
-    // Validate viseme mapping first
-    const mappingValid = validateVisemeMapping();
+    // Validate viseme profile first
+    const mappingValid = validateVisemeProfile(visemeProfile);
     if (!mappingValid) {
       console.warn(
         "⚠️ Some viseme mappings are missing, lipsync may not work optimally"
@@ -467,21 +535,44 @@ export function Avatar(props) {
   }, []);
 
   useEffect(() => {
+    if (!active) return;
     console.log(message);
+    releaseAudio();
+    messageLipsyncRef.current = message?.lipsync ? normalizeLipsync(message.lipsync) : null;
+    messageFallbackRef.current = message
+      ? {
+          text: message.text,
+          lang: message.lang || persona?.voiceLang || ttsLang,
+          envelope: null,
+          // Inline clip whose envelope is decoded once the fallback needs it
+          clip: message.audio ? message : null,
+        }
+      : null;
     if (!message) {
+      lipsyncRecorder.stop();
       setAnimation("Idle");
       // Clear audio ref when no message
       audioRef.current = null;
+      playbackRateRef.current = 1;
+      mixer.timeScale = 1;
       return;
     }
 
+    // One recorder run per message (only while recording is enabled)
+    lipsyncRecorder.start({
+      label: message.text?.slice(0, 80) || "",
+      messageId: message.historyId ?? null,
+      model: url,
+      profile: visemeProfile.id,
+    });
+
     setAnimation(message.animation);
     setFacialExpression(message.facialExpression);
 
-    // Create audio element for wawa-lipsync analysis
+    // Create audio element for wawa-lipsync analysis; its source is resolved below
     let audio;
     try {
-      audio = new Audio("data:audio/mp3;base64," + message.audio);
+      audio = new Audio();
     } catch (error) {
       console.error("❌ Failed to create audio element:", error);
       setFallbackMode(true);
@@ -491,6 +582,24 @@ export function Avatar(props) {
 
     // Set audio ref for wawa-lipsync - ensure it's properly updated for each new message
     audioRef.current = audio;
+    // What this message is playing through (the audio element or the TTS fallback)
+    let playing = audio;
+
+    // Replayed messages carry their own speed; body animation follows the audio
+    const rate = message.playbackRate ?? 1;
+    playbackRateRef.current = rate;
+    audio.playbackRate = rate;
+    mixer.timeScale = rate;
+
+    // Replayed messages that were interrupted live stop where they were cut off
+    if (Number.isFinite(message.stopAt)) {
+      audio.ontimeupdate = () => {
+        if (audioRef.current !== audio || audio.currentTime < message.stopAt) return;
+        audio.ontimeupdate = null;
+        audio.pause();
+        audio.onended?.();
+      };
+    }
 
     // Connect audio to wawa-lipsync for real-time analysis with comprehensive error handling
     if (wawaLipsyncRef.current && !fallbackMode && browserSupported) {
@@ -518,57 +627,250 @@ export function Avatar(props) {
       );
     }
 
-    // Play audio with error handling
-    const playPromise = audio.play();
-    if (playPromise !== undefined) {
-      playPromise.catch((error) => {
-        console.error("❌ Audio playback failed:", error);
-        // Still call onMessagePlayed to continue the conversation flow
-        onMessagePlayed();
+    // Speak the text with speechSynthesis when the audio is missing or broken.
+    // The SpeechPlayback clock stands in for the audio element from here on.
+    const speakInstead = () => {
+      // Don't restart a clip that already played partially
+      if (audio.currentTime > 0) return false;
+      if (!message.text?.trim() || !isSpeechSynthesisSupported()) return false;
+
+      audio.onended = null;
+      audio.onerror = null;
+      audio.ontimeupdate = null;
+      audio.pause();
+      releaseAudio();
+
+      const speech = new SpeechPlayback(message.text, {
+        lang: message.lang || persona?.voiceLang || ttsLang,
+        voiceName: message.voice || ttsVoice,
+        rate: playbackRateRef.current,
       });
-    }
+      const finish = () => {
+        if (audioRef.current !== speech) return;
+        audioRef.current = null;
+        releaseAudio();
+        onMessagePlayed();
+      };
+      speech.onended = finish;
+      speech.onerror = (error) => {
+        console.error("❌ Speech fallback failed:", error);
+        finish();
+      };
+      audioRef.current = speech;
+      playing = speech;
+      releaseAudioRef.current = () => speech.cancel();
+      console.log("🗣️ Speaking with browser TTS:", speech.lang);
+      speech.play().catch(speech.onerror);
+      return true;
+    };
+
+    // Fall back to TTS, or give up on this message and move the queue along
+    const abandon = (label, error) => {
+      if (audioRef.current !== audio) return;
+      console.error(label, error);
+      if (speakInstead()) return;
+      audioRef.current = null;
+      releaseAudio();
+      onMessagePlayed();
+    };
 
     // Clean up when audio ends - ensure audio ref is cleared
     audio.onended = () => {
+      if (audioRef.current !== audio) return;
       audioRef.current = null;
+      releaseAudio();
       onMessagePlayed();
     };
 
     // Handle audio errors
-    audio.onerror = (error) => {
-      console.error("❌ Audio error:", error);
-      audioRef.current = null;
-      onMessagePlayed();
+    audio.onerror = (error) => abandon("❌ Audio error:", error);
+
+    // Inline base64, cached audioUrl download or MediaSource stream (audioStreamUrl).
+    // Streams start playing as soon as the first chunks are buffered.
+    resolveAudioSource(message)
+      .then((source) => {
+        // Interrupted or replaced while the source was loading
+        if (audioRef.current !== audio) {
+          source.release();
+          return;
+        }
+        releaseAudioRef.current = source.release;
+        if (!source.src) {
+          if (!speakInstead()) abandon("❌ Message has no audio:", message.text);
+          return;
+        }
+        source.done.catch((error) => abandon("❌ Audio stream failed:", error));
+
+        audio.src = source.src;
+        audio.playbackRate = playbackRateRef.current;
+
+        // Taking over mid-message from another avatar: continue where it stopped
+        const takeover = handoff?.current;
+        if (takeover?.message === message && takeover.offset > 0) {
+          const offset = takeover.offset;
+          takeover.message = null;
+          audio.addEventListener(
+            "loadedmetadata",
+            () => {
+              audio.currentTime = offset;
+            },
+            { once: true }
+          );
+        }
+
+        // Play audio with error handling
+        const playPromise = audio.play();
+        if (playPromise !== undefined) {
+          // Audio stopped by an interrupt - the queue was already cleared.
+          // Otherwise still move on to continue the conversation flow
+          playPromise.catch((error) => abandon("❌ Audio playback failed:", error));
+        }
+      })
+      .catch((error) => abandon("❌ Failed to load audio:", error));
+
+    // Re-run or unmount mid-message: stop this audio so two clips never overlap
+    return () => {
+      if (audioRef.current === playing) silence();
     };
-  }, [message, onMessagePlayed, fallbackMode, browserSupported]);
+  }, [message, onMessagePlayed, fallbackMode, browserSupported, active]);
+
+  // Stop the current audio without reporting it as played; returns the offset
+  const silence = () => {
+    const audio = audioRef.current;
+    if (!audio) return 0;
+    const offset = audio.currentTime || 0;
+    audio.onended = null;
+    audio.onerror = null;
+    audioRef.current = null;
+    try {
+      audio.pause();
+    } catch (error) {
+      console.warn("⚠️ Error pausing interrupted audio:", error);
+    }
+    releaseAudio();
+    // Cut off, not finished: drop the engine's state too, or it would keep
+    // releasing (and holding) the interrupted visemes on the next frames
+    visemeEngineRef.current.reset();
+    resetVisemeTargets(morphMeshes, visemeProfile);
+    return offset;
+  };
 
-  const { animations } = useGLTF("/models/animations.glb");
+  // Another avatar took over: it continues the message from the handoff offset
+  useEffect(() => {
+    if (!active) silence();
+  }, [active]);
+
+  // Expose playback control so useChat.interrupt() can cut the avatar off
+  useEffect(() => {
+    if (!active) return;
+    return registerPlayback({
+      stop: silence,
+      // Replay controls
+      pause: () => {
+        mixer.timeScale = 0;
+        audioRef.current?.pause();
+      },
+      resume: () => {
+        mixer.timeScale = playbackRateRef.current;
+        const audio = audioRef.current;
+        if (!audio || !audio.paused) return;
+        audio.play().catch((error) => {
+          console.warn("⚠️ Error resuming audio:", error);
+        });
+      },
+      setRate: (rate) => {
+        playbackRateRef.current = rate;
+        if (mixer.timeScale !== 0) mixer.timeScale = rate;
+        if (audioRef.current) audioRef.current.playbackRate = rate;
+      },
+      // Playback clock for subtitles and other audio-synced UI
+      getState: () => {
+        const audio = audioRef.current;
+        if (!audio) return null;
+        return {
+          currentTime: audio.currentTime || 0,
+          duration: audio.duration,
+          paused: audio.paused,
+        };
+      },
+    });
+  }, [registerPlayback, morphMeshes, active]);
+
+  // Pick up the previous avatar's animation (same clip, same time) when taking over.
+  // Declared after the message effect so it wins when both set the animation.
+  useEffect(() => {
+    const previous = handoff?.current;
+    if (!active || !previous?.animation || !actions[previous.animation]) return;
+    pendingAnimationTimeRef.current = previous.animationTime;
+    if (previous.animation === animation) {
+      actions[animation].time = previous.animationTime;
+      pendingAnimationTimeRef.current = null;
+    } else {
+      setAnimation(previous.animation);
+    }
+  }, [active]);
+
+  const { animations } = useGLTF(AVATAR_MODEL_CONFIG.animationsUrl);
 
   const group = useRef();
   const { actions, mixer } = useAnimations(animations, group);
   const [animation, setAnimation] = useState(
     animations.find((a) => a.name === "Idle") ? "Idle" : animations[0].name // Check if Idle animation exists otherwise use first animation
   );
+  const pendingAnimationTimeRef = useRef(null);
+  // Let useChat validate incoming messages against the clips this model really has
   useEffect(() => {
-    actions[animation]
+    if (active) registerAnimations(animations.map((a) => a.name));
+  }, [animations, registerAnimations, active]);
+
+  useEffect(() => {
+    // Unknown names (e.g. from the leva panel or an old export) fall back to Idle
+    const action =
+      actions[animation] || actions.Idle || Object.values(actions).find(Boolean);
+    if (!action) {
+      console.warn(`⚠️ Animation not found: ${animation}`);
+      return;
+    }
+    action
       .reset()
       .fadeIn(mixer.stats.actions.inUse === 0 ? 0 : 0.5)
       .play();
-    return () => actions[animation].fadeOut(0.5);
+    if (pendingAnimationTimeRef.current !== null) {
+      action.time = pendingAnimationTimeRef.current;
+      pendingAnimationTimeRef.current = null;
+    }
+    return () => action.fadeOut(0.5);
   }, [animation]);
 
-  const lerpMorphTarget = (target, value, speed = 0.1) => {
-    // Check specific meshes that are likely to have morph targets
-    const meshesToCheck = [
-      nodes.Wolf3D_Head,
-      nodes.Wolf3D_Teeth,
-      nodes.EyeLeft,
-      nodes.EyeRight,
-    ];
+  // ===== Crossfade between characters =====
+  const opacityRef = useRef(fadeIn ? 0 : 1);
+  useEffect(() => {
+    setModelOpacity(modelMaterials, opacityRef.current);
+    onReady?.();
+  }, [modelMaterials]);
+
+  useFrame((_, delta) => {
+    // Let the next avatar continue the same animation from the same time
+    if (active && handoff) {
+      handoff.current.animation = animation;
+      handoff.current.animationTime = actions[animation]?.time ?? 0;
+    }
+
+    const target = visible ? 1 : 0;
+    if (opacityRef.current === target) return;
+    opacityRef.current = stepOpacity(opacityRef.current, target, delta);
+    setModelOpacity(modelMaterials, opacityRef.current);
+    if (group.current) group.current.visible = opacityRef.current > 0;
+    if (opacityRef.current === 0) onHidden?.();
+  });
+
+  // Setter of the MorphTarget panel while this avatar shows it
+  const morphTargetPanelRef = useRef(null);
 
+  const lerpMorphTarget = (target, value, speed = 0.1) => {
     let applied = false;
 
-    meshesToCheck.forEach((mesh) => {
+    morphMeshes.forEach((mesh) => {
       if (mesh && mesh.morphTargetDictionary && mesh.morphTargetInfluences) {
         const index = mesh.morphTargetDictionary[target];
         if (
@@ -584,7 +886,7 @@ export function Avatar(props) {
 
           if (!setupMode) {
             try {
-              set({
+              morphTargetPanelRef.current?.({
                 [target]: value,
               });
             } catch (e) {}
@@ -604,18 +906,173 @@ export function Avatar(props) {
   const [winkRight, setWinkRight] = useState(false);
   const [facialExpression, setFacialExpression] = useState("");
 
-  useFrame(() => {
+  // ===== Lipsync sources =====
+  // Live wawa-lipsync analysis of the playing audio element
+  const analyzeLiveLipsync = (audio) => {
+    let visemes = null;
+    const startTime = performanceMonitor.current.startTiming();
+
+    try {
+      // Process audio with wawa-lipsync
+      wawaLipsyncRef.current.processAudio();
+
+      // Get current features for analysis with error checking
+      const currentFeatures = wawaLipsyncRef.current.features;
+      const averagedFeatures = wawaLipsyncRef.current.getAveragedFeatures();
+
+      if (currentFeatures && averagedFeatures) {
+        // Compute viseme scores from audio analysis with error handling
+        let visemeScores;
+        try {
+          visemeScores = wawaLipsyncRef.current.computeVisemeScores(
+            currentFeatures,
+            averagedFeatures,
+            0, // dVolume - can be enhanced with volume detection
+            0 // dCentroid - can be enhanced with frequency analysis
+          );
+        } catch (scoreError) {
+          console.warn("⚠️ Error computing viseme scores:", scoreError);
+          visemeScores = {};
+        }
+        liveScoresRef.current = visemeScores;
+
+        if (visemeScores && Object.keys(visemeScores).length > 0) {
+          // Strongest visemes, clamped and limited to prevent over-blending;
+          // the profile spreads them over morph targets
+          const sortedVisemes = selectStrongestVisemes(visemeScores, LIPSYNC_SMOOTHING);
+          visemes = Object.fromEntries(sortedVisemes);
+
+          // Development debug logging (can be disabled in production)
+          if (
+            process.env.NODE_ENV === "development" &&
+            sortedVisemes.length > 0
+          ) {
+            const debugInfo = sortedVisemes
+              .map(([viseme, value]) => {
+                const morphTargets = mapVisemeToMorphTarget(viseme, visemeProfile)
+                  .map(({ target }) => target)
+                  .join("+");
+                return `${viseme}->${morphTargets || "-"}:${(value || 0).toFixed(2)}`;
+              })
+              .join(", ");
+            console.log("🎤 Active visemes:", debugInfo);
+          }
+
+          performanceMonitor.current.recordSuccess();
+        }
+      }
+
+      performanceMonitor.current.endTiming(
+        startTime,
+        "wawa-lipsync processing"
+      );
+    } catch (error) {
+      performanceMonitor.current.endTiming(
+        startTime,
+        "wawa-lipsync processing (error)"
+      );
+      logLipsyncError(error, "processing");
+      setLipsyncError(error.message || "Processing error");
+      performanceMonitor.current.recordError(error);
+
+      // Use recovery strategy based on error type
+      const errorType = categorizeError(error);
+      const strategy = getRecoveryStrategy(errorType);
+
+      if (
+        errorType === LIPSYNC_ERROR_TYPES.CONTEXT_ERROR ||
+        errorType === LIPSYNC_ERROR_TYPES.PROCESSING_ERROR
+      ) {
+        console.warn(
+          `⚠️ Enabling temporary fallback mode: ${strategy.description}`
+        );
+        setFallbackMode(true);
+
+        // Try to recover after strategy delay
+        setTimeout(() => {
+          console.log("🔄 Attempting to recover from fallback mode...");
+          setFallbackMode(false);
+          setLipsyncError(null);
+        }, strategy.delay);
+      }
+    }
+    return visemes;
+  };
+
+  // Loudness envelope of the inline clip, decoded the first time the fallback
+  // drives the mouth; cues, offline and live analysis never need it
+  const loadFallbackEnvelope = (fallbackInput) => {
+    const clip = fallbackInput?.clip;
+    if (!clip) return;
+    fallbackInput.clip = null;
+    decodeAudioClip(clip, { sampleRate: FALLBACK_ENVELOPE_CONFIG.sampleRate })
+      .then(({ samples, sampleRate }) => {
+        fallbackInput.envelope = computeAmplitudeEnvelope(samples, sampleRate);
+      })
+      .catch((error) => console.warn("⚠️ Could not compute the fallback envelope:", error));
+  };
+
+  // Envelope- and text-driven movement when the audio can't be analysed live
+  const generateFallbackVisemes = (audio) => {
+    loadFallbackEnvelope(messageFallbackRef.current);
+    try {
+      const fallbackVisemes = generateFallbackLipsync(
+        audio,
+        0.5,
+        messageFallbackRef.current || undefined
+      );
+
+      if (Object.keys(fallbackVisemes).length > 0) {
+        performanceMonitor.current.recordSuccess();
+      }
+      return fallbackVisemes;
+    } catch (fallbackError) {
+      logLipsyncError(fallbackError, "fallback animation");
+      performanceMonitor.current.recordError(fallbackError);
+      return null;
+    }
+  };
+
+  // Same interface for every source: getVisemes(audio) -> { viseme: value }
+  const lipsyncSources = {
+    [LIPSYNC_SOURCE_TYPES.CUES]: createCueSource(() => messageLipsyncRef.current),
+    [LIPSYNC_SOURCE_TYPES.ANALYSIS]: createAnalysisSource(() => getVisemeAnalysis(message)),
+    [LIPSYNC_SOURCE_TYPES.LIVE]: createLipsyncSource(
+      LIPSYNC_SOURCE_TYPES.LIVE,
+      analyzeLiveLipsync
+    ),
+    [LIPSYNC_SOURCE_TYPES.SPEECH]: createLipsyncSource(
+      LIPSYNC_SOURCE_TYPES.SPEECH,
+      (speech) => speech.getVisemes(),
+      (speech, time) => speech.getVisemes(time)
+    ),
+    [LIPSYNC_SOURCE_TYPES.FALLBACK]: createLipsyncSource(
+      LIPSYNC_SOURCE_TYPES.FALLBACK,
+      generateFallbackVisemes,
+      // Only the envelope and the text timeline know what comes next
+      (audio, time) =>
+        messageFallbackRef.current?.envelope || messageFallbackRef.current?.text?.trim()
+          ? generateFallbackLipsync(
+              { paused: false, ended: false, duration: audio.duration, currentTime: time },
+              0.5,
+              messageFallbackRef.current
+            )
+          : null
+    ),
+  };
+
+  useFrame((_, delta) => {
     // Apply facial expressions (maintain compatibility with existing system)
     if (!setupMode) {
       const allTargets = getAllMorphTargets();
       Object.keys(allTargets).forEach((key) => {
-        const mapping = facialExpressions[facialExpression];
+        const mapping = expressions[facialExpression];
         if (key === "eyeBlinkLeft" || key === "eyeBlinkRight") {
           return; // eyes wink/blink are handled separately
         }
 
         // Check if this is a viseme morph target to avoid conflicts
-        const isVisemeTarget = Object.values(visemeMapping).includes(key);
+        const isVisemeTarget = visemeProfile.targets.has(key);
 
         if (mapping && mapping[key]) {
           // For viseme targets, blend with lipsync if active, otherwise use facial expression
@@ -647,172 +1104,81 @@ export function Avatar(props) {
       return;
     }
 
-    const activeVisemeTargets = new Set();
-    let hasActiveLipsync = false;
-
-    // Process wawa-lipsync when audio is actively playing and not in fallback mode
-    if (
-      wawaLipsyncRef.current &&
-      audioRef.current &&
-      !audioRef.current.paused &&
-      !audioRef.current.ended &&
-      !fallbackMode &&
-      browserSupported
-    ) {
-      const startTime = performanceMonitor.current.startTiming();
-
-      try {
-        // Process audio with wawa-lipsync
-        wawaLipsyncRef.current.processAudio();
-
-        // Get current features for analysis with error checking
-        const currentFeatures = wawaLipsyncRef.current.features;
-        const averagedFeatures = wawaLipsyncRef.current.getAveragedFeatures();
-
-        if (currentFeatures && averagedFeatures) {
-          // Compute viseme scores from audio analysis with error handling
-          let visemeScores;
-          try {
-            visemeScores = wawaLipsyncRef.current.computeVisemeScores(
-              currentFeatures,
-              averagedFeatures,
-              0, // dVolume - can be enhanced with volume detection
-              0 // dCentroid - can be enhanced with frequency analysis
-            );
-          } catch (scoreError) {
-            console.warn("⚠️ Error computing viseme scores:", scoreError);
-            visemeScores = {};
-          }
-
-          if (visemeScores && Object.keys(visemeScores).length > 0) {
-            // Sort visemes by strength and limit to prevent over-blending
-            const sortedVisemes = Object.entries(visemeScores)
-              .filter(
-                ([_, value]) =>
-                  typeof value === "number" &&
-                  !isNaN(value) &&
-                  value > LIPSYNC_SMOOTHING.MIN_THRESHOLD
-              )
-              .sort(([_, a], [__, b]) => b - a)
-              .slice(0, LIPSYNC_SMOOTHING.MAX_BLEND_VISEMES);
-
-            // Apply viseme values with enhanced smoothing and error handling
-            sortedVisemes.forEach(([viseme, value]) => {
-              try {
-                const morphTarget = mapVisemeToMorphTarget(viseme);
-                if (morphTarget) {
-                  activeVisemeTargets.add(morphTarget);
-                  hasActiveLipsync = true;
-
-                  // Clamp and smooth the value with additional safety checks
-                  const clampedValue = Math.min(Math.max(value || 0, 0), 1.0);
-
-                  // Use enhanced application function with appropriate lerp speed
-                  applyVisemeValue(
-                    morphTarget,
-                    clampedValue,
-                    nodes,
-                    LIPSYNC_SMOOTHING.ACTIVE_LERP_SPEED
-                  );
-                }
-              } catch (applyError) {
-                console.warn("⚠️ Error applying viseme value:", applyError);
-              }
-            });
-
-            // Development debug logging (can be disabled in production)
-            if (
-              process.env.NODE_ENV === "development" &&
-              sortedVisemes.length > 0
-            ) {
-              const debugInfo = sortedVisemes
-                .map(([viseme, value]) => {
-                  const morphTarget = mapVisemeToMorphTarget(viseme);
-                  return `${viseme}->${morphTarget}:${(value || 0).toFixed(2)}`;
-                })
-                .join(", ");
-              console.log("🎤 Active visemes:", debugInfo);
-            }
-
-            performanceMonitor.current.recordSuccess();
-          }
-        }
-
-        performanceMonitor.current.endTiming(
-          startTime,
-          "wawa-lipsync processing"
-        );
-      } catch (error) {
-        performanceMonitor.current.endTiming(
-          startTime,
-          "wawa-lipsync processing (error)"
-        );
-        logLipsyncError(error, "processing");
-        setLipsyncError(error.message || "Processing error");
-        hasActiveLipsync = false;
-        performanceMonitor.current.recordError(error);
-
-        // Use recovery strategy based on error type
-        const errorType = categorizeError(error);
-        const strategy = getRecoveryStrategy(errorType);
-
-        if (
-          errorType === LIPSYNC_ERROR_TYPES.CONTEXT_ERROR ||
-          errorType === LIPSYNC_ERROR_TYPES.PROCESSING_ERROR
-        ) {
-          console.warn(
-            `⚠️ Enabling temporary fallback mode: ${strategy.description}`
-          );
-          setFallbackMode(true);
-
-          // Try to recover after strategy delay
-          setTimeout(() => {
-            console.log("🔄 Attempting to recover from fallback mode...");
-            setFallbackMode(false);
-            setLipsyncError(null);
-          }, strategy.delay);
+    // The active source fills the viseme values of this frame; they are mapped
+    // through the model's profile and applied once below
+    let frameVisemes = null;
+    let frameLerpSpeed = LIPSYNC_SMOOTHING.ACTIVE_LERP_SPEED;
+    let sourceType = null;
+    let sourceVisemes = {};
+    const audio = audioRef.current;
+    const preview = calibrationPreviewRef.current;
+    const previewViseme = preview
+      ? getSequenceVisemeAt(preview.sequence, performance.now() - preview.startedAt)
+      : null;
+    if (preview && !previewViseme) calibrationPreviewRef.current = null;
+
+    if (previewViseme) {
+      // Calibration panel: hold the previewed viseme at full strength
+      frameVisemes = { [previewViseme]: 1 };
+      visemeEngineRef.current.reset();
+    } else {
+      let upcomingVisemes = null;
+      if (audio && !audio.paused && !audio.ended) {
+        // Precomputed cues, offline analysis, browser TTS timeline, live analysis or fallback
+        sourceType = selectLipsyncSource({
+          lipsync: messageLipsyncRef.current,
+          analysis: getVisemeAnalysis(message),
+          isSpeech: audio instanceof SpeechPlayback,
+          liveAvailable: Boolean(wawaLipsyncRef.current) && !fallbackMode && browserSupported,
+        });
+        if (lipsyncSourceTypeRef.current !== sourceType) {
+          lipsyncSourceTypeRef.current = sourceType;
+          console.log(`🎯 Lipsync source: ${sourceType}`);
         }
+        const source = lipsyncSources[sourceType];
+        liveScoresRef.current = null;
+        sourceVisemes = source.getVisemes(audio) || {};
+        // Timelines can look ahead; the lead is in real time, so scale it to the audio clock
+        upcomingVisemes =
+          source.getVisemesAt?.(
+            audio,
+            (audio.currentTime || 0) +
+              LIPSYNC_SMOOTHING.ANTICIPATION_LEAD * playbackRateRef.current
+          ) ?? null;
       }
-    } else if (
-      fallbackMode &&
-      audioRef.current &&
-      !audioRef.current.paused &&
-      !audioRef.current.ended
-    ) {
-      // Enhanced fallback behavior using utility function
-      try {
-        const fallbackVisemes = generateFallbackLipsync(audioRef.current, 0.5);
-
-        if (Object.keys(fallbackVisemes).length > 0) {
-          Object.entries(fallbackVisemes).forEach(([viseme, value]) => {
-            const morphTarget = mapVisemeToMorphTarget(viseme);
-            if (morphTarget) {
-              applyVisemeValue(morphTarget, value, nodes, 0.2);
-              activeVisemeTargets.add(morphTarget);
-              hasActiveLipsync = true;
-            }
-          });
+      // Coarticulation, anticipation and bilabial holds; keeps releasing after
+      // the audio stops so the mouth closes smoothly
+      frameVisemes = visemeEngineRef.current.update(sourceVisemes, {
+        upcoming: upcomingVisemes,
+        delta,
+      });
+      // The engine already smooths over time
+      frameLerpSpeed = 1;
+    }
 
-          performanceMonitor.current.recordSuccess();
-        }
-      } catch (fallbackError) {
-        logLipsyncError(fallbackError, "fallback animation");
-        performanceMonitor.current.recordError(fallbackError);
+    let activeVisemeTargets = new Set();
+    try {
+      if (frameVisemes) {
+        activeVisemeTargets = applyVisemeFrame(
+          frameVisemes,
+          morphMeshes,
+          visemeProfile,
+          frameLerpSpeed
+        );
       }
+    } catch (applyError) {
+      console.warn("⚠️ Error applying viseme values:", applyError);
     }
+    const hasActiveLipsync = activeVisemeTargets.size > 0;
 
     // Smoothly return unused viseme targets to neutral position
-    const allVisemeTargets = Object.values(visemeMapping).filter(
-      (target) => target && target !== ""
-    );
-
-    allVisemeTargets.forEach((target) => {
+    visemeProfile.targets.forEach((target) => {
       if (!activeVisemeTargets.has(target)) {
         // Use slower lerp speed for returning to neutral for smoother transitions
-        applyVisemeValue(
+        applyMorphTargetValue(
           target,
           0,
-          nodes,
+          morphMeshes,
           LIPSYNC_SMOOTHING.NEUTRAL_LERP_SPEED
         );
       }
@@ -822,19 +1188,31 @@ export function Avatar(props) {
     if (
       !hasActiveLipsync &&
       facialExpression &&
-      facialExpressions[facialExpression]
+      expressions[facialExpression]
     ) {
-      const mapping = facialExpressions[facialExpression];
+      const mapping = expressions[facialExpression];
       Object.entries(mapping).forEach(([key, value]) => {
-        if (Object.values(visemeMapping).includes(key)) {
+        if (visemeProfile.targets.has(key)) {
           // Apply facial expression to viseme targets when no active lipsync
-          applyVisemeValue(key, value, nodes, 0.1);
+          applyMorphTargetValue(key, value, morphMeshes, 0.1);
         }
       });
     }
+
+    // Dev recorder: what each stage of the pipeline produced this frame
+    if (lipsyncRecorder.isRecording && sourceType) {
+      lipsyncRecorder.record({
+        time: audio.currentTime,
+        source: sourceType,
+        scores: liveScoresRef.current,
+        visemes: sourceVisemes,
+        engine: frameVisemes,
+        influences: readMorphInfluences(findHeadMesh(morphMeshes), visemeProfile.targets),
+      });
+    }
   });
 
-  useControls("FacialExpressions", {
+  const facialExpressionControls = {
     chat: button(() => chat()),
     winkLeft: button(() => {
       setWinkLeft(true);
@@ -850,7 +1228,7 @@ export function Avatar(props) {
       onChange: (value) => setAnimation(value),
     },
     facialExpression: {
-      options: Object.keys(facialExpressions),
+      options: Object.keys(expressions),
       onChange: (value) => setFacialExpression(value),
     },
     enableSetupMode: button(() => {
@@ -861,14 +1239,14 @@ export function Avatar(props) {
     }),
     testVisemeMapping: button(() => {
       // Run comprehensive mapping test
-      testVisemeMapping(visemeMapping, mapVisemeToMorphTarget);
+      testVisemeMapping(visemeProfile);
     }),
     testVisemeSequence: button(() => {
       // Play sample "Hello World" viseme sequence
       playVisemeSequence(
         sampleVisemeSequence,
         lerpMorphTarget,
-        mapVisemeToMorphTarget
+        visemeProfile
       );
     }),
     logMorphTargetValues: button(() => {
@@ -888,46 +1266,144 @@ export function Avatar(props) {
         JSON.stringify(emotionValues, null, 2)
       );
     }),
-  });
+  };
+
+  // Viseme calibration panel: tune the current model and save it by model URL
+  const calibrationRef = useRef(calibration);
+  calibrationRef.current = calibration;
+  const calibrationVisemeRef = useRef("viseme_aa");
+  const applyingCalibrationRef = useRef(false);
+  const previewRecordingRef = useRef(null);
+  previewRecordingRef.current = () => {
+    const conversation = getPreviewConversation(history);
+    if (!conversation) {
+      console.warn("⚠️ No recorded reply with audio to preview yet");
+      return;
+    }
+    startReplay(conversation);
+  };
+
+  const startCalibrationPreview = (sequence) => {
+    calibrationPreviewRef.current = { sequence, startedAt: performance.now() };
+  };
+
+  // Panel edits only; values pushed from a loaded calibration are ignored
+  const onCalibrationChange = (apply) => (value, path, context) => {
+    if (context.initial || applyingCalibrationRef.current) return;
+    apply(value);
+  };
+
+  const calibrationControls = () => {
+    const visemes = VISEMES.filter((viseme) => viseme !== "viseme_sil");
+    const values = getCalibrationControlValues(
+      baseVisemeProfile,
+      calibrationRef.current.calibration
+    );
+
+    const gains = {};
+    const weights = {};
+    visemes.forEach((viseme) => {
+      gains[gainKey(viseme)] = {
+        value: values[gainKey(viseme)],
+        min: 0,
+        max: CALIBRATION_CONFIG.maxGain,
+        step: 0.05,
+        onChange: onCalibrationChange((gain) =>
+          calibrationRef.current.setGain(viseme, gain)
+        ),
+      };
+      const targets = {};
+      baseVisemeProfile.visemes[viseme].forEach(({ target }) => {
+        targets[weightKey(viseme, target)] = {
+          value: values[weightKey(viseme, target)],
+          min: 0,
+          max: 1,
+          step: 0.05,
+          onChange: onCalibrationChange((weight) =>
+            calibrationRef.current.setWeight(viseme, target, weight)
+          ),
+        };
+      });
+      weights[viseme] = folder(targets, { collapsed: true });
+    });
+
+    const clamps = {};
+    baseVisemeProfile.targets.forEach((target) => {
+      clamps[clampKey(target)] = {
+        value: values[clampKey(target)],
+        min: 0,
+        max: 1,
+        onChange: onCalibrationChange((range) =>
+          calibrationRef.current.setClamp(target, range)
+        ),
+      };
+    });
+
+    return {
+      viseme: {
+        options: visemes,
+        value: calibrationVisemeRef.current,
+        onChange: (viseme) => {
+          calibrationVisemeRef.current = viseme;
+        },
+      },
+      playViseme: button(() =>
+        startCalibrationPreview([
+          {
+            viseme: calibrationVisemeRef.current,
+            duration: CALIBRATION_CONFIG.previewHold,
+          },
+        ])
+      ),
+      playSequence: button(() => startCalibrationPreview(sampleVisemeSequence)),
+      previewRecordedAudio: button(() => previewRecordingRef.current()),
+      saveCalibration: button(() => calibrationRef.current.save()),
+      downloadCalibration: button(() => calibrationRef.current.download()),
+      resetCalibration: button(() => calibrationRef.current.reset()),
+      Gains: folder(gains, { collapsed: true }),
+      Weights: folder(weights, { collapsed: true }),
+      Clamps: folder(clamps, { collapsed: true }),
+    };
+  };
+
+  // Lipsync recorder: one run per message, charted in the timeline dev panel
+  const recorderControls = {
+    record: {
+      value: lipsyncRecorder.enabled,
+      onChange: (value) => lipsyncRecorder.setEnabled(value),
+      transient: false,
+    },
+    downloadLastJSON: button(() => {
+      const recording = lipsyncRecorder.getRecordings().at(-1);
+      if (recording) downloadRecording(recording, "json");
+    }),
+    downloadLastCSV: button(() => {
+      const recording = lipsyncRecorder.getRecordings().at(-1);
+      if (recording) downloadRecording(recording, "csv");
+    }),
+    clearRecordings: button(() => lipsyncRecorder.clear()),
+  };
 
   // Lipsync Status Controls for debugging and error handling
-  useControls("Lipsync Status", {
+  const statusControls = {
     browserSupported: { value: browserSupported, disabled: true },
     fallbackMode: { value: fallbackMode, disabled: true },
     lipsyncError: { value: lipsyncError || "None", disabled: true },
     retryCount: { value: retryCount, disabled: true },
     debugMorphTargets: button(() => {
       console.log("🔍 Available morph targets by mesh:");
-      console.log(
-        "EyeLeft:",
-        Object.keys(nodes.EyeLeft.morphTargetDictionary || {})
-      );
-      console.log(
-        "EyeRight:",
-        Object.keys(nodes.EyeRight.morphTargetDictionary || {})
-      );
-      console.log(
-        "Wolf3D_Head:",
-        Object.keys(nodes.Wolf3D_Head.morphTargetDictionary || {})
-      );
-      console.log(
-        "Wolf3D_Teeth:",
-        Object.keys(nodes.Wolf3D_Teeth.morphTargetDictionary || {})
-      );
+      morphMeshes.forEach((mesh) => {
+        console.log(`${mesh.name}:`, Object.keys(mesh.morphTargetDictionary || {}));
+      });
 
       // Check which viseme targets are available
-      const requiredVisemes = Object.values(visemeMapping).filter((v) => v);
+      const requiredVisemes = [...visemeProfile.targets];
       const availableVisemes = [];
       const missingVisemes = [];
 
       requiredVisemes.forEach((viseme) => {
         let found = false;
-        [
-          nodes.EyeLeft,
-          nodes.EyeRight,
-          nodes.Wolf3D_Head,
-          nodes.Wolf3D_Teeth,
-        ].forEach((mesh) => {
+        morphMeshes.forEach((mesh) => {
           if (
             mesh &&
             mesh.morphTargetDictionary &&
@@ -1002,11 +1478,11 @@ export function Avatar(props) {
           console.log(`Testing ${target} with value ${value}`);
 
           // Apply the morph target
-          applyVisemeValue(target, value, nodes, 0.5);
+          applyMorphTargetValue(target, value, morphMeshes, 0.5);
 
           // Reset after duration and move to next
           setTimeout(() => {
-            applyVisemeValue(target, 0, nodes, 0.5);
+            applyMorphTargetValue(target, 0, morphMeshes, 0.5);
             currentIndex++;
             setTimeout(runTest, 200);
           }, duration);
@@ -1017,19 +1493,13 @@ export function Avatar(props) {
 
       runTest();
     }),
-  });
+  };
 
   // Collect all morph targets from all meshes
   const getAllMorphTargets = () => {
     const allTargets = {};
-    const meshes = [
-      nodes.EyeLeft,
-      nodes.EyeRight,
-      nodes.Wolf3D_Head,
-      nodes.Wolf3D_Teeth,
-    ];
 
-    meshes.forEach((mesh) => {
+    morphMeshes.forEach((mesh) => {
       if (mesh && mesh.morphTargetDictionary) {
         Object.keys(mesh.morphTargetDictionary).forEach((key) => {
           if (!allTargets[key]) {
@@ -1045,7 +1515,7 @@ export function Avatar(props) {
     return allTargets;
   };
 
-  const [, set] = useControls("MorphTarget", () => {
+  const morphTargetControls = () => {
     const allTargets = getAllMorphTargets();
     return Object.assign(
       {},
@@ -1066,7 +1536,7 @@ export function Avatar(props) {
         };
       })
     );
-  });
+  };
 
   useEffect(() => {
     let blinkTimeout;
@@ -1085,72 +1555,23 @@ export function Avatar(props) {
 
   return (
     <group {...props} dispose={null} ref={group}>
-      <primitive object={nodes.Hips} />
-      <skinnedMesh
-        name="Wolf3D_Body"
-        geometry={nodes.Wolf3D_Body.geometry}
-        material={materials.Wolf3D_Body}
-        skeleton={nodes.Wolf3D_Body.skeleton}
-      />
-      <skinnedMesh
-        name="Wolf3D_Outfit_Bottom"
-        geometry={nodes.Wolf3D_Outfit_Bottom.geometry}
-        material={materials.Wolf3D_Outfit_Bottom}
-        skeleton={nodes.Wolf3D_Outfit_Bottom.skeleton}
-      />
-      <skinnedMesh
-        name="Wolf3D_Outfit_Footwear"
-        geometry={nodes.Wolf3D_Outfit_Footwear.geometry}
-        material={materials.Wolf3D_Outfit_Footwear}
-        skeleton={nodes.Wolf3D_Outfit_Footwear.skeleton}
-      />
-      <skinnedMesh
-        name="Wolf3D_Outfit_Top"
-        geometry={nodes.Wolf3D_Outfit_Top.geometry}
-        material={materials.Wolf3D_Outfit_Top}
-        skeleton={nodes.Wolf3D_Outfit_Top.skeleton}
-      />
-      <skinnedMesh
-        name="Wolf3D_Hair"
-        geometry={nodes.Wolf3D_Hair.geometry}
-        material={materials.Wolf3D_Hair}
-        skeleton={nodes.Wolf3D_Hair.skeleton}
-      />
-      <skinnedMesh
-        name="EyeLeft"
-        geometry={nodes.EyeLeft.geometry}
-        material={materials.Wolf3D_Eye}
-        skeleton={nodes.EyeLeft.skeleton}
-        morphTargetDictionary={nodes.EyeLeft.morphTargetDictionary}
-        morphTargetInfluences={nodes.EyeLeft.morphTargetInfluences}
-      />
-      <skinnedMesh
-        name="EyeRight"
-        geometry={nodes.EyeRight.geometry}
-        material={materials.Wolf3D_Eye}
-        skeleton={nodes.EyeRight.skeleton}
-        morphTargetDictionary={nodes.EyeRight.morphTargetDictionary}
-        morphTargetInfluences={nodes.EyeRight.morphTargetInfluences}
-      />
-      <skinnedMesh
-        name="Wolf3D_Head"
-        geometry={nodes.Wolf3D_Head.geometry}
-        material={materials.Wolf3D_Skin}
-        skeleton={nodes.Wolf3D_Head.skeleton}
-        morphTargetDictionary={nodes.Wolf3D_Head.morphTargetDictionary}
-        morphTargetInfluences={nodes.Wolf3D_Head.morphTargetInfluences}
-      />
-      <skinnedMesh
-        name="Wolf3D_Teeth"
-        geometry={nodes.Wolf3D_Teeth.geometry}
-        material={materials.Wolf3D_Teeth}
-        skeleton={nodes.Wolf3D_Teeth.skeleton}
-        morphTargetDictionary={nodes.Wolf3D_Teeth.morphTargetDictionary}
-        morphTargetInfluences={nodes.Wolf3D_Teeth.morphTargetInfluences}
-      />
+      <primitive object={model} />
+      {active && (
+        <AvatarControls
+          facialExpressionControls={facialExpressionControls}
+          calibrationControls={calibrationControls}
+          calibration={calibration}
+          baseVisemeProfile={baseVisemeProfile}
+          applyingCalibrationRef={applyingCalibrationRef}
+          recorderControls={recorderControls}
+          statusControls={statusControls}
+          morphTargetControls={morphTargetControls}
+          morphTargetPanelRef={morphTargetPanelRef}
+        />
+      )}
     </group>
   );
 }
 
-useGLTF.preload("/models/68b6f9136e93b8842ffb9fd0.glb");
-useGLTF.preload("/models/animations.glb");
+useGLTF.preload(AVATAR_MODEL_CONFIG.defaultUrl);
+useGLTF.preload(AVATAR_MODEL_CONFIG.animationsUrl);
@@ -0,0 +1,49 @@
+import { useState } from "react";
+import { useAvatar } from "../hooks/useAvatar";
+
+// ===== Selector de personaje: precarga al pasar el cursor, cambia sin recargar =====
+export const AvatarSwitcher = () => {
+  const { avatars, avatar, selectAvatar, preloadAvatar } = useAvatar();
+  const [open, setOpen] = useState(false);
+
+  if (avatars.length < 2) return null;
+
+  return (
+    <div className="relative pointer-events-auto">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        title={`Avatar: ${avatar.name}`}
+        aria-expanded={open}
+        className="bg-pink-500 hover:bg-pink-600 text-white p-4 rounded-md font-bold text-sm w-14"
+      >
+        {avatar.name.charAt(0).toUpperCase()}
+      </button>
+      {open && (
+        <div className="absolute right-full top-0 mr-2 w-56 backdrop-blur-md bg-white bg-opacity-80 rounded-lg p-2 text-sm flex flex-col gap-1 shadow-lg">
+          <span className="font-semibold px-2 pt-1">Avatar</span>
+          {avatars.map((item) => (
+            <button
+              key={item.id}
+              type="button"
+              onMouseEnter={() => preloadAvatar(item.id)}
+              onFocus={() => preloadAvatar(item.id)}
+              onClick={() => {
+                selectAvatar(item.id);
+                setOpen(false);
+              }}
+              className={`text-left px-2 py-1.5 rounded-md ${
+                item.id === avatar.id ? "bg-pink-500 text-white" : "hover:bg-black hover:bg-opacity-10"
+              }`}
+            >
+              <span className="block font-semibold">{item.name}</span>
+              <span className="block text-xs opacity-80">Voz: {item.voiceLang}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AvatarSwitcher;
@@ -4,9 +4,12 @@ import {
   Environment,
   Text,
 } from "@react-three/drei";
-import { Suspense, useEffect, useRef, useState } from "react";
+import { Suspense, useCallback, useEffect, useRef, useState } from "react";
+import { useAvatar } from "../hooks/useAvatar";
 import { useChat } from "../hooks/useChat";
+import { createId } from "../utils/createId";
 import { Avatar } from "./Avatar";
+import { Subtitles3D } from "./Subtitles";
 
 const Dots = (props) => {
   const { loading } = useChat();
@@ -37,6 +40,74 @@ const Dots = (props) => {
   );
 };
 
+// Estados de cada personaje montado durante un cambio de avatar
+const SLOT_STATES = {
+  LOADING: "loading", // Cargando/invisible, todavía no habla
+  ACTIVE: "active", // Reproduce los mensajes
+  LEAVING: "leaving", // Se desvanece y se desmonta
+};
+
+// Monta el avatar elegido; al cambiarlo, el nuevo carga en su propio Suspense
+// mientras el anterior sigue hablando, y cuando está listo toma el mensaje en
+// curso y ambos hacen un fundido cruzado
+const AvatarStage = () => {
+  const { avatar, handoffRef } = useAvatar();
+  const { message, getPlaybackState } = useChat();
+  const messageRef = useRef(message);
+  messageRef.current = message;
+
+  const [slots, setSlots] = useState(() => [
+    { key: createId("avatar"), persona: avatar, state: SLOT_STATES.ACTIVE },
+  ]);
+
+  useEffect(() => {
+    setSlots((current) => {
+      const active = current.find((slot) => slot.state === SLOT_STATES.ACTIVE);
+      const kept = current.filter((slot) => slot.state !== SLOT_STATES.LOADING);
+      if (active?.persona.id === avatar.id) {
+        return kept.length === current.length ? current : kept;
+      }
+      return [...kept, { key: createId("avatar"), persona: avatar, state: SLOT_STATES.LOADING }];
+    });
+  }, [avatar]);
+
+  const handleReady = useCallback(
+    (key) => {
+      // Dónde va el mensaje actual, para que el nuevo avatar siga desde ahí
+      handoffRef.current.message = messageRef.current;
+      handoffRef.current.offset = getPlaybackState()?.currentTime ?? 0;
+      setSlots((current) =>
+        current.map((slot) => {
+          if (slot.key === key) return { ...slot, state: SLOT_STATES.ACTIVE };
+          if (slot.state === SLOT_STATES.ACTIVE) return { ...slot, state: SLOT_STATES.LEAVING };
+          return slot;
+        })
+      );
+    },
+    [handoffRef, getPlaybackState]
+  );
+
+  const handleHidden = useCallback((key) => {
+    setSlots((current) =>
+      current.filter((slot) => slot.key !== key || slot.state !== SLOT_STATES.LEAVING)
+    );
+  }, []);
+
+  return slots.map((slot) => (
+    <Suspense key={slot.key} fallback={null}>
+      <Avatar
+        persona={slot.persona}
+        active={slot.state === SLOT_STATES.ACTIVE}
+        visible={slot.state === SLOT_STATES.ACTIVE}
+        fadeIn
+        handoff={handoffRef}
+        onReady={slot.state === SLOT_STATES.LOADING ? () => handleReady(slot.key) : undefined}
+        onHidden={() => handleHidden(slot.key)}
+      />
+    </Suspense>
+  ));
+};
+
 export const Experience = () => {
   const cameraControls = useRef();
   const { cameraZoomed } = useChat();
@@ -59,8 +130,9 @@ export const Experience = () => {
       {/* Wrapping Dots into Suspense to prevent Blink when Troika/Font is loaded */}
       <Suspense>
         <Dots position-y={1.75} position-x={-0.02} />
+        <Subtitles3D position-y={1.6} position-x={0.35} />
       </Suspense>
-      <Avatar />
+      <AvatarStage />
       <ContactShadows opacity={0.7} />
     </>
   );
@@ -0,0 +1,220 @@
+import { useEffect, useState } from "react";
+import {
+  RECORDING_LAYERS,
+  downloadRecording,
+  getRecordingSeries,
+  lipsyncRecorder,
+} from "../utils/lipsyncRecorder";
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 160;
+// Con una grabación en curso el gráfico se refresca cada tanto, no en cada cuadro
+const LIVE_REFRESH_MS = 500;
+const COLORS = ["#ec4899", "#8b5cf6", "#0ea5e9", "#10b981", "#f59e0b", "#ef4444", "#6366f1", "#14b8a6"];
+
+const LAYER_LABELS = {
+  [RECORDING_LAYERS.SCORES]: "Scores",
+  [RECORDING_LAYERS.VISEMES]: "Visemas",
+  [RECORDING_LAYERS.ENGINE]: "Motor",
+  [RECORDING_LAYERS.INFLUENCES]: "Influencias",
+};
+
+const toPoints = (points, duration, maxValue) =>
+  points
+    .map(([time, value]) => {
+      const x = duration > 0 ? (time / duration) * CHART_WIDTH : 0;
+      const y = CHART_HEIGHT - (Math.min(value, maxValue) / maxValue) * CHART_HEIGHT;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+
+const recordingLabel = (recording) =>
+  `#${recording.id} ${recording.label || "(sin texto)"} · ${recording.frames.length} cuadros`;
+
+// ===== Panel de desarrollo: línea de tiempo del lipsync grabado =====
+// Se muestra mientras la grabación está activa (panel "Lipsync Recorder" de leva)
+export const LipsyncTimeline = () => {
+  const [state, setState] = useState(() => ({
+    enabled: lipsyncRecorder.enabled,
+    recordings: lipsyncRecorder.getRecordings(),
+    current: lipsyncRecorder.current,
+  }));
+  const [, setTick] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [layer, setLayer] = useState(RECORDING_LAYERS.INFLUENCES);
+
+  useEffect(() => lipsyncRecorder.subscribe(setState), []);
+
+  // Los cuadros se agregan sin avisar: refresco periódico mientras se graba
+  useEffect(() => {
+    if (!state.current) return;
+    const timer = setInterval(() => setTick((tick) => tick + 1), LIVE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [state.current]);
+
+  const { recordings } = state;
+  const selected = recordings.find((r) => r.id === selectedId) || recordings[recordings.length - 1] || null;
+  const compare = recordings.find((r) => r.id === compareId && r !== selected) || null;
+
+  const primary = getRecordingSeries(selected, layer);
+  const secondary = getRecordingSeries(compare, layer);
+  const duration = Math.max(primary.duration, secondary.duration);
+  const names = [...new Set([...Object.keys(primary.series), ...Object.keys(secondary.series)])].sort();
+  // Los scores de wawa-lipsync pueden pasar de 1
+  const maxValue = [primary, secondary].reduce(
+    (max, { series }) =>
+      Object.values(series).reduce(
+        (seriesMax, points) => points.reduce((pointMax, [, value]) => Math.max(pointMax, value), seriesMax),
+        max
+      ),
+    1
+  );
+
+  if (!state.enabled && recordings.length === 0) return null;
+
+  return (
+    <div className="fixed z-20 bottom-28 left-4 pointer-events-auto w-[36rem] max-w-[calc(100vw-2rem)] backdrop-blur-md bg-white bg-opacity-80 rounded-lg p-3 shadow-lg text-xs flex flex-col gap-2">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-semibold">
+          Lipsync {state.current ? "· grabando…" : ""}
+        </span>
+        <div className="flex gap-1">
+          {Object.entries(LAYER_LABELS).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setLayer(value)}
+              className={`px-2 py-0.5 rounded ${
+                layer === value ? "bg-pink-500 text-white" : "hover:bg-black hover:bg-opacity-10"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {recordings.length === 0 ? (
+        <p className="text-gray-700 italic">Sin grabaciones: reproduce un mensaje.</p>
+      ) : (
+        <>
+          <div className="flex items-center gap-2">
+            <select
+              value={selected?.id ?? ""}
+              onChange={(e) => setSelectedId(Number(e.target.value))}
+              title="Grabación"
+              className="rounded-md p-1 bg-white min-w-0 flex-1"
+            >
+              {recordings.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {recordingLabel(r)}
+                </option>
+              ))}
+            </select>
+            <select
+              value={compare?.id ?? ""}
+              onChange={(e) => setCompareId(e.target.value ? Number(e.target.value) : null)}
+              title="Comparar con (línea punteada)"
+              className="rounded-md p-1 bg-white min-w-0 flex-1"
+            >
+              <option value="">Comparar con…</option>
+              {recordings
+                .filter((r) => r !== selected)
+                .map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {recordingLabel(r)}
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          <svg
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            className="w-full bg-white rounded border border-gray-200"
+            preserveAspectRatio="none"
+          >
+            {maxValue > 1 && (
+              <line
+                x1="0"
+                x2={CHART_WIDTH}
+                y1={CHART_HEIGHT - CHART_HEIGHT / maxValue}
+                y2={CHART_HEIGHT - CHART_HEIGHT / maxValue}
+                stroke="#d1d5db"
+                strokeDasharray="2 2"
+              />
+            )}
+            {names.map((name, index) => {
+              const color = COLORS[index % COLORS.length];
+              return (
+                <g key={name}>
+                  {secondary.series[name] && (
+                    <polyline
+                      points={toPoints(secondary.series[name], duration, maxValue)}
+                      fill="none"
+                      stroke={color}
+                      strokeWidth="1"
+                      strokeDasharray="4 3"
+                      vectorEffect="non-scaling-stroke"
+                    />
+                  )}
+                  {primary.series[name] && (
+                    <polyline
+                      points={toPoints(primary.series[name], duration, maxValue)}
+                      fill="none"
+                      stroke={color}
+                      strokeWidth="1.5"
+                      vectorEffect="non-scaling-stroke"
+                    />
+                  )}
+                </g>
+              );
+            })}
+          </svg>
+
+          <div className="flex items-center justify-between text-gray-600">
+            <span>0 s</span>
+            <span>máx. {maxValue.toFixed(2)}</span>
+            <span>{duration.toFixed(2)} s</span>
+          </div>
+
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            {names.length === 0 && <span className="text-gray-700 italic">Sin valores en esta capa.</span>}
+            {names.map((name, index) => (
+              <span key={name} className="flex items-center gap-1">
+                <span className="w-2.5 h-2.5 rounded-full" style={{ background: COLORS[index % COLORS.length] }}></span>
+                {name}
+              </span>
+            ))}
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => downloadRecording(selected, "json")}
+              className="bg-pink-500 hover:bg-pink-600 text-white px-2 py-1 rounded-md"
+            >
+              JSON
+            </button>
+            <button
+              type="button"
+              onClick={() => downloadRecording(selected, "csv")}
+              className="bg-pink-500 hover:bg-pink-600 text-white px-2 py-1 rounded-md"
+            >
+              CSV
+            </button>
+            <button
+              type="button"
+              onClick={() => lipsyncRecorder.clear()}
+              className="ml-auto px-2 py-1 rounded-md hover:bg-black hover:bg-opacity-10"
+            >
+              Borrar
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LipsyncTimeline;
@@ -0,0 +1,89 @@
+import { useChat } from "../hooks/useChat";
+import { REPLAY_RATES, REPLAY_STATUS } from "../utils/conversationReplay";
+
+const ControlButton = ({ title, onClick, disabled, children }) => (
+  <button
+    type="button"
+    title={title}
+    aria-label={title}
+    onClick={onClick}
+    disabled={disabled}
+    className="bg-pink-500 hover:bg-pink-600 disabled:opacity-40 text-white p-2 rounded-md"
+  >
+    {children}
+  </button>
+);
+
+// ===== Controles del replay: play/pausa, paso, velocidad =====
+export const ReplayControls = () => {
+  const { replay, pauseReplay, resumeReplay, stepReplay, setReplayRate, stopReplay } = useChat();
+  if (!replay) return null;
+
+  const playing = replay.status === REPLAY_STATUS.PLAYING || replay.status === REPLAY_STATUS.STEPPING;
+  const ended = replay.status === REPLAY_STATUS.ENDED;
+  const position = ended ? replay.total : Math.max(0, replay.index + 1);
+
+  return (
+    <div className="fixed z-20 top-4 right-4 pointer-events-auto w-72 max-w-[calc(100vw-2rem)] backdrop-blur-md bg-white bg-opacity-70 rounded-lg p-3 shadow-lg text-sm flex flex-col gap-2">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-semibold truncate">▶ Replay{replay.title ? `: ${replay.title}` : ""}</span>
+        <button
+          type="button"
+          title="Salir del replay"
+          aria-label="Salir del replay"
+          onClick={stopReplay}
+          className="px-1 rounded hover:bg-black hover:bg-opacity-10"
+        >
+          ✕
+        </button>
+      </div>
+
+      {replay.userText && !ended && (
+        <p className="text-xs text-gray-700 italic truncate" title={replay.userText}>
+          Usuario: {replay.userText}
+        </p>
+      )}
+
+      <div className="flex items-center gap-2">
+        <ControlButton
+          title={playing ? "Pausar" : ended ? "Repetir" : "Reproducir"}
+          onClick={playing ? pauseReplay : resumeReplay}
+          disabled={replay.total === 0}
+        >
+          {playing ? (
+            <svg viewBox="0 0 24 24" fill="currentColor" className="w-5 h-5">
+              <rect x="6" y="5" width="4" height="14" rx="1" />
+              <rect x="14" y="5" width="4" height="14" rx="1" />
+            </svg>
+          ) : (
+            <svg viewBox="0 0 24 24" fill="currentColor" className="w-5 h-5">
+              <path d="M8 5.14v13.72a1 1 0 001.52.85l11-6.86a1 1 0 000-1.7l-11-6.86A1 1 0 008 5.14z" />
+            </svg>
+          )}
+        </ControlButton>
+        <ControlButton title="Siguiente mensaje" onClick={stepReplay} disabled={ended || replay.total === 0}>
+          <svg viewBox="0 0 24 24" fill="currentColor" className="w-5 h-5">
+            <path d="M5 5.14v13.72a1 1 0 001.52.85L16 13.8V18a1 1 0 002 0V6a1 1 0 00-2 0v4.2L6.52 4.29A1 1 0 005 5.14z" />
+          </svg>
+        </ControlButton>
+        <select
+          value={replay.rate}
+          onChange={(e) => setReplayRate(Number(e.target.value))}
+          title="Velocidad"
+          className="rounded-md p-1 bg-white"
+        >
+          {REPLAY_RATES.map((rate) => (
+            <option key={rate} value={rate}>
+              {rate}×
+            </option>
+          ))}
+        </select>
+        <span className="ml-auto text-xs text-gray-700">
+          {replay.total === 0 ? "Sin mensajes" : `${position} / ${replay.total}`}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayControls;
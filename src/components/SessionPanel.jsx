@@ -0,0 +1,249 @@
+import { useRef, useState } from "react";
+import { useChat } from "../hooks/useChat";
+import { formatSessionDate } from "../utils/sessionStore";
+import {
+  EXPORT_FORMATS,
+  downloadBlob,
+  exportConversation,
+  importConversationFile,
+} from "../utils/conversationExport";
+
+const EXPORT_LABELS = {
+  [EXPORT_FORMATS.JSON]: "JSON",
+  [EXPORT_FORMATS.MARKDOWN]: "Markdown",
+  [EXPORT_FORMATS.ZIP]: "ZIP + audio",
+};
+
+const SessionRow = ({ session, active, onSelect, onRename, onDelete }) => {
+  const [editing, setEditing] = useState(false);
+  const [title, setTitle] = useState(session.title);
+
+  const commit = () => {
+    onRename(session.id, title);
+    setEditing(false);
+  };
+
+  return (
+    <li
+      className={`group flex items-center gap-2 rounded-md px-2 py-1.5 ${
+        active ? "bg-pink-500 text-white" : "hover:bg-white hover:bg-opacity-60"
+      }`}
+    >
+      {editing ? (
+        <input
+          autoFocus
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") commit();
+            if (e.key === "Escape") {
+              setTitle(session.title);
+              setEditing(false);
+            }
+          }}
+          className="flex-1 min-w-0 rounded px-1 text-gray-900"
+        />
+      ) : (
+        <button
+          type="button"
+          onClick={() => onSelect(session.id)}
+          className="flex-1 min-w-0 text-left"
+        >
+          <span className="block truncate font-semibold">{session.title}</span>
+          <span className={`block text-xs ${active ? "text-pink-100" : "text-gray-600"}`}>
+            {formatSessionDate(session.lastActivity)}
+          </span>
+        </button>
+      )}
+      {!editing && (
+        <>
+          <button
+            type="button"
+            title="Renombrar"
+            aria-label="Renombrar"
+            onClick={() => {
+              setTitle(session.title);
+              setEditing(true);
+            }}
+            className="p-1 rounded hover:bg-black hover:bg-opacity-10"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={1.5} className="w-4 h-4">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M16.862 4.487l1.687-1.688a1.875 1.875 0 112.652 2.652L6.832 19.82a4.5 4.5 0 01-1.897 1.13l-2.685.8.8-2.685a4.5 4.5 0 011.13-1.897L16.863 4.487z"
+              />
+            </svg>
+          </button>
+          <button
+            type="button"
+            title="Eliminar"
+            aria-label="Eliminar"
+            onClick={() => onDelete(session)}
+            className="p-1 rounded hover:bg-black hover:bg-opacity-10"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={1.5} className="w-4 h-4">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                d="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0"
+              />
+            </svg>
+          </button>
+        </>
+      )}
+    </li>
+  );
+};
+
+// ===== Conversaciones: lista, nueva, cambiar, renombrar, borrar =====
+export const SessionPanel = () => {
+  const {
+    sessions,
+    sessionId,
+    newSession,
+    switchSession,
+    renameSession,
+    deleteSession,
+    getConversation,
+    importConversation,
+    startReplay,
+  } = useChat();
+  const [open, setOpen] = useState(false);
+  const [transferError, setTransferError] = useState(null);
+  const fileInput = useRef();
+  const current = sessions.find((session) => session.id === sessionId);
+
+  // ===== Exportar la conversación actual =====
+  const download = async (format) => {
+    setTransferError(null);
+    try {
+      const conversation = await getConversation(sessionId);
+      const { blob, filename } = exportConversation(conversation, format);
+      downloadBlob(blob, filename);
+    } catch (err) {
+      console.error("❌ Export failed:", err);
+      setTransferError("No se pudo exportar la conversación");
+    }
+  };
+
+  // ===== Replay offline de la conversación actual =====
+  const replayCurrent = async () => {
+    setTransferError(null);
+    try {
+      startReplay(await getConversation(sessionId));
+      setOpen(false);
+    } catch (err) {
+      console.error("❌ Replay failed:", err);
+      setTransferError("No se pudo reproducir la conversación");
+    }
+  };
+
+  // ===== Importar desde JSON o ZIP =====
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setTransferError(null);
+    try {
+      const conversation = await importConversationFile(file);
+      await importConversation(conversation);
+      setOpen(false);
+    } catch (err) {
+      console.error("❌ Import failed:", err);
+      setTransferError(`No se pudo importar: ${err.message}`);
+    }
+  };
+
+  const confirmDelete = (session) => {
+    if (window.confirm(`¿Eliminar "${session.title}" y su historial?`)) {
+      deleteSession(session.id);
+    }
+  };
+
+  return (
+    <div className="relative mt-2 pointer-events-auto">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() => setOpen(!open)}
+          aria-expanded={open}
+          className="flex-1 min-w-0 text-left text-sm bg-white bg-opacity-60 hover:bg-opacity-80 rounded-md px-2 py-1"
+        >
+          <span className="block truncate">
+            {open ? "▾" : "▸"} {current?.title || "Conversación"}
+          </span>
+        </button>
+        <button
+          type="button"
+          title="Nueva conversación"
+          onClick={() => {
+            newSession();
+            setOpen(false);
+          }}
+          className="bg-pink-500 hover:bg-pink-600 text-white text-sm font-semibold rounded-md px-2 py-1"
+        >
+          + Nueva
+        </button>
+      </div>
+
+      {open && (
+        <div className="absolute z-30 left-0 mt-2 w-72 max-w-[calc(100vw-2rem)] backdrop-blur-md bg-white bg-opacity-80 rounded-lg p-2 shadow-lg text-sm">
+          <ul className="max-h-80 overflow-y-auto flex flex-col gap-1">
+            {sessions.map((session) => (
+              <SessionRow
+                key={session.id}
+                session={session}
+                active={session.id === sessionId}
+                onSelect={(id) => {
+                  switchSession(id);
+                  setOpen(false);
+                }}
+                onRename={renameSession}
+                onDelete={confirmDelete}
+              />
+            ))}
+          </ul>
+          <div className="border-t border-gray-300 mt-2 pt-2 flex flex-wrap items-center gap-1">
+            <span className="text-xs text-gray-700 mr-1">Exportar:</span>
+            {Object.values(EXPORT_FORMATS).map((format) => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => download(format)}
+                className="text-xs bg-white hover:bg-pink-100 rounded px-2 py-1"
+              >
+                {EXPORT_LABELS[format]}
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={() => fileInput.current?.click()}
+              className="text-xs bg-purple-400 hover:bg-purple-500 text-white rounded px-2 py-1 ml-auto"
+            >
+              Importar…
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".json,.zip,application/json,application/zip"
+              onChange={handleImport}
+              className="hidden"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={replayCurrent}
+            className="w-full mt-2 text-xs bg-pink-500 hover:bg-pink-600 text-white font-semibold rounded px-2 py-1"
+          >
+            ▶ Reproducir conversación
+          </button>
+          {transferError && <p className="text-xs text-red-600 mt-1">{transferError}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionPanel;
@@ -0,0 +1,193 @@
+import { Text } from "@react-three/drei";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useChat } from "../hooks/useChat";
+import { useSubtitles } from "../hooks/useSubtitles";
+import {
+  SUBTITLE_MODES,
+  SUBTITLE_POSITIONS,
+  getActiveWordIndex,
+  getCaptionWindow,
+  getWordTimings,
+} from "../utils/subtitleTiming";
+
+const SPOKEN_COLOR = "#fbcfe8";
+const ACTIVE_COLOR = "#ec4899";
+const UPCOMING_COLOR = "#ffffff";
+
+// ===== Reloj de karaoke: sigue el audio que reproduce el Avatar =====
+const useKaraoke = (maxWords, enabled) => {
+  const { message, getPlaybackState } = useChat();
+  const [duration, setDuration] = useState(NaN);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // La duración real llega con los metadatos del audio; hasta entonces se estima
+  const timings = useMemo(() => getWordTimings(message, duration), [message, duration]);
+  const timingsRef = useRef(timings);
+  timingsRef.current = timings;
+
+  useEffect(() => {
+    setDuration(NaN);
+    setActiveIndex(-1);
+    if (!enabled || !message?.text) return;
+
+    let frame;
+    const tick = () => {
+      const state = getPlaybackState();
+      if (state) {
+        if (Number.isFinite(state.duration) && state.duration > 0) {
+          setDuration((current) => (current === state.duration ? current : state.duration));
+        }
+        setActiveIndex(getActiveWordIndex(timingsRef.current, state.currentTime));
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [message, getPlaybackState, enabled]);
+
+  const { words, offset } = getCaptionWindow(timings, activeIndex, maxWords);
+  return { message, words, activeInWindow: activeIndex - offset };
+};
+
+// ===== Subtítulos HTML sobre el canvas =====
+export const Subtitles = () => {
+  const { settings } = useSubtitles();
+  const { message, words, activeInWindow } = useKaraoke(
+    settings.maxWords,
+    settings.mode === SUBTITLE_MODES.OVERLAY
+  );
+
+  if (settings.mode !== SUBTITLE_MODES.OVERLAY || !message?.text || words.length === 0) {
+    return null;
+  }
+
+  const placement =
+    settings.position === SUBTITLE_POSITIONS.TOP ? "top-28 md:top-8" : "bottom-28 md:bottom-32";
+
+  return (
+    <div
+      className={`fixed z-10 left-0 right-0 ${placement} flex justify-center px-4 pointer-events-none`}
+      aria-live="polite"
+    >
+      <p
+        className="max-w-2xl text-center font-semibold leading-snug bg-black bg-opacity-60 rounded-lg px-4 py-2"
+        style={{ fontSize: `${settings.fontSize}px` }}
+      >
+        {words.map((w, i) => (
+          <span
+            key={`${w.start}-${i}`}
+            style={{
+              color: i < activeInWindow ? SPOKEN_COLOR : i === activeInWindow ? ACTIVE_COLOR : UPCOMING_COLOR,
+            }}
+          >
+            {w.word}
+            {i < words.length - 1 ? " " : ""}
+          </span>
+        ))}
+      </p>
+    </div>
+  );
+};
+
+// ===== Subtítulos 3D junto al avatar (drei Text, como Dots) =====
+export const Subtitles3D = (props) => {
+  const { settings } = useSubtitles();
+  const { message, words, activeInWindow } = useKaraoke(
+    settings.maxWords,
+    settings.mode === SUBTITLE_MODES.SCENE
+  );
+
+  // Rangos de color por carácter: dicho / palabra activa / por decir
+  const { caption, colorRanges } = useMemo(() => {
+    const ranges = { 0: UPCOMING_COLOR };
+    let text = "";
+    words.forEach((w, i) => {
+      if (i > 0) text += " ";
+      if (i === 0 && activeInWindow > 0) ranges[0] = SPOKEN_COLOR;
+      if (i === activeInWindow) ranges[text.length] = ACTIVE_COLOR;
+      if (i === activeInWindow + 1) ranges[text.length] = UPCOMING_COLOR;
+      text += w.word;
+    });
+    return { caption: text, colorRanges: ranges };
+  }, [words, activeInWindow]);
+
+  if (settings.mode !== SUBTITLE_MODES.SCENE || !message?.text || !caption) return null;
+
+  return (
+    <group {...props}>
+      <Text
+        fontSize={0.07 * (settings.fontSize / 20)}
+        maxWidth={0.9}
+        anchorX={"left"}
+        anchorY={settings.position === SUBTITLE_POSITIONS.TOP ? "bottom" : "top"}
+        outlineWidth={0.004}
+        outlineColor="black"
+        colorRanges={colorRanges}
+      >
+        {caption}
+        <meshBasicMaterial attach="material" color="white" />
+      </Text>
+    </group>
+  );
+};
+
+// ===== Ajustes: modo, tamaño y posición =====
+export const SubtitleSettings = () => {
+  const { settings, updateSettings } = useSubtitles();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative pointer-events-auto">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        title="Subtítulos"
+        aria-expanded={open}
+        className={`${
+          settings.mode === SUBTITLE_MODES.OFF ? "bg-purple-400" : "bg-pink-500"
+        } hover:bg-pink-600 text-white p-4 rounded-md font-bold text-sm w-14`}
+      >
+        CC
+      </button>
+      {open && (
+        <div className="absolute right-full top-0 mr-2 w-56 backdrop-blur-md bg-white bg-opacity-80 rounded-lg p-3 text-sm flex flex-col gap-3 shadow-lg">
+          <label className="flex flex-col gap-1">
+            <span className="font-semibold">Subtítulos</span>
+            <select
+              value={settings.mode}
+              onChange={(e) => updateSettings({ mode: e.target.value })}
+              className="rounded-md p-1 bg-white"
+            >
+              <option value={SUBTITLE_MODES.OFF}>Desactivados</option>
+              <option value={SUBTITLE_MODES.OVERLAY}>En pantalla</option>
+              <option value={SUBTITLE_MODES.SCENE}>3D junto al avatar</option>
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="font-semibold">Tamaño: {settings.fontSize}px</span>
+            <input
+              type="range"
+              min={12}
+              max={40}
+              value={settings.fontSize}
+              onChange={(e) => updateSettings({ fontSize: Number(e.target.value) })}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            <span className="font-semibold">Posición</span>
+            <select
+              value={settings.position}
+              onChange={(e) => updateSettings({ position: e.target.value })}
+              className="rounded-md p-1 bg-white"
+            >
+              <option value={SUBTITLE_POSITIONS.BOTTOM}>Abajo</option>
+              <option value={SUBTITLE_POSITIONS.TOP}>Arriba</option>
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Subtitles;
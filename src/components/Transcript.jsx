@@ -0,0 +1,243 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { useChat } from "../hooks/useChat";
+import { HISTORY_ROLES, HISTORY_STATUS } from "../utils/chatHistoryStore";
+import {
+  copyToClipboard,
+  formatTurnTime,
+  getAudioSource,
+  isScrolledToBottom,
+  loadAudioSource,
+} from "../utils/transcriptHelpers";
+
+// Etiquetas de estado que vale la pena mostrar bajo la burbuja
+const STATUS_LABELS = {
+  [HISTORY_STATUS.PENDING]: "Pendiente",
+  [HISTORY_STATUS.FAILED]: "No enviado",
+  [HISTORY_STATUS.INTERRUPTED]: "Interrumpido",
+  [HISTORY_STATUS.DISCARDED]: "Omitido",
+};
+
+const isDesktop = () => typeof window !== "undefined" && window.innerWidth >= 768;
+
+const IconButton = ({ title, onClick, children }) => (
+  <button
+    type="button"
+    title={title}
+    aria-label={title}
+    onClick={onClick}
+    className="p-1 rounded hover:bg-black hover:bg-opacity-10"
+  >
+    {children}
+  </button>
+);
+
+export const Transcript = () => {
+  const { history, hasMoreHistory, loadOlderHistory, message, interrupt } = useChat();
+  // En móvil arranca colapsado para no tapar al avatar
+  const [open, setOpen] = useState(isDesktop);
+  const [followBottom, setFollowBottom] = useState(true);
+  const [replayingId, setReplayingId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const scrollRef = useRef();
+  const replayRef = useRef(null);
+  const replayRequestRef = useRef(0); // descarta descargas de un replay ya reemplazado
+  const prevScrollHeightRef = useRef(null);
+
+  // ===== Auto-scroll: solo si el usuario no subió a leer =====
+  const handleScroll = () => {
+    setFollowBottom(isScrolledToBottom(scrollRef.current));
+  };
+
+  useLayoutEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return;
+    // Al cargar turnos antiguos se conserva la posición de lectura
+    if (prevScrollHeightRef.current !== null) {
+      el.scrollTop += el.scrollHeight - prevScrollHeightRef.current;
+      prevScrollHeightRef.current = null;
+      return;
+    }
+    if (followBottom) el.scrollTop = el.scrollHeight;
+  }, [history, open, followBottom]);
+
+  const loadOlder = () => {
+    prevScrollHeightRef.current = scrollRef.current?.scrollHeight ?? null;
+    loadOlderHistory();
+  };
+
+  const jumpToLatest = () => {
+    setFollowBottom(true);
+    if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+  };
+
+  // ===== Reproducir de nuevo el audio de un mensaje =====
+  const stopReplay = () => {
+    replayRequestRef.current++;
+    if (replayRef.current) {
+      replayRef.current.pause();
+      replayRef.current.onended = null;
+      replayRef.current = null;
+    }
+    setReplayingId(null);
+  };
+
+  const replay = async (entry) => {
+    const wasPlaying = replayingId === entry.id;
+    stopReplay();
+    if (wasPlaying) return;
+    // Un solo audio a la vez: se corta al avatar si está hablando
+    if (message) interrupt();
+
+    // Misma caché de audio que el Avatar: no se vuelve a descargar el clip
+    const request = replayRequestRef.current;
+    let src;
+    try {
+      src = await loadAudioSource(entry);
+    } catch (err) {
+      console.warn("⚠️ No se pudo cargar el audio del mensaje:", err);
+      return;
+    }
+    if (!src || request !== replayRequestRef.current) return;
+    const audio = new Audio(src);
+    replayRef.current = audio;
+    audio.onended = stopReplay;
+    audio.play().then(
+      () => setReplayingId(entry.id),
+      (err) => {
+        console.warn("⚠️ No se pudo reproducir el mensaje:", err);
+        stopReplay();
+      }
+    );
+  };
+
+  useEffect(() => stopReplay, []);
+
+  // Y si el avatar empieza a hablar, el replay se detiene
+  useEffect(() => {
+    if (message) stopReplay();
+  }, [message]);
+
+  const copy = async (entry) => {
+    if (await copyToClipboard(entry.text)) {
+      setCopiedId(entry.id);
+      setTimeout(() => setCopiedId((id) => (id === entry.id ? null : id)), 1500);
+    }
+  };
+
+  const visible = history.filter((entry) => entry.text);
+
+  return (
+    <div
+      className={`fixed z-10 pointer-events-none left-4 right-4 bottom-24 md:right-auto md:top-44 md:bottom-28 md:w-80 flex flex-col ${
+        open ? "max-h-[35vh] md:max-h-none" : ""
+      }`}
+    >
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        className="self-start pointer-events-auto backdrop-blur-md bg-white bg-opacity-50 hover:bg-opacity-70 px-3 py-2 rounded-md text-sm font-semibold"
+      >
+        {open ? "Ocultar conversación" : `Conversación (${visible.length})`}
+      </button>
+
+      {open && (
+        <div className="relative flex-1 min-h-0 mt-2 pointer-events-auto backdrop-blur-md bg-white bg-opacity-50 rounded-lg">
+          <div
+            ref={scrollRef}
+            onScroll={handleScroll}
+            className="h-full max-h-[calc(35vh-3rem)] md:max-h-none overflow-y-auto p-3 flex flex-col gap-2"
+          >
+            {hasMoreHistory && (
+              <button
+                type="button"
+                onClick={loadOlder}
+                className="self-center text-xs text-gray-700 underline"
+              >
+                Ver mensajes anteriores
+              </button>
+            )}
+            {visible.length === 0 && (
+              <p className="text-sm text-gray-700 italic">Todavía no hay mensajes.</p>
+            )}
+            {visible.map((entry) => {
+              const isUser = entry.role === HISTORY_ROLES.USER;
+              const isPlaying =
+                !isUser &&
+                (entry.id === message?.historyId || entry.status === HISTORY_STATUS.PLAYING);
+              return (
+                <div
+                  key={entry.id}
+                  className={`max-w-[85%] flex flex-col ${isUser ? "self-end items-end" : "self-start items-start"}`}
+                >
+                  <div
+                    className={`px-3 py-2 rounded-2xl text-sm whitespace-pre-wrap break-words ${
+                      isUser
+                        ? "bg-pink-500 text-white rounded-br-sm"
+                        : "bg-white text-gray-900 rounded-bl-sm"
+                    } ${isPlaying ? "ring-2 ring-purple-400 shadow-lg" : ""} ${
+                      entry.status === HISTORY_STATUS.FAILED ? "opacity-60" : ""
+                    }`}
+                  >
+                    {entry.text}
+                  </div>
+                  <div className="flex items-center gap-1 mt-0.5 text-[11px] text-gray-700">
+                    <span>{formatTurnTime(entry.timestamp)}</span>
+                    {STATUS_LABELS[entry.status] && <span>· {STATUS_LABELS[entry.status]}</span>}
+                    {isPlaying && <span className="text-purple-700">· Hablando</span>}
+                    {getAudioSource(entry) && (
+                      <IconButton
+                        title={replayingId === entry.id ? "Detener" : "Reproducir"}
+                        onClick={() => replay(entry)}
+                      >
+                        {replayingId === entry.id ? (
+                          <svg viewBox="0 0 24 24" fill="currentColor" className="w-3.5 h-3.5">
+                            <rect x="6" y="6" width="12" height="12" rx="1.5" />
+                          </svg>
+                        ) : (
+                          <svg viewBox="0 0 24 24" fill="currentColor" className="w-3.5 h-3.5">
+                            <path d="M8 5.14v13.72a1 1 0 001.52.85l11-6.86a1 1 0 000-1.7l-11-6.86A1 1 0 008 5.14z" />
+                          </svg>
+                        )}
+                      </IconButton>
+                    )}
+                    <IconButton
+                      title={copiedId === entry.id ? "Copiado" : "Copiar"}
+                      onClick={() => copy(entry)}
+                    >
+                      {copiedId === entry.id ? (
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2} className="w-3.5 h-3.5">
+                          <path strokeLinecap="round" strokeLinejoin="round" d="M4.5 12.75l6 6 9-13.5" />
+                        </svg>
+                      ) : (
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={1.5} className="w-3.5 h-3.5">
+                          <path
+                            strokeLinecap="round"
+                            strokeLinejoin="round"
+                            d="M15.75 17.25v3.375c0 .621-.504 1.125-1.125 1.125h-9.75a1.125 1.125 0 01-1.125-1.125V7.875c0-.621.504-1.125 1.125-1.125H6.75m9 10.5h3.375c.621 0 1.125-.504 1.125-1.125V4.875c0-.621-.504-1.125-1.125-1.125h-9.75c-.621 0-1.125.504-1.125 1.125V6.75m9 10.5H9.375c-.621 0-1.125-.504-1.125-1.125V6.75"
+                          />
+                        </svg>
+                      )}
+                    </IconButton>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {!followBottom && (
+            <button
+              type="button"
+              onClick={jumpToLatest}
+              className="absolute bottom-2 right-2 bg-pink-500 hover:bg-pink-600 text-white text-xs px-2 py-1 rounded-full shadow"
+            >
+              ↓ Nuevos mensajes
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Transcript;
@@ -1,18 +1,36 @@
 import { useRef } from "react";
 import { useChat } from "../hooks/useChat";
 import SpeechInput from "../hooks/speechinput";
+import { Transcript } from "./Transcript";
+import { SessionPanel } from "./SessionPanel";
+import { ReplayControls } from "./ReplayControls";
+import { SubtitleSettings, Subtitles } from "./Subtitles";
+import { AvatarSwitcher } from "./AvatarSwitcher";
+import { LipsyncTimeline } from "./LipsyncTimeline";
 
 export const UI = ({ hidden, ...props }) => {
   const input = useRef();
-  const { chat, loading, cameraZoomed, setCameraZoomed, message } = useChat();
+  const {
+    chat,
+    interrupt,
+    loading,
+    cameraZoomed,
+    setCameraZoomed,
+    message,
+    isOnline,
+    pendingMessages,
+  } = useChat();
 
   const sendMessage = () => {
     const text = input.current.value.trim();
-    
-    if (!loading && !message && text) {
-      chat(text);
-      input.current.value = "";
+    if (!text) return;
+
+    // Barge-in: si está hablando o pensando, se corta y se atiende lo nuevo
+    if (loading || message) {
+      interrupt();
     }
+    chat(text);
+    input.current.value = "";
   };
   if (hidden) {
     return null;
@@ -20,10 +38,29 @@ export const UI = ({ hidden, ...props }) => {
 
   return (
     <>
+      <Transcript />
+      <Subtitles />
+      <ReplayControls />
+      <LipsyncTimeline />
       <div className="fixed top-0 left-0 right-0 bottom-0 z-10 flex justify-between p-4 flex-col pointer-events-none">
-        <div className="self-start backdrop-blur-md bg-white bg-opacity-50 p-4 rounded-lg">
+        <div className="self-start backdrop-blur-md bg-white bg-opacity-50 p-4 rounded-lg pointer-events-auto relative z-30">
           <h1 className="font-black text-xl">Mi asistente Virtual</h1>
           <p>en que te puedo ayudar</p>
+          <div className="flex items-center gap-2 mt-2 text-sm">
+            <span
+              className={`w-2.5 h-2.5 rounded-full ${
+                isOnline ? "bg-green-500" : "bg-red-500 animate-pulse"
+              }`}
+            ></span>
+            <span>{isOnline ? "En línea" : "Sin conexión"}</span>
+            {pendingMessages.length > 0 && (
+              <span className="text-gray-700 italic">
+                · {pendingMessages.length}{" "}
+                {pendingMessages.length === 1 ? "mensaje pendiente" : "mensajes pendientes"}
+              </span>
+            )}
+          </div>
+          <SessionPanel />
         </div>
         <div className="w-full flex flex-col items-end justify-center gap-4">
           <button
@@ -87,6 +124,8 @@ export const UI = ({ hidden, ...props }) => {
               />
             </svg>
           </button>
+          <SubtitleSettings />
+          <AvatarSwitcher />
         </div>
         <div className="flex items-center gap-2 pointer-events-auto max-w-screen-sm w-full mx-auto">
           <input
@@ -107,12 +146,25 @@ export const UI = ({ hidden, ...props }) => {
             className="flex-shrink-0"
           />
           
+          {message && (
+            <button
+              onClick={interrupt}
+              title="Interrumpir"
+              className="bg-white bg-opacity-50 backdrop-blur-md hover:bg-opacity-80 text-pink-600 p-4 rounded-md"
+            >
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                fill="currentColor"
+                viewBox="0 0 24 24"
+                className="w-6 h-6"
+              >
+                <rect x="6" y="6" width="12" height="12" rx="1.5" />
+              </svg>
+            </button>
+          )}
           <button
-            disabled={loading || message}
             onClick={sendMessage}
-            className={`bg-pink-500 hover:bg-pink-600 text-white p-4 px-10 font-semibold uppercase rounded-md ${
-              loading || message ? "cursor-not-allowed opacity-30" : ""
-            }`}
+            className="bg-pink-500 hover:bg-pink-600 text-white p-4 px-10 font-semibold uppercase rounded-md"
           >
             Send
           </button>
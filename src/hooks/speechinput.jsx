@@ -25,7 +25,7 @@ export default function SpeechInput({
   onTranscriptionChange,
 }) {
   const Recognition = useMemo(() => getSpeechRecognition(), []);
-  const { chat, loading } = useChat();
+  const { chat, interrupt, loading, message } = useChat();
 
   // Reconocimiento + estado
   const recRef = useRef(null);
@@ -137,7 +137,9 @@ export default function SpeechInput({
   useEffect(() => setSupported(!!Recognition), [Recognition]);
 
   const start = useCallback(async () => {
-    if (!recRef.current || listening || loading) return;
+    if (!recRef.current || listening) return;
+    // Barge-in: hablar encima del avatar lo interrumpe
+    if (loading || message) interrupt();
     try {
       setError("");
       setPermissionDenied(false);
@@ -146,7 +148,7 @@ export default function SpeechInput({
     } catch (e) {
       setError(e?.message || "No se pudo iniciar el micrófono");
     }
-  }, [currentLang, listening, loading]);
+  }, [currentLang, listening, loading, message, interrupt]);
 
   const stop = useCallback(() => {
     if (!recRef.current || !listening) return;
@@ -0,0 +1,76 @@
+import { useGLTF } from "@react-three/drei";
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import {
+  findAvatar,
+  getAvatarList,
+  getInitialAvatarId,
+  getNextAvatar,
+  loadAvatarId,
+  saveAvatarId,
+} from "../utils/avatarCatalog";
+import { resolveAvatarModelUrl } from "../utils/avatarModel";
+
+const AvatarContext = createContext();
+
+// Avatar elegido y sus personas (nombre, idioma de voz, expresiones). El cambio
+// de personaje no toca useChat: la conversación y la cola siguen igual.
+export const AvatarProvider = ({ children, modelUrl }) => {
+  const configuredUrl = useMemo(
+    () =>
+      resolveAvatarModelUrl({
+        prop: modelUrl,
+        search: window.location.search,
+        env: import.meta.env.VITE_AVATAR_URL,
+      }),
+    [modelUrl]
+  );
+  const avatars = useMemo(() => getAvatarList(configuredUrl), [configuredUrl]);
+  const [avatarId, setAvatarId] = useState(() =>
+    getInitialAvatarId(avatars, { configuredUrl, storedId: loadAvatarId() })
+  );
+  const avatar = findAvatar(avatars, avatarId);
+
+  // Estado que el avatar saliente deja al entrante (mensaje, offset, animación)
+  const handoffRef = useRef({ animation: null, animationTime: 0, message: null, offset: 0 });
+
+  useEffect(() => {
+    saveAvatarId(avatar.id);
+  }, [avatar.id]);
+
+  const preloadAvatar = useCallback(
+    (id) => {
+      const target = findAvatar(avatars, id);
+      if (target) useGLTF.preload(target.url);
+    },
+    [avatars]
+  );
+
+  // Precargar el siguiente personaje para que el cambio sea inmediato
+  useEffect(() => {
+    const next = getNextAvatar(avatars, avatar.id);
+    if (!next) return;
+    const idle = setTimeout(() => useGLTF.preload(next.url), 3000);
+    return () => clearTimeout(idle);
+  }, [avatars, avatar.id]);
+
+  const selectAvatar = useCallback(
+    (id) => {
+      preloadAvatar(id);
+      setAvatarId(id);
+    },
+    [preloadAvatar]
+  );
+
+  const value = useMemo(
+    () => ({ avatars, avatar, selectAvatar, preloadAvatar, handoffRef }),
+    [avatars, avatar, selectAvatar, preloadAvatar]
+  );
+
+  return <AvatarContext.Provider value={value}>{children}</AvatarContext.Provider>;
+};
+
+export const useAvatar = () => {
+  const ctx = useContext(AvatarContext);
+  if (!ctx) throw new Error("useAvatar must be used within an AvatarProvider");
+  return ctx;
+};
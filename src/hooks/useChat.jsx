@@ -1,15 +1,66 @@
-import { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { SOCKET_STATES, toWebSocketUrl } from "../utils/chatSocket";
+import { resolveTransport } from "../utils/chatTransports";
+import {
+  CHAT_ERROR_TYPES,
+  categorizeChatError,
+  getFallbackMessage,
+  withRetry,
+} from "../utils/chatErrorHandler";
+import { OfflineOutbox } from "../utils/offlineOutbox";
+import {
+  HISTORY_ROLES,
+  HISTORY_STATUS,
+  createHistoryEntry,
+  createHistoryStore,
+  mergeHistory,
+} from "../utils/chatHistoryStore";
+import { createId } from "../utils/createId";
+import { SessionStore } from "../utils/sessionStore";
+import { buildConversation } from "../utils/conversationExport";
+import { DEFAULT_ANIMATIONS, DiagnosticsLog, normalizeMessage } from "../utils/messageSchema";
+import {
+  REPLAY_STATUS,
+  clampReplayRate,
+  getReplaySteps,
+  toReplayMessage,
+} from "../utils/conversationReplay";
+import { VisemeAnalyzer, isVisemeAnalysis } from "../utils/visemeAnalysis";
 
 const backendUrl = import.meta.env.VITE_API_URL || "http://localhost:3000";
+// SSE activado por defecto; el backend decide si responde en streaming o con JSON
+const streamingEnabled = import.meta.env.VITE_CHAT_STREAMING !== "false";
+// Transporte: "http" (por defecto), "websocket", o un adaptador {send, subscribe}
+const defaultTransport = import.meta.env.VITE_CHAT_TRANSPORT || "http";
+const wsUrl = import.meta.env.VITE_WS_URL || toWebSocketUrl(backendUrl);
+// Lipsync offline: el audio se analiza al encolarlo en vez de cuadro a cuadro
+const offlineLipsyncEnabled = import.meta.env.VITE_OFFLINE_LIPSYNC === "true";
 const ChatContext = createContext();
 
 const LS_KEY = "chat_session_id";
+// Con el backend inalcanzable (pero navigator.onLine) se reintenta el outbox cada tanto
+const OUTBOX_RECHECK_MS = 15000;
 
-export const ChatProvider = ({ children }) => {
+const createAnalysisWorker = () =>
+  new Worker(new URL("../workers/visemeAnalysis.worker.js", import.meta.url), { type: "module" });
+
+const getNavigatorOnline = () =>
+  typeof navigator === "undefined" || navigator.onLine !== false;
+
+export const ChatProvider = ({
+  children,
+  transport = defaultTransport,
+  retryConfig,
+  historyStore,
+  offlineLipsync = offlineLipsyncEnabled,
+}) => {
   // ===== Estado principal =====
   const [queue, setQueue] = useState([]);     // Cola de mensajes del asistente (cada item tiene {text,audio,...})
   const [message, setMessage] = useState(null); // Mensaje actual (cabeza de la cola)
   const [loading, setLoading] = useState(false);
+  const [assistantState, setAssistantState] = useState("idle"); // idle | thinking | typing (push del backend)
+  const [connectionState, setConnectionState] = useState(null); // solo transportes con conexión persistente
+  const [error, setError] = useState(null); // {type, message, status} del último envío fallido
 
   // ===== Sesión =====
   const [sessionId, setSessionId] = useState(() => {
@@ -22,96 +73,738 @@ export const ChatProvider = ({ children }) => {
     if (sessionId) localStorage.setItem(LS_KEY, sessionId);
   }, [sessionId]);
 
-  // ===== Cola de envíos del usuario para no solaparnos =====
-  const userQueueRef = useRef([]);
-  const sendingRef = useRef(false);
+  // Los callbacks del transporte leen la sesión vigente sin re-suscribirse
+  const sessionIdRef = useRef(sessionId);
+  sessionIdRef.current = sessionId;
 
-  // ===== Helper: consumir cola de usuario secuencialmente =====
-  const pumpUserQueue = async () => {
-    if (sendingRef.current) return;
-    sendingRef.current = true;
+  // ===== Lista de conversaciones (título y última actividad) =====
+  const sessionStoreRef = useRef(null);
+  if (!sessionStoreRef.current) sessionStoreRef.current = new SessionStore();
+  const [sessions, setSessions] = useState(() => sessionStoreRef.current.list());
+  useEffect(() => sessionStoreRef.current.subscribe(setSessions), []);
 
-    while (userQueueRef.current.length > 0) {
-      const nextText = userQueueRef.current.shift();
-      try {
-        setLoading(true);
-        const resp = await fetch(`${backendUrl}/chat`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            message: nextText ?? null,
-            sessionId, // se la pasamos siempre
-          }),
+  // Toda sesión activa figura en la lista (también la que asigna el backend)
+  useEffect(() => {
+    sessionStoreRef.current.ensure(sessionId);
+  }, [sessionId]);
+
+  // ===== Historial persistente (IndexedDB por sessionId) =====
+  const historyStoreRef = useRef(null);
+  if (!historyStoreRef.current) historyStoreRef.current = historyStore || createHistoryStore();
+  const [history, setHistory] = useState([]);
+  const [hasMoreHistory, setHasMoreHistory] = useState(false);
+
+  const recordTurn = useCallback((fields) => {
+    const entry = createHistoryEntry(fields);
+    if (entry.sessionId === sessionIdRef.current) {
+      setHistory((h) => [...h, entry]);
+    }
+    historyStoreRef.current
+      .put(entry)
+      .catch((err) => console.warn("⚠️ [chat] no se pudo guardar el historial:", err));
+    return entry;
+  }, []);
+
+  const updateTurn = useCallback((id, changes) => {
+    if (!id) return;
+    setHistory((h) => h.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+    historyStoreRef.current
+      .update(id, changes)
+      .catch((err) => console.warn("⚠️ [chat] no se pudo actualizar el historial:", err));
+  }, []);
+
+  // Carga la página más reciente de la sesión (sin pisar turnos recién grabados)
+  const loadHistory = useCallback(async () => {
+    const id = sessionIdRef.current;
+    try {
+      const { entries, hasMore } = await historyStoreRef.current.listBySession(id);
+      if (sessionIdRef.current !== id) return;
+      setHistory((h) => mergeHistory(h.filter((entry) => entry.sessionId === id), entries));
+      setHasMoreHistory(hasMore);
+    } catch (err) {
+      console.warn("⚠️ [chat] no se pudo cargar el historial:", err);
+    }
+  }, []);
+
+  // Paginación hacia atrás: antepone la página anterior al turno más antiguo cargado
+  const loadOlderHistory = useCallback(async () => {
+    const id = sessionIdRef.current;
+    const oldest = history[0];
+    if (!oldest) return loadHistory();
+    try {
+      const { entries, hasMore } = await historyStoreRef.current.listBySession(id, {
+        before: oldest.timestamp,
+      });
+      if (sessionIdRef.current !== id) return;
+      setHistory((h) => mergeHistory(h, entries));
+      setHasMoreHistory(hasMore);
+    } catch (err) {
+      console.warn("⚠️ [chat] no se pudo cargar el historial:", err);
+    }
+  }, [history, loadHistory]);
+
+  const clearHistory = useCallback(async () => {
+    const id = sessionIdRef.current;
+    setHistory([]);
+    setHasMoreHistory(false);
+    try {
+      await historyStoreRef.current.clearSession(id);
+    } catch (err) {
+      console.warn("⚠️ [chat] no se pudo borrar el historial:", err);
+    }
+  }, []);
+
+  // Al cambiar de sesión se muestra su propio historial
+  useEffect(() => {
+    setHistory([]);
+    setHasMoreHistory(false);
+    loadHistory();
+  }, [sessionId, loadHistory]);
+
+  // ===== Validación de mensajes del backend =====
+  // Los problemas de esquema van al log de diagnóstico en vez de romper el render
+  const diagnosticsRef = useRef(null);
+  if (!diagnosticsRef.current) diagnosticsRef.current = new DiagnosticsLog();
+  const [diagnostics, setDiagnostics] = useState([]);
+  useEffect(() => diagnosticsRef.current.subscribe(setDiagnostics), []);
+  const clearDiagnostics = useCallback(() => diagnosticsRef.current.clear(), []);
+
+  // El Avatar registra las animaciones reales del modelo al cargarlo
+  const knownAnimationsRef = useRef(DEFAULT_ANIMATIONS);
+  const registerAnimations = useCallback((names) => {
+    if (Array.isArray(names) && names.length > 0) knownAnimationsRef.current = names;
+  }, []);
+
+  const normalizeIncoming = useCallback((msgs) => {
+    const valid = [];
+    msgs.forEach((raw) => {
+      const { message: normalized, issues } = normalizeMessage(raw, {
+        animations: knownAnimationsRef.current,
+      });
+      issues.forEach((issue) => {
+        console.warn(`⚠️ [chat] mensaje inválido (${issue.code}):`, issue.field, issue.value);
+        diagnosticsRef.current.record({
+          source: "schema",
+          ...issue,
+          messageId: raw?.id ?? null,
+          text: typeof raw?.text === "string" ? raw.text.slice(0, 80) : null,
         });
+      });
+      if (normalized) valid.push(normalized);
+    });
+    return valid;
+  }, []);
 
-        const json = await resp.json();
-        const assistantMsgs = Array.isArray(json?.messages) ? json.messages : [];
+  // ===== Análisis offline del lipsync (Web Worker) =====
+  // El clip base64 se decodifica y analiza apenas entra a la cola; la línea de
+  // tiempo se guarda con el turno del historial para que las repeticiones la reutilicen
+  const analyzerRef = useRef(null);
+  if (offlineLipsync && !analyzerRef.current) {
+    analyzerRef.current = new VisemeAnalyzer({ createWorker: createAnalysisWorker });
+  }
+  useEffect(() => () => analyzerRef.current?.dispose(), []);
+
+  const analyzeMessage = useCallback(
+    (m) => {
+      const analyzer = analyzerRef.current;
+      // Los cues del backend y los análisis ya guardados tienen prioridad
+      if (!analyzer || !m.audio || m.lipsync || isVisemeAnalysis(m.visemeAnalysis)) return;
+      analyzer
+        .analyze(m.historyId, m)
+        .then((analysis) => updateTurn(m.historyId, { visemeAnalysis: analysis }))
+        .catch((err) => console.warn("⚠️ [chat] no se pudo analizar el audio:", err));
+    },
+    [updateTurn]
+  );
+
+  // Línea de tiempo de un mensaje: la guardada con él o la recién calculada
+  const getVisemeAnalysis = useCallback((m) => {
+    if (isVisemeAnalysis(m?.visemeAnalysis)) return m.visemeAnalysis;
+    return analyzerRef.current?.get(m?.historyId) ?? null;
+  }, []);
+
+  // Cada respuesta del asistente recibe un id local de historial y queda registrada.
+  // Las respuestas de otra conversación (p. ej. un pendiente enviado tras cambiar de
+  // sesión) se guardan en su historial pero no se reproducen.
+  const enqueueAssistant = useCallback(
+    (incoming, targetSessionId = sessionIdRef.current) => {
+      const msgs = normalizeIncoming(incoming);
+      if (msgs.length === 0) return;
+      const isCurrent = targetSessionId === sessionIdRef.current;
+      const tagged = msgs.map((m) => {
+        const entry = recordTurn({
+          ...m,
+          id: createId("reply"),
+          sessionId: targetSessionId,
+          role: HISTORY_ROLES.ASSISTANT,
+          status: isCurrent ? HISTORY_STATUS.QUEUED : HISTORY_STATUS.DISCARDED,
+          messageId: m.id ?? null,
+        });
+        return { ...m, historyId: entry.id };
+      });
+      sessionStoreRef.current.touch(targetSessionId);
+      if (isCurrent) {
+        setQueue((q) => [...q, ...tagged]);
+        tagged.forEach(analyzeMessage);
+      }
+    },
+    [recordTurn, normalizeIncoming, analyzeMessage]
+  );
 
+  // ===== Transporte (adaptador enchufable) =====
+  const chatTransport = useMemo(
+    () =>
+      resolveTransport(transport, {
+        baseUrl: backendUrl,
+        streaming: streamingEnabled,
+        wsUrl,
+        sessionId,
+      }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [transport]
+  );
+
+  // ===== Cola de envíos del usuario (persistida) para no solaparnos =====
+  // Sobrevive a cortes de red y recargas; se vacía en orden al volver la conexión
+  const outboxRef = useRef(null);
+  if (!outboxRef.current) outboxRef.current = new OfflineOutbox();
+  const [pendingMessages, setPendingMessages] = useState(() => outboxRef.current.getItems());
+  const [isOnline, setIsOnline] = useState(getNavigatorOnline);
+  const isOnlineRef = useRef(isOnline);
+  const recheckTimerRef = useRef(null);
+  const sendingRef = useRef(false);
+  const pumpAgainRef = useRef(false); // se pidió un envío mientras otro estaba en curso
+  const abortRef = useRef(null); // AbortController del envío en curso
+  const progressRef = useRef(null); // {received, keepAlive, sessionId} del intento en curso
+
+  // ===== Reproducción: el Avatar registra aquí cómo detener el audio =====
+  const playbackRef = useRef(null);
+  const registerPlayback = useCallback((controller) => {
+    playbackRef.current = controller;
+    return () => {
+      if (playbackRef.current === controller) playbackRef.current = null;
+    };
+  }, []);
+  // {currentTime, duration, paused} del audio en curso, o null
+  const getPlaybackState = useCallback(() => playbackRef.current?.getState?.() ?? null, []);
+
+  // ===== Suscripción: todo lo que el backend emite entra a la cola =====
+  useEffect(() => {
+    const unsubscribe = chatTransport.subscribe((msgs, meta = {}) => {
+      if (msgs.length > 0) {
         // Encolar respuestas del asistente para reproducir (audio base64 incluido)
-        setQueue((q) => [...q, ...assistantMsgs]);
+        enqueueAssistant(msgs, progressRef.current?.sessionId);
 
-        // Si el backend sugiere reset de sesión, cámbiala (y persiste)
-        if (json?.resetSuggested && json?.newSessionId) {
-          setSessionId(json.newSessionId); // el backend ya te la da lista :contentReference[oaicite:3]{index=3}
+        // Un stream que sigue entregando mensajes no está colgado
+        if (progressRef.current) {
+          progressRef.current.received += msgs.length;
+          progressRef.current.keepAlive?.();
         }
+      }
+      if (meta.assistantState) setAssistantState(meta.assistantState);
+      if (meta.connectionState) setConnectionState(meta.connectionState);
+      // Socket (re)abierto: lo que quedó en el outbox sale ya
+      if (meta.connectionState === SOCKET_STATES.OPEN) pumpRef.current();
+
+      // Error empujado por el backend (p. ej. frame "error" por WebSocket)
+      if (meta.error) {
+        console.error("[chat] error:", meta.error);
+        const type = categorizeChatError(meta.error);
+        setError({ type, message: meta.error.message, status: meta.error.status ?? null });
+        enqueueAssistant([getFallbackMessage(type)], progressRef.current?.sessionId);
+      }
+
+      // Si el backend sugiere reset de sesión, cámbiala (y persiste)
+      if (meta.resetSuggested && meta.newSessionId) {
+        setSessionId(meta.newSessionId); // el backend ya te la da lista
+      }
+    });
+    chatTransport.connect?.();
+
+    return () => {
+      unsubscribe();
+      chatTransport.close?.();
+    };
+  }, [chatTransport, enqueueAssistant]);
+
+  // Transportes con conexión persistente reanudan con la sesión vigente
+  useEffect(() => {
+    chatTransport.setSessionId?.(sessionId);
+  }, [chatTransport, sessionId]);
+
+  useEffect(() => outboxRef.current.subscribe(setPendingMessages), []);
+
+  // ===== Helper: consumir cola de usuario secuencialmente =====
+  const pumpUserQueue = useCallback(async () => {
+    if (sendingRef.current) {
+      // El bucle en curso lo recoge; si el envío se cortó, lo reanuda
+      pumpAgainRef.current = true;
+      return;
+    }
+    sendingRef.current = true;
+    clearTimeout(recheckTimerRef.current);
+
+    const outbox = outboxRef.current;
+    while (outbox.size > 0) {
+      // Sin conexión: los mensajes quedan pendientes hasta el evento "online"
+      if (!isOnlineRef.current) break;
+
+      const item = outbox.peek();
+      pumpAgainRef.current = false;
+      outbox.markSending(item.id);
+      const controller = new AbortController();
+      abortRef.current = controller;
+      const progress = {
+        received: 0,
+        keepAlive: null,
+        sessionId: item.sessionId ?? sessionIdRef.current,
+      };
+      progressRef.current = progress;
+      try {
+        setLoading(true);
+        // Reintentos con backoff + timeout por intento (AbortController)
+        await withRetry(
+          ({ signal, keepAlive }) => {
+            progress.keepAlive = keepAlive;
+            // La sesión es la del momento en que se escribió el mensaje
+            return chatTransport.send(item.text, progress.sessionId, { signal });
+          },
+          {
+            signal: controller.signal,
+            config: retryConfig,
+            // Si ya llegó parte de la respuesta, reintentar duplicaría mensajes
+            shouldRetry: () => progress.received === 0,
+            onRetry: (err, attempt, delay) =>
+              console.warn(`[chat] reintento ${attempt} en ${delay}ms:`, err.message),
+          }
+        );
+        outbox.remove(item.id);
+        updateTurn(item.id, { status: HISTORY_STATUS.SENT });
+        setError(null);
       } catch (e) {
+        // Envío cancelado por interrupt(): no es un error
+        if (controller.signal.aborted) {
+          if (progress.received > 0) {
+            outbox.remove(item.id);
+            updateTurn(item.id, { status: HISTORY_STATUS.SENT });
+            continue;
+          }
+          // Sin respuesta todavía: el mensaje no se pierde, sigue pendiente
+          outbox.markPending(item.id);
+          // Barge-in escribiendo: sale ahora, delante del mensaje nuevo
+          if (pumpAgainRef.current) {
+            pumpAgainRef.current = false;
+            continue;
+          }
+          recheckTimerRef.current = setTimeout(() => pumpRef.current(), OUTBOX_RECHECK_MS);
+          break;
+        }
         console.error("[chat] error:", e);
-        // Encola un fallback para no cortar UX
-        setQueue((q) => [
-          ...q,
-          {
-            text: "Tengo un problema técnico momentáneo. Intentemos otra vez en unos segundos.",
-            facialExpression: "sad",
-            animation: "Crying",
-            audio: "",
-            audioMime: "audio/mpeg",
-          },
-        ]);
+
+        const type = categorizeChatError(e);
+        setError({ type, message: e?.message || String(e), status: e?.status ?? null });
+
+        if (type === CHAT_ERROR_TYPES.OFFLINE && progress.received === 0) {
+          // Backend inalcanzable: el mensaje queda pendiente y se reintenta luego
+          outbox.markPending(item.id);
+          recheckTimerRef.current = setTimeout(() => pumpRef.current(), OUTBOX_RECHECK_MS);
+          break;
+        }
+
+        outbox.remove(item.id);
+        updateTurn(item.id, { status: HISTORY_STATUS.FAILED, error: type });
+        // Encola un fallback acorde al tipo de error para no cortar UX
+        enqueueAssistant([getFallbackMessage(type)], progress.sessionId);
       } finally {
+        if (abortRef.current === controller) abortRef.current = null;
+        if (progressRef.current === progress) progressRef.current = null;
         setLoading(false);
       }
     }
 
     sendingRef.current = false;
-  };
+  }, [chatTransport, retryConfig, updateTurn, enqueueAssistant]);
+
+  // Los listeners de conectividad siempre llaman a la versión más reciente
+  const pumpRef = useRef(pumpUserQueue);
+  pumpRef.current = pumpUserQueue;
+
+  // ===== Conectividad: al volver la red se vacía el outbox en orden =====
+  useEffect(() => {
+    const goOnline = () => {
+      isOnlineRef.current = true;
+      setIsOnline(true);
+      pumpRef.current();
+    };
+    const goOffline = () => {
+      isOnlineRef.current = false;
+      setIsOnline(false);
+    };
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+      clearTimeout(recheckTimerRef.current);
+    };
+  }, []);
+
+  // Las funciones públicas son estables (useCallback) y leen la cola y el
+  // mensaje vigentes desde refs: si cambiaran en cada render, el Avatar
+  // reiniciaría el mensaje en curso cada vez que el provider se actualiza
+  const queueRef = useRef(queue);
+  queueRef.current = queue;
+  const messageRef = useRef(message);
+  messageRef.current = message;
+
+  // ===== Replay: re-interpreta una conversación exportada sin backend =====
+  // Los mensajes del asistente pasan por la cola normal → Avatar, uno por vez
+  const replayRef = useRef(null); // {steps, index, status, rate, title}
+  const [replay, setReplay] = useState(null);
+  const replayRateRef = useRef(1); // se conserva entre replays
+
+  const publishReplay = useCallback(() => {
+    const r = replayRef.current;
+    setReplay(
+      r
+        ? {
+            status: r.status,
+            index: r.index,
+            total: r.steps.length,
+            rate: r.rate,
+            title: r.title,
+            userText: r.steps[r.index]?.userText ?? null,
+          }
+        : null
+    );
+  }, []);
+
+  const playReplayStep = useCallback(
+    (index) => {
+      const r = replayRef.current;
+      if (!r) return;
+      if (index >= r.steps.length) {
+        r.status = REPLAY_STATUS.ENDED;
+        setQueue([]);
+      } else {
+        r.index = index;
+        setQueue([toReplayMessage(r.steps[index], r.rate)]);
+      }
+      publishReplay();
+    },
+    [publishReplay]
+  );
+
+  const stopReplay = useCallback(() => {
+    if (!replayRef.current) return;
+    playbackRef.current?.stop();
+    replayRef.current = null;
+    setQueue([]);
+    publishReplay();
+  }, [publishReplay]);
 
   // ===== API pública: enviar mensaje del usuario =====
-  const chat = async (text) => {
-    userQueueRef.current.push(text);
-    pumpUserQueue();
-  };
+  const chat = useCallback(
+    async (text) => {
+      // Una conversación nueva del usuario termina cualquier replay
+      if (replayRef.current) stopReplay();
+      const sessionId = sessionIdRef.current;
+      const item = outboxRef.current.enqueue(text, sessionId);
+      // El saludo inicial (text null) no es un turno del usuario
+      if (text !== null && text !== undefined) {
+        sessionStoreRef.current.touch(sessionId, { userText: text });
+        recordTurn({
+          id: item.id,
+          sessionId,
+          role: HISTORY_ROLES.USER,
+          text,
+          status: HISTORY_STATUS.PENDING,
+        });
+      }
+      pumpUserQueue();
+    },
+    [stopReplay, recordTurn, pumpUserQueue]
+  );
 
   // ===== Mensaje se “consume” cuando avisa el Avatar =====
-  const onMessagePlayed = () => {
-    setQueue((q) => q.slice(1));
-  };
+  const onMessagePlayed = useCallback(() => {
+    const played = messageRef.current;
+    // Solo sale de la cola el mensaje que sonó: un aviso repetido no descarta el siguiente
+    const dequeue = () => setQueue((q) => (q[0] === played ? q.slice(1) : q));
+    // Los mensajes de un replay no son del backend: solo avanzan el replay
+    if (played?.replay) {
+      dequeue();
+      const replayState = replayRef.current;
+      if (replayState?.status === REPLAY_STATUS.PLAYING) {
+        playReplayStep(replayState.index + 1);
+      } else if (replayState?.status === REPLAY_STATUS.STEPPING) {
+        replayState.status = REPLAY_STATUS.PAUSED;
+        publishReplay();
+      }
+      return;
+    }
+    // Acuse de reproducción para que el backend sepa qué se escuchó
+    if (played?.id) chatTransport.ack?.(played.id);
+    updateTurn(played?.historyId, { status: HISTORY_STATUS.PLAYED });
+    dequeue();
+  }, [chatTransport, updateTurn, playReplayStep, publishReplay]);
+
+  // ===== Barge-in: cortar al avatar mientras habla =====
+  // Detiene el audio, vacía la cola, cancela la respuesta en curso y avisa al
+  // backend qué mensaje se cortó y en qué segundo. Devuelve ese detalle.
+  const interrupt = useCallback(() => {
+    const queued = queueRef.current;
+    const current = queued[0] || null;
+    const offset = playbackRef.current?.stop() ?? 0;
+
+    abortRef.current?.abort();
+    abortRef.current = null;
+    queued.forEach((m, i) =>
+      updateTurn(m.historyId, {
+        status: i === 0 ? HISTORY_STATUS.INTERRUPTED : HISTORY_STATUS.DISCARDED,
+        ...(i === 0 && { interruptedAt: offset }),
+      })
+    );
+    setQueue([]);
+    setAssistantState("idle");
+
+    // Cortar un replay lo termina; el backend no sabe nada de él
+    if (replayRef.current) {
+      replayRef.current = null;
+      setReplay(null);
+    }
+    if (!current || current.replay) return null;
+    const details = {
+      messageId: current.id ?? null,
+      text: current.text ?? "",
+      offset,
+    };
+    chatTransport.interrupt?.(details, sessionIdRef.current);
+    return details;
+  }, [chatTransport, updateTurn]);
+
+  // ===== Conversaciones: crear, cambiar, renombrar, borrar =====
+  const greetSessionRef = useRef(null); // sesión nueva que espera su saludo
+
+  const switchSession = useCallback(
+    (id) => {
+      if (!id || id === sessionIdRef.current) return;
+      // Lo que suena pertenece a la conversación anterior
+      interrupt();
+      setSessionId(id);
+    },
+    [interrupt]
+  );
+
+  const newSession = useCallback(() => {
+    interrupt();
+    const session = sessionStoreRef.current.create();
+    greetSessionRef.current = session.id;
+    setSessionId(session.id);
+    return session;
+  }, [interrupt]);
+
+  // El saludo sale cuando la sesión nueva ya es la vigente
+  useEffect(() => {
+    if (greetSessionRef.current !== sessionId) return;
+    greetSessionRef.current = null;
+    chat(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [sessionId]);
+
+  const renameSession = useCallback(
+    (id, title) => sessionStoreRef.current.rename(id, title),
+    []
+  );
+
+  const deleteSession = useCallback(
+    async (id) => {
+      const outbox = outboxRef.current;
+      outbox
+        .getItems()
+        .filter((item) => item.sessionId === id)
+        .forEach((item) => outbox.remove(item.id));
+      sessionStoreRef.current.remove(id);
+
+      if (id === sessionIdRef.current) {
+        const next = sessionStoreRef.current.list()[0];
+        if (next) switchSession(next.id);
+        else newSession();
+      }
+
+      try {
+        await historyStoreRef.current.clearSession(id);
+      } catch (err) {
+        console.warn("⚠️ [chat] no se pudo borrar el historial:", err);
+      }
+    },
+    [switchSession, newSession]
+  );
+
+  // ===== Exportar / importar conversaciones =====
+  // Documento completo (todas las entradas, audio incluido) de una sesión
+  const getConversation = useCallback(async (id = sessionIdRef.current) => {
+    const { entries } = await historyStoreRef.current.listBySession(id, { limit: Infinity });
+    return buildConversation(sessionStoreRef.current.get(id) || { id }, entries);
+  }, []);
+
+  // Restaura una conversación exportada como sesión nueva y cambia a ella
+  const importConversation = useCallback(
+    async (conversation) => {
+      const store = sessionStoreRef.current;
+      const session = store.create();
+      if (conversation.session?.title) store.rename(session.id, conversation.session.title);
+
+      await Promise.all(
+        conversation.messages.map((m) =>
+          historyStoreRef.current.put({
+            ...m,
+            id: createId(m.role === HISTORY_ROLES.USER ? "msg" : "reply"),
+            sessionId: session.id,
+          })
+        )
+      );
+      switchSession(session.id);
+      return store.get(session.id);
+    },
+    [switchSession]
+  );
+
+  // ===== Controles del replay =====
+  const startReplay = useCallback(
+    (conversation) => {
+      interrupt();
+      replayRef.current = {
+        steps: getReplaySteps(conversation),
+        index: -1,
+        status: REPLAY_STATUS.PLAYING,
+        rate: replayRateRef.current,
+        title: conversation?.session?.title ?? "",
+      };
+      playReplayStep(0);
+    },
+    [interrupt, playReplayStep]
+  );
+
+  const pauseReplay = useCallback(() => {
+    const r = replayRef.current;
+    if (!r || (r.status !== REPLAY_STATUS.PLAYING && r.status !== REPLAY_STATUS.STEPPING)) return;
+    playbackRef.current?.pause?.();
+    r.status = REPLAY_STATUS.PAUSED;
+    publishReplay();
+  }, [publishReplay]);
+
+  const resumeReplay = useCallback(() => {
+    const r = replayRef.current;
+    if (!r || r.status === REPLAY_STATUS.PLAYING) return;
+    if (r.status === REPLAY_STATUS.ENDED) {
+      r.status = REPLAY_STATUS.PLAYING;
+      playReplayStep(0);
+      return;
+    }
+    r.status = REPLAY_STATUS.PLAYING;
+    // Pausado a mitad de un mensaje: se retoma; si no, sigue el próximo
+    if (queueRef.current[0]?.replay) playbackRef.current?.resume?.();
+    else playReplayStep(r.index + 1);
+    publishReplay();
+  }, [playReplayStep, publishReplay]);
+
+  // Salta al siguiente mensaje, lo reproduce y queda en pausa
+  const stepReplay = useCallback(() => {
+    const r = replayRef.current;
+    if (!r) return;
+    playbackRef.current?.stop();
+    r.status = REPLAY_STATUS.STEPPING;
+    playReplayStep(r.index + 1);
+  }, [playReplayStep]);
+
+  const setReplayRate = useCallback(
+    (rate) => {
+      const value = clampReplayRate(rate);
+      replayRateRef.current = value;
+      playbackRef.current?.setRate?.(value);
+      if (replayRef.current) {
+        replayRef.current.rate = value;
+        publishReplay();
+      }
+    },
+    [publishReplay]
+  );
 
   // Mantener message = cabeza de la cola
   useEffect(() => {
     setMessage(queue.length > 0 ? queue[0] : null);
   }, [queue]);
 
+  // El mensaje en cabeza es el que suena
+  useEffect(() => {
+    updateTurn(message?.historyId, { status: HISTORY_STATUS.PLAYING });
+  }, [message, updateTurn]);
+
   // ===== Llamada de “bienvenida” inicial (sin message) =====
   useEffect(() => {
+    // Mensajes que quedaron pendientes antes de recargar: se envían primero
+    // y su respuesta reemplaza al saludo
+    if (outboxRef.current.size > 0) {
+      pumpUserQueue();
+      return;
+    }
     // Solo si no hay nada en cola ni reproduciendo
     if (queue.length === 0) {
-      userQueueRef.current.push(null); // backend responde con saludo si no hay message :contentReference[oaicite:4]{index=4}
-      pumpUserQueue();
+      chat(null); // backend responde con saludo si no hay message
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // una vez
 
+  // El backend "pensando" (push por socket) también cuenta como cargando
+  const busy = loading || assistantState === "thinking" || assistantState === "typing";
+  const visiblePending = useMemo(
+    () => pendingMessages.filter((item) => item.text !== null),
+    [pendingMessages]
+  );
+
   const value = useMemo(
     () => ({
       chat,
+      interrupt,
       message,
       onMessagePlayed,
-      loading,
+      registerPlayback,
+      getPlaybackState,
+      getVisemeAnalysis,
+      registerAnimations,
+      diagnostics,
+      clearDiagnostics,
+      loading: busy,
+      assistantState,
+      connectionState,
+      error,
+      isOnline,
+      pendingMessages: visiblePending,
+      history,
+      hasMoreHistory,
+      loadHistory,
+      loadOlderHistory,
+      clearHistory,
       // si quieres exponer la sesión para debug:
       sessionId,
       setSessionId,
+      sessions,
+      newSession,
+      switchSession,
+      renameSession,
+      deleteSession,
+      getConversation,
+      importConversation,
+      replay,
+      startReplay,
+      pauseReplay,
+      resumeReplay,
+      stepReplay,
+      setReplayRate,
+      stopReplay,
     }),
-    [chat, message, onMessagePlayed, loading, sessionId]
+    [chat, interrupt, message, onMessagePlayed, registerPlayback, getPlaybackState, getVisemeAnalysis, registerAnimations, diagnostics, clearDiagnostics, busy, assistantState, connectionState, error, isOnline, visiblePending, history, hasMoreHistory, loadHistory, loadOlderHistory, clearHistory, sessionId, sessions, newSession, switchSession, renameSession, deleteSession, getConversation, importConversation, replay, startReplay, pauseReplay, resumeReplay, stepReplay, setReplayRate, stopReplay]
   );
 
   return <ChatContext.Provider value={value}>{children}</ChatContext.Provider>;
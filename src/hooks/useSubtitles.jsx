@@ -0,0 +1,39 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import { DEFAULT_SUBTITLE_SETTINGS } from "../utils/subtitleTiming";
+
+const SubtitleContext = createContext();
+
+const LS_KEY = "subtitle_settings";
+
+const loadSettings = (initial) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LS_KEY) || "null");
+    return { ...DEFAULT_SUBTITLE_SETTINGS, ...initial, ...saved };
+  } catch (error) {
+    return { ...DEFAULT_SUBTITLE_SETTINGS, ...initial };
+  }
+};
+
+// Preferencias de subtítulos (modo, tamaño, posición) compartidas entre la UI
+// HTML y la escena 3D; se guardan en localStorage
+export const SubtitleProvider = ({ children, initialSettings }) => {
+  const [settings, setSettings] = useState(() => loadSettings(initialSettings));
+
+  useEffect(() => {
+    localStorage.setItem(LS_KEY, JSON.stringify(settings));
+  }, [settings]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings((current) => ({ ...current, ...changes }));
+  }, []);
+
+  const value = useMemo(() => ({ settings, updateSettings }), [settings, updateSettings]);
+
+  return <SubtitleContext.Provider value={value}>{children}</SubtitleContext.Provider>;
+};
+
+export const useSubtitles = () => {
+  const ctx = useContext(SubtitleContext);
+  if (!ctx) throw new Error("useSubtitles must be used within a SubtitleProvider");
+  return ctx;
+};
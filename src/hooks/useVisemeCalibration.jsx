@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  applyCalibration,
+  clearCalibration,
+  createCalibration,
+  downloadCalibration,
+  loadCalibration,
+  saveCalibration,
+  setTargetClamp,
+  setTargetWeight,
+  setVisemeGain,
+} from "../utils/visemeCalibration";
+
+// Calibración de visemas del modelo cargado. Se carga sola al cambiar de modelo
+// (localStorage y luego <modelo>.calibration.json) y devuelve el perfil ya
+// calibrado que usa el lipsync. `revision` solo cambia cuando la calibración
+// viene de fuera (carga o reset), no con cada ajuste del panel.
+export const useVisemeCalibration = (modelUrl, baseProfile) => {
+  const [calibration, setCalibration] = useState(null);
+  const [revision, setRevision] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setCalibration(null);
+    setRevision((current) => current + 1);
+    loadCalibration(modelUrl).then((loaded) => {
+      if (cancelled || !loaded) return;
+      console.log(`✅ Viseme calibration loaded for ${modelUrl}`);
+      setCalibration(loaded);
+      setRevision((current) => current + 1);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [modelUrl]);
+
+  const profile = useMemo(
+    () => applyCalibration(baseProfile, calibration),
+    [baseProfile, calibration]
+  );
+
+  // ===== Ajustes del panel =====
+  const edit = useCallback(
+    (change) =>
+      setCalibration((current) =>
+        change(current || createCalibration(modelUrl, baseProfile.id))
+      ),
+    [modelUrl, baseProfile]
+  );
+
+  const setGain = useCallback(
+    (viseme, gain) => edit((current) => setVisemeGain(current, viseme, gain)),
+    [edit]
+  );
+
+  const setWeight = useCallback(
+    (viseme, target, weight) => edit((current) => setTargetWeight(current, viseme, target, weight)),
+    [edit]
+  );
+
+  const setClamp = useCallback(
+    (target, [min, max]) => edit((current) => setTargetClamp(current, target, min, max)),
+    [edit]
+  );
+
+  // ===== Guardar / descargar / descartar =====
+  const save = useCallback(() => {
+    if (!calibration) return;
+    saveCalibration(calibration);
+    console.log(`✅ Viseme calibration saved for ${modelUrl}`);
+  }, [calibration, modelUrl]);
+
+  const download = useCallback(() => {
+    downloadCalibration(calibration || createCalibration(modelUrl, baseProfile.id));
+  }, [calibration, modelUrl, baseProfile]);
+
+  const reset = useCallback(async () => {
+    clearCalibration(modelUrl);
+    const loaded = await loadCalibration(modelUrl);
+    setCalibration(loaded);
+    setRevision((current) => current + 1);
+    console.log(`🔄 Viseme calibration reset for ${modelUrl}`);
+  }, [modelUrl]);
+
+  return { calibration, revision, profile, setGain, setWeight, setClamp, save, download, reset };
+};
+
+export default useVisemeCalibration;
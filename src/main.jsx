@@ -1,14 +1,20 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App";
+import { AvatarProvider } from "./hooks/useAvatar";
 import { ChatProvider } from "./hooks/useChat";
+import { SubtitleProvider } from "./hooks/useSubtitles";
 import  SpeechInput  from "./hooks/speechinput";
 import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <ChatProvider>
-      <App />
+      <SubtitleProvider>
+        <AvatarProvider>
+          <App />
+        </AvatarProvider>
+      </SubtitleProvider>
     </ChatProvider>
   </React.StrictMode>
 );
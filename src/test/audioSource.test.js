@@ -0,0 +1,211 @@
+/**
+ * Test suite for message audio sources
+ * Tests source selection, the download cache and MediaSource streaming
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  AUDIO_SOURCE_TYPES,
+  AudioCache,
+  createStreamingSource,
+  getAudioSourceType,
+  isStreamingSupported,
+  resolveAudioSource
+} from '../utils/audioSource';
+
+const createUrlImpl = () => {
+  let next = 0;
+  return {
+    createObjectURL: vi.fn(() => `blob:test/${next++}`),
+    revokeObjectURL: vi.fn()
+  };
+};
+
+const okResponse = (size = 4) => ({
+  ok: true,
+  status: 200,
+  blob: async () => new Blob([new Uint8Array(size)], { type: 'audio/mpeg' })
+});
+
+describe('Audio Source Type', () => {
+  it('should prefer streams, then URLs, then inline audio', () => {
+    expect(getAudioSourceType({ audio: 'SUQz', audioUrl: '/a.mp3', audioStreamUrl: '/s' })).toBe(
+      AUDIO_SOURCE_TYPES.STREAM
+    );
+    expect(getAudioSourceType({ audio: 'SUQz', audioUrl: '/a.mp3' })).toBe(AUDIO_SOURCE_TYPES.URL);
+    expect(getAudioSourceType({ audio: 'SUQz' })).toBe(AUDIO_SOURCE_TYPES.INLINE);
+    expect(getAudioSourceType({ audio: '' })).toBe(AUDIO_SOURCE_TYPES.NONE);
+    expect(getAudioSourceType(null)).toBe(AUDIO_SOURCE_TYPES.NONE);
+  });
+
+  it('should detect MediaSource support per MIME type', () => {
+    const MediaSourceImpl = { isTypeSupported: (mime) => mime === 'audio/mpeg' };
+
+    expect(isStreamingSupported('audio/mpeg', MediaSourceImpl)).toBe(true);
+    expect(isStreamingSupported('audio/wav', MediaSourceImpl)).toBe(false);
+    expect(isStreamingSupported('audio/mpeg', undefined)).toBe(false);
+  });
+});
+
+describe('Audio Cache', () => {
+  it('should download once and share concurrent requests', async () => {
+    const fetchImpl = vi.fn(async () => okResponse());
+    const cache = new AudioCache({ fetchImpl, urlImpl: createUrlImpl() });
+
+    const [first, second] = await Promise.all([cache.load('/a.mp3'), cache.load('/a.mp3')]);
+    const third = await cache.load('/a.mp3');
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+    expect(third).toBe(first);
+  });
+
+  it('should reject failed downloads without caching them', async () => {
+    const fetchImpl = vi.fn(async () => ({ ok: false, status: 404, statusText: 'Not Found' }));
+    const cache = new AudioCache({ fetchImpl, urlImpl: createUrlImpl() });
+
+    await expect(cache.load('/missing.mp3')).rejects.toThrow('404');
+    expect(cache.has('/missing.mp3')).toBe(false);
+  });
+
+  it('should evict and revoke the least recently used clips', async () => {
+    const urlImpl = createUrlImpl();
+    const cache = new AudioCache({ maxEntries: 2, fetchImpl: async () => okResponse(), urlImpl });
+
+    const a = await cache.load('/a.mp3');
+    await cache.load('/b.mp3');
+    await cache.load('/a.mp3');
+    await cache.load('/c.mp3');
+
+    expect(cache.has('/a.mp3')).toBe(true);
+    expect(cache.has('/b.mp3')).toBe(false);
+    expect(cache.size).toBe(2);
+    expect(urlImpl.revokeObjectURL).toHaveBeenCalledTimes(1);
+    expect(urlImpl.revokeObjectURL).not.toHaveBeenCalledWith(a);
+  });
+
+  it('should evict by total size but keep the newest clip', async () => {
+    const cache = new AudioCache({ maxBytes: 10, fetchImpl: async () => okResponse(8), urlImpl: createUrlImpl() });
+
+    await cache.load('/a.mp3');
+    await cache.load('/b.mp3');
+
+    expect(cache.has('/a.mp3')).toBe(false);
+    expect(cache.has('/b.mp3')).toBe(true);
+  });
+});
+
+describe('Resolving Sources', () => {
+  it('should build data URLs for inline audio', async () => {
+    const source = await resolveAudioSource({ audio: 'UklG', audioMime: 'audio/wav' });
+
+    expect(source.type).toBe(AUDIO_SOURCE_TYPES.INLINE);
+    expect(source.src).toBe('data:audio/wav;base64,UklG');
+  });
+
+  it('should load audio URLs through the cache', async () => {
+    const cache = new AudioCache({ fetchImpl: async () => okResponse(), urlImpl: createUrlImpl() });
+    const source = await resolveAudioSource({ audioUrl: '/a.mp3' }, { cache });
+
+    expect(source.type).toBe(AUDIO_SOURCE_TYPES.URL);
+    expect(source.src).toBe('blob:test/0');
+  });
+
+  it('should download streams when MediaSource is unavailable', async () => {
+    const fetchImpl = vi.fn(async () => okResponse());
+    const cache = new AudioCache({ fetchImpl, urlImpl: createUrlImpl() });
+    const source = await resolveAudioSource(
+      { audioStreamUrl: '/stream', audioMime: 'audio/mpeg' },
+      { cache, streamingSupported: false }
+    );
+
+    expect(source.type).toBe(AUDIO_SOURCE_TYPES.URL);
+    expect(fetchImpl).toHaveBeenCalledWith('/stream');
+  });
+
+  it('should return no source for messages without audio', async () => {
+    const source = await resolveAudioSource({ text: 'Hola', audio: '' });
+
+    expect(source.src).toBeNull();
+    expect(() => source.release()).not.toThrow();
+  });
+});
+
+describe('Streaming Source', () => {
+  class FakeSourceBuffer extends EventTarget {
+    constructor() {
+      super();
+      this.appended = [];
+    }
+
+    appendBuffer(chunk) {
+      this.appended.push(chunk);
+      queueMicrotask(() => this.dispatchEvent(new Event('updateend')));
+    }
+  }
+
+  class FakeMediaSource extends EventTarget {
+    constructor() {
+      super();
+      this.readyState = 'closed';
+      this.buffer = new FakeSourceBuffer();
+      this.endOfStream = vi.fn(() => {
+        this.readyState = 'ended';
+      });
+      FakeMediaSource.last = this;
+      queueMicrotask(() => {
+        this.readyState = 'open';
+        this.dispatchEvent(new Event('sourceopen'));
+      });
+    }
+
+    addSourceBuffer(mime) {
+      this.mime = mime;
+      return this.buffer;
+    }
+  }
+
+  const chunkedResponse = (chunks) => {
+    const queue = [...chunks];
+    return {
+      ok: true,
+      body: {
+        getReader: () => ({
+          read: async () => (queue.length ? { done: false, value: queue.shift() } : { done: true })
+        })
+      }
+    };
+  };
+
+  it('should append chunks in order and cache the full clip', async () => {
+    const chunks = [new Uint8Array([1, 2]), new Uint8Array([3])];
+    const cache = new AudioCache({ fetchImpl: vi.fn(), urlImpl: createUrlImpl() });
+    const stream = createStreamingSource('/stream', {
+      mime: 'audio/mpeg',
+      cache,
+      fetchImpl: async () => chunkedResponse(chunks),
+      MediaSourceImpl: FakeMediaSource,
+      urlImpl: createUrlImpl()
+    });
+
+    expect(stream.src).toBe('blob:test/0');
+    await stream.done;
+
+    const mediaSource = FakeMediaSource.last;
+    expect(mediaSource.mime).toBe('audio/mpeg');
+    expect(mediaSource.buffer.appended).toEqual(chunks);
+    expect(mediaSource.endOfStream).toHaveBeenCalled();
+    expect(cache.has('/stream')).toBe(true);
+  });
+
+  it('should reject when the stream request fails', async () => {
+    const stream = createStreamingSource('/stream', {
+      cache: null,
+      fetchImpl: async () => ({ ok: false, status: 500 }),
+      MediaSourceImpl: FakeMediaSource,
+      urlImpl: createUrlImpl()
+    });
+
+    await expect(stream.done).rejects.toThrow('500');
+  });
+});
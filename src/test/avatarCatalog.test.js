@@ -0,0 +1,104 @@
+/**
+ * Test suite for the avatar catalog
+ * Tests persona defaults, avatar selection, expression overrides and crossfade steps
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  AVATARS,
+  CUSTOM_AVATAR_ID,
+  getAvatarList,
+  findAvatar,
+  getNextAvatar,
+  getInitialAvatarId,
+  applyExpressionOverrides,
+  stepOpacity,
+  loadAvatarId,
+  saveAvatarId
+} from '../utils/avatarCatalog';
+import { AVATAR_MODEL_CONFIG } from '../utils/avatarModel';
+
+describe('Avatar List', () => {
+  it('should ship both bundled models with persona metadata', () => {
+    const list = getAvatarList();
+
+    expect(list.map((avatar) => avatar.url)).toEqual([
+      '/models/68b6f9136e93b8842ffb9fd0.glb',
+      '/models/64f1a714fe61576b46f27ca2.glb'
+    ]);
+    list.forEach((avatar) => {
+      expect(avatar).toEqual(
+        expect.objectContaining({
+          name: expect.any(String),
+          voiceLang: expect.any(String),
+          expressionOverrides: expect.any(Object)
+        })
+      );
+    });
+  });
+
+  it('should add a configured model that is not in the catalog', () => {
+    const list = getAvatarList('/models/robot.glb');
+
+    expect(list).toHaveLength(AVATARS.length + 1);
+    expect(list[list.length - 1]).toMatchObject({ id: CUSTOM_AVATAR_ID, url: '/models/robot.glb', voiceLang: 'es-BO' });
+    expect(getAvatarList(AVATARS[1].url)).toHaveLength(AVATARS.length);
+  });
+
+  it('should find avatars and wrap around for the next one', () => {
+    const list = getAvatarList();
+
+    expect(findAvatar(list, 'valeria').name).toBe('Valeria');
+    expect(findAvatar(list, 'missing').id).toBe(list[0].id);
+    expect(getNextAvatar(list, list[1].id).id).toBe(list[0].id);
+    expect(getNextAvatar(list.slice(0, 1), list[0].id)).toBeNull();
+  });
+});
+
+describe('Initial Avatar', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should restore the saved choice', () => {
+    saveAvatarId('valeria');
+
+    expect(loadAvatarId()).toBe('valeria');
+    expect(getInitialAvatarId(getAvatarList(), { storedId: loadAvatarId() })).toBe('valeria');
+  });
+
+  it('should prefer an explicitly configured model over the saved choice', () => {
+    const list = getAvatarList('/models/robot.glb');
+
+    expect(getInitialAvatarId(list, { configuredUrl: '/models/robot.glb', storedId: 'valeria' })).toBe(
+      CUSTOM_AVATAR_ID
+    );
+    expect(
+      getInitialAvatarId(getAvatarList(), { configuredUrl: AVATAR_MODEL_CONFIG.defaultUrl, storedId: 'valeria' })
+    ).toBe('valeria');
+  });
+});
+
+describe('Expression Overrides', () => {
+  it('should merge overrides per expression and allow new ones', () => {
+    const base = { default: {}, smile: { mouthSmileLeft: 0.4, browInnerUp: 0.2 } };
+    const merged = applyExpressionOverrides(base, {
+      smile: { mouthSmileLeft: 0.8 },
+      wink: { eyeBlinkLeft: 1 }
+    });
+
+    expect(merged.smile).toEqual({ mouthSmileLeft: 0.8, browInnerUp: 0.2 });
+    expect(merged.wink).toEqual({ eyeBlinkLeft: 1 });
+    expect(base.smile.mouthSmileLeft).toBe(0.4);
+    expect(applyExpressionOverrides(base, undefined)).toEqual(base);
+  });
+});
+
+describe('Crossfade', () => {
+  it('should move opacity at a constant speed without overshooting', () => {
+    expect(stepOpacity(0, 1, 0.3, 0.6)).toBeCloseTo(0.5);
+    expect(stepOpacity(0.9, 1, 0.3, 0.6)).toBe(1);
+    expect(stepOpacity(0.2, 0, 0.3, 0.6)).toBe(0);
+    expect(stepOpacity(0.5, 1, 0.1, 0)).toBe(1);
+  });
+});
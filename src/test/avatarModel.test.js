@@ -0,0 +1,119 @@
+/**
+ * Test suite for configurable avatar model loading
+ * Tests model URL resolution and automatic mesh discovery
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  AVATAR_MODEL_CONFIG,
+  normalizeModelUrl,
+  resolveAvatarModelUrl,
+  discoverAvatarMeshes,
+  getMorphTargetNames
+} from '../utils/avatarModel';
+
+// Minimal Object3D stand-ins (three is mocked in the test setup)
+const createNode = (fields = {}, children = []) => ({
+  ...fields,
+  children,
+  traverse(callback) {
+    callback(this);
+    this.children.forEach((child) => child.traverse(callback));
+  }
+});
+
+const createMorphMesh = (name, targets, skinned = true) =>
+  createNode({
+    name,
+    isMesh: true,
+    isSkinnedMesh: skinned,
+    morphTargetDictionary: Object.fromEntries(targets.map((target, i) => [target, i])),
+    morphTargetInfluences: targets.map(() => 0)
+  });
+
+const createModel = (children) => createNode({ name: 'Scene' }, children);
+
+describe('Model URL Resolution', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  it('should prefer prop, then query string, then env var', () => {
+    const search = '?avatar=/models/query.glb';
+
+    expect(resolveAvatarModelUrl({ prop: '/models/prop.glb', search, env: '/models/env.glb' })).toBe(
+      '/models/prop.glb'
+    );
+    expect(resolveAvatarModelUrl({ search, env: '/models/env.glb' })).toBe('/models/query.glb');
+    expect(resolveAvatarModelUrl({ env: 'https://cdn.example.com/a.glb' })).toBe('https://cdn.example.com/a.glb');
+    expect(resolveAvatarModelUrl()).toBe(AVATAR_MODEL_CONFIG.defaultUrl);
+  });
+
+  it('should resolve bare file names inside the models folder', () => {
+    expect(normalizeModelUrl('64f1a714fe61576b46f27ca2.glb')).toBe('/models/64f1a714fe61576b46f27ca2.glb');
+    expect(resolveAvatarModelUrl({ search: '?avatar=robot.gltf' })).toBe('/models/robot.gltf');
+  });
+
+  it('should skip invalid values and warn', () => {
+    expect(resolveAvatarModelUrl({ prop: 'javascript:alert(1)', env: '/models/env.glb' })).toBe('/models/env.glb');
+    expect(warnSpy).toHaveBeenCalledTimes(1);
+    expect(normalizeModelUrl('   ')).toBeNull();
+    expect(normalizeModelUrl(42)).toBeNull();
+  });
+});
+
+describe('Mesh Discovery', () => {
+  it('should find skinned and morph meshes in a Ready Player Me–style model', () => {
+    const model = createModel([
+      createMorphMesh('EyeLeft', ['eyeBlinkLeft']),
+      createMorphMesh('Wolf3D_Body', []),
+      createMorphMesh('Wolf3D_Teeth', ['mouthOpen']),
+      createMorphMesh('Wolf3D_Head', ['mouthOpen', 'mouthSmile', 'eyeBlinkLeft'])
+    ]);
+
+    const meshes = discoverAvatarMeshes(model);
+
+    expect(meshes.skinnedMeshes).toHaveLength(4);
+    expect(meshes.morphMeshes.map((m) => m.name)).toEqual(['Wolf3D_Head', 'Wolf3D_Teeth', 'EyeLeft']);
+    expect(meshes.head.name).toBe('Wolf3D_Head');
+    expect(meshes.teeth.name).toBe('Wolf3D_Teeth');
+    expect(meshes.eyes.map((m) => m.name)).toEqual(['EyeLeft']);
+    expect(meshes.warnings).toEqual([]);
+  });
+
+  it('should use the mesh with most morph targets as head in generic models', () => {
+    const nested = createNode({ name: 'Armature' }, [
+      createMorphMesh('Body_1', ['jawOpen', 'mouthClose', 'viseme_aa'], false)
+    ]);
+    const model = createModel([createMorphMesh('Accessory', ['shrink'], false), nested]);
+
+    const meshes = discoverAvatarMeshes(model);
+
+    expect(meshes.head.name).toBe('Body_1');
+    expect(meshes.morphMeshes[0].name).toBe('Body_1');
+    expect(meshes.warnings).toEqual(['No skinned meshes: body animations will not play']);
+  });
+
+  it('should report models without morph targets', () => {
+    const meshes = discoverAvatarMeshes(createModel([createNode({ name: 'Box', isMesh: true })]));
+
+    expect(meshes.head).toBeNull();
+    expect(meshes.warnings).toContain('No morph targets: lipsync and expressions are disabled');
+    expect(discoverAvatarMeshes(null).morphMeshes).toEqual([]);
+  });
+
+  it('should list every morph target name once', () => {
+    const meshes = [
+      createMorphMesh('Head', ['mouthOpen', 'mouthSmile']),
+      createMorphMesh('Teeth', ['mouthOpen'])
+    ];
+
+    expect(getMorphTargetNames(meshes)).toEqual(['mouthOpen', 'mouthSmile']);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Test suite for chat request error handling
+ * Tests error categories, retry with backoff, timeouts and per-category fallbacks
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  CHAT_ERROR_TYPES,
+  ChatRequestError,
+  computeBackoffDelay,
+  categorizeChatError,
+  isTransientError,
+  assertOkResponse,
+  withRetry,
+  getFallbackMessage
+} from '../utils/chatErrorHandler';
+
+const fastRetry = { baseDelay: 1, maxDelay: 2, jitter: 0, timeout: 0 };
+
+const hangUntilAborted = ({ signal }) =>
+  new Promise((_, reject) => {
+    signal.addEventListener('abort', () =>
+      reject(new DOMException('The operation was aborted.', 'AbortError'))
+    );
+  });
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('Chat Error Categorization', () => {
+  it('should keep the type of ChatRequestError', () => {
+    const error = new ChatRequestError(CHAT_ERROR_TYPES.SERVER_ERROR, 'boom', { status: 502 });
+    expect(categorizeChatError(error)).toBe(CHAT_ERROR_TYPES.SERVER_ERROR);
+  });
+
+  it('should treat fetch network failures as offline', () => {
+    expect(categorizeChatError(new TypeError('Failed to fetch'))).toBe(CHAT_ERROR_TYPES.OFFLINE);
+    expect(categorizeChatError(new TypeError('NetworkError when attempting to fetch resource.'))).toBe(
+      CHAT_ERROR_TYPES.OFFLINE
+    );
+    expect(categorizeChatError(new TypeError('Load failed'))).toBe(CHAT_ERROR_TYPES.OFFLINE);
+  });
+
+  it('should not treat programming errors as offline or retry them', () => {
+    const error = new TypeError("Cannot read properties of undefined (reading 'text')");
+
+    expect(categorizeChatError(error)).toBe(CHAT_ERROR_TYPES.UNKNOWN_ERROR);
+    expect(isTransientError(error)).toBe(false);
+  });
+
+  it('should report offline when the browser says so', () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    expect(categorizeChatError(new Error('anything'))).toBe(CHAT_ERROR_TYPES.OFFLINE);
+  });
+
+  it('should categorize JSON parse failures as malformed payloads', () => {
+    expect(categorizeChatError(new SyntaxError('Unexpected token <'))).toBe(
+      CHAT_ERROR_TYPES.MALFORMED_PAYLOAD
+    );
+  });
+
+  it('should fall back to unknown errors', () => {
+    expect(categorizeChatError(new Error('weird'))).toBe(CHAT_ERROR_TYPES.UNKNOWN_ERROR);
+    expect(categorizeChatError(null)).toBe(CHAT_ERROR_TYPES.UNKNOWN_ERROR);
+  });
+});
+
+describe('Transient Errors', () => {
+  it('should retry 5xx, 408 and 429 but not other client errors', () => {
+    const server = (status) => new ChatRequestError(CHAT_ERROR_TYPES.SERVER_ERROR, 'x', { status });
+
+    expect(isTransientError(server(503))).toBe(true);
+    expect(isTransientError(server(429))).toBe(true);
+    expect(isTransientError(server(408))).toBe(true);
+    expect(isTransientError(server(400))).toBe(false);
+    expect(isTransientError(server(404))).toBe(false);
+  });
+
+  it('should not retry malformed payloads', () => {
+    expect(
+      isTransientError(new ChatRequestError(CHAT_ERROR_TYPES.MALFORMED_PAYLOAD, 'x'))
+    ).toBe(false);
+  });
+
+  it('should throw for non-2xx responses', () => {
+    expect(() => assertOkResponse({ ok: false, status: 500 })).toThrow(ChatRequestError);
+    expect(assertOkResponse({ ok: true, status: 200 }).status).toBe(200);
+  });
+});
+
+describe('Backoff', () => {
+  it('should double the delay per attempt up to the maximum', () => {
+    const config = { baseDelay: 100, maxDelay: 500, jitter: 0 };
+
+    expect([0, 1, 2, 3].map((a) => computeBackoffDelay(a, config))).toEqual([100, 200, 400, 500]);
+  });
+
+  it('should keep jitter within bounds', () => {
+    const config = { baseDelay: 1000, maxDelay: 10000, jitter: 0.5 };
+
+    expect(computeBackoffDelay(0, config, () => 0)).toBe(500);
+    expect(computeBackoffDelay(0, config, () => 0.5)).toBe(1000);
+    expect(computeBackoffDelay(0, config, () => 1)).toBe(1500);
+  });
+});
+
+describe('withRetry', () => {
+  it('should retry transient failures until one succeeds', async () => {
+    const operation = vi
+      .fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockRejectedValueOnce(new ChatRequestError(CHAT_ERROR_TYPES.SERVER_ERROR, 'x', { status: 503 }))
+      .mockResolvedValueOnce('ok');
+    const onRetry = vi.fn();
+
+    await expect(withRetry(operation, { config: fastRetry, onRetry })).resolves.toBe('ok');
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+  });
+
+  it('should give up after maxRetries', async () => {
+    const operation = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(
+      withRetry(operation, { config: { ...fastRetry, maxRetries: 2 } })
+    ).rejects.toThrow('Failed to fetch');
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not retry permanent failures', async () => {
+    const operation = vi
+      .fn()
+      .mockRejectedValue(new ChatRequestError(CHAT_ERROR_TYPES.MALFORMED_PAYLOAD, 'bad'));
+
+    await expect(withRetry(operation, { config: fastRetry })).rejects.toThrow('bad');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('should respect shouldRetry', async () => {
+    const operation = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(
+      withRetry(operation, { config: fastRetry, shouldRetry: () => false })
+    ).rejects.toThrow();
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('should abort slow attempts and report a timeout', async () => {
+    const operation = vi.fn(hangUntilAborted);
+
+    await expect(
+      withRetry(operation, { config: { ...fastRetry, timeout: 10, maxRetries: 1 } })
+    ).rejects.toMatchObject({ type: CHAT_ERROR_TYPES.TIMEOUT });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it('should restart the timeout when keepAlive is called', async () => {
+    const operation = vi.fn(({ keepAlive }) =>
+      new Promise((resolve) => {
+        let ticks = 0;
+        const interval = setInterval(() => {
+          keepAlive();
+          if (++ticks === 5) {
+            clearInterval(interval);
+            resolve('streamed');
+          }
+        }, 10);
+      })
+    );
+
+    await expect(
+      withRetry(operation, { config: { ...fastRetry, timeout: 25, maxRetries: 0 } })
+    ).resolves.toBe('streamed');
+  });
+
+  it('should rethrow outer aborts without retrying', async () => {
+    const controller = new AbortController();
+    const operation = vi.fn(hangUntilAborted);
+
+    const pending = withRetry(operation, { signal: controller.signal, config: fastRetry });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Fallback Messages', () => {
+  it('should choose a distinct message per category', () => {
+    const texts = Object.values(CHAT_ERROR_TYPES).map((type) => getFallbackMessage(type).text);
+
+    expect(new Set(texts).size).toBe(texts.length);
+  });
+
+  it('should produce queueable messages without audio', () => {
+    const message = getFallbackMessage(CHAT_ERROR_TYPES.OFFLINE);
+
+    expect(message).toMatchObject({ audio: '', audioMime: 'audio/mpeg' });
+    expect(message.text).toBeTruthy();
+    expect(message.animation).toBeTruthy();
+    expect(message.facialExpression).toBeTruthy();
+  });
+
+  it('should default to the generic message for unknown categories', () => {
+    expect(getFallbackMessage('nope').text).toBe(
+      getFallbackMessage(CHAT_ERROR_TYPES.UNKNOWN_ERROR).text
+    );
+  });
+});
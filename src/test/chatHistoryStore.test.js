@@ -0,0 +1,115 @@
+/**
+ * Test suite for the persistent conversation history
+ * Tests per-session paging, status updates, clearing and merge ordering
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  HISTORY_ROLES,
+  HISTORY_STATUS,
+  MemoryHistoryStore,
+  createHistoryEntry,
+  createTimestamp,
+  mergeHistory
+} from '../utils/chatHistoryStore';
+
+const userTurn = (id, sessionId, text) =>
+  createHistoryEntry({ id, sessionId, role: HISTORY_ROLES.USER, text, status: HISTORY_STATUS.PENDING });
+
+let store;
+
+beforeEach(() => {
+  store = new MemoryHistoryStore();
+});
+
+describe('History Entries', () => {
+  it('should fill defaults for assistant turns', () => {
+    const entry = createHistoryEntry({
+      id: 'r1',
+      sessionId: 's1',
+      role: HISTORY_ROLES.ASSISTANT,
+      text: 'Hola',
+      status: HISTORY_STATUS.QUEUED,
+      facialExpression: 'smile',
+      animation: 'Talking_1'
+    });
+
+    expect(entry).toMatchObject({
+      facialExpression: 'smile',
+      animation: 'Talking_1',
+      audio: null,
+      audioMime: null
+    });
+    expect(typeof entry.timestamp).toBe('number');
+  });
+
+  it('should keep timestamps strictly increasing', () => {
+    const stamps = Array.from({ length: 20 }, () => createTimestamp());
+
+    stamps.slice(1).forEach((stamp, i) => expect(stamp).toBeGreaterThan(stamps[i]));
+  });
+});
+
+describe('MemoryHistoryStore', () => {
+  it('should list only the turns of the requested session in order', async () => {
+    await store.put(userTurn('a', 's1', 'uno'));
+    await store.put(userTurn('b', 's2', 'otro'));
+    await store.put(userTurn('c', 's1', 'dos'));
+
+    const { entries, hasMore } = await store.listBySession('s1');
+
+    expect(entries.map((e) => e.text)).toEqual(['uno', 'dos']);
+    expect(hasMore).toBe(false);
+  });
+
+  it('should page backwards from the newest turn', async () => {
+    for (let i = 0; i < 5; i++) {
+      await store.put(userTurn(`m${i}`, 's1', `turno ${i}`));
+    }
+
+    const latest = await store.listBySession('s1', { limit: 2 });
+    expect(latest.entries.map((e) => e.id)).toEqual(['m3', 'm4']);
+    expect(latest.hasMore).toBe(true);
+
+    const older = await store.listBySession('s1', { limit: 2, before: latest.entries[0].timestamp });
+    expect(older.entries.map((e) => e.id)).toEqual(['m1', 'm2']);
+
+    const oldest = await store.listBySession('s1', { limit: 2, before: older.entries[0].timestamp });
+    expect(oldest.entries.map((e) => e.id)).toEqual(['m0']);
+    expect(oldest.hasMore).toBe(false);
+  });
+
+  it('should update statuses in place', async () => {
+    await store.put(userTurn('a', 's1', 'hola'));
+
+    await store.update('a', { status: HISTORY_STATUS.SENT });
+
+    const { entries } = await store.listBySession('s1');
+    expect(entries[0].status).toBe(HISTORY_STATUS.SENT);
+    expect(await store.update('missing', { status: HISTORY_STATUS.SENT })).toBeNull();
+  });
+
+  it('should clear a single session', async () => {
+    await store.put(userTurn('a', 's1', 'uno'));
+    await store.put(userTurn('b', 's2', 'otro'));
+
+    await store.clearSession('s1');
+
+    expect((await store.listBySession('s1')).entries).toHaveLength(0);
+    expect((await store.listBySession('s2')).entries).toHaveLength(1);
+  });
+});
+
+describe('mergeHistory', () => {
+  it('should dedupe by id, prefer in-memory copies and sort by time', () => {
+    const first = userTurn('a', 's1', 'uno');
+    const second = userTurn('b', 's1', 'dos');
+    const stored = [{ ...first, status: HISTORY_STATUS.PENDING }];
+    const inMemory = [second, { ...first, status: HISTORY_STATUS.SENT }];
+
+    const merged = mergeHistory(inMemory, stored);
+
+    expect(merged.map((e) => e.id)).toEqual(['a', 'b']);
+    expect(merged[0].status).toBe(HISTORY_STATUS.SENT);
+  });
+});
@@ -0,0 +1,672 @@
+/**
+ * Test suite for ChatProvider
+ * Drives the provider with a scripted transport and an in-memory history store
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { ChatProvider, useChat } from '../hooks/useChat';
+import { createScriptedTransport, createWebSocketTransport } from '../utils/chatTransports';
+import { CHAT_ERROR_TYPES, ChatRequestError } from '../utils/chatErrorHandler';
+import { HISTORY_STATUS, MemoryHistoryStore } from '../utils/chatHistoryStore';
+import { REPLAY_STATUS } from '../utils/conversationReplay';
+
+const RETRY_CONFIG = { maxRetries: 0, timeout: 0 };
+
+const renderChat = ({
+  script = [[{ text: 'Hola' }]],
+  transport,
+  historyStore = new MemoryHistoryStore(),
+  ...props
+} = {}) => {
+  const chatTransport = transport || createScriptedTransport({ script });
+  const wrapper = ({ children }) => (
+    <ChatProvider
+      transport={chatTransport}
+      historyStore={historyStore}
+      retryConfig={RETRY_CONFIG}
+      offlineLipsync={false}
+      {...props}
+    >
+      {children}
+    </ChatProvider>
+  );
+  const rendered = renderHook(() => useChat(), { wrapper });
+  return { ...rendered, transport: chatTransport, historyStore };
+};
+
+// Pushes replies whenever the test says so, like an SSE stream mid-response
+const createStreamingTransport = () => {
+  const listeners = new Set();
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    async send() {},
+    emit(messages) {
+      listeners.forEach((listener) => listener(messages, {}));
+    },
+    emitMeta(meta) {
+      listeners.forEach((listener) => listener([], meta));
+    }
+  };
+};
+
+// Fails the first `failures` user messages, then answers like the backend
+const createFlakyTransport = (failures, status = 503) => {
+  const scripted = createScriptedTransport({
+    script: (text) => (text === null ? [] : [{ text: 'Respuesta' }])
+  });
+  const attempts = [];
+  return {
+    ...scripted,
+    attempts,
+    async send(text, sessionId, options) {
+      attempts.push(text);
+      if (text !== null && failures-- > 0) {
+        throw new ChatRequestError(CHAT_ERROR_TYPES.SERVER_ERROR, `HTTP ${status}`, { status });
+      }
+      return scripted.send(text, sessionId, options);
+    }
+  };
+};
+
+// Starts answering user messages and keeps the request open until it is aborted
+const createHangingTransport = () => {
+  const scripted = createScriptedTransport({
+    script: (text) => (text === null ? [] : [{ text: 'Parte' }])
+  });
+  return {
+    ...scripted,
+    async send(text, sessionId, { signal } = {}) {
+      await scripted.send(text, sessionId);
+      if (text === null) return;
+      await new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () =>
+          reject(new DOMException('The operation was aborted.', 'AbortError'))
+        );
+      });
+    }
+  };
+};
+
+const storedTurns = (historyStore, sessionId) =>
+  [...historyStore.entries.values()].filter((entry) => entry.sessionId === sessionId);
+
+const texts = (result) => result.current.history.map((entry) => entry.text);
+const findTurn = (result, text) => result.current.history.find((entry) => entry.text === text);
+
+// Stands in for the Avatar's playback controller
+const registerPlayer = (result, offset = 0) => {
+  const player = {
+    stop: vi.fn(() => offset),
+    pause: vi.fn(),
+    resume: vi.fn(),
+    setRate: vi.fn()
+  };
+  act(() => {
+    result.current.registerPlayback(player);
+  });
+  return player;
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('Playback Callbacks', () => {
+  it('should keep the context functions stable while messages play', async () => {
+    const { result } = renderChat();
+    const { onMessagePlayed, chat, interrupt } = result.current;
+
+    await waitFor(() => expect(result.current.message?.text).toBe('Hola'));
+
+    expect(result.current.onMessagePlayed).toBe(onMessagePlayed);
+    expect(result.current.chat).toBe(chat);
+    expect(result.current.interrupt).toBe(interrupt);
+  });
+
+  it('should not drop the next reply when a message is reported twice', async () => {
+    const { result } = renderChat({ script: [[{ text: 'Uno' }, { text: 'Dos' }]] });
+    await waitFor(() => expect(result.current.message?.text).toBe('Uno'));
+
+    act(() => {
+      result.current.onMessagePlayed();
+      result.current.onMessagePlayed();
+    });
+
+    expect(result.current.message?.text).toBe('Dos');
+  });
+});
+
+describe('Streaming Replies', () => {
+  it('should keep the playing message while later messages stream in', async () => {
+    const transport = createStreamingTransport();
+    const { result } = renderChat({ transport });
+
+    act(() => transport.emit([{ text: 'Uno' }]));
+    const { message, onMessagePlayed } = result.current;
+    expect(message.text).toBe('Uno');
+
+    act(() => transport.emit([{ text: 'Dos' }]));
+    act(() => transport.emit([{ text: 'Tres' }]));
+
+    expect(result.current.message).toBe(message);
+    expect(result.current.onMessagePlayed).toBe(onMessagePlayed);
+
+    act(() => result.current.onMessagePlayed());
+    expect(result.current.message.text).toBe('Dos');
+  });
+
+  it('should report errors pushed by the backend and speak the fallback', async () => {
+    const transport = createStreamingTransport();
+    const { result } = renderChat({ transport });
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    act(() => {
+      transport.emitMeta({ assistantState: 'thinking' });
+    });
+    expect(result.current.loading).toBe(true);
+
+    act(() => {
+      transport.emitMeta({
+        assistantState: 'idle',
+        error: new ChatRequestError(CHAT_ERROR_TYPES.SERVER_ERROR, 'LLM caído', { status: 503 })
+      });
+    });
+
+    expect(result.current.loading).toBe(false);
+    expect(result.current.error).toEqual({
+      type: CHAT_ERROR_TYPES.SERVER_ERROR,
+      message: 'LLM caído',
+      status: 503
+    });
+    expect(result.current.message?.text).toMatch(/servidor/);
+  });
+});
+
+describe('Interrupt', () => {
+  it('should stop the avatar, clear the queue and mark the cut-off turn', async () => {
+    const { result, transport } = renderChat({
+      script: [[{ id: 'm1', text: 'Hola' }, { text: 'Otra' }]]
+    });
+    const player = registerPlayer(result, 1.5);
+    await waitFor(() => expect(result.current.message?.text).toBe('Hola'));
+
+    let details;
+    act(() => {
+      details = result.current.interrupt();
+    });
+
+    expect(player.stop).toHaveBeenCalled();
+    expect(details).toEqual({ messageId: 'm1', text: 'Hola', offset: 1.5 });
+    expect(result.current.message).toBeNull();
+    expect(findTurn(result, 'Hola')).toMatchObject({
+      status: HISTORY_STATUS.INTERRUPTED,
+      interruptedAt: 1.5
+    });
+    expect(findTurn(result, 'Otra').status).toBe(HISTORY_STATUS.DISCARDED);
+    expect(transport.interrupts).toEqual([
+      { sessionId: 'default', messageId: 'm1', text: 'Hola', offset: 1.5 }
+    ]);
+  });
+
+  it('should mark the turn sent when it is cut off after the reply started', async () => {
+    const transport = createHangingTransport();
+    const { result } = renderChat({ transport });
+    await waitFor(() => expect(transport.sent).toHaveLength(1));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    act(() => {
+      result.current.chat('Pregunta');
+    });
+    await waitFor(() => expect(result.current.message?.text).toBe('Parte'));
+    act(() => {
+      result.current.interrupt();
+    });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.message).toBeNull();
+    expect(result.current.error).toBeNull();
+    expect(result.current.pendingMessages).toEqual([]);
+    expect(findTurn(result, 'Pregunta').status).toBe(HISTORY_STATUS.SENT);
+  });
+
+  it('should keep a message whose reply had not started yet', async () => {
+    const transport = createScriptedTransport({
+      script: (text) => (text === null ? [] : [{ text: 'Tarde' }]),
+      delay: 20
+    });
+    const { result } = renderChat({ transport });
+    await waitFor(() => expect(transport.sent).toHaveLength(1));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    act(() => {
+      result.current.chat('Pregunta');
+    });
+    expect(result.current.loading).toBe(true);
+    act(() => {
+      result.current.interrupt();
+    });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    await new Promise((resolve) => setTimeout(resolve, 40));
+
+    expect(result.current.message).toBeNull();
+    expect(result.current.error).toBeNull();
+    expect(result.current.pendingMessages.map((item) => item.text)).toEqual(['Pregunta']);
+    expect(findTurn(result, 'Pregunta').status).toBe(HISTORY_STATUS.PENDING);
+  });
+
+  it('should send an unanswered message before the one that barged in', async () => {
+    const transport = createScriptedTransport({
+      script: (text) => (text === null ? [] : [{ text: `Re: ${text}` }]),
+      delay: 20
+    });
+    const { result } = renderChat({ transport });
+    await waitFor(() => expect(transport.sent).toHaveLength(1));
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    act(() => {
+      result.current.chat('Primero');
+    });
+    act(() => {
+      result.current.interrupt();
+      result.current.chat('Segundo');
+    });
+
+    await waitFor(() => expect(result.current.pendingMessages).toEqual([]));
+    expect(transport.sent.map((item) => item.text)).toEqual([null, 'Primero', 'Primero', 'Segundo']);
+    expect(findTurn(result, 'Primero').status).toBe(HISTORY_STATUS.SENT);
+    expect(findTurn(result, 'Segundo').status).toBe(HISTORY_STATUS.SENT);
+    expect(result.current.message?.text).toBe('Re: Primero');
+    expect(result.current.error).toBeNull();
+  });
+});
+
+describe('Outbox', () => {
+  const retryConfig = { maxRetries: 2, baseDelay: 5, jitter: 0, timeout: 0 };
+
+  it('should hold messages while offline and flush them in order when back online', async () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const { result, transport } = renderChat({ script: [[], [{ text: 'Hola' }]] });
+
+    act(() => {
+      result.current.chat('Primero');
+    });
+    expect(result.current.isOnline).toBe(false);
+    expect(result.current.pendingMessages.map((item) => item.text)).toEqual(['Primero']);
+    expect(transport.sent).toEqual([]);
+
+    onLine.mockReturnValue(true);
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    await waitFor(() => expect(result.current.message?.text).toBe('Hola'));
+    expect(transport.sent.map((item) => item.text)).toEqual([null, 'Primero']);
+    expect(result.current.isOnline).toBe(true);
+    expect(result.current.pendingMessages).toEqual([]);
+    expect(findTurn(result, 'Primero').status).toBe(HISTORY_STATUS.SENT);
+  });
+
+  it('should deliver a flushed message that was interrupted before any reply', async () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const transport = createScriptedTransport({
+      script: (text) => (text ? [{ text: `Re: ${text}` }] : []),
+      delay: 100
+    });
+    const { result } = renderChat({ transport });
+
+    act(() => {
+      result.current.chat('Primero');
+    });
+    onLine.mockReturnValue(true);
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+    await waitFor(() => expect(transport.sent.map((item) => item.text)).toContain('Primero'));
+    act(() => {
+      result.current.interrupt();
+    });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.pendingMessages.map((item) => item.text)).toEqual(['Primero']);
+    expect(findTurn(result, 'Primero').status).toBe(HISTORY_STATUS.PENDING);
+
+    act(() => {
+      result.current.chat('Segundo');
+    });
+
+    await waitFor(() => expect(result.current.pendingMessages).toEqual([]));
+    expect(transport.sent.filter((item) => item.text).map((item) => item.text)).toEqual([
+      'Primero',
+      'Primero',
+      'Segundo'
+    ]);
+    expect(findTurn(result, 'Primero').status).toBe(HISTORY_STATUS.SENT);
+    expect(result.current.message?.text).toBe('Re: Primero');
+  });
+
+  it('should keep WebSocket messages in the outbox until the socket opens', async () => {
+    const sockets = [];
+    class FakeWebSocket {
+      static OPEN = 1;
+      constructor() {
+        this.readyState = 0;
+        this.sent = [];
+        sockets.push(this);
+      }
+      send(data) {
+        this.sent.push(JSON.parse(data));
+      }
+      close() {}
+    }
+    const transport = createWebSocketTransport({ url: 'ws://api/ws', WebSocketImpl: FakeWebSocket });
+    const { result } = renderChat({ transport });
+
+    act(() => {
+      result.current.chat('Hola');
+    });
+    await waitFor(() => expect(result.current.error?.type).toBe(CHAT_ERROR_TYPES.OFFLINE));
+    expect(result.current.pendingMessages.map((item) => item.text)).toEqual(['Hola']);
+    expect(localStorage.getItem('chat_outbox')).toContain('Hola');
+
+    act(() => {
+      sockets[0].readyState = FakeWebSocket.OPEN;
+      sockets[0].onopen();
+    });
+
+    await waitFor(() => expect(result.current.pendingMessages).toEqual([]));
+    const sent = sockets[0].sent.filter((frame) => frame.type === 'user_message');
+    expect(sent.map((frame) => frame.message)).toEqual([null, 'Hola']);
+    expect(findTurn(result, 'Hola').status).toBe(HISTORY_STATUS.SENT);
+  });
+
+  it('should retry transient failures with backoff', async () => {
+    const transport = createFlakyTransport(2);
+    const { result } = renderChat({ transport, retryConfig });
+    await waitFor(() => expect(transport.attempts).toHaveLength(1));
+
+    act(() => {
+      result.current.chat('Hola');
+    });
+
+    await waitFor(() => expect(result.current.message?.text).toBe('Respuesta'));
+    expect(transport.attempts).toEqual([null, 'Hola', 'Hola', 'Hola']);
+    expect(console.warn).toHaveBeenCalledWith('[chat] reintento 1 en 5ms:', 'HTTP 503');
+    expect(console.warn).toHaveBeenCalledWith('[chat] reintento 2 en 10ms:', 'HTTP 503');
+    expect(result.current.error).toBeNull();
+  });
+
+  it('should speak a fallback and mark the turn failed when retries run out', async () => {
+    const transport = createFlakyTransport(Infinity, 400);
+    const { result } = renderChat({ transport, retryConfig });
+    await waitFor(() => expect(transport.attempts).toHaveLength(1));
+
+    act(() => {
+      result.current.chat('Hola');
+    });
+
+    await waitFor(() => expect(result.current.error?.status).toBe(400));
+    // 4xx is not transient: no retries
+    expect(transport.attempts).toEqual([null, 'Hola']);
+    expect(result.current.error.type).toBe(CHAT_ERROR_TYPES.SERVER_ERROR);
+    expect(findTurn(result, 'Hola')).toMatchObject({
+      status: HISTORY_STATUS.FAILED,
+      error: CHAT_ERROR_TYPES.SERVER_ERROR
+    });
+    await waitFor(() => expect(result.current.message?.text).toMatch(/servidor/));
+  });
+
+  it('should stop retrying when the request is aborted', async () => {
+    const transport = createFlakyTransport(Infinity);
+    const { result } = renderChat({
+      transport,
+      retryConfig: { ...retryConfig, maxRetries: 3, baseDelay: 50 }
+    });
+    await waitFor(() => expect(transport.attempts).toHaveLength(1));
+
+    act(() => {
+      result.current.chat('Hola');
+    });
+    await waitFor(() => expect(transport.attempts).toHaveLength(2));
+    act(() => {
+      result.current.interrupt();
+    });
+
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(transport.attempts).toEqual([null, 'Hola']);
+    expect(result.current.error).toBeNull();
+    expect(result.current.message).toBeNull();
+    // Nothing was answered: the message stays in the outbox
+    expect(result.current.pendingMessages.map((item) => item.text)).toEqual(['Hola']);
+  });
+});
+
+describe('Sessions', () => {
+  it('should cut off the playing reply and load the other session on switch', async () => {
+    const historyStore = new MemoryHistoryStore();
+    await historyStore.put({
+      id: 'reply-old',
+      sessionId: 'otra',
+      role: 'assistant',
+      text: 'Antes',
+      timestamp: 1,
+      status: HISTORY_STATUS.PLAYED
+    });
+    const { result } = renderChat({
+      script: [[{ text: 'Hola' }, { text: 'Después' }]],
+      historyStore
+    });
+    const player = registerPlayer(result, 0.5);
+    await waitFor(() => expect(result.current.message?.text).toBe('Hola'));
+
+    act(() => {
+      result.current.switchSession('otra');
+    });
+
+    expect(player.stop).toHaveBeenCalled();
+    expect(result.current.message).toBeNull();
+    expect(result.current.sessionId).toBe('otra');
+    await waitFor(() => expect(texts(result)).toEqual(['Antes']));
+    await waitFor(() =>
+      expect(storedTurns(historyStore, 'default').map((entry) => entry.status)).toEqual([
+        HISTORY_STATUS.INTERRUPTED,
+        HISTORY_STATUS.DISCARDED
+      ])
+    );
+  });
+
+  it('should greet a new session with its own id', async () => {
+    const { result, transport } = renderChat({
+      script: [[{ text: 'Hola' }], [{ text: 'Bienvenido' }]]
+    });
+    await waitFor(() => expect(result.current.message?.text).toBe('Hola'));
+
+    let session;
+    act(() => {
+      session = result.current.newSession();
+    });
+
+    expect(result.current.sessionId).toBe(session.id);
+    await waitFor(() => expect(result.current.message?.text).toBe('Bienvenido'));
+    expect(transport.sent[1]).toEqual({ text: null, sessionId: session.id });
+    expect(result.current.sessions.map((entry) => entry.id)).toContain(session.id);
+  });
+
+  it('should drop the pending messages and history of a deleted session', async () => {
+    vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const historyStore = new MemoryHistoryStore();
+    const { result } = renderChat({ historyStore });
+
+    act(() => {
+      result.current.chat('Bórrame');
+    });
+    let session;
+    act(() => {
+      session = result.current.newSession();
+    });
+    act(() => {
+      result.current.switchSession('default');
+    });
+    await waitFor(() => expect(storedTurns(historyStore, 'default')).toHaveLength(1));
+
+    await act(async () => {
+      await result.current.deleteSession('default');
+    });
+
+    expect(result.current.sessionId).toBe(session.id);
+    expect(result.current.sessions.map((entry) => entry.id)).toEqual([session.id]);
+    expect(result.current.pendingMessages).toEqual([]);
+    expect(storedTurns(historyStore, 'default')).toEqual([]);
+  });
+
+  it('should keep replies for a previous session out of the queue', async () => {
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    const historyStore = new MemoryHistoryStore();
+    const { result, transport } = renderChat({ script: [[], [{ text: 'Tarde' }]], historyStore });
+
+    act(() => {
+      result.current.chat('Hola');
+    });
+    act(() => {
+      result.current.switchSession('otra');
+    });
+    onLine.mockReturnValue(true);
+    act(() => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    await waitFor(() => expect(transport.sent).toHaveLength(2));
+    await waitFor(() =>
+      expect(storedTurns(historyStore, 'default').find((entry) => entry.text === 'Tarde')).toMatchObject({
+        status: HISTORY_STATUS.DISCARDED
+      })
+    );
+    expect(transport.sent.map((item) => item.sessionId)).toEqual(['default', 'default']);
+    expect(result.current.message).toBeNull();
+    expect(texts(result)).toEqual([]);
+  });
+});
+
+describe('Replay', () => {
+  const conversation = {
+    session: { title: 'Demo' },
+    messages: [
+      { id: 'r0', role: 'assistant', text: '¡Hola!', status: 'played', timestamp: 1 },
+      { id: 'u1', role: 'user', text: '¿Qué hora es?', status: 'sent', timestamp: 2 },
+      { id: 'r1', role: 'assistant', text: 'Son las tres.', status: 'interrupted', interruptedAt: 1.2, timestamp: 3 },
+      { id: 'r2', role: 'assistant', text: 'De nada', status: 'played', timestamp: 4 }
+    ]
+  };
+
+  // Greeting without reply, so only the replay feeds the queue
+  const renderReplay = async () => {
+    const rendered = renderChat({ script: [[]] });
+    await waitFor(() => expect(rendered.transport.sent).toHaveLength(1));
+    await waitFor(() => expect(rendered.result.current.loading).toBe(false));
+    const player = registerPlayer(rendered.result, 0.8);
+    return { ...rendered, player };
+  };
+
+  const played = (result) => act(() => result.current.onMessagePlayed());
+
+  it('should play the steps in order, stop interrupted ones where they were cut and end', async () => {
+    const { result, transport } = await renderReplay();
+
+    act(() => result.current.startReplay(conversation));
+    expect(result.current.message).toMatchObject({ text: '¡Hola!', replay: true, playbackRate: 1 });
+    expect(result.current.message.stopAt).toBeUndefined();
+    expect(result.current.replay).toMatchObject({
+      status: REPLAY_STATUS.PLAYING,
+      index: 0,
+      total: 3,
+      title: 'Demo'
+    });
+
+    played(result);
+    expect(result.current.message).toMatchObject({ text: 'Son las tres.', stopAt: 1.2 });
+    expect(result.current.replay.userText).toBe('¿Qué hora es?');
+
+    played(result);
+    played(result);
+    expect(result.current.message).toBeNull();
+    expect(result.current.replay.status).toBe(REPLAY_STATUS.ENDED);
+    // Replays are not conversation turns
+    expect(texts(result)).toEqual([]);
+    expect(transport.sent).toHaveLength(1);
+  });
+
+  it('should pause and resume the message being played', async () => {
+    const { result, player } = await renderReplay();
+    act(() => result.current.startReplay(conversation));
+    const message = result.current.message;
+
+    act(() => result.current.pauseReplay());
+    expect(player.pause).toHaveBeenCalled();
+    expect(result.current.replay.status).toBe(REPLAY_STATUS.PAUSED);
+
+    act(() => result.current.resumeReplay());
+    expect(player.resume).toHaveBeenCalled();
+    expect(result.current.replay.status).toBe(REPLAY_STATUS.PLAYING);
+    expect(result.current.message).toBe(message);
+  });
+
+  it('should play a single message when stepping and pause after it', async () => {
+    const { result, player } = await renderReplay();
+    act(() => result.current.startReplay(conversation));
+
+    act(() => result.current.stepReplay());
+    expect(player.stop).toHaveBeenCalled();
+    expect(result.current.message.text).toBe('Son las tres.');
+    expect(result.current.replay.status).toBe(REPLAY_STATUS.STEPPING);
+
+    played(result);
+    expect(result.current.message).toBeNull();
+    expect(result.current.replay).toMatchObject({ status: REPLAY_STATUS.PAUSED, index: 1 });
+
+    act(() => result.current.resumeReplay());
+    expect(result.current.message.text).toBe('De nada');
+    expect(result.current.replay.status).toBe(REPLAY_STATUS.PLAYING);
+  });
+
+  it('should apply rate changes to the current and the following messages', async () => {
+    const { result, player } = await renderReplay();
+
+    act(() => result.current.setReplayRate(1.5));
+    act(() => result.current.startReplay(conversation));
+    expect(result.current.message.playbackRate).toBe(1.5);
+
+    act(() => result.current.setReplayRate(9));
+    expect(player.setRate).toHaveBeenLastCalledWith(4);
+    expect(result.current.replay.rate).toBe(4);
+
+    played(result);
+    expect(result.current.message.playbackRate).toBe(4);
+  });
+
+  it('should end the replay when stopped or when the user writes', async () => {
+    const { result, player } = await renderReplay();
+    act(() => result.current.startReplay(conversation));
+
+    act(() => result.current.stopReplay());
+    expect(player.stop).toHaveBeenCalled();
+    expect(result.current.message).toBeNull();
+    expect(result.current.replay).toBeNull();
+
+    act(() => result.current.startReplay(conversation));
+    act(() => {
+      result.current.chat('Hola');
+    });
+    expect(result.current.replay).toBeNull();
+    expect(result.current.message).toBeNull();
+  });
+});
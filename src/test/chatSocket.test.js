@@ -0,0 +1,259 @@
+/**
+ * Test suite for the WebSocket chat transport
+ * Tests frame handling, outbox delivery, reconnection backoff and session resumption
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  ChatSocket,
+  getReconnectDelay,
+  toWebSocketUrl,
+  SOCKET_STATES,
+  CLIENT_FRAMES
+} from '../utils/chatSocket';
+import { CHAT_ERROR_TYPES, ChatRequestError } from '../utils/chatErrorHandler';
+
+class FakeWebSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+
+  // Test helpers
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.onopen?.();
+  }
+
+  receive(frame) {
+    this.onmessage?.({ data: JSON.stringify(frame) });
+  }
+
+  drop() {
+    this.readyState = 3;
+    this.onclose?.();
+  }
+}
+
+const createSocket = (options = {}) =>
+  new ChatSocket('ws://localhost:3000/ws', {
+    sessionId: 'session-1',
+    WebSocketImpl: FakeWebSocket,
+    reconnect: { baseDelay: 100, maxDelay: 1000, jitter: 0 },
+    ...options
+  });
+
+beforeEach(() => {
+  FakeWebSocket.instances = [];
+  vi.useFakeTimers();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('Reconnect backoff', () => {
+  it('should grow exponentially and respect the maximum delay', () => {
+    const config = { baseDelay: 100, maxDelay: 1000, jitter: 0 };
+
+    expect(getReconnectDelay(0, config)).toBe(100);
+    expect(getReconnectDelay(1, config)).toBe(200);
+    expect(getReconnectDelay(3, config)).toBe(800);
+    expect(getReconnectDelay(10, config)).toBe(1000);
+  });
+
+  it('should apply jitter within the configured fraction', () => {
+    const config = { baseDelay: 1000, maxDelay: 10000, jitter: 0.5 };
+
+    expect(getReconnectDelay(0, config, () => 0)).toBe(500);
+    expect(getReconnectDelay(0, config, () => 1)).toBe(1500);
+  });
+
+  it('should derive the socket URL from the HTTP backend URL', () => {
+    expect(toWebSocketUrl('http://localhost:3000')).toBe('ws://localhost:3000/ws');
+    expect(toWebSocketUrl('https://api.example.com/')).toBe('wss://api.example.com/ws');
+  });
+});
+
+describe('ChatSocket', () => {
+  it('should resume the session when the socket opens', () => {
+    const socket = createSocket();
+    socket.connect();
+    FakeWebSocket.instances[0].open();
+
+    expect(FakeWebSocket.instances[0].sent[0]).toEqual({
+      type: CLIENT_FRAMES.RESUME,
+      sessionId: 'session-1',
+      lastEventId: null
+    });
+    expect(socket.state).toBe(SOCKET_STATES.OPEN);
+  });
+
+  it('should deliver frames queued while disconnected after opening', () => {
+    const socket = createSocket();
+    socket.connect();
+    socket.sendUserMessage('Hola');
+
+    FakeWebSocket.instances[0].open();
+
+    const types = FakeWebSocket.instances[0].sent.map((f) => f.type);
+    expect(types).toEqual([CLIENT_FRAMES.RESUME, CLIENT_FRAMES.USER_MESSAGE]);
+    expect(FakeWebSocket.instances[0].sent[1].message).toBe('Hola');
+  });
+
+  it('should drop frames sent without queueing while disconnected', () => {
+    const socket = createSocket();
+    socket.connect();
+
+    expect(socket.sendUserMessage('Hola', { queue: false })).toBe(false);
+    FakeWebSocket.instances[0].open();
+
+    expect(FakeWebSocket.instances[0].sent.map((f) => f.type)).toEqual([CLIENT_FRAMES.RESUME]);
+    expect(socket.sendUserMessage('Hola', { queue: false })).toBe(true);
+  });
+
+  it('should route pushed messages, state and session frames', () => {
+    const onMessages = vi.fn();
+    const onAssistantState = vi.fn();
+    const onSession = vi.fn();
+    const socket = createSocket({ onMessages, onAssistantState, onSession });
+    socket.connect();
+    const ws = FakeWebSocket.instances[0];
+    ws.open();
+
+    ws.receive({ type: 'state', state: 'thinking' });
+    ws.receive({ type: 'message', message: { text: 'Recordatorio' } });
+    ws.receive({ type: 'messages', messages: [{ text: 'Uno' }, { text: 'Dos' }] });
+    ws.receive({ type: 'session', resetSuggested: true, newSessionId: 'session-2' });
+
+    expect(onAssistantState).toHaveBeenCalledWith('thinking');
+    expect(onMessages).toHaveBeenNthCalledWith(1, [{ text: 'Recordatorio' }]);
+    expect(onMessages).toHaveBeenNthCalledWith(2, [{ text: 'Uno' }, { text: 'Dos' }]);
+    expect(onSession).toHaveBeenCalledWith(
+      expect.objectContaining({ newSessionId: 'session-2' })
+    );
+  });
+
+  it('should end the thinking state and report error frames as server errors', () => {
+    const onAssistantState = vi.fn();
+    const onServerError = vi.fn();
+    const socket = createSocket({ onAssistantState, onServerError });
+    socket.connect();
+    const ws = FakeWebSocket.instances[0];
+    ws.open();
+
+    ws.receive({ type: 'state', state: 'thinking' });
+    ws.receive({ type: 'error', message: 'LLM caído', status: 503 });
+
+    expect(onAssistantState).toHaveBeenLastCalledWith('idle');
+    const [error] = onServerError.mock.calls[0];
+    expect(error).toBeInstanceOf(ChatRequestError);
+    expect(error).toMatchObject({ type: CHAT_ERROR_TYPES.SERVER_ERROR, message: 'LLM caído', status: 503 });
+  });
+
+  it('should report malformed frames without throwing', () => {
+    const onError = vi.fn();
+    const socket = createSocket({ onError });
+    socket.connect();
+    FakeWebSocket.instances[0].open();
+
+    expect(() => FakeWebSocket.instances[0].onmessage({ data: '{not json' })).not.toThrow();
+    expect(onError).toHaveBeenCalled();
+  });
+
+  it('should reconnect with backoff and resume from the last event', () => {
+    const socket = createSocket();
+    socket.connect();
+    const first = FakeWebSocket.instances[0];
+    first.open();
+    first.receive({ type: 'message', eventId: 42, message: { text: 'Hola' } });
+
+    first.drop();
+    expect(socket.state).toBe(SOCKET_STATES.RECONNECTING);
+
+    vi.advanceTimersByTime(100);
+    const second = FakeWebSocket.instances[1];
+    expect(second).toBeDefined();
+
+    socket.setSessionId('session-2');
+    second.open();
+    expect(second.sent[0]).toEqual({
+      type: CLIENT_FRAMES.RESUME,
+      sessionId: 'session-2',
+      lastEventId: 42
+    });
+  });
+
+  it('should not reconnect after an intentional close', () => {
+    const socket = createSocket();
+    socket.connect();
+    FakeWebSocket.instances[0].open();
+
+    socket.close();
+    vi.advanceTimersByTime(5000);
+
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(socket.state).toBe(SOCKET_STATES.CLOSED);
+  });
+
+  it('should keep a single socket when connected, closed and connected again', () => {
+    const onMessages = vi.fn();
+    const socket = createSocket({ onMessages });
+    socket.connect();
+    const first = FakeWebSocket.instances[0];
+    // Browsers fire these after close() returns
+    const { onclose: lateClose, onmessage: lateMessage } = first;
+
+    socket.close();
+    expect(first.onclose).toBeNull();
+    socket.connect();
+    const second = FakeWebSocket.instances[1];
+    second.open();
+
+    lateClose();
+    lateMessage({ data: JSON.stringify({ type: 'message', message: { text: 'Viejo' } }) });
+    vi.advanceTimersByTime(5000);
+    second.receive({ type: 'message', message: { text: 'Hola' } });
+
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    expect(socket.state).toBe(SOCKET_STATES.OPEN);
+    expect(onMessages).toHaveBeenCalledTimes(1);
+    expect(onMessages).toHaveBeenCalledWith([{ text: 'Hola' }]);
+  });
+
+  it('should send interrupts and playback acknowledgements', () => {
+    const socket = createSocket();
+    socket.connect();
+    const ws = FakeWebSocket.instances[0];
+    ws.open();
+
+    socket.sendInterrupt({ messageId: 'm1', offset: 1.25 });
+    socket.sendPlaybackAck('m2');
+
+    expect(ws.sent[1]).toEqual({
+      type: CLIENT_FRAMES.INTERRUPT,
+      sessionId: 'session-1',
+      messageId: 'm1',
+      offset: 1.25
+    });
+    expect(ws.sent[2]).toEqual({
+      type: CLIENT_FRAMES.PLAYBACK_ACK,
+      sessionId: 'session-1',
+      messageId: 'm2'
+    });
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Test suite for the pluggable chat transport adapters
+ * Tests the default HTTP adapter (JSON and SSE), the scripted adapter and resolution
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createHttpTransport,
+  createScriptedTransport,
+  createWebSocketTransport,
+  resolveTransport,
+  TRANSPORT_TYPES
+} from '../utils/chatTransports';
+import { CHAT_ERROR_TYPES } from '../utils/chatErrorHandler';
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => 'application/json' },
+  text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+});
+
+const sseResponse = (text) => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => 'text/event-stream' },
+  text: async () => text
+});
+
+describe('HTTP transport', () => {
+  it('should post the message and session to /chat', async () => {
+    const fetchImpl = vi.fn(async () => jsonResponse({ messages: [] }));
+    const transport = createHttpTransport({ baseUrl: 'http://api', fetchImpl });
+
+    await transport.send('Hola', 'session-1');
+
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://api/chat');
+    expect(JSON.parse(init.body)).toEqual({ message: 'Hola', sessionId: 'session-1' });
+    expect(init.headers.Accept).toContain('text/event-stream');
+  });
+
+  it('should not ask for SSE when streaming is disabled', async () => {
+    const fetchImpl = vi.fn(async () => jsonResponse({ messages: [] }));
+    const transport = createHttpTransport({ fetchImpl, streaming: false });
+
+    await transport.send(null, 'default');
+
+    expect(fetchImpl.mock.calls[0][1].headers.Accept).toBe('application/json');
+  });
+
+  it('should emit the JSON messages array with session hints', async () => {
+    const messages = [{ text: 'Uno' }, { text: 'Dos' }];
+    const fetchImpl = vi.fn(async () =>
+      jsonResponse({ messages, resetSuggested: true, newSessionId: 'session-2' })
+    );
+    const transport = createHttpTransport({ fetchImpl });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+
+    await transport.send('Hola', 'session-1');
+
+    expect(listener).toHaveBeenCalledWith(messages, {
+      resetSuggested: true,
+      newSessionId: 'session-2'
+    });
+  });
+
+  it('should emit streamed messages one by one', async () => {
+    const fetchImpl = vi.fn(async () =>
+      sseResponse(
+        'event: message\ndata: {"text":"Uno"}\n\n' +
+        'event: message\ndata: {"text":"Dos"}\n\n' +
+        'event: done\ndata: {"resetSuggested":true,"newSessionId":"s2"}\n\n'
+      )
+    );
+    const transport = createHttpTransport({ fetchImpl });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+
+    await transport.send('Hola', 'session-1');
+
+    expect(listener).toHaveBeenNthCalledWith(1, [{ text: 'Uno' }], {});
+    expect(listener).toHaveBeenNthCalledWith(2, [{ text: 'Dos' }], {});
+    expect(listener).toHaveBeenNthCalledWith(3, [], { resetSuggested: true, newSessionId: 's2' });
+  });
+
+  it('should reject when the stream reports an error', async () => {
+    const fetchImpl = vi.fn(async () =>
+      sseResponse('event: error\ndata: {"message":"TTS failed"}\n\n')
+    );
+    const transport = createHttpTransport({ fetchImpl });
+
+    await expect(transport.send('Hola', 'session-1')).rejects.toThrow('TTS failed');
+  });
+
+  it('should reject non-2xx responses without parsing them as replies', async () => {
+    const fetchImpl = vi.fn(async () => jsonResponse({ messages: [{ text: 'Error page' }] }, 500));
+    const transport = createHttpTransport({ fetchImpl });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+
+    await expect(transport.send('Hola', 's')).rejects.toMatchObject({
+      type: CHAT_ERROR_TYPES.SERVER_ERROR,
+      status: 500
+    });
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('should reject bodies that are not valid chat payloads', async () => {
+    const notJson = createHttpTransport({ fetchImpl: vi.fn(async () => jsonResponse('<html>')) });
+    const noMessages = createHttpTransport({ fetchImpl: vi.fn(async () => jsonResponse({ ok: 1 })) });
+
+    await expect(notJson.send('Hola', 's')).rejects.toMatchObject({
+      type: CHAT_ERROR_TYPES.MALFORMED_PAYLOAD
+    });
+    await expect(noMessages.send('Hola', 's')).rejects.toMatchObject({
+      type: CHAT_ERROR_TYPES.MALFORMED_PAYLOAD
+    });
+  });
+
+  it('should stop notifying after unsubscribe', async () => {
+    const fetchImpl = vi.fn(async () => jsonResponse({ messages: [{ text: 'Uno' }] }));
+    const transport = createHttpTransport({ fetchImpl });
+    const listener = vi.fn();
+    const unsubscribe = transport.subscribe(listener);
+
+    unsubscribe();
+    await transport.send('Hola', 'session-1');
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('Interrupts', () => {
+  it('should tell the backend which message was cut off over HTTP', async () => {
+    const fetchImpl = vi.fn(async () => jsonResponse({}));
+    const transport = createHttpTransport({ baseUrl: 'http://api', fetchImpl });
+
+    await transport.interrupt({ messageId: 'm1', text: 'Hola', offset: 1.5 }, 'session-1');
+
+    const [url, init] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://api/interrupt');
+    expect(JSON.parse(init.body)).toEqual({
+      sessionId: 'session-1',
+      messageId: 'm1',
+      text: 'Hola',
+      offset: 1.5
+    });
+  });
+
+  it('should swallow interrupt notification failures', async () => {
+    const fetchImpl = vi.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    const transport = createHttpTransport({ fetchImpl });
+
+    await expect(transport.interrupt({ messageId: null, offset: 0 }, 's')).resolves.toBeUndefined();
+  });
+
+  it('should pass the abort signal to fetch', async () => {
+    const fetchImpl = vi.fn(async () => jsonResponse({ messages: [] }));
+    const transport = createHttpTransport({ fetchImpl });
+    const controller = new AbortController();
+
+    await transport.send('Hola', 's', { signal: controller.signal });
+
+    expect(fetchImpl.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+
+  it('should drop a scripted reply aborted before it is emitted', async () => {
+    const transport = createScriptedTransport({ script: [[{ text: 'Tarde' }]], delay: 10 });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+    const controller = new AbortController();
+
+    const pending = transport.send('Hola', 'demo', { signal: controller.signal });
+    controller.abort();
+    transport.interrupt({ messageId: null, text: '', offset: 0 }, 'demo');
+
+    await expect(pending).rejects.toThrow();
+    expect(listener).not.toHaveBeenCalled();
+    expect(transport.interrupts).toHaveLength(1);
+  });
+});
+
+describe('Scripted transport', () => {
+  it('should play turns in order and fall back when the script runs out', async () => {
+    const transport = createScriptedTransport({
+      script: [[{ text: 'Bienvenido' }], [{ text: 'Respuesta' }]],
+      fallback: [{ text: 'Fin del guion' }]
+    });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+
+    await transport.send(null, 'demo');
+    await transport.send('Hola', 'demo');
+    await transport.send('¿Algo más?', 'demo');
+
+    expect(listener.mock.calls.map(([msgs]) => msgs[0].text)).toEqual([
+      'Bienvenido',
+      'Respuesta',
+      'Fin del guion'
+    ]);
+    expect(transport.sent).toEqual([
+      { text: null, sessionId: 'demo' },
+      { text: 'Hola', sessionId: 'demo' },
+      { text: '¿Algo más?', sessionId: 'demo' }
+    ]);
+  });
+
+  it('should accept a reply function', async () => {
+    const transport = createScriptedTransport({
+      script: (text) => [{ text: `Eco: ${text}` }]
+    });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+
+    await transport.send('Hola', 'demo');
+
+    expect(listener).toHaveBeenCalledWith([{ text: 'Eco: Hola' }], {});
+  });
+
+  it('should restart from the first turn after reset', async () => {
+    const transport = createScriptedTransport({ script: [[{ text: 'A' }], [{ text: 'B' }]] });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+
+    await transport.send('x', 'demo');
+    transport.reset();
+    await transport.send('x', 'demo');
+
+    expect(listener.mock.calls[1][0]).toEqual([{ text: 'A' }]);
+    expect(transport.sent).toHaveLength(1);
+  });
+});
+
+describe('Transport resolution', () => {
+  it('should default to the HTTP adapter', () => {
+    expect(resolveTransport(undefined, {}).type).toBe(TRANSPORT_TYPES.HTTP);
+    expect(resolveTransport('http', {}).type).toBe(TRANSPORT_TYPES.HTTP);
+  });
+
+  it('should build the WebSocket adapter by name', () => {
+    const transport = resolveTransport('websocket', { wsUrl: 'ws://api/ws' });
+    expect(transport.type).toBe(TRANSPORT_TYPES.WEBSOCKET);
+    expect(typeof transport.connect).toBe('function');
+  });
+
+  it('should pass custom adapters through and reject incomplete ones', () => {
+    const custom = { send: vi.fn(), subscribe: vi.fn() };
+
+    expect(resolveTransport(custom)).toBe(custom);
+    expect(() => resolveTransport({ send: vi.fn() })).toThrow();
+  });
+
+});
+
+describe('WebSocket transport', () => {
+  // Opens as soon as it is created, or never when `down`
+  const createFakeWebSocket = ({ down = false } = {}) => {
+    const sockets = [];
+    class FakeWebSocket {
+      static OPEN = 1;
+      constructor() {
+        this.readyState = down ? 0 : FakeWebSocket.OPEN;
+        this.sent = [];
+        sockets.push(this);
+      }
+      send(data) {
+        this.sent.push(JSON.parse(data));
+      }
+      close() {}
+    }
+    return { FakeWebSocket, sockets };
+  };
+
+  it('should report thinking state once the message is written to the socket', async () => {
+    const { FakeWebSocket, sockets } = createFakeWebSocket();
+    const transport = createWebSocketTransport({ url: 'ws://api/ws', WebSocketImpl: FakeWebSocket });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+    transport.connect();
+
+    await transport.send('Hola', 'session-1');
+
+    expect(sockets[0].sent).toEqual([
+      { type: 'user_message', message: 'Hola', sessionId: 'session-1' }
+    ]);
+    expect(listener).toHaveBeenCalledWith([], { assistantState: 'thinking' });
+  });
+
+  it('should reject as offline without keeping the message while the socket is down', async () => {
+    const { FakeWebSocket, sockets } = createFakeWebSocket({ down: true });
+    const transport = createWebSocketTransport({ url: 'ws://api/ws', WebSocketImpl: FakeWebSocket });
+    const listener = vi.fn();
+    transport.subscribe(listener);
+    transport.connect();
+
+    await expect(transport.send('Hola', 'session-1')).rejects.toMatchObject({
+      type: CHAT_ERROR_TYPES.OFFLINE
+    });
+
+    // The caller's persistent outbox owns the retry: nothing is replayed on open
+    sockets[0].readyState = FakeWebSocket.OPEN;
+    sockets[0].onopen();
+    expect(sockets[0].sent.map((frame) => frame.type)).toEqual(['resume']);
+    expect(listener).not.toHaveBeenCalledWith([], { assistantState: 'thinking' });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Test suite for conversation export and import
+ * Tests the JSON document, Markdown transcript, ZIP bundle round trip and validation
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EXPORT_FORMATS,
+  buildConversation,
+  validateConversation,
+  toMarkdown,
+  toZipBundle,
+  fromZipBundle,
+  createZip,
+  readZip,
+  crc32,
+  base64ToBytes,
+  bytesToBase64,
+  exportConversation,
+  importConversationFile
+} from '../utils/conversationExport';
+
+const AUDIO = bytesToBase64(new Uint8Array([0xff, 0xfb, 0x90, 0x00, 1, 2, 3, 250]));
+
+const session = { id: 's1', title: 'Reservar vuelo', createdAt: 1, lastActivity: 2 };
+const entries = [
+  { id: 'u1', sessionId: 's1', role: 'user', text: 'Hola', timestamp: 1000, status: 'sent' },
+  {
+    id: 'r1',
+    sessionId: 's1',
+    role: 'assistant',
+    text: '¡Hola! ¿En qué te ayudo?',
+    timestamp: 2000,
+    status: 'played',
+    facialExpression: 'smile',
+    animation: 'Talking_1',
+    audio: AUDIO,
+    audioMime: 'audio/mpeg'
+  }
+];
+
+describe('Conversation Document', () => {
+  it('should keep full message objects', () => {
+    const conversation = buildConversation(session, entries);
+
+    expect(conversation.format).toBe('avatar-conversation');
+    expect(conversation.session.title).toBe('Reservar vuelo');
+    expect(conversation.messages[1]).toMatchObject({ facialExpression: 'smile', animation: 'Talking_1', audio: AUDIO });
+  });
+
+  it('should reject files that are not conversation exports', () => {
+    expect(() => validateConversation({ messages: [] })).toThrow('Not a conversation export');
+    expect(() => validateConversation({ format: 'avatar-conversation', version: 99, messages: [] })).toThrow();
+  });
+
+  it('should sort messages and drop unknown roles on import', () => {
+    const conversation = validateConversation({
+      format: 'avatar-conversation',
+      version: 1,
+      messages: [entries[1], { role: 'system', text: 'x' }, entries[0]]
+    });
+
+    expect(conversation.messages.map((m) => m.id)).toEqual(['u1', 'r1']);
+  });
+});
+
+describe('Markdown Transcript', () => {
+  it('should list every turn with speaker and metadata', () => {
+    const markdown = toMarkdown(buildConversation(session, entries));
+
+    expect(markdown).toContain('# Reservar vuelo');
+    expect(markdown).toContain('**Usuario**');
+    expect(markdown).toContain('> ¡Hola! ¿En qué te ayudo?');
+    expect(markdown).toContain('smile · Talking_1 · played');
+  });
+});
+
+describe('ZIP Bundle', () => {
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('should round trip files through createZip and readZip', () => {
+    const zip = createZip([
+      { name: 'a.txt', data: 'ñandú' },
+      { name: 'b.bin', data: new Uint8Array([1, 2, 3]) }
+    ]);
+    const files = readZip(zip);
+
+    expect(new TextDecoder().decode(files.get('a.txt'))).toBe('ñandú');
+    expect([...files.get('b.bin')]).toEqual([1, 2, 3]);
+  });
+
+  it('should store decoded audio clips and restore them on import', () => {
+    const zip = toZipBundle(buildConversation(session, entries));
+    const files = readZip(zip);
+
+    expect(files.has('transcript.md')).toBe(true);
+    expect([...files.get('audio/002-assistant.mp3')]).toEqual([...base64ToBytes(AUDIO)]);
+    expect(new TextDecoder().decode(files.get('conversation.json'))).not.toContain(AUDIO);
+
+    const restored = fromZipBundle(zip);
+    expect(restored.messages[1]).toMatchObject({ audio: AUDIO, audioMime: 'audio/mpeg' });
+    expect(restored.messages[1].audioFile).toBeUndefined();
+  });
+});
+
+describe('Files', () => {
+  const asFile = (blob) => ({
+    arrayBuffer: () =>
+      new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsArrayBuffer(blob);
+      })
+  });
+
+  it('should name files after the session title', () => {
+    const conversation = buildConversation(session, entries);
+
+    expect(exportConversation(conversation, EXPORT_FORMATS.MARKDOWN).filename).toBe('reservar-vuelo.md');
+    expect(exportConversation(conversation, EXPORT_FORMATS.ZIP).filename).toBe('reservar-vuelo.zip');
+  });
+
+  it('should import both JSON and ZIP exports', async () => {
+    const conversation = buildConversation(session, entries);
+
+    for (const format of [EXPORT_FORMATS.JSON, EXPORT_FORMATS.ZIP]) {
+      const { blob } = exportConversation(conversation, format);
+      const imported = await importConversationFile(asFile(blob));
+      expect(imported.messages.map((m) => m.text)).toEqual(['Hola', '¡Hola! ¿En qué te ayudo?']);
+      expect(imported.messages[1].audio).toBe(AUDIO);
+    }
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Test suite for offline conversation replay
+ * Tests step extraction, interrupted/discarded handling and replay messages
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getReplaySteps,
+  toReplayMessage,
+  clampReplayRate
+} from '../utils/conversationReplay';
+
+const conversation = {
+  format: 'avatar-conversation',
+  version: 1,
+  session: { title: 'Demo' },
+  messages: [
+    { id: 'r0', role: 'assistant', text: '¡Hola!', status: 'played', timestamp: 1, audio: 'AAA', animation: 'Talking_1', facialExpression: 'smile' },
+    { id: 'u1', role: 'user', text: '¿Qué hora es?', status: 'sent', timestamp: 2 },
+    { id: 'r1', role: 'assistant', text: 'Son las tres.', status: 'interrupted', interruptedAt: 1.2, timestamp: 3, audio: 'BBB' },
+    { id: 'r2', role: 'assistant', text: 'Y además...', status: 'discarded', timestamp: 4, audio: 'CCC' },
+    { id: 'u2', role: 'user', text: 'Gracias', status: 'sent', timestamp: 5 },
+    { id: 'r3', role: 'assistant', text: 'De nada', status: 'played', timestamp: 6, audio: 'DDD', lipsync: { mouthCues: [] } }
+  ]
+};
+
+describe('Replay Steps', () => {
+  it('should keep performed assistant messages in order', () => {
+    const steps = getReplaySteps(conversation);
+
+    expect(steps.map((s) => s.message.id)).toEqual(['r0', 'r1', 'r3']);
+  });
+
+  it('should attach the user turn that prompted each reply', () => {
+    const steps = getReplaySteps(conversation);
+
+    expect(steps.map((s) => s.userText)).toEqual([null, '¿Qué hora es?', 'Gracias']);
+  });
+
+  it('should stop interrupted messages where they were cut', () => {
+    const steps = getReplaySteps(conversation);
+
+    expect(steps[1].stopAt).toBe(1.2);
+    expect(steps[0].stopAt).toBeNull();
+  });
+
+  it('should handle empty conversations', () => {
+    expect(getReplaySteps({ messages: [] })).toEqual([]);
+    expect(getReplaySteps(null)).toEqual([]);
+  });
+});
+
+describe('Replay Messages', () => {
+  it('should look like live messages without history bookkeeping', () => {
+    const [first] = getReplaySteps(conversation);
+    const message = toReplayMessage(first, 1.5);
+
+    expect(message).toMatchObject({
+      text: '¡Hola!',
+      audio: 'AAA',
+      animation: 'Talking_1',
+      facialExpression: 'smile',
+      replay: true,
+      playbackRate: 1.5
+    });
+    expect(message).not.toHaveProperty('id');
+    expect(message).not.toHaveProperty('status');
+    expect(message).not.toHaveProperty('stopAt');
+  });
+
+  it('should keep extra live fields such as lipsync data', () => {
+    const steps = getReplaySteps(conversation);
+
+    expect(toReplayMessage(steps[2]).lipsync).toEqual({ mouthCues: [] });
+    expect(toReplayMessage(steps[1]).stopAt).toBe(1.2);
+  });
+
+  it('should clamp playback rates', () => {
+    expect(clampReplayRate(2)).toBe(2);
+    expect(clampReplayRate(10)).toBe(4);
+    expect(clampReplayRate(0)).toBe(1);
+    expect(clampReplayRate('nope')).toBe(1);
+  });
+});
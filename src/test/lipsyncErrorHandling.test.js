@@ -7,6 +7,8 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { 
   detectBrowserSupport, 
   categorizeError, 
+  computeAmplitudeEnvelope,
+  getEnvelopeValue,
   generateFallbackLipsync, 
   getRecoveryStrategy,
   LipsyncPerformanceMonitor,
@@ -158,6 +160,45 @@ describe('Fallback Lipsync Generation', () => {
   });
 });
 
+describe('Amplitude Envelope Fallback', () => {
+  const SAMPLE_RATE = 1000;
+
+  // 0.5 s of speech-like signal, 0.5 s of silence, 0.5 s of quieter signal
+  const samples = Float32Array.from({ length: 1500 }, (_, i) => {
+    const wave = Math.sin((2 * Math.PI * 50 * i) / SAMPLE_RATE);
+    if (i < 500) return 0.6 * wave;
+    if (i < 1000) return 0.001 * wave;
+    return 0.3 * wave;
+  });
+  const envelope = computeAmplitudeEnvelope(samples, SAMPLE_RATE, { windowSize: 0.02 });
+  const playing = (currentTime) => ({ paused: false, ended: false, currentTime, duration: 1.5 });
+
+  it('should compute one RMS value per window, normalized and gated', () => {
+    expect(envelope.windowSize).toBe(0.02);
+    expect(envelope.values).toHaveLength(75);
+    expect(getEnvelopeValue(envelope, 0.25)).toBe(1);
+    expect(getEnvelopeValue(envelope, 0.75)).toBe(0);
+    expect(getEnvelopeValue(envelope, 1.25)).toBeGreaterThan(0);
+    expect(getEnvelopeValue(envelope, 1.25)).toBeLessThan(0.6);
+    expect(getEnvelopeValue(null, 0.25)).toBeNull();
+  });
+
+  it('should close the mouth on silence and open it with energy', () => {
+    const loud = generateFallbackLipsync(playing(0.25), 0.5, { envelope });
+    const quiet = generateFallbackLipsync(playing(1.25), 0.5, { envelope });
+
+    expect(generateFallbackLipsync(playing(0.75), 0.5, { envelope })).toEqual({});
+    expect(loud.viseme_AA).toBeCloseTo(0.7);
+    expect(quiet.viseme_AA).toBeLessThan(loud.viseme_AA);
+  });
+
+  it('should take the mouth shape from the text when there is one', () => {
+    const visemes = generateFallbackLipsync(playing(0.1), 0.5, { envelope, text: 'mmmm', lang: 'es' });
+
+    expect(Object.keys(visemes)).toEqual(['viseme_PP']);
+  });
+});
+
 describe('Recovery Strategies', () => {
   it('should provide appropriate strategy for initialization errors', () => {
     const strategy = getRecoveryStrategy(LIPSYNC_ERROR_TYPES.INITIALIZATION_FAILED);
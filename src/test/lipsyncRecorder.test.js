@@ -0,0 +1,130 @@
+/**
+ * Test suite for the lipsync timeline recorder
+ * Tests per-message runs, frame compaction, CSV export and chart series
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  LipsyncRecorder,
+  RECORDING_LAYERS,
+  findHeadMesh,
+  getRecordingSeries,
+  readMorphInfluences,
+  recordingToCSV
+} from '../utils/lipsyncRecorder';
+
+const createRecorder = (options) => {
+  const recorder = new LipsyncRecorder(options);
+  recorder.setEnabled(true);
+  return recorder;
+};
+
+describe('Recording Runs', () => {
+  it('should only record while enabled and a run is in progress', () => {
+    const recorder = new LipsyncRecorder();
+
+    expect(recorder.start({ label: 'Hola' })).toBeNull();
+    recorder.record({ time: 0.1, visemes: { viseme_aa: 1 } });
+    expect(recorder.getRecordings()).toHaveLength(0);
+
+    recorder.setEnabled(true);
+    const recording = recorder.start({ label: 'Hola', messageId: 'm1' });
+    recorder.record({ time: 0.1, source: 'live', visemes: { viseme_aa: 1 } });
+    recorder.stop();
+    recorder.record({ time: 0.2, visemes: { viseme_aa: 1 } });
+
+    expect(recording).toMatchObject({ id: 1, label: 'Hola', messageId: 'm1' });
+    expect(recording.frames).toHaveLength(1);
+    expect(recorder.isRecording).toBe(false);
+  });
+
+  it('should compact frames and cap frames and runs', () => {
+    const recorder = createRecorder({ maxRecordings: 2, maxFrames: 2 });
+    const first = recorder.start();
+    recorder.record({ time: 0.123456, scores: { viseme_aa: 1.23456, viseme_O: 0, viseme_E: NaN } });
+    recorder.record({ time: 0.2 });
+    recorder.record({ time: 0.3 });
+
+    expect(first.frames).toHaveLength(2);
+    expect(first.frames[0]).toEqual({
+      time: 0.1235,
+      source: null,
+      scores: { viseme_aa: 1.2346 },
+      visemes: {},
+      engine: {},
+      influences: {}
+    });
+
+    recorder.start();
+    recorder.start();
+    expect(recorder.getRecordings().map((r) => r.id)).toEqual([2, 3]);
+  });
+
+  it('should notify subscribers of run changes, not frames', () => {
+    const recorder = createRecorder();
+    const listener = vi.fn();
+    const unsubscribe = recorder.subscribe(listener);
+
+    recorder.start();
+    recorder.record({ time: 0 });
+    recorder.stop();
+    recorder.clear();
+    unsubscribe();
+    recorder.setEnabled(false);
+
+    expect(listener).toHaveBeenCalledTimes(3);
+    expect(listener.mock.calls[0][0].current).not.toBeNull();
+    expect(listener.mock.calls[2][0]).toMatchObject({ enabled: true, recordings: [], current: null });
+  });
+});
+
+describe('Export and Chart Series', () => {
+  const createRecording = () => {
+    const recorder = createRecorder();
+    const recording = recorder.start();
+    recorder.record({ time: 0, source: 'cues', visemes: { viseme_PP: 1 }, influences: { 'mouth,"open"': 0.5 } });
+    recorder.record({ time: 0.5, source: 'cues', visemes: { viseme_aa: 0.8 } });
+    return recording;
+  };
+
+  it('should export one CSV row per frame, layer and name', () => {
+    const lines = recordingToCSV(createRecording()).split('\n');
+
+    expect(lines).toEqual([
+      'time,source,layer,name,value',
+      '0,cues,visemes,viseme_PP,1',
+      '0,cues,influences,"mouth,""open""",0.5',
+      '0.5,cues,visemes,viseme_aa,0.8'
+    ]);
+  });
+
+  it('should fill missing values with zeros in chart series', () => {
+    const { duration, series } = getRecordingSeries(createRecording(), RECORDING_LAYERS.VISEMES);
+
+    expect(duration).toBe(0.5);
+    expect(series).toEqual({
+      viseme_PP: [[0, 1], [0.5, 0]],
+      viseme_aa: [[0, 0], [0.5, 0.8]]
+    });
+    expect(getRecordingSeries(null, RECORDING_LAYERS.SCORES)).toEqual({ duration: 0, series: {} });
+  });
+});
+
+describe('Morph Influences', () => {
+  it('should read influences from the head mesh', () => {
+    const teeth = { name: 'Wolf3D_Teeth', morphTargetDictionary: { viseme_aa: 0 }, morphTargetInfluences: [0.2] };
+    const head = {
+      name: 'Wolf3D_Head',
+      morphTargetDictionary: { viseme_aa: 1, viseme_O: 0 },
+      morphTargetInfluences: [0.1, 0.7]
+    };
+
+    expect(findHeadMesh([teeth, head])).toBe(head);
+    expect(findHeadMesh([teeth])).toBe(teeth);
+    expect(readMorphInfluences(head, ['viseme_aa', 'viseme_O', 'viseme_PP'])).toEqual({
+      viseme_aa: 0.7,
+      viseme_O: 0.1
+    });
+    expect(readMorphInfluences(null, ['viseme_aa'])).toEqual({});
+  });
+});
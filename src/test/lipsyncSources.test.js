@@ -0,0 +1,128 @@
+/**
+ * Test suite for lipsync sources
+ * Tests parsing of Rhubarb, Azure and Polly cues, cue playback and source selection
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  LIPSYNC_SOURCE_TYPES,
+  LIPSYNC_CUE_FORMATS,
+  detectLipsyncFormat,
+  normalizeLipsync,
+  findCueAt,
+  createCueSource,
+  selectLipsyncSource
+} from '../utils/lipsyncSources';
+
+describe('Cue Formats', () => {
+  it('should parse Rhubarb mouthCues', () => {
+    const lipsync = normalizeLipsync({
+      metadata: { duration: 0.6 },
+      mouthCues: [
+        { start: 0.2, end: 0.35, value: 'D' },
+        { start: 0, end: 0.2, value: 'X' },
+        { start: 0.35, end: 0.5, value: 'a' },
+        { start: 0.5, end: 0.5, value: 'C' },
+        { start: 0.5, end: 0.6, value: 'Q' }
+      ]
+    });
+
+    expect(lipsync.format).toBe(LIPSYNC_CUE_FORMATS.RHUBARB);
+    expect(lipsync.duration).toBe(0.6);
+    expect(lipsync.cues).toEqual([
+      { start: 0, end: 0.2, viseme: 'viseme_sil' },
+      { start: 0.2, end: 0.35, viseme: 'viseme_aa' },
+      { start: 0.35, end: 0.5, viseme: 'viseme_PP' }
+    ]);
+  });
+
+  it('should close Azure viseme events at the next event', () => {
+    const lipsync = normalizeLipsync([
+      { audioOffset: 1000000, visemeId: 21 },
+      { audioOffset: 0, visemeId: 0 },
+      { offset: 250, visemeId: 2 }
+    ]);
+
+    expect(lipsync.format).toBe(LIPSYNC_CUE_FORMATS.AZURE);
+    expect(lipsync.cues.map((cue) => [cue.start, cue.end, cue.viseme])).toEqual([
+      [0, 0.1, 'viseme_sil'],
+      [0.1, 0.25, 'viseme_PP'],
+      [0.25, 0.4, 'viseme_aa']
+    ]);
+  });
+
+  it('should read Polly viseme speech marks and skip word marks', () => {
+    const lipsync = normalizeLipsync({
+      speechMarks: [
+        { time: 0, type: 'word', value: 'Hola' },
+        { time: 0, type: 'viseme', value: 'o' },
+        { time: 120, type: 'viseme', value: 'S' },
+        { time: 200, type: 'viseme', value: 's' }
+      ]
+    });
+
+    expect(lipsync.format).toBe(LIPSYNC_CUE_FORMATS.POLLY);
+    expect(lipsync.cues.map((cue) => cue.viseme)).toEqual(['viseme_O', 'viseme_CH', 'viseme_SS']);
+  });
+
+  it('should reject unknown data and accept its own output', () => {
+    expect(detectLipsyncFormat({ foo: [] })).toBeNull();
+    expect(normalizeLipsync('cues')).toBeNull();
+    expect(normalizeLipsync({ mouthCues: [] })).toBeNull();
+
+    const lipsync = normalizeLipsync({ mouthCues: [{ start: 0, end: 0.1, value: 'F' }] });
+    expect(normalizeLipsync(lipsync).cues).toEqual(lipsync.cues);
+  });
+});
+
+describe('Cue Playback', () => {
+  const lipsync = normalizeLipsync({
+    mouthCues: [
+      { start: 0, end: 0.1, value: 'X' },
+      { start: 0.1, end: 0.3, value: 'D' },
+      { start: 0.4, end: 0.5, value: 'F' }
+    ]
+  });
+
+  it('should find the cue at a time', () => {
+    expect(findCueAt(lipsync.cues, 0.2).viseme).toBe('viseme_aa');
+    expect(findCueAt(lipsync.cues, 0.3)).toBeNull();
+    expect(findCueAt(lipsync.cues, 0.45).viseme).toBe('viseme_U');
+    expect(findCueAt([], 0)).toBeNull();
+  });
+
+  it('should follow the audio clock and stay closed on silence', () => {
+    const source = createCueSource(() => lipsync);
+
+    expect(source.type).toBe(LIPSYNC_SOURCE_TYPES.CUES);
+    expect(source.getVisemes({ currentTime: 0.15 })).toEqual({ viseme_aa: 1 });
+    expect(source.getVisemes({ currentTime: 0.05 })).toEqual({});
+    expect(createCueSource(() => null).getVisemes({ currentTime: 0.15 })).toEqual({});
+  });
+
+  it('should look ahead for anticipation', () => {
+    const source = createCueSource(() => lipsync);
+
+    expect(source.getVisemesAt({ currentTime: 0.05 }, 0.13)).toEqual({ viseme_aa: 1 });
+  });
+});
+
+describe('Source Selection', () => {
+  it('should prefer cues, then live analysis, then the fallback', () => {
+    const lipsync = normalizeLipsync({ mouthCues: [{ start: 0, end: 0.1, value: 'D' }] });
+
+    expect(selectLipsyncSource({ lipsync, liveAvailable: true })).toBe(LIPSYNC_SOURCE_TYPES.CUES);
+    expect(selectLipsyncSource({ liveAvailable: true })).toBe(LIPSYNC_SOURCE_TYPES.LIVE);
+    expect(selectLipsyncSource({ liveAvailable: false })).toBe(LIPSYNC_SOURCE_TYPES.FALLBACK);
+    expect(selectLipsyncSource({ lipsync, isSpeech: true })).toBe(LIPSYNC_SOURCE_TYPES.SPEECH);
+  });
+
+  it('should play an offline analysis before live analysis but after cues', () => {
+    const lipsync = normalizeLipsync({ mouthCues: [{ start: 0, end: 0.1, value: 'D' }] });
+    const analysis = { frames: [{ viseme_aa: 1 }] };
+
+    expect(selectLipsyncSource({ analysis, liveAvailable: true })).toBe(LIPSYNC_SOURCE_TYPES.ANALYSIS);
+    expect(selectLipsyncSource({ lipsync, analysis })).toBe(LIPSYNC_SOURCE_TYPES.CUES);
+    expect(selectLipsyncSource({ analysis: { frames: [] }, liveAvailable: true })).toBe(LIPSYNC_SOURCE_TYPES.LIVE);
+  });
+});
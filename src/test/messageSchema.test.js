@@ -0,0 +1,153 @@
+/**
+ * Test suite for backend message validation
+ * Tests normalization defaults, audio/MIME handling and the diagnostics log
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  normalizeMessage,
+  toAudioDataUrl,
+  getFallbackAnimation,
+  DiagnosticsLog,
+  SCHEMA_ISSUES
+} from '../utils/messageSchema';
+
+const codes = (issues) => issues.map((issue) => issue.code);
+
+describe('Message Normalization', () => {
+  it('should pass valid messages through untouched', () => {
+    const raw = {
+      text: 'Hola',
+      audio: 'SUQz',
+      audioMime: 'audio/wav',
+      animation: 'Talking_0',
+      facialExpression: 'smile',
+      lipsync: { mouthCues: [] }
+    };
+    const { message, issues } = normalizeMessage(raw);
+
+    expect(issues).toEqual([]);
+    expect(message).toEqual(raw);
+    expect(message).not.toBe(raw);
+  });
+
+  it('should replace unknown animations and expressions with safe defaults', () => {
+    const { message, issues } = normalizeMessage({
+      text: 'Hola',
+      animation: 'Backflip',
+      facialExpression: 'evil'
+    });
+
+    expect(message.animation).toBe('Talking_1');
+    expect(message.facialExpression).toBe('default');
+    expect(codes(issues)).toEqual([SCHEMA_ISSUES.UNKNOWN_ANIMATION, SCHEMA_ISSUES.UNKNOWN_EXPRESSION]);
+  });
+
+  it('should validate animations against the registered list', () => {
+    const { message } = normalizeMessage({ animation: 'Wave' }, { animations: ['Idle', 'Wave'] });
+    const { message: fallback } = normalizeMessage({ animation: 'Rumba' }, { animations: ['Idle', 'Wave'] });
+
+    expect(message.animation).toBe('Wave');
+    expect(fallback.animation).toBe('Idle');
+    expect(getFallbackAnimation(['Dance'])).toBe('Dance');
+  });
+
+  it('should fill missing fields without reporting issues', () => {
+    const { message, issues } = normalizeMessage({ text: 'Hola' });
+
+    expect(issues).toEqual([]);
+    expect(message).toMatchObject({ audio: '', audioMime: 'audio/mpeg', facialExpression: 'default' });
+  });
+
+  it('should reject non-object messages', () => {
+    const { message, issues } = normalizeMessage('hola');
+
+    expect(message).toBeNull();
+    expect(codes(issues)).toEqual([SCHEMA_ISSUES.INVALID_MESSAGE]);
+  });
+
+  it('should drop invalid audio and keep the message', () => {
+    const { message, issues } = normalizeMessage({ text: 'Hola', audio: 'not base64!' });
+
+    expect(message.audio).toBe('');
+    expect(message.text).toBe('Hola');
+    expect(codes(issues)).toEqual([SCHEMA_ISSUES.INVALID_AUDIO]);
+  });
+
+  it('should convert url-safe base64 to the standard alphabet', () => {
+    const { message, issues } = normalizeMessage({ audio: '-_8=' });
+
+    expect(issues).toEqual([]);
+    expect(message.audio).toBe('+/8=');
+    expect(() => atob(message.audio)).not.toThrow();
+  });
+
+  it('should unwrap data URLs and honour their MIME type', () => {
+    const { message, issues } = normalizeMessage({ audio: 'data:audio/ogg;base64,T2dn' });
+
+    expect(issues).toEqual([]);
+    expect(message.audio).toBe('T2dn');
+    expect(message.audioMime).toBe('audio/ogg');
+  });
+
+  it('should normalize MIME types', () => {
+    expect(normalizeMessage({ audioMime: 'audio/mp3' }).message.audioMime).toBe('audio/mpeg');
+
+    const { message, issues } = normalizeMessage({ audioMime: 'video/mp4' });
+    expect(message.audioMime).toBe('audio/mpeg');
+    expect(codes(issues)).toEqual([SCHEMA_ISSUES.INVALID_AUDIO_MIME]);
+  });
+
+  it('should keep safe audio URLs and drop others', () => {
+    const { message, issues } = normalizeMessage({
+      audioUrl: ' https://cdn.example.com/a.mp3 ',
+      audioStreamUrl: 'javascript:alert(1)'
+    });
+
+    expect(message.audioUrl).toBe('https://cdn.example.com/a.mp3');
+    expect(message).not.toHaveProperty('audioStreamUrl');
+    expect(codes(issues)).toEqual([SCHEMA_ISSUES.INVALID_AUDIO_URL]);
+    expect(normalizeMessage({ audioUrl: '/audio/1.mp3' }).issues).toEqual([]);
+  });
+
+  it('should keep known lipsync cue formats and drop others', () => {
+    const cues = [{ audioOffset: 0, visemeId: 21 }];
+
+    expect(normalizeMessage({ lipsync: cues }).message.lipsync).toBe(cues);
+
+    const { message, issues } = normalizeMessage({ lipsync: { phonemes: [] } });
+    expect(message).not.toHaveProperty('lipsync');
+    expect(codes(issues)).toEqual([SCHEMA_ISSUES.INVALID_LIPSYNC]);
+  });
+
+  it('should build data URLs from the message MIME type', () => {
+    expect(toAudioDataUrl({ audio: 'UklG', audioMime: 'audio/wav' })).toBe('data:audio/wav;base64,UklG');
+    expect(toAudioDataUrl({ audio: 'SUQz' })).toBe('data:audio/mpeg;base64,SUQz');
+  });
+});
+
+describe('Diagnostics Log', () => {
+  it('should keep only the most recent entries', () => {
+    const log = new DiagnosticsLog({ limit: 2 });
+    log.record({ code: 'a' });
+    log.record({ code: 'b' });
+    log.record({ code: 'c' });
+
+    expect(log.getEntries().map((entry) => entry.code)).toEqual(['b', 'c']);
+    expect(log.getEntries()[0].timestamp).toEqual(expect.any(Number));
+  });
+
+  it('should notify subscribers on record and clear', () => {
+    const log = new DiagnosticsLog();
+    const listener = vi.fn();
+    const unsubscribe = log.subscribe(listener);
+
+    log.record({ code: 'a' });
+    log.clear();
+    unsubscribe();
+    log.record({ code: 'b' });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith([]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Test suite for the persistent user-message outbox
+ * Tests ordering, persistence across reloads and status transitions
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { OfflineOutbox, OUTBOX_STATUS, OUTBOX_STORAGE_KEY } from '../utils/offlineOutbox';
+
+const createMemoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+};
+
+let storage;
+
+beforeEach(() => {
+  storage = createMemoryStorage();
+});
+
+describe('OfflineOutbox', () => {
+  it('should keep messages in the order they were sent', () => {
+    const outbox = new OfflineOutbox({ storage });
+
+    outbox.enqueue('Primero', 's1');
+    outbox.enqueue('Segundo', 's1');
+
+    expect(outbox.peek().text).toBe('Primero');
+    outbox.remove(outbox.peek().id);
+    expect(outbox.peek().text).toBe('Segundo');
+  });
+
+  it('should persist pending messages and restore them after a reload', () => {
+    const outbox = new OfflineOutbox({ storage });
+    outbox.enqueue('Hola', 's1');
+    outbox.enqueue('¿Sigues ahí?', 's1');
+
+    const reloaded = new OfflineOutbox({ storage });
+
+    expect(reloaded.getItems().map((item) => item.text)).toEqual(['Hola', '¿Sigues ahí?']);
+    expect(reloaded.peek().sessionId).toBe('s1');
+  });
+
+  it('should reset in-flight messages to pending after a reload', () => {
+    const outbox = new OfflineOutbox({ storage });
+    const item = outbox.enqueue('Hola', 's1');
+    outbox.markSending(item.id);
+
+    const reloaded = new OfflineOutbox({ storage });
+
+    expect(reloaded.peek().status).toBe(OUTBOX_STATUS.PENDING);
+    expect(reloaded.peek().attempts).toBe(1);
+  });
+
+  it('should not persist greeting requests', () => {
+    const outbox = new OfflineOutbox({ storage });
+    outbox.enqueue(null, 's1');
+
+    expect(storage.getItem(OUTBOX_STORAGE_KEY)).toBeNull();
+    expect(new OfflineOutbox({ storage }).size).toBe(0);
+  });
+
+  it('should clear storage once every message is delivered', () => {
+    const outbox = new OfflineOutbox({ storage });
+    const item = outbox.enqueue('Hola', 's1');
+
+    outbox.remove(item.id);
+
+    expect(storage.getItem(OUTBOX_STORAGE_KEY)).toBeNull();
+  });
+
+  it('should notify subscribers with snapshots', () => {
+    const outbox = new OfflineOutbox({ storage });
+    const listener = vi.fn();
+    outbox.subscribe(listener);
+
+    const item = outbox.enqueue('Hola', 's1');
+    outbox.markSending(item.id);
+    outbox.markPending(item.id);
+
+    expect(listener).toHaveBeenCalledTimes(3);
+    expect(listener.mock.calls[1][0][0].status).toBe(OUTBOX_STATUS.SENDING);
+    expect(listener.mock.calls[2][0][0].status).toBe(OUTBOX_STATUS.PENDING);
+  });
+
+  it('should ignore corrupted storage', () => {
+    storage.setItem(OUTBOX_STORAGE_KEY, '{not json');
+
+    expect(new OfflineOutbox({ storage }).size).toBe(0);
+  });
+
+  it('should work without storage', () => {
+    const outbox = new OfflineOutbox({ storage: null });
+    outbox.enqueue('Hola', 's1');
+
+    expect(outbox.size).toBe(1);
+  });
+});
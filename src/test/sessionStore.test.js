@@ -0,0 +1,130 @@
+/**
+ * Test suite for the conversation session list
+ * Tests ordering by activity, automatic titles, renaming, removal and persistence
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  SessionStore,
+  DEFAULT_SESSION_TITLE,
+  SESSIONS_STORAGE_KEY,
+  deriveSessionTitle,
+  formatSessionDate
+} from '../utils/sessionStore';
+
+const createMemoryStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key)
+  };
+};
+
+let storage;
+
+beforeEach(() => {
+  storage = createMemoryStorage();
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date('2024-05-01T10:00:00'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('Session Titles', () => {
+  it('should derive a title from the first user message', () => {
+    expect(deriveSessionTitle('  ¿Qué   tiempo hace?  ')).toBe('¿Qué tiempo hace?');
+    expect(deriveSessionTitle('')).toBe(DEFAULT_SESSION_TITLE);
+  });
+
+  it('should truncate long titles', () => {
+    const title = deriveSessionTitle('a'.repeat(100), 10);
+
+    expect(title).toHaveLength(10);
+    expect(title.endsWith('…')).toBe(true);
+  });
+});
+
+describe('SessionStore', () => {
+  it('should list sessions by last activity', () => {
+    const store = new SessionStore({ storage });
+    const first = store.create();
+    vi.advanceTimersByTime(1000);
+    const second = store.create();
+    vi.advanceTimersByTime(1000);
+    store.touch(first.id);
+
+    expect(store.list().map((s) => s.id)).toEqual([first.id, second.id]);
+  });
+
+  it('should name a session after the first user message only', () => {
+    const store = new SessionStore({ storage });
+    const session = store.create();
+
+    store.touch(session.id, { userText: 'Reservar un vuelo' });
+    store.touch(session.id, { userText: 'Otra cosa' });
+
+    expect(store.get(session.id).title).toBe('Reservar un vuelo');
+  });
+
+  it('should keep custom titles', () => {
+    const store = new SessionStore({ storage });
+    const session = store.create();
+
+    store.rename(session.id, 'Viaje a La Paz');
+    store.touch(session.id, { userText: 'Hola' });
+
+    expect(store.get(session.id)).toMatchObject({ title: 'Viaje a La Paz', customTitle: true });
+  });
+
+  it('should reset to the default title when renamed to blank', () => {
+    const store = new SessionStore({ storage });
+    const session = store.create();
+
+    store.rename(session.id, '   ');
+
+    expect(store.get(session.id)).toMatchObject({ title: DEFAULT_SESSION_TITLE, customTitle: false });
+  });
+
+  it('should register unknown sessions once', () => {
+    const store = new SessionStore({ storage });
+
+    store.ensure('default');
+    store.ensure('default');
+
+    expect(store.list()).toHaveLength(1);
+  });
+
+  it('should remove sessions and persist the list', () => {
+    const store = new SessionStore({ storage });
+    const keep = store.create({ id: 'keep' });
+    store.create({ id: 'drop' });
+
+    store.remove('drop');
+
+    const reloaded = new SessionStore({ storage });
+    expect(reloaded.list().map((s) => s.id)).toEqual([keep.id]);
+  });
+
+  it('should notify subscribers and ignore corrupted storage', () => {
+    const store = new SessionStore({ storage });
+    const listener = vi.fn();
+    store.subscribe(listener);
+    store.create();
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    storage.setItem(SESSIONS_STORAGE_KEY, '{broken');
+    expect(new SessionStore({ storage }).list()).toEqual([]);
+  });
+});
+
+describe('formatSessionDate', () => {
+  it('should show the time for today and the date otherwise', () => {
+    const now = new Date('2024-05-01T18:00:00').getTime();
+
+    expect(formatSessionDate(new Date('2024-05-01T09:30:00').getTime(), now)).toMatch(/09.30|9.30/);
+    expect(formatSessionDate(new Date('2024-04-02T09:30:00').getTime(), now)).toMatch(/2024/);
+  });
+});
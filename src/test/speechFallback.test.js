@@ -0,0 +1,141 @@
+/**
+ * Test suite for the browser TTS fallback
+ * Tests voice selection and the playback clock
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { selectVoice, SpeechPlayback } from '../utils/speechFallback';
+
+const voices = [
+  { name: 'Google US English', lang: 'en-US', localService: false },
+  { name: 'Mónica', lang: 'es-ES', localService: true },
+  { name: 'Google español', lang: 'es-ES', localService: false },
+  { name: 'Paulina', lang: 'es_MX', localService: true }
+];
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+const createSynth = () => ({
+  speak: vi.fn(),
+  pause: vi.fn(),
+  resume: vi.fn(),
+  cancel: vi.fn(),
+  getVoices: () => voices
+});
+
+const createPlayback = (text = 'Hola mundo') => {
+  let time = 0;
+  const synth = createSynth();
+  const playback = new SpeechPlayback(text, {
+    lang: 'es-BO',
+    synth,
+    Utterance: FakeUtterance,
+    now: () => time
+  });
+  return { playback, synth, advance: (ms) => { time += ms; } };
+};
+
+describe('Voice Selection', () => {
+  it('should match the exact locale first', () => {
+    expect(selectVoice(voices, 'es-MX').name).toBe('Paulina');
+  });
+
+  it('should fall back to the same language, preferring local voices', () => {
+    expect(selectVoice(voices, 'es-BO').name).toBe('Mónica');
+  });
+
+  it('should honour a voice name and return null without a match', () => {
+    expect(selectVoice(voices, 'es-BO', 'Google español').name).toBe('Google español');
+    expect(selectVoice(voices, 'fr-FR')).toBeNull();
+    expect(selectVoice([], 'es-BO')).toBeNull();
+  });
+});
+
+describe('Speech Playback', () => {
+  it('should speak with the selected voice and language', async () => {
+    const { playback, synth } = createPlayback();
+    await playback.play();
+
+    const utterance = synth.speak.mock.calls[0][0];
+    expect(utterance.text).toBe('Hola mundo');
+    expect(utterance.lang).toBe('es-BO');
+    expect(utterance.voice.name).toBe('Mónica');
+    expect(playback.paused).toBe(false);
+  });
+
+  it('should run a clock that stops while paused', async () => {
+    const { playback, synth, advance } = createPlayback();
+    await playback.play();
+    advance(500);
+    expect(playback.currentTime).toBeCloseTo(0.5);
+
+    playback.pause();
+    advance(1000);
+    expect(playback.currentTime).toBeCloseTo(0.5);
+    expect(synth.pause).toHaveBeenCalled();
+
+    await playback.play();
+    advance(250);
+    expect(synth.resume).toHaveBeenCalled();
+    expect(playback.currentTime).toBeCloseTo(0.75);
+  });
+
+  it('should produce visemes while speaking only', async () => {
+    const { playback, advance } = createPlayback('mamá');
+    expect(playback.getVisemes()).toEqual({});
+
+    await playback.play();
+    advance(10);
+    expect(Object.keys(playback.getVisemes())).toEqual(['viseme_PP']);
+  });
+
+  it('should re-align the clock on word boundaries', async () => {
+    const { playback, synth } = createPlayback();
+    await playback.play();
+    const utterance = synth.speak.mock.calls[0][0];
+
+    utterance.onboundary({ charIndex: 5 });
+
+    const segment = playback.timeline.find((s) => s.charIndex === 5);
+    expect(playback.currentTime).toBeCloseTo(segment.start);
+  });
+
+  it('should report end and errors like an audio element', async () => {
+    const { playback, synth } = createPlayback();
+    playback.onended = vi.fn();
+    await playback.play();
+    synth.speak.mock.calls[0][0].onend();
+
+    expect(playback.ended).toBe(true);
+    expect(playback.onended).toHaveBeenCalled();
+
+    const failing = createPlayback();
+    failing.playback.onerror = vi.fn();
+    await failing.playback.play();
+    failing.synth.speak.mock.calls[0][0].onerror({ error: 'synthesis-failed' });
+    expect(failing.playback.onerror).toHaveBeenCalledWith(expect.any(Error));
+  });
+
+  it('should cancel without firing onended', async () => {
+    const { playback, synth } = createPlayback();
+    playback.onended = vi.fn();
+    await playback.play();
+    const utterance = synth.speak.mock.calls[0][0];
+
+    playback.cancel();
+    utterance.onend();
+
+    expect(synth.cancel).toHaveBeenCalled();
+    expect(playback.onended).not.toHaveBeenCalled();
+  });
+
+  it('should reject play when speechSynthesis is missing', async () => {
+    const playback = new SpeechPlayback('Hola', { synth: undefined, Utterance: undefined });
+
+    await expect(playback.play()).rejects.toThrow('speechSynthesis');
+  });
+});
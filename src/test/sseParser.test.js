@@ -0,0 +1,167 @@
+/**
+ * Test suite for the Server-Sent Events parser used by streaming chat replies
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createSSEParser,
+  isEventStream,
+  readEventStream
+} from '../utils/sseParser';
+
+const createStreamResponse = (chunks) => {
+  const encoder = new TextEncoder();
+  let index = 0;
+  const reader = {
+    read: async () =>
+      index < chunks.length
+        ? { done: false, value: encoder.encode(chunks[index++]) }
+        : { done: true, value: undefined },
+    cancel: vi.fn(async () => {}),
+    releaseLock: vi.fn()
+  };
+  return {
+    headers: { get: () => 'text/event-stream; charset=utf-8' },
+    body: { getReader: () => reader },
+    reader
+  };
+};
+
+describe('SSE Parser', () => {
+  it('should dispatch events terminated by a blank line', () => {
+    const onEvent = vi.fn();
+    const parser = createSSEParser(onEvent);
+
+    parser.push('event: message\ndata: {"text":"Hola"}\n\n');
+
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(onEvent).toHaveBeenCalledWith({
+      event: 'message',
+      data: '{"text":"Hola"}',
+      id: ''
+    });
+  });
+
+  it('should reassemble events split across chunks', () => {
+    const onEvent = vi.fn();
+    const parser = createSSEParser(onEvent);
+
+    parser.push('event: mess');
+    parser.push('age\ndata: {"te');
+    parser.push('xt":"Hola"}\r\n\r\n');
+
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(onEvent.mock.calls[0][0].data)).toEqual({ text: 'Hola' });
+  });
+
+  it('should not end an event early when a CRLF is split across chunks', () => {
+    const onEvent = vi.fn();
+    const parser = createSSEParser(onEvent);
+
+    parser.push('data: line one\r');
+    parser.push('\ndata: line two\r');
+    expect(onEvent).not.toHaveBeenCalled();
+
+    parser.push('\n\r');
+    parser.push('\n');
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(onEvent.mock.calls[0][0].data).toBe('line one\nline two');
+
+    parser.push('data: last\r');
+    parser.flush();
+    expect(onEvent).toHaveBeenLastCalledWith({ event: 'message', data: 'last', id: '' });
+  });
+
+  it('should join multi-line data and default the event name', () => {
+    const onEvent = vi.fn();
+    const parser = createSSEParser(onEvent);
+
+    parser.push('data: line one\ndata: line two\n\n');
+
+    expect(onEvent.mock.calls[0][0]).toEqual({
+      event: 'message',
+      data: 'line one\nline two',
+      id: ''
+    });
+  });
+
+  it('should ignore comments and events without data', () => {
+    const onEvent = vi.fn();
+    const parser = createSSEParser(onEvent);
+
+    parser.push(': keep-alive\n\nevent: ping\n\n');
+
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  it('should dispatch a trailing event on flush', () => {
+    const onEvent = vi.fn();
+    const parser = createSSEParser(onEvent);
+
+    parser.push('event: done\ndata: {}');
+    parser.flush();
+
+    expect(onEvent).toHaveBeenCalledWith({ event: 'done', data: '{}', id: '' });
+  });
+});
+
+describe('Event stream responses', () => {
+  it('should detect text/event-stream responses', () => {
+    expect(isEventStream({ headers: { get: () => 'text/event-stream' } })).toBe(true);
+    expect(isEventStream({ headers: { get: () => 'application/json' } })).toBe(false);
+    expect(isEventStream(null)).toBe(false);
+  });
+
+  it('should deliver each message as soon as its chunk is read', async () => {
+    const response = createStreamResponse([
+      'event: message\ndata: {"text":"Uno"}\n\n',
+      'event: message\ndata: {"text":"Dos"}\n\n',
+      'event: done\ndata: {"resetSuggested":false}\n\n'
+    ]);
+    const events = [];
+
+    await readEventStream(response, (evt) => events.push(evt));
+
+    expect(events.map((e) => e.event)).toEqual(['message', 'message', 'done']);
+    expect(JSON.parse(events[1].data).text).toBe('Dos');
+  });
+
+  it('should cancel the stream when a listener stops reading early', async () => {
+    const response = createStreamResponse([
+      'event: error\ndata: {"message":"boom"}\n\n',
+      'event: message\ndata: {"text":"Nunca"}\n\n'
+    ]);
+    const onEvent = vi.fn(() => {
+      throw new Error('boom');
+    });
+
+    await expect(readEventStream(response, onEvent)).rejects.toThrow('boom');
+
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(response.reader.cancel).toHaveBeenCalled();
+    expect(response.reader.cancel.mock.invocationCallOrder[0]).toBeLessThan(
+      response.reader.releaseLock.mock.invocationCallOrder[0]
+    );
+  });
+
+  it('should not cancel a stream that ended normally', async () => {
+    const response = createStreamResponse(['data: {"text":"Hola"}\n\n']);
+
+    await readEventStream(response, vi.fn());
+
+    expect(response.reader.cancel).not.toHaveBeenCalled();
+    expect(response.reader.releaseLock).toHaveBeenCalled();
+  });
+
+  it('should parse the whole body when streaming is unavailable', async () => {
+    const response = {
+      headers: { get: () => 'text/event-stream' },
+      text: async () => 'data: {"text":"Hola"}\n\n'
+    };
+    const onEvent = vi.fn();
+
+    await readEventStream(response, onEvent);
+
+    expect(onEvent).toHaveBeenCalledTimes(1);
+  });
+});
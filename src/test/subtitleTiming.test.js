@@ -0,0 +1,108 @@
+/**
+ * Test suite for karaoke subtitle timing
+ * Tests word estimation, backend timings, active word lookup and caption paging
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  tokenizeWords,
+  estimateWordTimings,
+  getProvidedWordTimings,
+  getWordTimings,
+  getActiveWordIndex,
+  getCaptionWindow,
+  estimateSpeechDuration
+} from '../utils/subtitleTiming';
+
+describe('Word Estimation', () => {
+  it('should keep character offsets of each word', () => {
+    expect(tokenizeWords('Hola,  mundo')).toEqual([
+      { word: 'Hola,', charStart: 0, charEnd: 5 },
+      { word: 'mundo', charStart: 7, charEnd: 12 }
+    ]);
+  });
+
+  it('should spread the whole duration over the words in order', () => {
+    const timings = estimateWordTimings('Hola, ¿cómo estás hoy?', 3);
+
+    expect(timings[0].start).toBe(0);
+    expect(timings[timings.length - 1].end).toBe(3);
+    timings.slice(1).forEach((t, i) => expect(t.start).toBeCloseTo(timings[i].end));
+  });
+
+  it('should give longer words and pauses more time', () => {
+    const [short, long] = estimateWordTimings('sí extraordinario', 2);
+    expect(long.end - long.start).toBeGreaterThan(short.end - short.start);
+
+    const [withComma, plain] = estimateWordTimings('casa, casa', 2);
+    expect(withComma.end - withComma.start).toBeGreaterThan(plain.end - plain.start);
+  });
+
+  it('should estimate a duration when the audio has none yet', () => {
+    const timings = estimateWordTimings('Hola mundo', NaN);
+
+    expect(timings[1].end).toBe(estimateSpeechDuration('Hola mundo'));
+  });
+
+  it('should return no timings for empty text', () => {
+    expect(estimateWordTimings('', 2)).toEqual([]);
+  });
+});
+
+describe('Backend Word Timings', () => {
+  it('should read wordTimings in seconds', () => {
+    const timings = getProvidedWordTimings({
+      text: 'Hola, mundo.',
+      wordTimings: [
+        { word: 'Hola', start: 0.1, end: 0.4 },
+        { word: 'mundo', start: 0.6, end: 1.0 }
+      ]
+    });
+
+    expect(timings).toEqual([
+      { word: 'Hola', start: 0.1, end: 0.4, charStart: 0, charEnd: 4 },
+      { word: 'mundo', start: 0.6, end: 1.0, charStart: 6, charEnd: 11 }
+    ]);
+  });
+
+  it('should read words/wtimes/wdurations in milliseconds', () => {
+    const timings = getProvidedWordTimings({
+      text: 'Hola mundo',
+      words: ['Hola', 'mundo'],
+      wtimes: [0, 500],
+      wdurations: [400, 600]
+    });
+
+    expect(timings.map(({ start, end }) => [start, end])).toEqual([[0, 0.4], [0.5, 1.1]]);
+  });
+
+  it('should prefer backend timings over estimation', () => {
+    const message = { text: 'Hola', wordTimings: [{ word: 'Hola', start: 0.2, end: 0.5 }] };
+
+    expect(getWordTimings(message, 10)[0].start).toBe(0.2);
+    expect(getWordTimings({ text: 'Hola' }, 10)[0].end).toBe(10);
+  });
+});
+
+describe('Active Word', () => {
+  const timings = estimateWordTimings('uno dos tres cuatro', 4);
+
+  it('should be -1 before the first word', () => {
+    expect(getActiveWordIndex(timings, -0.1)).toBe(-1);
+    expect(getActiveWordIndex([], 1)).toBe(-1);
+  });
+
+  it('should follow playback time', () => {
+    expect(getActiveWordIndex(timings, 0)).toBe(0);
+    expect(getActiveWordIndex(timings, timings[2].start + 0.01)).toBe(2);
+    expect(getActiveWordIndex(timings, 99)).toBe(3);
+  });
+
+  it('should page long captions around the active word', () => {
+    const long = estimateWordTimings('a b c d e f g', 7);
+
+    expect(getCaptionWindow(long, -1, 3)).toMatchObject({ offset: 0 });
+    expect(getCaptionWindow(long, 4, 3).words.map((w) => w.word)).toEqual(['d', 'e', 'f']);
+    expect(getCaptionWindow(long, 6, 3).words.map((w) => w.word)).toEqual(['g']);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Test suite for the text-to-viseme generator
+ * Tests Spanish and English spelling rules, language detection and the timeline
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  detectTextLanguage,
+  textToPhonemes,
+  textToVisemeTimeline,
+  getTimelineVisemes
+} from '../utils/textToVisemes';
+import { generateFallbackLipsync } from '../utils/lipsyncErrorHandler';
+
+const phonemes = (text, language) =>
+  textToPhonemes(text, language)
+    .map((token) => token.phoneme)
+    .filter(Boolean)
+    .join(' ');
+
+describe('Spanish Rules', () => {
+  it('should handle digraphs, silent h and trills', () => {
+    expect(phonemes('chico', 'es')).toBe('tS i k o');
+    expect(phonemes('hola', 'es')).toBe('o l a');
+    expect(phonemes('perro rosa', 'es')).toBe('p e rr o rr o s a');
+    expect(phonemes('llama', 'es')).toBe('L a m a');
+  });
+
+  it('should soften c and g before e/i and read qu/gu as k/g', () => {
+    expect(phonemes('cielo gente', 'es')).toBe('s j e l o x e n t e');
+    expect(phonemes('queso guitarra', 'es')).toBe('k e s o g i t a rr a');
+    expect(phonemes('pingüino', 'es')).toBe('p i n g w i n o');
+  });
+
+  it('should glide unstressed i/u next to vowels and treat final y as a vowel', () => {
+    expect(phonemes('bueno', 'es')).toBe('b w e n o');
+    expect(phonemes('ciudad', 'es')).toBe('s j u d a d');
+    expect(phonemes('hoy y yo', 'es')).toBe('o i i j o');
+  });
+});
+
+describe('English Rules', () => {
+  it('should handle common digraphs, double letters and the silent final e', () => {
+    expect(phonemes('the fish', 'en')).toBe('T e f i S');
+    expect(phonemes('hello', 'en')).toBe('h e l o');
+    expect(phonemes('make', 'en')).toBe('m a k');
+    expect(phonemes('sing', 'en')).toBe('s i N');
+  });
+
+  it('should pick the rules from the voice language or the text', () => {
+    expect(detectTextLanguage('anything', 'en-US')).toBe('en');
+    expect(detectTextLanguage('anything', 'es-BO')).toBe('es');
+    expect(detectTextLanguage('Hello, how are you and the kids?')).toBe('en');
+    expect(detectTextLanguage('¿Cómo estás?')).toBe('es');
+  });
+});
+
+describe('Viseme Timeline', () => {
+  it('should keep one token per character except digraphs', () => {
+    const tokens = textToPhonemes('Hola, chico.', 'es');
+
+    expect(tokens.map((token) => token.charIndex)).toEqual([0, 1, 2, 3, 4, 5, 6, 8, 9, 10, 11]);
+    expect(tokens[0].pause).toBe('silent');
+  });
+
+  it('should stretch to the audio duration and hold accented vowels longer', () => {
+    const timeline = textToVisemeTimeline('mamá', { duration: 1.5 });
+    const [, a, , accented] = timeline;
+
+    expect(timeline[timeline.length - 1].end).toBeCloseTo(1.5);
+    expect(accented.end - accented.start).toBeGreaterThan(a.end - a.start);
+    expect(accented.viseme).toBe('viseme_aa');
+  });
+
+  it('should give silent letters no time', () => {
+    const [h, o] = textToVisemeTimeline('ho', { duration: 1 });
+
+    expect(h.end - h.start).toBe(0);
+    expect(getTimelineVisemes([h, o], 0).viseme_O).toBeGreaterThan(0);
+  });
+
+  it('should cover the text in order with contiguous segments', () => {
+    const timeline = textToVisemeTimeline('Hola, mamá.');
+
+    expect(timeline).toHaveLength(11);
+    timeline.slice(1).forEach((segment, i) => {
+      expect(segment.start).toBeCloseTo(timeline[i].end);
+    });
+    expect(timeline.map((s) => s.viseme).slice(0, 4)).toEqual([null, 'viseme_O', 'viseme_DD', 'viseme_aa']);
+  });
+
+  it('should give punctuation longer pauses than letters', () => {
+    const [letter, stop] = textToVisemeTimeline('a.');
+
+    expect(stop.end - stop.start).toBeGreaterThan(letter.end - letter.start);
+    expect(stop.viseme).toBeNull();
+  });
+
+  it('should return the active viseme with a bounded value', () => {
+    const timeline = textToVisemeTimeline('ma', { duration: 1 });
+    const [m, a] = timeline;
+    const visemes = getTimelineVisemes(timeline, (a.start + a.end) / 2);
+
+    expect(Object.keys(getTimelineVisemes(timeline, m.start))).toEqual(['viseme_PP']);
+    expect(visemes.viseme_aa).toBeGreaterThan(0);
+    expect(visemes.viseme_aa).toBeLessThanOrEqual(1);
+    expect(getTimelineVisemes(timeline, 5)).toEqual({});
+    expect(textToVisemeTimeline('')).toEqual([]);
+  });
+});
+
+describe('Text Fallback', () => {
+  it('should follow the message text instead of oscillating', () => {
+    const text = 'Hola mamá';
+    const audio = { paused: false, ended: false, currentTime: 0, duration: 2 };
+    const timeline = textToVisemeTimeline(text, { duration: 2, lang: 'es-BO' });
+    const m = timeline.find((segment) => segment.viseme === 'viseme_PP');
+    const space = timeline.find((segment) => segment.charIndex === 4);
+
+    audio.currentTime = (m.start + m.end) / 2;
+    expect(Object.keys(generateFallbackLipsync(audio, 0.5, { text, lang: 'es-BO' }))).toEqual(['viseme_PP']);
+
+    audio.currentTime = (space.start + space.end) / 2;
+    expect(generateFallbackLipsync(audio, 0.5, { text, lang: 'es-BO' })).toEqual({});
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Test suite for transcript panel helpers
+ * Tests auto-scroll detection, replay sources and clipboard fallback
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  isScrolledToBottom,
+  getAudioSource,
+  loadAudioSource,
+  copyToClipboard
+} from '../utils/transcriptHelpers';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('isScrolledToBottom', () => {
+  const scroller = (scrollTop) => ({ scrollHeight: 1000, clientHeight: 300, scrollTop });
+
+  it('should follow when the user is at the bottom', () => {
+    expect(isScrolledToBottom(scroller(700))).toBe(true);
+    expect(isScrolledToBottom(scroller(680))).toBe(true);
+  });
+
+  it('should pause following when the user scrolled up', () => {
+    expect(isScrolledToBottom(scroller(400))).toBe(false);
+  });
+
+  it('should treat a missing container as following', () => {
+    expect(isScrolledToBottom(null)).toBe(true);
+  });
+});
+
+describe('getAudioSource', () => {
+  it('should build a data URL honouring the MIME type', () => {
+    expect(getAudioSource({ audio: 'AAAA', audioMime: 'audio/wav' })).toBe('data:audio/wav;base64,AAAA');
+    expect(getAudioSource({ audio: 'AAAA' })).toBe('data:audio/mpeg;base64,AAAA');
+  });
+
+  it('should return null for turns without audio', () => {
+    expect(getAudioSource({ text: 'hola', audio: '', audioUrl: '/a.mp3' })).toBe('/a.mp3');
+    expect(getAudioSource({ text: 'hola', audio: '' })).toBeNull();
+    expect(getAudioSource(null)).toBeNull();
+  });
+});
+
+describe('loadAudioSource', () => {
+  const createCache = () => ({ load: vi.fn(async (url) => `blob:${url}`) });
+
+  it('should load downloaded and streamed clips through the audio cache', async () => {
+    const cache = createCache();
+
+    await expect(loadAudioSource({ audioUrl: '/a.mp3' }, { cache })).resolves.toBe('blob:/a.mp3');
+    await expect(loadAudioSource({ audioStreamUrl: '/s' }, { cache })).resolves.toBe('blob:/s');
+    expect(cache.load.mock.calls).toEqual([['/a.mp3'], ['/s']]);
+  });
+
+  it('should play inline audio directly and skip turns without audio', async () => {
+    const cache = createCache();
+
+    await expect(loadAudioSource({ audio: 'AAAA' }, { cache })).resolves.toBe('data:audio/mpeg;base64,AAAA');
+    await expect(loadAudioSource({ text: 'hola' }, { cache })).resolves.toBeNull();
+    expect(cache.load).not.toHaveBeenCalled();
+  });
+});
+
+describe('copyToClipboard', () => {
+  it('should use the Clipboard API when available', async () => {
+    const writeText = vi.fn().mockResolvedValue();
+    vi.stubGlobal('navigator', { ...navigator, clipboard: { writeText } });
+
+    await expect(copyToClipboard('hola')).resolves.toBe(true);
+    expect(writeText).toHaveBeenCalledWith('hola');
+    vi.unstubAllGlobals();
+  });
+
+  it('should fall back to execCommand and clean up', async () => {
+    vi.stubGlobal('navigator', { ...navigator, clipboard: undefined });
+    document.execCommand = vi.fn().mockReturnValue(true);
+
+    await expect(copyToClipboard('hola')).resolves.toBe(true);
+    expect(document.execCommand).toHaveBeenCalledWith('copy');
+    expect(document.querySelectorAll('textarea')).toHaveLength(0);
+    vi.unstubAllGlobals();
+  });
+});
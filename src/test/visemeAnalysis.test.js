@@ -0,0 +1,144 @@
+/**
+ * Test suite for offline viseme analysis
+ * Tests the analyser emulation, the frame timeline, playback and the worker queue
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  VISEME_ANALYSIS_CONFIG,
+  createSpectrumAnalyser,
+  selectStrongestVisemes,
+  analyzeSamples,
+  isVisemeAnalysis,
+  getAnalysisVisemesAt,
+  createAnalysisSource,
+  VisemeAnalyzer
+} from '../utils/visemeAnalysis';
+import { LIPSYNC_SOURCE_TYPES } from '../utils/lipsyncSources';
+
+const SAMPLE_RATE = 8000;
+
+const tone = (frequency, seconds, amplitude = 0.5) =>
+  Float32Array.from({ length: SAMPLE_RATE * seconds }, (_, i) =>
+    amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE)
+  );
+
+// Opens the mouth in proportion to the spectrum energy
+const createLoudnessScorer = () => (spectrum) => {
+  const level = spectrum.reduce((sum, value) => sum + value, 0) / spectrum.length / 255;
+  return { viseme_sil: level > 0.05 ? 0 : 1, viseme_aa: level * 4, viseme_O: level * 2 };
+};
+
+describe('Spectrum', () => {
+  it('should peak at the bin of a pure tone', () => {
+    const analyse = createSpectrumAnalyser({ fftSize: 256, smoothingTimeConstant: 0 });
+    const spectrum = analyse(tone(1000, 0.1, 0.005), 256);
+    const peak = spectrum.indexOf(Math.max(...spectrum));
+
+    expect(spectrum.length).toBe(128);
+    expect(peak).toBe(Math.round(1000 / (SAMPLE_RATE / 256)));
+  });
+
+  it('should read silence and the padding before the clip as zero', () => {
+    const analyse = createSpectrumAnalyser({ fftSize: 256 });
+
+    expect(Math.max(...analyse(new Float32Array(512), 512))).toBe(0);
+    expect(Math.max(...analyse(tone(500, 0.1), 0))).toBe(0);
+  });
+});
+
+describe('Timeline', () => {
+  const options = { fftSize: 256, createScorer: createLoudnessScorer };
+
+  it('should keep the strongest visemes of each frame', () => {
+    const visemes = selectStrongestVisemes(
+      { viseme_aa: 1.4, viseme_O: 0.5, viseme_E: 0.01, viseme_U: NaN, viseme_I: 0.3, viseme_PP: 0.2 },
+      { MIN_THRESHOLD: 0.02, MAX_BLEND_VISEMES: 3 }
+    );
+
+    expect(visemes).toEqual([['viseme_aa', 1], ['viseme_O', 0.5], ['viseme_I', 0.3]]);
+  });
+
+  it('should produce one frame per tick and close the mouth on silence', () => {
+    const samples = new Float32Array(SAMPLE_RATE);
+    samples.set(tone(300, 0.5), SAMPLE_RATE / 2);
+    const analysis = analyzeSamples(samples, SAMPLE_RATE, options);
+
+    expect(analysis.duration).toBe(1);
+    expect(analysis.frames).toHaveLength(VISEME_ANALYSIS_CONFIG.frameRate);
+    expect(analysis.frames[10]).toEqual({});
+    expect(analysis.frames[50].viseme_aa).toBeGreaterThan(0);
+    expect(analysis.frames[50]).not.toHaveProperty('viseme_sil');
+    expect(isVisemeAnalysis(analysis)).toBe(true);
+  });
+
+  it('should give the same timeline for the same clip', () => {
+    const samples = tone(440, 0.5);
+
+    expect(analyzeSamples(samples, SAMPLE_RATE, options)).toEqual(analyzeSamples(samples, SAMPLE_RATE, options));
+  });
+});
+
+describe('Playback', () => {
+  const analysis = { version: VISEME_ANALYSIS_CONFIG.version, frameRate: 10, duration: 0.3, frames: [{}, { viseme_aa: 0.8 }, { viseme_O: 0.4 }] };
+
+  it('should read the frame at the audio clock', () => {
+    const source = createAnalysisSource(() => analysis);
+
+    expect(source.type).toBe(LIPSYNC_SOURCE_TYPES.ANALYSIS);
+    expect(source.getVisemes({ currentTime: 0.15 })).toEqual({ viseme_aa: 0.8 });
+    expect(source.getVisemes({ currentTime: 0.5 })).toEqual({});
+    expect(getAnalysisVisemesAt({ frames: 'x' }, 0.15)).toEqual({});
+    expect(getAnalysisVisemesAt(analysis, NaN)).toEqual({});
+  });
+});
+
+describe('Analyzer', () => {
+  const decode = vi.fn(async () => ({ samples: tone(300, 0.2), sampleRate: SAMPLE_RATE }));
+
+  const createFakeWorker = () => {
+    const worker = {
+      postMessage: vi.fn(({ id, samples, sampleRate }) => {
+        const analysis = analyzeSamples(samples, sampleRate, { fftSize: 256, createScorer: createLoudnessScorer });
+        queueMicrotask(() => worker.onmessage({ data: { id, analysis } }));
+      }),
+      terminate: vi.fn()
+    };
+    return worker;
+  };
+
+  it('should analyse each message once in the worker and cache the result', async () => {
+    decode.mockClear();
+    const worker = createFakeWorker();
+    const analyzer = new VisemeAnalyzer({ createWorker: () => worker, decode });
+    const message = { audio: 'AAAA' };
+
+    const [first, second] = await Promise.all([analyzer.analyze('reply-1', message), analyzer.analyze('reply-1', message)]);
+
+    expect(first).toBe(second);
+    expect(analyzer.get('reply-1')).toBe(first);
+    expect(decode).toHaveBeenCalledTimes(1);
+    expect(worker.postMessage).toHaveBeenCalledTimes(1);
+    expect(worker.postMessage.mock.calls[0][1]).toHaveLength(1);
+    expect(first.frames.length).toBeGreaterThan(0);
+  });
+
+  it('should surface worker errors and stop pending jobs on dispose', async () => {
+    const worker = {
+      postMessage: vi.fn(({ id }) => queueMicrotask(() => worker.onmessage({ data: { id, error: 'bad clip' } }))),
+      terminate: vi.fn()
+    };
+    const analyzer = new VisemeAnalyzer({ createWorker: () => worker, decode });
+
+    await expect(analyzer.analyze('reply-2', {})).rejects.toThrow('bad clip');
+    expect(analyzer.get('reply-2')).toBeNull();
+
+    worker.postMessage.mockImplementation(() => {});
+    const pending = analyzer.analyze('reply-3', {});
+    await vi.waitFor(() => expect(worker.postMessage).toHaveBeenCalledTimes(2));
+    analyzer.dispose();
+
+    await expect(pending).rejects.toThrow('stopped');
+    expect(worker.terminate).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Test suite for per-model viseme calibration
+ * Tests validation, applying gains/weights/clamps, storage and file loading
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  CALIBRATION_CONFIG,
+  createCalibration,
+  normalizeCalibration,
+  setVisemeGain,
+  setTargetWeight,
+  setTargetClamp,
+  applyCalibration,
+  getCalibrationUrl,
+  loadCalibration,
+  saveCalibration,
+  clearCalibration,
+  getSequenceVisemeAt,
+  getPreviewConversation
+} from '../utils/visemeCalibration';
+import { resolveVisemeProfile, combineVisemeWeights } from '../utils/visemeProfiles';
+
+const MODEL = '/models/avatar.glb';
+const profile = resolveVisemeProfile('arkit', ['jawOpen', 'mouthFunnel', 'mouthPucker']);
+
+describe('Calibration Data', () => {
+  it('should drop unknown visemes and clamp values from files', () => {
+    const calibration = normalizeCalibration(
+      {
+        profile: 'arkit',
+        visemes: {
+          viseme_O: { gain: 9, weights: { jawOpen: 1.5, mouthFunnel: 'x' } },
+          bogus: { gain: 1 }
+        },
+        clamps: { jawOpen: { min: 0.6, max: 0.2 }, mouthFunnel: { min: 0 } }
+      },
+      MODEL
+    );
+
+    expect(calibration.modelUrl).toBe(MODEL);
+    expect(calibration.visemes).toEqual({
+      viseme_O: { gain: CALIBRATION_CONFIG.maxGain, weights: { jawOpen: 1 } }
+    });
+    expect(calibration.clamps).toEqual({ jawOpen: { min: 0.2, max: 0.6 } });
+    expect(normalizeCalibration([], MODEL)).toBeNull();
+  });
+
+  it('should scale weights by gain, override them and clamp driven targets', () => {
+    let calibration = createCalibration(MODEL, 'arkit');
+    calibration = setVisemeGain(calibration, 'viseme_O', 0.5);
+    calibration = setTargetWeight(calibration, 'viseme_O', 'mouthFunnel', 0.4);
+    calibration = setTargetClamp(calibration, 'jawOpen', 0.1, 0.2);
+
+    const calibrated = applyCalibration(profile, calibration);
+
+    expect(calibrated.visemes.viseme_O).toEqual([
+      { target: 'jawOpen', weight: 0.25 },
+      { target: 'mouthFunnel', weight: 0.2 }
+    ]);
+    expect(combineVisemeWeights({ viseme_O: 1 }, calibrated)).toEqual({ jawOpen: 0.2, mouthFunnel: 0.2 });
+    expect(combineVisemeWeights({ viseme_U: 0.1 }, calibrated).jawOpen).toBe(0.1);
+    expect(applyCalibration(profile, null)).toBe(profile);
+  });
+});
+
+describe('Calibration Storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should place the calibration file next to the model', () => {
+    expect(getCalibrationUrl('/models/avatar.glb?v=2')).toBe('/models/avatar.calibration.json');
+  });
+
+  it('should prefer the saved working copy over the file', async () => {
+    const fetchImpl = vi.fn();
+    saveCalibration(setVisemeGain(createCalibration(MODEL), 'viseme_aa', 2));
+
+    const loaded = await loadCalibration(MODEL, { fetchImpl });
+
+    expect(loaded.visemes.viseme_aa.gain).toBe(2);
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  it('should load the calibration file and tolerate a missing one', async () => {
+    const fetchImpl = vi.fn(async (url) =>
+      url === '/models/avatar.calibration.json'
+        ? { ok: true, json: async () => ({ visemes: { viseme_E: { gain: 1.5 } } }) }
+        : { ok: false, json: async () => ({}) }
+    );
+
+    clearCalibration(MODEL);
+
+    expect((await loadCalibration(MODEL, { fetchImpl })).visemes.viseme_E.gain).toBe(1.5);
+    expect(await loadCalibration('/models/other.glb', { fetchImpl })).toBeNull();
+  });
+});
+
+describe('Calibration Preview', () => {
+  it('should step through a viseme sequence by time', () => {
+    const sequence = [
+      { viseme: 'viseme_PP', duration: 100 },
+      { viseme: 'viseme_O', duration: 200 }
+    ];
+
+    expect(getSequenceVisemeAt(sequence, 50)).toBe('viseme_PP');
+    expect(getSequenceVisemeAt(sequence, 250)).toBe('viseme_O');
+    expect(getSequenceVisemeAt(sequence, 300)).toBeNull();
+  });
+
+  it('should replay the latest assistant reply with audio', () => {
+    const history = [
+      { id: 1, role: 'assistant', audio: 'AAA', text: 'uno' },
+      { id: 2, role: 'user', text: 'hola' },
+      { id: 3, role: 'assistant', audio: '', text: 'sin audio' }
+    ];
+
+    expect(getPreviewConversation(history).messages).toEqual([history[0]]);
+    expect(getPreviewConversation([])).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Test suite for the viseme playback engine
+ * Tests dominance, anticipation, bilabial holds and time-based smoothing
+ */
+
+import { describe, it, expect } from 'vitest';
+import { coarticulate, getVisemeDominance, VisemePlaybackEngine } from '../utils/visemeEngine';
+import { OPTIMAL_LIPSYNC_CONFIG } from '../utils/lipsyncOptimization';
+
+const SMOOTHING = {
+  ...OPTIMAL_LIPSYNC_CONFIG.smoothing,
+  ATTACK_TIME: 0.04,
+  RELEASE_TIME: 0.07,
+  ANTICIPATION_STRENGTH: 0.5,
+  COARTICULATION_STRENGTH: 0.6,
+  MIN_HOLD: { viseme_PP: 0.08 },
+  DOMINANCE: { viseme_PP: 1, viseme_U: 0.8, viseme_aa: 0.6, viseme_kk: 0.2 }
+};
+
+const FRAME = 1 / 60;
+
+const run = (engine, frames) => frames.map((current) => engine.update(current, { delta: FRAME }));
+
+describe('Coarticulation', () => {
+  it('should let dominant visemes suppress the ones they overlap with', () => {
+    const targets = coarticulate({ viseme_PP: 1, viseme_aa: 0.8 }, null, SMOOTHING);
+
+    expect(targets.viseme_PP).toBe(1);
+    expect(targets.viseme_aa).toBeCloseTo(0.8 * (1 - 0.6 * (1 - 0.48)));
+  });
+
+  it('should anticipate upcoming visemes in proportion to their dominance', () => {
+    const targets = coarticulate({ viseme_aa: 1 }, { viseme_U: 1, viseme_kk: 1 }, SMOOTHING);
+
+    expect(targets.viseme_U).toBeGreaterThan(targets.viseme_kk);
+    expect(coarticulate({ viseme_U: 0.9 }, { viseme_U: 1 }, SMOOTHING).viseme_U).toBe(0.9);
+    expect(getVisemeDominance('viseme_unknown', SMOOTHING)).toBe(0.5);
+  });
+});
+
+describe('Playback Engine', () => {
+  it('should rise and fall over time instead of per frame', () => {
+    const slow = new VisemePlaybackEngine(SMOOTHING);
+    const fast = new VisemePlaybackEngine(SMOOTHING);
+
+    const afterOneStep = slow.update({ viseme_aa: 1 }, { delta: 0.04 }).viseme_aa;
+    run(fast, [{ viseme_aa: 1 }, { viseme_aa: 1 }]);
+    const afterTwoFrames = fast.update({ viseme_aa: 1 }, { delta: 0.04 - 2 * FRAME }).viseme_aa;
+
+    expect(afterOneStep).toBeCloseTo(1 - Math.exp(-1));
+    expect(afterTwoFrames).toBeCloseTo(afterOneStep);
+  });
+
+  it('should hold a one-frame bilabial closed for the minimum time', () => {
+    const engine = new VisemePlaybackEngine(SMOOTHING);
+    const frames = run(engine, [{ viseme_PP: 1 }, ...Array(7).fill({ viseme_aa: 1 })]);
+
+    // Still closing after four frames (~67 ms) although the source moved on
+    expect(frames[3].viseme_PP).toBeGreaterThan(frames[0].viseme_PP);
+    expect(frames[3].viseme_PP).toBeGreaterThan(frames[3].viseme_aa);
+    // Released once the hold is over
+    expect(frames[7].viseme_PP).toBeLessThan(frames[5].viseme_PP);
+  });
+
+  it('should close the mouth completely after the source goes quiet', () => {
+    const engine = new VisemePlaybackEngine(SMOOTHING);
+    run(engine, Array(10).fill({ viseme_aa: 1 }));
+    const frames = run(engine, Array(90).fill({}));
+
+    expect(frames[frames.length - 1]).toEqual({});
+    engine.update({ viseme_O: 1 }, { delta: FRAME });
+    engine.reset();
+    expect(engine.update({}, { delta: FRAME })).toEqual({});
+  });
+});
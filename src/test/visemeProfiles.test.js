@@ -0,0 +1,94 @@
+/**
+ * Test suite for viseme mapping profiles
+ * Tests profile detection, viseme name normalization and weighted morph target mapping
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  VISEMES,
+  VISEME_PROFILES,
+  normalizeViseme,
+  detectVisemeProfile,
+  resolveVisemeProfile,
+  mapVisemeToMorphTarget,
+  combineVisemeWeights
+} from '../utils/visemeProfiles';
+
+const ARKIT_MOUTH = [
+  'jawOpen',
+  'mouthClose',
+  'mouthFunnel',
+  'mouthPucker',
+  'mouthPressLeft',
+  'mouthPressRight',
+  'mouthRollLower',
+  'mouthSmileLeft',
+  'mouthSmileRight',
+  'mouthStretchLeft',
+  'mouthStretchRight',
+  'mouthLowerDownLeft',
+  'mouthLowerDownRight',
+  'mouthUpperUpLeft',
+  'mouthUpperUpRight',
+  'tongueOut'
+];
+
+describe('Profile Detection', () => {
+  it('should prefer native Oculus visemes, then ARKit, then the basic pair', () => {
+    expect(detectVisemeProfile([...ARKIT_MOUTH, ...VISEMES]).id).toBe('oculus');
+    expect(detectVisemeProfile(ARKIT_MOUTH).id).toBe('arkit');
+    expect(detectVisemeProfile(['mouthOpen', 'mouthSmile']).id).toBe('basic');
+    expect(detectVisemeProfile([]).id).toBe('basic');
+  });
+
+  it('should map every viseme except silence in each profile', () => {
+    Object.values(VISEME_PROFILES).forEach((profile) => {
+      VISEMES.filter((viseme) => viseme !== 'viseme_sil').forEach((viseme) => {
+        expect(Object.keys(profile.visemes[viseme]).length).toBeGreaterThan(0);
+      });
+    });
+  });
+});
+
+describe('Viseme Names', () => {
+  it('should normalize casing and single-letter aliases', () => {
+    expect(normalizeViseme('viseme_AA')).toBe('viseme_aa');
+    expect(normalizeViseme('viseme_pp')).toBe('viseme_PP');
+    expect(normalizeViseme('KK')).toBe('viseme_kk');
+    expect(normalizeViseme('a')).toBe('viseme_aa');
+    expect(normalizeViseme('M')).toBe('viseme_PP');
+    expect(normalizeViseme('sil')).toBe('viseme_sil');
+    expect(normalizeViseme('unknown_viseme')).toBeNull();
+    expect(normalizeViseme(null)).toBeNull();
+  });
+});
+
+describe('Resolved Profiles', () => {
+  it('should drop targets the model does not have', () => {
+    const profile = resolveVisemeProfile('arkit', ['jawOpen', 'mouthFunnel', 'mouthPucker']);
+
+    expect([...profile.targets].sort()).toEqual(['jawOpen', 'mouthFunnel', 'mouthPucker']);
+    expect(mapVisemeToMorphTarget('viseme_O', profile)).toEqual([
+      { target: 'jawOpen', weight: 0.5 },
+      { target: 'mouthFunnel', weight: 0.7 }
+    ]);
+    expect(mapVisemeToMorphTarget('viseme_PP', profile)).toEqual([]);
+    expect(mapVisemeToMorphTarget('viseme_sil', profile)).toEqual([]);
+  });
+
+  it('should map Oculus visemes one to one', () => {
+    const profile = resolveVisemeProfile(VISEME_PROFILES.oculus, VISEMES);
+
+    expect(mapVisemeToMorphTarget('viseme_AA', profile)).toEqual([{ target: 'viseme_aa', weight: 1 }]);
+    expect(profile.targets.size).toBe(VISEMES.length - 1);
+  });
+
+  it('should sum shared targets and clamp them to 1', () => {
+    const profile = resolveVisemeProfile('basic', ['mouthOpen', 'mouthSmile']);
+    const values = combineVisemeWeights({ viseme_aa: 0.8, viseme_O: 0.5, viseme_I: 0.5, bogus: 1 }, profile);
+
+    expect(values.mouthOpen).toBe(1);
+    expect(values.mouthSmile).toBeCloseTo(0.4);
+    expect(combineVisemeWeights({ viseme_aa: 0, viseme_E: NaN }, profile)).toEqual({});
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Audio sources for assistant messages
+ * A message can carry its clip inline (base64 `audio`), as a URL to download
+ * (`audioUrl`, fetched once and cached as a blob) or as a URL to stream
+ * (`audioStreamUrl`, appended chunk by chunk to a MediaSource so playback starts
+ * before the whole file arrives). Every source resolves to a same-origin URL the
+ * Avatar's <audio> element can play and wawa-lipsync can analyse.
+ */
+
+import { DEFAULT_AUDIO_MIME, toAudioDataUrl } from './messageSchema';
+
+export const AUDIO_SOURCE_TYPES = {
+  INLINE: 'inline',  // base64 in message.audio
+  URL: 'url',        // message.audioUrl, fetched and cached
+  STREAM: 'stream',  // message.audioStreamUrl, streamed through MediaSource
+  NONE: 'none'
+};
+
+export const AUDIO_CACHE_CONFIG = {
+  maxEntries: 20,              // Clips kept as object URLs
+  maxBytes: 50 * 1024 * 1024   // Evict oldest clips above this total size
+};
+
+/**
+ * Which kind of audio a message carries
+ * @param {Object} message - Normalized message
+ * @returns {string} One of AUDIO_SOURCE_TYPES
+ */
+export const getAudioSourceType = (message) => {
+  if (!message) return AUDIO_SOURCE_TYPES.NONE;
+  if (message.audioStreamUrl) return AUDIO_SOURCE_TYPES.STREAM;
+  if (message.audioUrl) return AUDIO_SOURCE_TYPES.URL;
+  if (message.audio) return AUDIO_SOURCE_TYPES.INLINE;
+  return AUDIO_SOURCE_TYPES.NONE;
+};
+
+/**
+ * Whether this browser can stream the given MIME type through MediaSource
+ * @param {string} mime - Audio MIME type
+ * @param {Object} MediaSourceImpl - MediaSource constructor (injectable for tests)
+ * @returns {boolean} True when chunks can be appended as they arrive
+ */
+export const isStreamingSupported = (
+  mime = DEFAULT_AUDIO_MIME,
+  MediaSourceImpl = typeof window !== 'undefined' ? window.MediaSource : undefined
+) => {
+  try {
+    return Boolean(MediaSourceImpl?.isTypeSupported?.(mime));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * LRU cache of downloaded clips, keyed by URL
+ * Stores object URLs so repeated plays (replay, transcript) skip the network.
+ * Concurrent requests for the same URL share one download.
+ */
+export class AudioCache {
+  constructor({
+    maxEntries = AUDIO_CACHE_CONFIG.maxEntries,
+    maxBytes = AUDIO_CACHE_CONFIG.maxBytes,
+    fetchImpl,
+    urlImpl
+  } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.fetchImpl = fetchImpl || ((...args) => fetch(...args));
+    this.urlImpl = urlImpl || URL;
+    this.entries = new Map();   // url -> { objectUrl, size }
+    this.pending = new Map();   // url -> Promise<string>
+  }
+
+  has(url) {
+    return this.entries.has(url);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get totalBytes() {
+    let total = 0;
+    this.entries.forEach((entry) => {
+      total += entry.size;
+    });
+    return total;
+  }
+
+  /**
+   * Store a downloaded clip
+   * @param {string} url - Original URL
+   * @param {Blob} blob - Clip data
+   * @returns {string} Object URL for the clip
+   */
+  put(url, blob) {
+    this.delete(url);
+    const objectUrl = this.urlImpl.createObjectURL(blob);
+    this.entries.set(url, { objectUrl, size: blob.size || 0 });
+    this.evict();
+    return objectUrl;
+  }
+
+  /**
+   * Object URL for a clip, downloading it on a miss
+   * @param {string} url - Clip URL
+   * @returns {Promise<string>} Playable object URL
+   */
+  async load(url) {
+    const cached = this.entries.get(url);
+    if (cached) {
+      // Refresh LRU position
+      this.entries.delete(url);
+      this.entries.set(url, cached);
+      return cached.objectUrl;
+    }
+    if (this.pending.has(url)) return this.pending.get(url);
+
+    const download = (async () => {
+      const response = await this.fetchImpl(url);
+      if (!response.ok) {
+        throw new Error(`Audio download failed: ${response.status} ${response.statusText || ''}`.trim());
+      }
+      return this.put(url, await response.blob());
+    })();
+
+    this.pending.set(url, download);
+    try {
+      return await download;
+    } finally {
+      this.pending.delete(url);
+    }
+  }
+
+  delete(url) {
+    const entry = this.entries.get(url);
+    if (!entry) return;
+    this.entries.delete(url);
+    this.urlImpl.revokeObjectURL(entry.objectUrl);
+  }
+
+  evict() {
+    // Always keep the newest clip, even when it alone exceeds maxBytes
+    while (
+      this.entries.size > 1 &&
+      (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes)
+    ) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    [...this.entries.keys()].forEach((url) => this.delete(url));
+  }
+}
+
+export const audioCache = new AudioCache();
+
+/**
+ * Stream a response body into a MediaSource
+ * @param {string} url - Chunked audio URL
+ * @param {Object} options - { mime, cache, fetchImpl, MediaSourceImpl, urlImpl }
+ * @returns {{src: string, done: Promise<void>, abort: Function}} Playable URL and completion
+ */
+export const createStreamingSource = (
+  url,
+  {
+    mime = DEFAULT_AUDIO_MIME,
+    cache = audioCache,
+    fetchImpl = (...args) => fetch(...args),
+    MediaSourceImpl = window.MediaSource,
+    urlImpl = URL
+  } = {}
+) => {
+  const controller = new AbortController();
+  const mediaSource = new MediaSourceImpl();
+  const src = urlImpl.createObjectURL(mediaSource);
+
+  const waitFor = (target, event) =>
+    new Promise((resolve) => target.addEventListener(event, resolve, { once: true }));
+
+  const done = (async () => {
+    await waitFor(mediaSource, 'sourceopen');
+    const sourceBuffer = mediaSource.addSourceBuffer(mime);
+    const response = await fetchImpl(url, { signal: controller.signal });
+    if (!response.ok || !response.body) {
+      throw new Error(`Audio stream failed: ${response.status} ${response.statusText || ''}`.trim());
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    for (;;) {
+      const { done: finished, value } = await reader.read();
+      if (finished) break;
+      chunks.push(value);
+      // SourceBuffer accepts one append at a time
+      const appended = waitFor(sourceBuffer, 'updateend');
+      sourceBuffer.appendBuffer(value);
+      await appended;
+    }
+    if (mediaSource.readyState === 'open') mediaSource.endOfStream();
+
+    // Keep the full clip so replays don't stream it again
+    cache?.put(url, new Blob(chunks, { type: mime }));
+  })();
+
+  return {
+    src,
+    done,
+    abort: () => {
+      controller.abort();
+      try {
+        if (mediaSource.readyState === 'open') mediaSource.endOfStream();
+      } catch (error) {
+        // Already closed
+      }
+    }
+  };
+};
+
+/**
+ * Resolve a message to something an <audio> element can play
+ * Streams fall back to a plain download when MediaSource can't handle the MIME type
+ * @param {Object} message - Normalized message
+ * @param {Object} options - { cache, streamingSupported }
+ * @returns {Promise<{type: string, src: string|null, done: Promise<void>, release: Function}>} Source
+ */
+export const resolveAudioSource = async (
+  message,
+  { cache = audioCache, streamingSupported = isStreamingSupported(message?.audioMime) } = {}
+) => {
+  const type = getAudioSourceType(message);
+  const ready = Promise.resolve();
+  const noop = () => {};
+
+  switch (type) {
+    case AUDIO_SOURCE_TYPES.STREAM: {
+      const url = message.audioStreamUrl;
+      if (cache.has(url) || !streamingSupported) {
+        return { type: AUDIO_SOURCE_TYPES.URL, src: await cache.load(url), done: ready, release: noop };
+      }
+      const stream = createStreamingSource(url, { mime: message.audioMime, cache });
+      return {
+        type,
+        src: stream.src,
+        done: stream.done,
+        release: () => {
+          stream.abort();
+          URL.revokeObjectURL(stream.src);
+        }
+      };
+    }
+    case AUDIO_SOURCE_TYPES.URL:
+      return { type, src: await cache.load(message.audioUrl), done: ready, release: noop };
+    case AUDIO_SOURCE_TYPES.INLINE:
+      return { type, src: toAudioDataUrl(message), done: ready, release: noop };
+    default:
+      return { type, src: null, done: ready, release: noop };
+  }
+};
+
+export default {
+  AUDIO_SOURCE_TYPES,
+  AUDIO_CACHE_CONFIG,
+  AudioCache,
+  audioCache,
+  getAudioSourceType,
+  isStreamingSupported,
+  createStreamingSource,
+  resolveAudioSource
+};
@@ -0,0 +1,159 @@
+/**
+ * Avatar catalog and personas
+ * Each avatar pairs a GLB with persona metadata: display name, default voice
+ * language for the browser TTS fallback and facial expression overrides layered
+ * on top of the shared expression table. Also holds the crossfade helpers used
+ * when switching characters at runtime.
+ */
+
+import { AVATAR_MODEL_CONFIG } from './avatarModel';
+import { SPEECH_FALLBACK_CONFIG } from './speechFallback';
+
+export const AVATAR_STORAGE_KEY = 'avatar_id';
+
+export const AVATAR_TRANSITION_CONFIG = {
+  fadeDuration: 0.6     // Seconds for the crossfade between characters
+};
+
+export const CUSTOM_AVATAR_ID = 'custom';
+
+// Models shipped in public/models
+export const AVATARS = [
+  {
+    id: 'luna',
+    name: 'Luna',
+    url: AVATAR_MODEL_CONFIG.defaultUrl,
+    voiceLang: 'es-BO',
+    expressionOverrides: {}
+  },
+  {
+    id: 'valeria',
+    name: 'Valeria',
+    url: '/models/64f1a714fe61576b46f27ca2.glb',
+    voiceLang: 'es-MX',
+    expressionOverrides: {
+      smile: { mouthSmileLeft: 0.7, mouthSmileRight: 0.7, eyeSquintLeft: 0.3, eyeSquintRight: 0.3 },
+      sad: { mouthFrownLeft: 0.8, mouthFrownRight: 0.8 }
+    }
+  }
+];
+
+/**
+ * Fill persona defaults
+ * @param {Object} entry - Catalog entry
+ * @returns {Object} Persona with every field present
+ */
+export const normalizePersona = (entry) => ({
+  name: entry.id,
+  voiceLang: SPEECH_FALLBACK_CONFIG.lang,
+  expressionOverrides: {},
+  ...entry
+});
+
+/**
+ * Avatars to offer, adding the configured model when it isn't in the catalog
+ * @param {string} configuredUrl - Model URL from prop/query/env (see avatarModel)
+ * @param {Array<Object>} catalog - Known avatars
+ * @returns {Array<Object>} Personas
+ */
+export const getAvatarList = (configuredUrl = null, catalog = AVATARS) => {
+  const list = catalog.map(normalizePersona);
+  if (configuredUrl && !list.some((avatar) => avatar.url === configuredUrl)) {
+    list.push(normalizePersona({ id: CUSTOM_AVATAR_ID, name: 'Personalizado', url: configuredUrl }));
+  }
+  return list;
+};
+
+/**
+ * Avatar by id
+ * @param {Array<Object>} list - Personas
+ * @param {string} id - Avatar id
+ * @returns {Object} Matching persona, or the first one
+ */
+export const findAvatar = (list, id) => list.find((avatar) => avatar.id === id) || list[0];
+
+/**
+ * Avatar after the given one, wrapping around (used for preloading)
+ * @param {Array<Object>} list - Personas
+ * @param {string} id - Current avatar id
+ * @returns {Object|null} Next persona, or null when there is only one
+ */
+export const getNextAvatar = (list, id) => {
+  if (list.length < 2) return null;
+  const index = list.findIndex((avatar) => avatar.id === id);
+  return list[(index + 1) % list.length];
+};
+
+/**
+ * Avatar to show first
+ * An explicitly configured model (prop/query/env) wins over the saved choice
+ * @param {Array<Object>} list - Personas
+ * @param {Object} options - { configuredUrl, storedId }
+ * @returns {string} Avatar id
+ */
+export const getInitialAvatarId = (list, { configuredUrl = null, storedId = null } = {}) => {
+  if (configuredUrl && configuredUrl !== AVATAR_MODEL_CONFIG.defaultUrl) {
+    const configured = list.find((avatar) => avatar.url === configuredUrl);
+    if (configured) return configured.id;
+  }
+  return findAvatar(list, storedId).id;
+};
+
+/**
+ * Expression table for a persona
+ * @param {Object} base - Shared expressions (name -> morph target values)
+ * @param {Object} overrides - Persona overrides, merged per expression
+ * @returns {Object} Expression table
+ */
+export const applyExpressionOverrides = (base, overrides = {}) => {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([name, values]) => {
+    merged[name] = { ...(base[name] || {}), ...values };
+  });
+  return merged;
+};
+
+/**
+ * Move an opacity towards its target at a constant speed
+ * @param {number} current - Current opacity
+ * @param {number} target - 0 or 1
+ * @param {number} delta - Frame time in seconds
+ * @param {number} duration - Seconds for a full fade
+ * @returns {number} New opacity
+ */
+export const stepOpacity = (current, target, delta, duration = AVATAR_TRANSITION_CONFIG.fadeDuration) => {
+  if (duration <= 0) return target;
+  const step = delta / duration;
+  return target > current ? Math.min(target, current + step) : Math.max(target, current - step);
+};
+
+export const loadAvatarId = () => {
+  try {
+    return localStorage.getItem(AVATAR_STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveAvatarId = (id) => {
+  try {
+    localStorage.setItem(AVATAR_STORAGE_KEY, id);
+  } catch (error) {
+    console.warn('⚠️ Could not save avatar choice:', error);
+  }
+};
+
+export default {
+  AVATARS,
+  AVATAR_STORAGE_KEY,
+  AVATAR_TRANSITION_CONFIG,
+  normalizePersona,
+  getAvatarList,
+  findAvatar,
+  getNextAvatar,
+  getInitialAvatarId,
+  applyExpressionOverrides,
+  stepOpacity,
+  loadAvatarId,
+  saveAvatarId
+};
@@ -0,0 +1,132 @@
+/**
+ * Avatar model loading helpers
+ * Resolves which GLB to load (prop, query string, env var or default) and
+ * discovers the meshes the Avatar animates, so any Ready Player Me–style or
+ * generic rigged GLB can be rendered without regenerating the component.
+ */
+
+export const AVATAR_MODEL_CONFIG = {
+  defaultUrl: '/models/68b6f9136e93b8842ffb9fd0.glb',
+  animationsUrl: '/models/animations.glb',
+  modelsPath: '/models/',     // Bare file names resolve here
+  queryParam: 'avatar'        // ?avatar=<url or file name>
+};
+
+// Absolute http(s)/blob URLs or paths on the same origin
+const MODEL_URL_PATTERN = /^(https?:\/\/|blob:|\/|\.{1,2}\/)/i;
+const BARE_FILE_PATTERN = /^[\w.-]+\.(glb|gltf)$/i;
+
+// Name hints for the meshes lipsync and blinking care about most
+const MESH_ROLES = [
+  { role: 'head', pattern: /head|face/i },
+  { role: 'teeth', pattern: /teeth|tooth/i },
+  { role: 'eye', pattern: /eye/i }
+];
+
+/**
+ * Normalize a model URL
+ * @param {string} value - URL, same-origin path or bare file name
+ * @returns {string|null} Usable URL, or null when the value is not acceptable
+ */
+export const normalizeModelUrl = (value) => {
+  if (typeof value !== 'string') return null;
+  const url = value.trim();
+  if (!url) return null;
+  if (MODEL_URL_PATTERN.test(url)) return url;
+  if (BARE_FILE_PATTERN.test(url)) return `${AVATAR_MODEL_CONFIG.modelsPath}${url}`;
+  return null;
+};
+
+/**
+ * Model URL to load, by priority: prop, query string, env var, default
+ * @param {Object} sources - { prop, search, env }
+ * @returns {string} Model URL
+ */
+export const resolveAvatarModelUrl = ({ prop, search = '', env } = {}) => {
+  let query = null;
+  try {
+    query = new URLSearchParams(search).get(AVATAR_MODEL_CONFIG.queryParam);
+  } catch (error) {
+    query = null;
+  }
+
+  const candidates = [
+    ['prop', prop],
+    ['query', query],
+    ['env', env]
+  ];
+  for (const [source, value] of candidates) {
+    if (value === undefined || value === null || value === '') continue;
+    const url = normalizeModelUrl(value);
+    if (url) return url;
+    console.warn(`⚠️ Ignoring invalid avatar model URL from ${source}:`, value);
+  }
+  return AVATAR_MODEL_CONFIG.defaultUrl;
+};
+
+const getRole = (mesh) => MESH_ROLES.find(({ pattern }) => pattern.test(mesh.name))?.role || null;
+
+const morphCount = (mesh) => Object.keys(mesh.morphTargetDictionary || {}).length;
+
+/**
+ * Find the meshes of a loaded model
+ * Morph meshes are ordered head, teeth, eyes, then the rest by morph count, so
+ * lookups that take the first match prefer the face
+ * @param {THREE.Object3D} root - Model scene (or a clone of it)
+ * @returns {Object} { skinnedMeshes, morphMeshes, head, teeth, eyes, warnings }
+ */
+export const discoverAvatarMeshes = (root) => {
+  const skinnedMeshes = [];
+  const morphMeshes = [];
+
+  root?.traverse?.((object) => {
+    if (!object.isMesh) return;
+    if (object.isSkinnedMesh) skinnedMeshes.push(object);
+    if (morphCount(object) > 0 && object.morphTargetInfluences) morphMeshes.push(object);
+  });
+
+  const rank = (mesh) => {
+    const index = MESH_ROLES.findIndex(({ role }) => role === getRole(mesh));
+    return index === -1 ? MESH_ROLES.length : index;
+  };
+  morphMeshes.sort((a, b) => rank(a) - rank(b) || morphCount(b) - morphCount(a));
+
+  const head =
+    morphMeshes.find((mesh) => getRole(mesh) === 'head') ||
+    [...morphMeshes].sort((a, b) => morphCount(b) - morphCount(a))[0] ||
+    null;
+
+  const warnings = [];
+  if (skinnedMeshes.length === 0) warnings.push('No skinned meshes: body animations will not play');
+  if (morphMeshes.length === 0) warnings.push('No morph targets: lipsync and expressions are disabled');
+
+  return {
+    skinnedMeshes,
+    morphMeshes,
+    head,
+    teeth: morphMeshes.find((mesh) => getRole(mesh) === 'teeth') || null,
+    eyes: morphMeshes.filter((mesh) => getRole(mesh) === 'eye'),
+    warnings
+  };
+};
+
+/**
+ * Union of morph target names across meshes
+ * @param {Array<THREE.Mesh>} meshes - Morph meshes
+ * @returns {Array<string>} Morph target names, in first-seen order
+ */
+export const getMorphTargetNames = (meshes = []) => {
+  const names = new Set();
+  meshes.forEach((mesh) => {
+    Object.keys(mesh.morphTargetDictionary || {}).forEach((name) => names.add(name));
+  });
+  return [...names];
+};
+
+export default {
+  AVATAR_MODEL_CONFIG,
+  normalizeModelUrl,
+  resolveAvatarModelUrl,
+  discoverAvatarMeshes,
+  getMorphTargetNames
+};
@@ -0,0 +1,264 @@
+/**
+ * Error handling utilities for chat requests
+ * Provides typed error categories, retries with exponential backoff and jitter,
+ * per-attempt timeouts through AbortController and per-category fallback messages
+ */
+
+// Error types exposed on the useChat context
+export const CHAT_ERROR_TYPES = {
+  OFFLINE: 'offline',
+  TIMEOUT: 'timeout',
+  SERVER_ERROR: 'server_error',
+  MALFORMED_PAYLOAD: 'malformed_payload',
+  UNKNOWN_ERROR: 'unknown_error'
+};
+
+export const DEFAULT_RETRY_CONFIG = {
+  maxRetries: 3,      // Retries after the first attempt
+  baseDelay: 500,     // First retry delay (ms)
+  maxDelay: 8000,     // Upper bound for a single delay (ms)
+  jitter: 0.5,        // +/- fraction of the delay randomized
+  timeout: 20000      // Idle time allowed per attempt before aborting (ms)
+};
+
+/**
+ * Error raised by chat transports with a known category
+ */
+export class ChatRequestError extends Error {
+  constructor(type, message, { status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ChatRequestError';
+    this.type = type;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Exponential backoff delay with jitter
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} config - { baseDelay, maxDelay, jitter }
+ * @param {Function} random - Random source (injectable for tests)
+ * @returns {number} Delay in milliseconds
+ */
+export const computeBackoffDelay = (attempt, config = DEFAULT_RETRY_CONFIG, random = Math.random) => {
+  const { baseDelay, maxDelay, jitter } = { ...DEFAULT_RETRY_CONFIG, ...config };
+  const exponential = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  const spread = exponential * jitter * (random() * 2 - 1);
+  return Math.max(0, Math.round(exponential + spread));
+};
+
+// Chrome, Firefox and Safari wording for a fetch() that never reached the server
+const FETCH_NETWORK_FAILURE = /failed to fetch|networkerror|load failed/;
+
+/**
+ * Categorize a chat failure
+ * @param {Error} error - The error to categorize
+ * @returns {string} Error type from CHAT_ERROR_TYPES
+ */
+export const categorizeChatError = (error) => {
+  if (!error) return CHAT_ERROR_TYPES.UNKNOWN_ERROR;
+  if (error instanceof ChatRequestError) return error.type;
+
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return CHAT_ERROR_TYPES.OFFLINE;
+  }
+
+  const name = error.name || '';
+  const message = error.message?.toLowerCase() || '';
+
+  if (name === 'TimeoutError' || message.includes('timed out') || message.includes('timeout')) {
+    return CHAT_ERROR_TYPES.TIMEOUT;
+  }
+
+  // JSON.parse and friends
+  if (name === 'SyntaxError' || message.includes('json')) {
+    return CHAT_ERROR_TYPES.MALFORMED_PAYLOAD;
+  }
+
+  // fetch() rejects with a TypeError when the backend is unreachable; any other
+  // TypeError is a bug and must not be retried as if the network were down
+  if (name === 'TypeError' && FETCH_NETWORK_FAILURE.test(message)) {
+    return CHAT_ERROR_TYPES.OFFLINE;
+  }
+
+  return CHAT_ERROR_TYPES.UNKNOWN_ERROR;
+};
+
+/**
+ * Whether a failure is worth retrying
+ * Client errors (4xx other than 408/429) and malformed payloads are not transient
+ * @param {Error} error - The error to check
+ * @returns {boolean} True for transient failures
+ */
+export const isTransientError = (error) => {
+  const type = categorizeChatError(error);
+
+  if (type === CHAT_ERROR_TYPES.SERVER_ERROR) {
+    const status = error?.status;
+    return !status || status >= 500 || status === 408 || status === 429;
+  }
+
+  return type === CHAT_ERROR_TYPES.OFFLINE || type === CHAT_ERROR_TYPES.TIMEOUT;
+};
+
+/**
+ * Check an HTTP response before its body is parsed
+ * @param {Response} response - Fetch response
+ * @returns {Response} The same response when it is 2xx
+ */
+export const assertOkResponse = (response) => {
+  if (!response.ok) {
+    throw new ChatRequestError(
+      CHAT_ERROR_TYPES.SERVER_ERROR,
+      `Chat request failed with HTTP ${response.status}`,
+      { status: response.status }
+    );
+  }
+  return response;
+};
+
+/**
+ * Parse a JSON payload, reporting failures as malformed payloads
+ * @param {string} text - Raw JSON
+ * @returns {*} Parsed value
+ */
+export const parseJsonPayload = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ChatRequestError(
+      CHAT_ERROR_TYPES.MALFORMED_PAYLOAD,
+      'Chat response is not valid JSON',
+      { cause: error }
+    );
+  }
+};
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener?.(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(abortError());
+      },
+      { once: true }
+    );
+  });
+
+/**
+ * Run an operation with a per-attempt timeout and retries for transient failures
+ * The operation receives { signal, attempt, keepAlive }; calling keepAlive()
+ * restarts the timeout (useful for streams that keep delivering data).
+ * An abort of the outer `signal` is rethrown as-is and never retried.
+ * @param {Function} operation - Async function to run
+ * @param {Object} options - { signal, config, shouldRetry, onRetry, random }
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export const withRetry = async (operation, options = {}) => {
+  const { signal, shouldRetry = () => true, onRetry, random } = options;
+  const config = { ...DEFAULT_RETRY_CONFIG, ...options.config };
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw abortError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    const keepAlive = () => {
+      clearTimeout(timer);
+      if (config.timeout > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, config.timeout);
+      }
+    };
+    const forwardAbort = () => controller.abort();
+    signal?.addEventListener?.('abort', forwardAbort, { once: true });
+    keepAlive();
+
+    try {
+      return await operation({ signal: controller.signal, attempt, keepAlive });
+    } catch (caught) {
+      if (signal?.aborted) throw caught;
+
+      const error = timedOut
+        ? new ChatRequestError(CHAT_ERROR_TYPES.TIMEOUT, 'Chat request timed out', { cause: caught })
+        : caught;
+
+      const canRetry =
+        attempt < config.maxRetries && isTransientError(error) && shouldRetry(error, attempt);
+      if (!canRetry) throw error;
+
+      const delay = computeBackoffDelay(attempt, config, random);
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay, signal);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener?.('abort', forwardAbort);
+    }
+  }
+};
+
+// Fallback message per error category, spoken by the avatar instead of a reply
+export const FALLBACK_MESSAGES = {
+  [CHAT_ERROR_TYPES.OFFLINE]: {
+    text: "Parece que no hay conexión. Revisa tu internet y volvemos a intentarlo.",
+    facialExpression: 'sad',
+    animation: 'Crying'
+  },
+  [CHAT_ERROR_TYPES.TIMEOUT]: {
+    text: 'Estoy tardando demasiado en responder. ¿Me lo repites en un momento?',
+    facialExpression: 'surprised',
+    animation: 'Terrified'
+  },
+  [CHAT_ERROR_TYPES.SERVER_ERROR]: {
+    text: 'Mi servidor tuvo un problema. Intentemos otra vez en unos segundos.',
+    facialExpression: 'sad',
+    animation: 'Crying'
+  },
+  [CHAT_ERROR_TYPES.MALFORMED_PAYLOAD]: {
+    text: 'Recibí una respuesta que no entiendo. ¿Puedes intentarlo de nuevo?',
+    facialExpression: 'funnyFace',
+    animation: 'Angry'
+  },
+  [CHAT_ERROR_TYPES.UNKNOWN_ERROR]: {
+    text: 'Tengo un problema técnico momentáneo. Intentemos otra vez en unos segundos.',
+    facialExpression: 'sad',
+    animation: 'Crying'
+  }
+};
+
+/**
+ * Fallback assistant message for an error category
+ * @param {string} type - Error type from CHAT_ERROR_TYPES
+ * @returns {Object} Message ready to be queued (no audio)
+ */
+export const getFallbackMessage = (type) => ({
+  ...(FALLBACK_MESSAGES[type] || FALLBACK_MESSAGES[CHAT_ERROR_TYPES.UNKNOWN_ERROR]),
+  audio: '',
+  audioMime: 'audio/mpeg'
+});
+
+export default {
+  CHAT_ERROR_TYPES,
+  DEFAULT_RETRY_CONFIG,
+  ChatRequestError,
+  computeBackoffDelay,
+  categorizeChatError,
+  isTransientError,
+  assertOkResponse,
+  parseJsonPayload,
+  withRetry,
+  FALLBACK_MESSAGES,
+  getFallbackMessage
+};
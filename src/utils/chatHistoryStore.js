@@ -0,0 +1,246 @@
+/**
+ * Persistent conversation transcript
+ * Stores every user and assistant turn per sessionId in IndexedDB, with an
+ * in-memory fallback for environments without IndexedDB (tests, private modes)
+ */
+
+export const HISTORY_DB_NAME = 'chat_history';
+export const HISTORY_DB_VERSION = 1;
+export const HISTORY_STORE = 'turns';
+export const HISTORY_PAGE_SIZE = 50;
+
+export const HISTORY_ROLES = {
+  USER: 'user',
+  ASSISTANT: 'assistant'
+};
+
+// Turn status lifecycle
+export const HISTORY_STATUS = {
+  PENDING: 'pending',         // User turn waiting to be sent
+  SENT: 'sent',               // User turn delivered
+  FAILED: 'failed',           // User turn that could not be delivered
+  QUEUED: 'queued',           // Assistant turn waiting to play
+  PLAYING: 'playing',         // Assistant turn on air
+  PLAYED: 'played',           // Assistant turn finished
+  INTERRUPTED: 'interrupted', // Assistant turn cut off by the user
+  DISCARDED: 'discarded'      // Assistant turn dropped before playing
+};
+
+let lastTimestamp = 0;
+
+/**
+ * Strictly increasing millisecond timestamp
+ * Several turns often arrive in the same millisecond; keeping timestamps unique
+ * keeps their order stable when paging by timestamp
+ * @returns {number} Timestamp in ms
+ */
+export const createTimestamp = () => {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return lastTimestamp;
+};
+
+const byTimestamp = (a, b) => a.timestamp - b.timestamp;
+
+/**
+ * In-memory store with the same async API as the IndexedDB store
+ */
+export class MemoryHistoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async put(entry) {
+    this.entries.set(entry.id, { ...entry });
+    return entry;
+  }
+
+  async update(id, changes) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    const updated = { ...entry, ...changes };
+    this.entries.set(id, updated);
+    return updated;
+  }
+
+  async listBySession(sessionId, { before = Infinity, limit = HISTORY_PAGE_SIZE } = {}) {
+    const matching = [...this.entries.values()]
+      .filter((entry) => entry.sessionId === sessionId && entry.timestamp < before)
+      .sort(byTimestamp);
+    const start = Math.max(0, matching.length - limit);
+    return { entries: matching.slice(start), hasMore: start > 0 };
+  }
+
+  async clearSession(sessionId) {
+    [...this.entries.values()]
+      .filter((entry) => entry.sessionId === sessionId)
+      .forEach((entry) => this.entries.delete(entry.id));
+  }
+}
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * IndexedDB-backed store
+ * Turns are indexed by [sessionId, timestamp] so a session can be paged backwards
+ */
+export class IndexedDBHistoryStore {
+  constructor(indexedDB = globalThis.indexedDB, dbName = HISTORY_DB_NAME) {
+    this.indexedDB = indexedDB;
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, HISTORY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+            const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+            store.createIndex('bySession', ['sessionId', 'timestamp']);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode) {
+    const db = await this.open();
+    return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+  }
+
+  async put(entry) {
+    const store = await this.transaction('readwrite');
+    await promisify(store.put(entry));
+    return entry;
+  }
+
+  async update(id, changes) {
+    const store = await this.transaction('readwrite');
+    const entry = await promisify(store.get(id));
+    if (!entry) return null;
+    const updated = { ...entry, ...changes };
+    await promisify(store.put(updated));
+    return updated;
+  }
+
+  async listBySession(sessionId, { before = Infinity, limit = HISTORY_PAGE_SIZE } = {}) {
+    const store = await this.transaction('readonly');
+    const upper = Number.isFinite(before) ? before : Number.MAX_SAFE_INTEGER;
+    const range = IDBKeyRange.bound([sessionId, 0], [sessionId, upper], false, true);
+
+    // Walk backwards from the newest turn and stop one past the page size
+    const newestFirst = await new Promise((resolve, reject) => {
+      const collected = [];
+      const request = store.index('bySession').openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || collected.length > limit) {
+          resolve(collected);
+          return;
+        }
+        collected.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return {
+      entries: newestFirst.slice(0, limit).reverse(),
+      hasMore: newestFirst.length > limit
+    };
+  }
+
+  async clearSession(sessionId) {
+    const store = await this.transaction('readwrite');
+    const range = IDBKeyRange.bound([sessionId, 0], [sessionId, Number.MAX_SAFE_INTEGER]);
+    await new Promise((resolve, reject) => {
+      const request = store.index('bySession').openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Pick the best available store
+ * @returns {MemoryHistoryStore|IndexedDBHistoryStore} History store
+ */
+export const createHistoryStore = () => {
+  if (typeof indexedDB !== 'undefined' && typeof IDBKeyRange !== 'undefined') {
+    return new IndexedDBHistoryStore(indexedDB);
+  }
+  console.warn('⚠️ IndexedDB unavailable, chat history will not survive a reload');
+  return new MemoryHistoryStore();
+};
+
+/**
+ * Build a history entry for a user or assistant turn
+ * @param {Object} fields - Turn fields (role, text, sessionId, ...)
+ * @returns {Object} History entry
+ */
+export const createHistoryEntry = ({
+  id,
+  sessionId,
+  role,
+  text = '',
+  status,
+  facialExpression = null,
+  animation = null,
+  audio = null,
+  audioMime = null,
+  ...rest
+}) => ({
+  ...rest,
+  id,
+  sessionId,
+  role,
+  text: text ?? '',
+  timestamp: createTimestamp(),
+  status,
+  facialExpression,
+  animation,
+  audio,
+  audioMime
+});
+
+/**
+ * Merge two lists of entries by id, ordered by timestamp
+ * Used when a page loaded from storage races with turns recorded meanwhile;
+ * the in-memory copy wins since it carries the latest status
+ * @param {Array} existing - Entries already in memory
+ * @param {Array} incoming - Entries to merge in
+ * @returns {Array} Merged entries
+ */
+export const mergeHistory = (existing = [], incoming = []) => {
+  const byId = new Map();
+  [...incoming, ...existing].forEach((entry) => byId.set(entry.id, entry));
+  return [...byId.values()].sort(byTimestamp);
+};
+
+export default {
+  HISTORY_ROLES,
+  HISTORY_STATUS,
+  MemoryHistoryStore,
+  IndexedDBHistoryStore,
+  createHistoryStore,
+  createHistoryEntry,
+  createTimestamp,
+  mergeHistory
+};
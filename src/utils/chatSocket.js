@@ -0,0 +1,282 @@
+/**
+ * WebSocket client for full-duplex chat conversations
+ * Lets the backend push unsolicited messages and assistant state, and lets the
+ * client send user text, interrupts and playback acknowledgements on one socket.
+ * Reconnects with exponential backoff and resumes the conversation by sessionId.
+ */
+
+import { CHAT_ERROR_TYPES, ChatRequestError, computeBackoffDelay } from './chatErrorHandler';
+
+// Connection states reported through onConnectionChange
+export const SOCKET_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+// Client -> server frame types
+export const CLIENT_FRAMES = {
+  RESUME: 'resume',
+  USER_MESSAGE: 'user_message',
+  INTERRUPT: 'interrupt',
+  PLAYBACK_ACK: 'playback_ack'
+};
+
+// Server -> client frame types
+export const SERVER_FRAMES = {
+  MESSAGE: 'message',
+  MESSAGES: 'messages',
+  STATE: 'state',
+  SESSION: 'session',
+  ERROR: 'error'
+};
+
+export const DEFAULT_RECONNECT_CONFIG = {
+  baseDelay: 500,     // First retry delay (ms)
+  maxDelay: 15000,    // Upper bound for a single delay (ms)
+  maxRetries: Infinity,
+  jitter: 0.3         // +/- fraction of the delay randomized
+};
+
+/**
+ * Exponential backoff delay for a reconnection attempt
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} config - Reconnect configuration
+ * @param {Function} random - Random source (injectable for tests)
+ * @returns {number} Delay in milliseconds
+ */
+export const getReconnectDelay = (
+  attempt,
+  config = DEFAULT_RECONNECT_CONFIG,
+  random = Math.random
+) => computeBackoffDelay(attempt, { ...DEFAULT_RECONNECT_CONFIG, ...config }, random);
+
+/**
+ * Derive the default socket URL from the HTTP backend URL
+ * @param {string} httpUrl - Backend base URL
+ * @returns {string} ws:// or wss:// URL ending in /ws
+ */
+export const toWebSocketUrl = (httpUrl) =>
+  `${httpUrl.replace(/^http/i, 'ws').replace(/\/$/, '')}/ws`;
+
+export class ChatSocket {
+  constructor(url, options = {}) {
+    this.url = url;
+    this.sessionId = options.sessionId || null;
+    this.reconnectConfig = { ...DEFAULT_RECONNECT_CONFIG, ...options.reconnect };
+    this.WebSocketImpl = options.WebSocketImpl || globalThis.WebSocket;
+
+    this.onMessages = options.onMessages || (() => {});
+    this.onAssistantState = options.onAssistantState || (() => {});
+    this.onSession = options.onSession || (() => {});
+    this.onConnectionChange = options.onConnectionChange || (() => {});
+    this.onServerError = options.onServerError || (() => {});
+    this.onError = options.onError || (() => {});
+
+    this.socket = null;
+    this.state = SOCKET_STATES.IDLE;
+    this.attempt = 0;
+    this.reconnectTimer = null;
+    this.closedByClient = false;
+    this.lastEventId = null;
+    // Frames sent while disconnected are delivered once the socket reopens
+    this.outbox = [];
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.onConnectionChange(state);
+  }
+
+  connect() {
+    if (!this.WebSocketImpl) {
+      this.onError(new Error('WebSocket not supported in this environment'));
+      this.setState(SOCKET_STATES.CLOSED);
+      return;
+    }
+
+    this.closedByClient = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    // One socket at a time (e.g. StrictMode connects, closes and connects again)
+    this.releaseSocket();
+    this.setState(this.attempt > 0 ? SOCKET_STATES.RECONNECTING : SOCKET_STATES.CONNECTING);
+
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url);
+    } catch (error) {
+      this.onError(error);
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    // Late events from a replaced or closed socket are ignored
+    socket.onopen = () => {
+      if (this.socket !== socket) return;
+      this.attempt = 0;
+      this.setState(SOCKET_STATES.OPEN);
+      // Resume first so the server re-attaches the conversation before new frames
+      this.sendFrame({
+        type: CLIENT_FRAMES.RESUME,
+        sessionId: this.sessionId,
+        lastEventId: this.lastEventId
+      });
+      const pending = this.outbox;
+      this.outbox = [];
+      pending.forEach((frame) => this.sendFrame(frame));
+    };
+
+    socket.onmessage = (event) => {
+      if (this.socket === socket) this.handleFrame(event.data);
+    };
+
+    socket.onerror = (event) => {
+      if (this.socket !== socket) return;
+      this.onError(event instanceof Error ? event : new Error('WebSocket error'));
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      if (this.closedByClient) {
+        this.setState(SOCKET_STATES.CLOSED);
+        return;
+      }
+      this.scheduleReconnect();
+    };
+  }
+
+  // Detach and close the current socket so none of its events reach this instance
+  releaseSocket() {
+    const socket = this.socket;
+    if (!socket) return;
+    this.socket = null;
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onerror = null;
+    socket.onclose = null;
+    try {
+      socket.close();
+    } catch (error) {
+      // Ignore errors from sockets that never opened
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.attempt >= this.reconnectConfig.maxRetries) {
+      this.setState(SOCKET_STATES.CLOSED);
+      return;
+    }
+    const delay = getReconnectDelay(this.attempt, this.reconnectConfig);
+    this.attempt++;
+    this.setState(SOCKET_STATES.RECONNECTING);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  handleFrame(raw) {
+    let frame;
+    try {
+      frame = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      this.onError(new Error(`Malformed socket frame: ${raw}`));
+      return;
+    }
+    if (!frame || typeof frame !== 'object') return;
+
+    if (frame.eventId !== undefined) {
+      this.lastEventId = frame.eventId;
+    }
+
+    switch (frame.type) {
+      case SERVER_FRAMES.MESSAGE:
+        if (frame.message) this.onMessages([frame.message]);
+        break;
+      case SERVER_FRAMES.MESSAGES:
+        if (Array.isArray(frame.messages)) this.onMessages(frame.messages);
+        break;
+      case SERVER_FRAMES.STATE:
+        this.onAssistantState(frame.state || 'idle');
+        break;
+      case SERVER_FRAMES.SESSION:
+        this.onSession(frame);
+        break;
+      case SERVER_FRAMES.ERROR:
+        // The turn is over: nothing else will clear "thinking"
+        this.onAssistantState('idle');
+        this.onServerError(
+          new ChatRequestError(CHAT_ERROR_TYPES.SERVER_ERROR, frame.message || 'Server error', {
+            status: frame.status ?? null
+          })
+        );
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Write a frame to the socket, or keep it for the next open
+   * @param {Object} frame - Client frame
+   * @param {Object} options - { queue: false } drops the frame instead of keeping it
+   * @returns {boolean} True when the frame was written to an open socket
+   */
+  sendFrame(frame, { queue = true } = {}) {
+    const OPEN = this.WebSocketImpl?.OPEN ?? 1;
+    if (this.socket && this.socket.readyState === OPEN) {
+      this.socket.send(JSON.stringify(frame));
+      return true;
+    }
+    // Resume frames are regenerated on open; everything else waits in the outbox
+    if (queue && frame.type !== CLIENT_FRAMES.RESUME) {
+      this.outbox.push(frame);
+    }
+    return false;
+  }
+
+  setSessionId(sessionId) {
+    this.sessionId = sessionId;
+  }
+
+  sendUserMessage(text, options) {
+    return this.sendFrame(
+      {
+        type: CLIENT_FRAMES.USER_MESSAGE,
+        message: text ?? null,
+        sessionId: this.sessionId
+      },
+      options
+    );
+  }
+
+  sendInterrupt(details = {}) {
+    return this.sendFrame({
+      type: CLIENT_FRAMES.INTERRUPT,
+      sessionId: this.sessionId,
+      ...details
+    });
+  }
+
+  sendPlaybackAck(messageId) {
+    return this.sendFrame({
+      type: CLIENT_FRAMES.PLAYBACK_ACK,
+      sessionId: this.sessionId,
+      messageId
+    });
+  }
+
+  close() {
+    this.closedByClient = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.releaseSocket();
+    this.setState(SOCKET_STATES.CLOSED);
+  }
+}
+
+export default ChatSocket;
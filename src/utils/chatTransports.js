@@ -0,0 +1,267 @@
+/**
+ * Chat transport adapters for ChatProvider
+ * A transport decouples useChat from the backend contract. Required shape:
+ *   send(text, sessionId, { signal })  -> Promise, resolves once the request was handled
+ *   subscribe(onMessages)              -> returns an unsubscribe function
+ * Listeners are called as onMessages(messages, meta) where meta may carry
+ * { resetSuggested, newSessionId, assistantState, connectionState, error }; `error`
+ * is a ChatRequestError the backend pushed outside of a send().
+ * Failures should reject with a ChatRequestError so useChat can categorize them.
+ * Optional hooks: connect(), close(), setSessionId(id), ack(messageId),
+ * interrupt({ messageId, text, offset }, sessionId)
+ */
+
+import { isEventStream, readEventStream, SSE_CONTENT_TYPE } from './sseParser';
+import { ChatSocket } from './chatSocket';
+import {
+  assertOkResponse,
+  parseJsonPayload,
+  ChatRequestError,
+  CHAT_ERROR_TYPES
+} from './chatErrorHandler';
+
+export const TRANSPORT_TYPES = {
+  HTTP: 'http',
+  WEBSOCKET: 'websocket',
+  SCRIPTED: 'scripted'
+};
+
+// Minimal listener registry shared by every adapter
+const createEmitter = () => {
+  const listeners = new Set();
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    emit(messages, meta = {}) {
+      listeners.forEach((listener) => listener(messages, meta));
+    }
+  };
+};
+
+const sessionMeta = (payload) =>
+  payload?.resetSuggested && payload?.newSessionId
+    ? { resetSuggested: true, newSessionId: payload.newSessionId }
+    : {};
+
+/**
+ * HTTP adapter: POST /chat, with optional Server-Sent Events streaming
+ * @param {Object} options - { baseUrl, streaming, fetchImpl }
+ * @returns {Object} Transport
+ */
+export const createHttpTransport = ({
+  baseUrl = 'http://localhost:3000',
+  streaming = true,
+  fetchImpl
+} = {}) => {
+  const emitter = createEmitter();
+  const doFetch = (...args) => (fetchImpl || globalThis.fetch)(...args);
+
+  // event: message -> one assistant message {text, audio, facialExpression, animation}
+  // event: session | done -> optional {resetSuggested, newSessionId}
+  // event: error -> {message}
+  const handleStreamEvent = ({ event, data }) => {
+    const payload = data ? parseJsonPayload(data) : null;
+
+    switch (event) {
+      case 'message':
+        if (payload) emitter.emit([payload]);
+        break;
+      case 'session':
+      case 'done':
+        emitter.emit([], sessionMeta(payload));
+        break;
+      case 'error':
+        throw new ChatRequestError(
+          CHAT_ERROR_TYPES.SERVER_ERROR,
+          payload?.message || 'Chat stream error'
+        );
+      default:
+        break;
+    }
+  };
+
+  return {
+    type: TRANSPORT_TYPES.HTTP,
+    subscribe: emitter.subscribe,
+
+    async send(text, sessionId, { signal } = {}) {
+      const resp = await doFetch(`${baseUrl}/chat`, {
+        method: 'POST',
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: streaming ? `${SSE_CONTENT_TYPE}, application/json` : 'application/json'
+        },
+        body: JSON.stringify({ message: text ?? null, sessionId })
+      });
+
+      // Non-2xx bodies are error pages, never replies
+      assertOkResponse(resp);
+
+      if (isEventStream(resp)) {
+        // Each message is emitted as soon as the backend produces it
+        await readEventStream(resp, handleStreamEvent);
+        return;
+      }
+
+      const json = parseJsonPayload(await resp.text());
+      if (!Array.isArray(json?.messages)) {
+        throw new ChatRequestError(
+          CHAT_ERROR_TYPES.MALFORMED_PAYLOAD,
+          'Chat response has no messages array'
+        );
+      }
+      emitter.emit(json.messages, sessionMeta(json));
+    },
+
+    // Fire-and-forget: a failed notification must not block the next turn
+    interrupt(details, sessionId) {
+      return doFetch(`${baseUrl}/interrupt`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, ...details })
+      }).catch((e) => console.warn('[chat] interrupt notification failed:', e));
+    }
+  };
+};
+
+/**
+ * WebSocket adapter built on ChatSocket
+ * send() resolves once the frame is written to the open socket and rejects as
+ * OFFLINE while it is down, so useChat keeps the message in its persistent
+ * outbox and sends it again on reconnect; replies arrive via subscribe
+ * @param {Object} options - { url, sessionId, WebSocketImpl, reconnect }
+ * @returns {Object} Transport
+ */
+export const createWebSocketTransport = ({ url, sessionId = null, WebSocketImpl, reconnect } = {}) => {
+  const emitter = createEmitter();
+  let connectionState = null;
+
+  const socket = new ChatSocket(url, {
+    sessionId,
+    WebSocketImpl,
+    reconnect,
+    onMessages: (messages) => emitter.emit(messages, { assistantState: 'idle' }),
+    onAssistantState: (state) => emitter.emit([], { assistantState: state }),
+    onSession: (frame) => emitter.emit([], sessionMeta(frame)),
+    onServerError: (error) => emitter.emit([], { error }),
+    onConnectionChange: (state) => {
+      connectionState = state;
+      emitter.emit([], { connectionState: state });
+    },
+    onError: (e) => console.error('[chat] socket error:', e)
+  });
+
+  return {
+    type: TRANSPORT_TYPES.WEBSOCKET,
+    subscribe: emitter.subscribe,
+    get connectionState() {
+      return connectionState;
+    },
+    connect: () => socket.connect(),
+    close: () => socket.close(),
+    setSessionId: (id) => socket.setSessionId(id),
+    ack: (messageId) => socket.sendPlaybackAck(messageId),
+    interrupt: (details) => socket.sendInterrupt(details),
+
+    async send(text, id) {
+      if (id) socket.setSessionId(id);
+      // Not kept in ChatSocket's in-memory outbox: a reload would lose it
+      if (!socket.sendUserMessage(text, { queue: false })) {
+        throw new ChatRequestError(CHAT_ERROR_TYPES.OFFLINE, 'WebSocket is not connected');
+      }
+      // Shown until the backend pushes its own state or the reply arrives
+      emitter.emit([], { assistantState: 'thinking' });
+    }
+  };
+};
+
+/**
+ * In-memory scripted adapter for tests and offline demos
+ * `script` is either an array of turns (each an array of messages, the first
+ * one answering the initial greeting) or a function (text, sessionId, turn) -> messages
+ * @param {Object} options - { script, fallback, delay }
+ * @returns {Object} Transport with `sent` and `interrupts` logs
+ */
+export const createScriptedTransport = ({ script = [], fallback = [], delay = 0 } = {}) => {
+  const emitter = createEmitter();
+  const sent = [];
+  const interrupts = [];
+  let turn = 0;
+
+  const nextReply = (text, sessionId) => {
+    if (typeof script === 'function') {
+      return script(text, sessionId, turn) || fallback;
+    }
+    return script[turn] || fallback;
+  };
+
+  return {
+    type: TRANSPORT_TYPES.SCRIPTED,
+    subscribe: emitter.subscribe,
+    sent,
+    interrupts,
+
+    async send(text, sessionId, { signal } = {}) {
+      sent.push({ text: text ?? null, sessionId });
+      const reply = await nextReply(text, sessionId);
+      turn++;
+      if (delay > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+      if (signal?.aborted) {
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      }
+      emitter.emit(Array.isArray(reply) ? reply : [reply]);
+    },
+
+    interrupt(details, sessionId) {
+      interrupts.push({ sessionId, ...details });
+    },
+
+    reset() {
+      turn = 0;
+      sent.length = 0;
+      interrupts.length = 0;
+    }
+  };
+};
+
+/**
+ * Turn the ChatProvider `transport` prop into an adapter
+ * Accepts an adapter object, or a name ("http", "websocket"/"ws")
+ * @param {Object|string} transport - Adapter or adapter name
+ * @param {Object} config - { baseUrl, streaming, wsUrl, sessionId }
+ * @returns {Object} Transport
+ */
+export const resolveTransport = (transport, config = {}) => {
+  if (transport && typeof transport === 'object') {
+    if (typeof transport.send !== 'function' || typeof transport.subscribe !== 'function') {
+      throw new Error('Chat transport must implement send(text, sessionId) and subscribe(onMessages)');
+    }
+    return transport;
+  }
+
+  switch (transport) {
+    case TRANSPORT_TYPES.WEBSOCKET:
+    case 'ws':
+      return createWebSocketTransport({ url: config.wsUrl, sessionId: config.sessionId });
+    case TRANSPORT_TYPES.HTTP:
+    case undefined:
+    case null:
+      return createHttpTransport({ baseUrl: config.baseUrl, streaming: config.streaming });
+    default:
+      console.warn(`[chat] unknown transport "${transport}", using http`);
+      return createHttpTransport({ baseUrl: config.baseUrl, streaming: config.streaming });
+  }
+};
+
+export default {
+  TRANSPORT_TYPES,
+  createHttpTransport,
+  createWebSocketTransport,
+  createScriptedTransport,
+  resolveTransport
+};
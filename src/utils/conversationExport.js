@@ -0,0 +1,406 @@
+/**
+ * Conversation export and import
+ * Produces a JSON document with the full history entries, a Markdown transcript,
+ * and a ZIP bundle with the assistant audio decoded from base64. Imports accept
+ * the JSON document or the ZIP bundle and return the same conversation shape.
+ */
+
+import { HISTORY_ROLES } from './chatHistoryStore';
+
+export const CONVERSATION_FORMAT = 'avatar-conversation';
+export const CONVERSATION_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  MARKDOWN: 'markdown',
+  ZIP: 'zip'
+};
+
+const AUDIO_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+  'audio/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac'
+};
+
+const EXTENSION_MIME = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  ogg: 'audio/ogg',
+  webm: 'audio/webm',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac'
+};
+
+/**
+ * Build the exportable conversation document
+ * @param {Object} session - Session metadata ({ id, title, createdAt, lastActivity })
+ * @param {Array} entries - History entries, oldest first
+ * @returns {Object} Conversation document
+ */
+export const buildConversation = (session, entries) => ({
+  format: CONVERSATION_FORMAT,
+  version: CONVERSATION_VERSION,
+  exportedAt: new Date().toISOString(),
+  session: {
+    id: session?.id ?? null,
+    title: session?.title ?? '',
+    createdAt: session?.createdAt ?? null,
+    lastActivity: session?.lastActivity ?? null
+  },
+  messages: entries.map((entry) => ({ ...entry }))
+});
+
+/**
+ * Check and normalize an imported conversation document
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} Conversation document
+ * @throws {Error} When the document is not a conversation export
+ */
+export const validateConversation = (data) => {
+  if (!data || data.format !== CONVERSATION_FORMAT) {
+    throw new Error('Not a conversation export');
+  }
+  if (data.version > CONVERSATION_VERSION) {
+    throw new Error(`Unsupported conversation version ${data.version}`);
+  }
+  if (!Array.isArray(data.messages)) {
+    throw new Error('Conversation has no messages');
+  }
+  const messages = data.messages
+    .filter((m) => m && (m.role === HISTORY_ROLES.USER || m.role === HISTORY_ROLES.ASSISTANT))
+    .map((m, i) => ({ ...m, text: m.text ?? '', timestamp: Number.isFinite(m.timestamp) ? m.timestamp : i }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+  return { ...data, session: data.session || {}, messages };
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatDateTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Readable Markdown transcript
+ * @param {Object} conversation - Conversation document
+ * @returns {string} Markdown
+ */
+export const toMarkdown = (conversation) => {
+  const { session, messages } = conversation;
+  const lines = [`# ${session.title || 'Conversación'}`, ''];
+  if (session.id) lines.push(`- Sesión: \`${session.id}\``);
+  lines.push(`- Exportado: ${formatDateTime(Date.parse(conversation.exportedAt) || Date.now())}`);
+  lines.push(`- Mensajes: ${messages.length}`, '');
+
+  messages.forEach((m) => {
+    const who = m.role === HISTORY_ROLES.USER ? 'Usuario' : 'Asistente';
+    const details = [m.facialExpression, m.animation, m.status].filter(Boolean).join(' · ');
+    lines.push(`**${who}** — ${formatDateTime(m.timestamp)}${details ? ` _(${details})_` : ''}`);
+    lines.push('');
+    lines.push((m.text || '').split('\n').map((line) => `> ${line}`).join('\n'));
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+/**
+ * Decode base64 into bytes
+ * @param {string} base64 - Base64 data (no data: prefix)
+ * @returns {Uint8Array} Bytes
+ */
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+/**
+ * Encode bytes as base64 (chunked to stay under argument limits)
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+};
+
+// ===== Minimal ZIP (stored, no compression) =====
+// Audio is already compressed, so storing keeps the writer tiny and dependency-free
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by ZIP
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC
+ */
+export const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a stored ZIP archive
+ * @param {Array<{name: string, data: Uint8Array|string}>} files - Files to add
+ * @param {Date} modified - Modification date for every entry
+ * @returns {Uint8Array} ZIP bytes
+ */
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    const crc = crc32(bytes);
+
+    const local = new Uint8Array(30 + nameBytes.length + bytes.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true);
+    lv.setUint16(6, 0x0800, true); // UTF-8 names
+    lv.setUint16(8, 0, true);      // stored
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, bytes.length, true);
+    lv.setUint32(22, bytes.length, true);
+    lv.setUint16(26, nameBytes.length, true);
+    local.set(nameBytes, 30);
+    local.set(bytes, 30 + nameBytes.length);
+
+    const central = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true);
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, date, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, bytes.length, true);
+    cv.setUint32(24, bytes.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(nameBytes, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  });
+
+  const centralSize = centrals.reduce((sum, c) => sum + c.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let position = 0;
+  [...locals, ...centrals, end].forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+/**
+ * Read a stored (uncompressed) ZIP archive such as the ones createZip writes
+ * @param {Uint8Array} zip - ZIP bytes
+ * @returns {Map<string, Uint8Array>} File name -> bytes
+ * @throws {Error} For compressed entries or invalid archives
+ */
+export const readZip = (zip) => {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const decoder = new TextDecoder();
+  let endOffset = -1;
+  for (let i = zip.length - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('Invalid ZIP archive');
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Invalid ZIP directory');
+    const method = view.getUint16(pointer + 10, true);
+    const size = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = decoder.decode(zip.subarray(pointer + 46, pointer + 46 + nameLength));
+    if (method !== 0) throw new Error(`Compressed ZIP entries are not supported (${name})`);
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    files.set(name, zip.subarray(start, start + size));
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};
+
+/**
+ * ZIP bundle: conversation.json (audio moved to files), transcript.md and audio/
+ * @param {Object} conversation - Conversation document
+ * @returns {Uint8Array} ZIP bytes
+ */
+export const toZipBundle = (conversation) => {
+  const audioFiles = [];
+  const messages = conversation.messages.map((m, i) => {
+    if (!m.audio) return m;
+    const extension = AUDIO_EXTENSIONS[m.audioMime] || 'mp3';
+    const name = `audio/${String(i + 1).padStart(3, '0')}-${m.role}.${extension}`;
+    try {
+      audioFiles.push({ name, data: base64ToBytes(m.audio) });
+    } catch (error) {
+      console.warn('⚠️ Skipping undecodable audio in export:', error);
+      return m;
+    }
+    const { audio, ...rest } = m;
+    return { ...rest, audioFile: name };
+  });
+
+  return createZip([
+    { name: 'conversation.json', data: JSON.stringify({ ...conversation, messages }, null, 2) },
+    { name: 'transcript.md', data: toMarkdown(conversation) },
+    ...audioFiles
+  ]);
+};
+
+/**
+ * Restore a conversation from a ZIP bundle, re-encoding audio files as base64
+ * @param {Uint8Array} zip - ZIP bytes
+ * @returns {Object} Conversation document
+ */
+export const fromZipBundle = (zip) => {
+  const files = readZip(zip);
+  const json = files.get('conversation.json');
+  if (!json) throw new Error('Bundle has no conversation.json');
+  const data = JSON.parse(new TextDecoder().decode(json));
+  const messages = (data.messages || []).map((m) => {
+    if (!m?.audioFile || !files.has(m.audioFile)) return m;
+    const { audioFile, ...rest } = m;
+    const extension = audioFile.split('.').pop();
+    return {
+      ...rest,
+      audio: bytesToBase64(files.get(audioFile)),
+      audioMime: rest.audioMime || EXTENSION_MIME[extension] || 'audio/mpeg'
+    };
+  });
+  return validateConversation({ ...data, messages });
+};
+
+/**
+ * Serialize a conversation in the requested format
+ * @param {Object} conversation - Conversation document
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {{blob: Blob, filename: string}} File to download
+ */
+export const exportConversation = (conversation, format = EXPORT_FORMATS.JSON) => {
+  const base = (conversation.session.title || 'conversacion')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase() || 'conversacion';
+
+  switch (format) {
+    case EXPORT_FORMATS.MARKDOWN:
+      return {
+        blob: new Blob([toMarkdown(conversation)], { type: 'text/markdown' }),
+        filename: `${base}.md`
+      };
+    case EXPORT_FORMATS.ZIP:
+      return {
+        blob: new Blob([toZipBundle(conversation)], { type: 'application/zip' }),
+        filename: `${base}.zip`
+      };
+    case EXPORT_FORMATS.JSON:
+    default:
+      return {
+        blob: new Blob([JSON.stringify(conversation, null, 2)], { type: 'application/json' }),
+        filename: `${base}.json`
+      };
+  }
+};
+
+/**
+ * Parse an exported file (JSON or ZIP bundle)
+ * @param {File|Blob} file - Selected file
+ * @returns {Promise<Object>} Conversation document
+ */
+export const importConversationFile = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  // ZIP archives start with "PK\x03\x04"
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+    return fromZipBundle(bytes);
+  }
+  return validateConversation(JSON.parse(new TextDecoder().decode(bytes)));
+};
+
+/**
+ * Trigger a browser download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export default {
+  EXPORT_FORMATS,
+  buildConversation,
+  validateConversation,
+  toMarkdown,
+  toZipBundle,
+  fromZipBundle,
+  exportConversation,
+  importConversationFile,
+  downloadBlob
+};
@@ -0,0 +1,89 @@
+/**
+ * Offline replay of exported conversations
+ * Turns a conversation document into replay steps (assistant message plus the
+ * user turn that prompted it) and into queue messages the Avatar performs as if
+ * they had just arrived from the backend.
+ */
+
+import { HISTORY_ROLES, HISTORY_STATUS } from './chatHistoryStore';
+
+export const REPLAY_STATUS = {
+  IDLE: 'idle',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  STEPPING: 'stepping',  // Playing a single message, pauses when it ends
+  ENDED: 'ended'
+};
+
+export const REPLAY_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+// History bookkeeping that must not leak into the replayed message
+const HISTORY_FIELDS = ['id', 'sessionId', 'role', 'status', 'timestamp', 'error', 'interruptedAt', 'messageId'];
+
+/**
+ * Clamp a playback rate to what audio elements handle well
+ * @param {number} rate - Requested rate
+ * @returns {number} Rate between 0.25 and 4
+ */
+export const clampReplayRate = (rate) => {
+  const value = Number(rate);
+  if (!Number.isFinite(value) || value <= 0) return 1;
+  return Math.min(4, Math.max(0.25, value));
+};
+
+/**
+ * Assistant messages of a conversation in the order they were performed
+ * Messages dropped before playing live are skipped; interrupted ones keep the
+ * offset where they were cut so the replay stops at the same point
+ * @param {Object} conversation - Conversation document (see conversationExport)
+ * @returns {Array<{message: Object, userText: string|null, stopAt: number|null}>} Steps
+ */
+export const getReplaySteps = (conversation) => {
+  const steps = [];
+  let lastUserText = null;
+
+  (conversation?.messages || []).forEach((entry) => {
+    if (entry.role === HISTORY_ROLES.USER) {
+      lastUserText = entry.text || null;
+      return;
+    }
+    if (entry.role !== HISTORY_ROLES.ASSISTANT || entry.status === HISTORY_STATUS.DISCARDED) return;
+
+    steps.push({
+      message: entry,
+      userText: lastUserText,
+      stopAt:
+        entry.status === HISTORY_STATUS.INTERRUPTED && Number.isFinite(entry.interruptedAt)
+          ? entry.interruptedAt
+          : null
+    });
+    lastUserText = null;
+  });
+
+  return steps;
+};
+
+/**
+ * Queue message for a replay step
+ * @param {Object} step - Replay step
+ * @param {number} rate - Playback rate
+ * @returns {Object} Message with the live fields plus replay metadata
+ */
+export const toReplayMessage = (step, rate = 1) => {
+  const message = { ...step.message };
+  HISTORY_FIELDS.forEach((field) => delete message[field]);
+  return {
+    ...message,
+    replay: true,
+    playbackRate: clampReplayRate(rate),
+    ...(step.stopAt !== null && { stopAt: step.stopAt })
+  };
+};
+
+export default {
+  REPLAY_STATUS,
+  REPLAY_RATES,
+  clampReplayRate,
+  getReplaySteps,
+  toReplayMessage
+};
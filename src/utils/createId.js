@@ -0,0 +1,10 @@
+/**
+ * Unique id for client-side records (outbox items, history turns, sessions)
+ * @param {string} prefix - Prefix used when crypto.randomUUID is unavailable
+ * @returns {string} Unique id
+ */
+export const createId = (prefix = 'id') =>
+  globalThis.crypto?.randomUUID?.() ||
+  `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export default createId;
@@ -3,6 +3,8 @@
  * Provides fallback behaviors, browser compatibility checks, and recovery mechanisms
  */
 
+import { getTimelineVisemes, textToVisemeTimeline } from './textToVisemes';
+
 // Error types for categorizing lipsync failures
 export const LIPSYNC_ERROR_TYPES = {
   INITIALIZATION_FAILED: 'initialization_failed',
@@ -126,13 +128,92 @@ export const categorizeError = (error) => {
   return LIPSYNC_ERROR_TYPES.UNKNOWN_ERROR;
 };
 
+// Loudness envelope of the clip used by the fallback
+export const FALLBACK_ENVELOPE_CONFIG = {
+  sampleRate: 16000,      // Decode rate; loudness doesn't need more
+  windowSize: 0.015,      // Seconds per RMS window (10-20 ms)
+  referenceLevel: 0.95,   // Percentile of the RMS values treated as fully open
+  silenceLevel: 0.12      // Normalized level below which the mouth is closed
+};
+
+/**
+ * Loudness envelope of a decoded clip
+ * RMS per window, normalized so the loud part of the clip reaches 1 and
+ * gated so pauses and breaths read as 0. Computed once per clip, without an
+ * AnalyserNode.
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} options - Overrides of FALLBACK_ENVELOPE_CONFIG
+ * @returns {{windowSize: number, values: Array<number>}} Openness per window (0-1)
+ */
+export const computeAmplitudeEnvelope = (samples, sampleRate, options = {}) => {
+  const { windowSize, referenceLevel, silenceLevel } = { ...FALLBACK_ENVELOPE_CONFIG, ...options };
+  const windowLength = Math.max(1, Math.round(windowSize * sampleRate));
+  const rms = [];
+  for (let start = 0; start < samples.length; start += windowLength) {
+    const end = Math.min(samples.length, start + windowLength);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    rms.push(Math.sqrt(sum / (end - start)));
+  }
+
+  // A percentile instead of the maximum so one click doesn't flatten the rest
+  const sorted = [...rms].sort((a, b) => a - b);
+  const reference = sorted[Math.floor((sorted.length - 1) * referenceLevel)] || 0;
+  const values = rms.map((value) => {
+    if (reference <= 0) return 0;
+    const level = Math.min(1, value / reference);
+    return level < silenceLevel ? 0 : (level - silenceLevel) / (1 - silenceLevel);
+  });
+
+  return { windowSize: windowLength / sampleRate, values };
+};
+
+/**
+ * Openness of the envelope at a time (interpolated between windows)
+ * @param {Object} envelope - From computeAmplitudeEnvelope
+ * @param {number} time - Seconds into the clip
+ * @returns {number|null} Openness 0-1, or null without a usable envelope
+ */
+export const getEnvelopeValue = (envelope, time) => {
+  const values = envelope?.values;
+  if (!values?.length || !(envelope.windowSize > 0) || !Number.isFinite(time)) return null;
+  const position = time / envelope.windowSize - 0.5;
+  if (position <= 0) return values[0];
+  const index = Math.floor(position);
+  if (index >= values.length - 1) return time < values.length * envelope.windowSize ? values[values.length - 1] : 0;
+  const fraction = position - index;
+  return values[index] * (1 - fraction) + values[index + 1] * fraction;
+};
+
+// Last text timeline built for the fallback (rebuilt when text or duration change)
+let textTimelineCache = { key: null, timeline: [] };
+
+const getTextTimeline = (text, duration, lang) => {
+  const key = `${lang || ''}|${duration}|${text}`;
+  if (textTimelineCache.key !== key) {
+    textTimelineCache = { key, timeline: textToVisemeTimeline(text, { duration, lang }) };
+  }
+  return textTimelineCache.timeline;
+};
+
 /**
  * Generate fallback lipsync animation based on audio timing
+ * With the clip's loudness envelope, openness follows the energy of the audio
+ * and the mouth closes on silence; the message text, when present, picks the
+ * mouth shape (grapheme-to-viseme timeline stretched to the clip, see
+ * textToVisemes.js). Without an envelope, the text timeline alone drives the
+ * mouth, and without either it oscillates.
  * @param {HTMLAudioElement} audio - Audio element
  * @param {number} intensity - Base intensity (0-1)
+ * @param {Object} options - { text, lang, envelope } of the playing message
  * @returns {Object} Fallback viseme values
  */
-export const generateFallbackLipsync = (audio, intensity = 0.5) => {
+export const generateFallbackLipsync = (
+  audio,
+  intensity = 0.5,
+  { text = '', lang = null, envelope = null } = {}
+) => {
   if (!audio || audio.paused || audio.ended) {
     return {};
   }
@@ -145,6 +226,32 @@ export const generateFallbackLipsync = (audio, intensity = 0.5) => {
       return {};
     }
 
+    // intensity 0.5 keeps the timeline's own strengths
+    const gain = 0.5 + intensity;
+    const openness = getEnvelopeValue(envelope, currentTime);
+    const hasText = text && text.trim() && Number.isFinite(duration) && Number.isFinite(currentTime);
+
+    if (openness !== null) {
+      if (openness === 0) return {};
+      // The audio is sounding even where the estimated text timeline pauses
+      const textShape = hasText ? getTimelineVisemes(getTextTimeline(text, duration, lang), currentTime) : {};
+      const shape = Object.keys(textShape).length > 0
+        ? textShape
+        : { viseme_AA: 0.7, viseme_E: 0.3, viseme_I: 0.2, viseme_O: 0.4 };
+      return Object.fromEntries(
+        Object.entries(shape)
+          .map(([viseme, value]) => [viseme, Math.min(1, value * openness * gain)])
+          .filter(([, value]) => value > 0)
+      );
+    }
+
+    if (hasText) {
+      const visemes = getTimelineVisemes(getTextTimeline(text, duration, lang), currentTime);
+      return Object.fromEntries(
+        Object.entries(visemes).map(([viseme, value]) => [viseme, Math.min(1, value * gain)])
+      );
+    }
+
     // Create simple oscillating mouth movement
     const timeBasedIntensity = Math.sin(currentTime * 8) * intensity + intensity;
     const clampedIntensity = Math.max(0, Math.min(timeBasedIntensity, 1));
@@ -306,6 +413,9 @@ export class LipsyncPerformanceMonitor {
 export default {
   detectBrowserSupport,
   categorizeError,
+  FALLBACK_ENVELOPE_CONFIG,
+  computeAmplitudeEnvelope,
+  getEnvelopeValue,
   generateFallbackLipsync,
   getRecoveryStrategy,
   logLipsyncError,
@@ -16,7 +16,34 @@ export const OPTIMAL_LIPSYNC_CONFIG = {
     NEUTRAL_LERP_SPEED: 0.2,    // Speed for returning to neutral
     MIN_THRESHOLD: 0.02,        // Minimum threshold to avoid micro-movements
     MAX_BLEND_VISEMES: 3,       // Maximum number of visemes to blend simultaneously
-    EXPRESSION_BLEND_FACTOR: 0.3 // Blend factor for facial expressions during lipsync
+    EXPRESSION_BLEND_FACTOR: 0.3, // Blend factor for facial expressions during lipsync
+
+    // Viseme playback engine (visemeEngine.js)
+    ATTACK_TIME: 0.04,          // Seconds for a rising viseme to cover ~63% of the gap
+    RELEASE_TIME: 0.07,         // Same for a falling viseme
+    ANTICIPATION_LEAD: 0.08,    // Seconds ahead the mouth starts shaping the next viseme
+    ANTICIPATION_STRENGTH: 0.6, // How far toward the next viseme it goes (scaled by dominance)
+    COARTICULATION_STRENGTH: 0.6, // How much a dominant viseme suppresses overlapping ones
+    MIN_HOLD: {                 // Minimum seconds a closure stays visible
+      viseme_PP: 0.08,
+      viseme_FF: 0.05
+    },
+    DOMINANCE: {                // How strongly each viseme imposes its shape (0-1)
+      viseme_PP: 1,
+      viseme_FF: 0.9,
+      viseme_U: 0.8,
+      viseme_O: 0.75,
+      viseme_CH: 0.7,
+      viseme_TH: 0.6,
+      viseme_aa: 0.6,
+      viseme_E: 0.5,
+      viseme_I: 0.5,
+      viseme_SS: 0.5,
+      viseme_RR: 0.4,
+      viseme_DD: 0.3,
+      viseme_nn: 0.3,
+      viseme_kk: 0.2
+    }
   },
   
   // Performance monitoring thresholds
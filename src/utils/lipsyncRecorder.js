@@ -0,0 +1,237 @@
+/**
+ * Lipsync timeline recorder
+ * Captures what the lipsync did for each message, frame by frame: the raw
+ * wawa-lipsync `visemeScores` (live analysis only), the sorted/limited visemes
+ * the source produced, the values after the viseme engine and the morph target
+ * influences finally set on the head mesh. Times are `audio.currentTime`, so
+ * runs of the same clip line up. Recordings export as JSON or CSV and feed the
+ * timeline chart of the dev panel.
+ */
+
+import { downloadBlob } from './conversationExport';
+
+export const LIPSYNC_RECORDER_CONFIG = {
+  maxRecordings: 10,      // Oldest runs are dropped beyond this
+  maxFrames: 7200,        // Frames per recording (2 min at 60 fps)
+  headMesh: 'Wolf3D_Head',
+  precision: 4            // Decimals kept per value
+};
+
+// Per-frame layers, in pipeline order
+export const RECORDING_LAYERS = {
+  SCORES: 'scores',           // wawa-lipsync visemeScores
+  VISEMES: 'visemes',         // Sorted/limited visemes from the source
+  ENGINE: 'engine',           // After the viseme engine
+  INFLUENCES: 'influences'    // Morph target influences on the head
+};
+
+const LAYER_NAMES = Object.values(RECORDING_LAYERS);
+
+const round = (value, precision = LIPSYNC_RECORDER_CONFIG.precision) => {
+  const factor = 10 ** precision;
+  return Math.round(value * factor) / factor;
+};
+
+// Finite, non-zero values only (keeps recordings small)
+const compactValues = (values) => {
+  const result = {};
+  Object.entries(values || {}).forEach(([name, value]) => {
+    if (typeof value === 'number' && Number.isFinite(value) && value !== 0) result[name] = round(value);
+  });
+  return result;
+};
+
+/**
+ * Mesh whose influences are recorded
+ * @param {Array<Object>} meshes - Meshes with morph targets
+ * @param {string} name - Preferred mesh name
+ * @returns {Object|null} The named mesh, or the first mesh with morph targets
+ */
+export const findHeadMesh = (meshes = [], name = LIPSYNC_RECORDER_CONFIG.headMesh) =>
+  meshes.find((mesh) => mesh?.name === name) ||
+  meshes.find((mesh) => mesh?.morphTargetDictionary && mesh.morphTargetInfluences) ||
+  null;
+
+/**
+ * Current influences of some morph targets on a mesh
+ * @param {Object} mesh - Mesh with morphTargetDictionary/morphTargetInfluences
+ * @param {Iterable<string>} targets - Morph target names
+ * @returns {Object} { target: influence }
+ */
+export const readMorphInfluences = (mesh, targets) => {
+  const influences = {};
+  if (!mesh?.morphTargetDictionary || !mesh.morphTargetInfluences) return influences;
+  for (const target of targets) {
+    const index = mesh.morphTargetDictionary[target];
+    if (index !== undefined) influences[target] = mesh.morphTargetInfluences[index];
+  }
+  return influences;
+};
+
+/**
+ * Records one run per message while enabled
+ * Subscribers are told when recording is toggled and when runs start, stop or
+ * are cleared (not on every frame).
+ */
+export class LipsyncRecorder {
+  constructor({
+    maxRecordings = LIPSYNC_RECORDER_CONFIG.maxRecordings,
+    maxFrames = LIPSYNC_RECORDER_CONFIG.maxFrames
+  } = {}) {
+    this.maxRecordings = maxRecordings;
+    this.maxFrames = maxFrames;
+    this.enabled = false;
+    this.current = null;
+    this.recordings = [];
+    this.nextId = 1;
+    this.listeners = new Set();
+  }
+
+  get isRecording() {
+    return Boolean(this.current);
+  }
+
+  setEnabled(enabled) {
+    if (this.enabled === Boolean(enabled)) return;
+    this.enabled = Boolean(enabled);
+    if (!this.enabled) this.current = null;
+    this.notify();
+  }
+
+  /**
+   * Start a run (ends the previous one)
+   * @param {Object} meta - { label, messageId, model, profile }
+   * @returns {Object|null} The new recording, or null while disabled
+   */
+  start(meta = {}) {
+    this.current = null;
+    if (!this.enabled) return null;
+    this.current = {
+      id: this.nextId++,
+      startedAt: new Date().toISOString(),
+      ...meta,
+      frames: []
+    };
+    this.recordings = [...this.recordings, this.current].slice(-this.maxRecordings);
+    this.notify();
+    return this.current;
+  }
+
+  /**
+   * Add a frame to the current run
+   * @param {Object} frame - { time, source, scores, visemes, engine, influences }
+   */
+  record({ time, source = null, ...layers }) {
+    const recording = this.current;
+    if (!recording || recording.frames.length >= this.maxFrames || !Number.isFinite(time)) return;
+    const frame = { time: round(time), source };
+    LAYER_NAMES.forEach((layer) => {
+      frame[layer] = compactValues(layers[layer]);
+    });
+    recording.frames.push(frame);
+  }
+
+  stop() {
+    if (!this.current) return;
+    this.current = null;
+    this.notify();
+  }
+
+  getRecordings() {
+    return this.recordings;
+  }
+
+  clear() {
+    this.current = null;
+    this.recordings = [];
+    this.notify();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const state = { enabled: this.enabled, recordings: this.recordings, current: this.current };
+    this.listeners.forEach((listener) => listener(state));
+  }
+}
+
+export const lipsyncRecorder = new LipsyncRecorder();
+
+/**
+ * Recording as a JSON document
+ * @param {Object} recording - Run from LipsyncRecorder
+ * @returns {string} Pretty-printed JSON
+ */
+export const recordingToJSON = (recording) => JSON.stringify(recording, null, 2);
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Recording as CSV, one row per frame, layer and name
+ * Long format (`time,source,layer,name,value`) so runs with different
+ * visemes or morph targets still share the same columns.
+ * @param {Object} recording - Run from LipsyncRecorder
+ * @returns {string} CSV text
+ */
+export const recordingToCSV = (recording) => {
+  const rows = [['time', 'source', 'layer', 'name', 'value']];
+  (recording?.frames || []).forEach((frame) => {
+    LAYER_NAMES.forEach((layer) => {
+      Object.entries(frame[layer] || {}).forEach(([name, value]) => {
+        rows.push([frame.time, frame.source, layer, name, value]);
+      });
+    });
+  });
+  return rows.map((row) => row.map(csvField).join(',')).join('\n');
+};
+
+/**
+ * Chart series of one layer
+ * @param {Object} recording - Run from LipsyncRecorder
+ * @param {string} layer - One of RECORDING_LAYERS
+ * @returns {{duration: number, series: Object<string, Array<[number, number]>>}}
+ *   Points per name; names missing from a frame count as 0 there
+ */
+export const getRecordingSeries = (recording, layer) => {
+  const frames = recording?.frames || [];
+  const names = new Set();
+  frames.forEach((frame) => Object.keys(frame[layer] || {}).forEach((name) => names.add(name)));
+
+  const series = {};
+  names.forEach((name) => {
+    series[name] = frames.map((frame) => [frame.time, frame[layer]?.[name] ?? 0]);
+  });
+  const duration = frames.reduce((max, frame) => Math.max(max, frame.time), 0);
+  return { duration, series };
+};
+
+/**
+ * Download a recording
+ * @param {Object} recording - Run from LipsyncRecorder
+ * @param {string} format - 'json' or 'csv'
+ */
+export const downloadRecording = (recording, format = 'json') => {
+  const isCsv = format === 'csv';
+  const content = isCsv ? recordingToCSV(recording) : recordingToJSON(recording);
+  const blob = new Blob([content], { type: isCsv ? 'text/csv' : 'application/json' });
+  downloadBlob(blob, `lipsync-${recording.id}-${recording.startedAt.replace(/[:.]/g, '-')}.${isCsv ? 'csv' : 'json'}`);
+};
+
+export default {
+  LIPSYNC_RECORDER_CONFIG,
+  RECORDING_LAYERS,
+  findHeadMesh,
+  readMorphInfluences,
+  LipsyncRecorder,
+  lipsyncRecorder,
+  recordingToJSON,
+  recordingToCSV,
+  getRecordingSeries,
+  downloadRecording
+};
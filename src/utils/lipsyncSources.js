@@ -0,0 +1,257 @@
+/**
+ * Lipsync sources
+ * A message's mouth movement can come from precomputed viseme cues sent by the
+ * backend (Rhubarb `mouthCues`, Azure viseme events, Amazon Polly speech
+ * marks), from an offline analysis of the clip made while it was queued, from
+ * live wawa-lipsync analysis of the playing audio, from the
+ * browser TTS timeline or from the synthetic fallback. Every source has the
+ * same shape, `{ type, getVisemes(audio) }`, returning `{ viseme: value }` for
+ * the current playback time, so the render loop doesn't care which one is
+ * active. Sources that know the future (timelines) also implement
+ * `getVisemesAt(audio, time)`, which the viseme engine uses to anticipate.
+ */
+
+import { normalizeViseme } from './visemeProfiles';
+
+export const LIPSYNC_SOURCE_TYPES = {
+  CUES: 'cues',           // Precomputed timeline from the message
+  ANALYSIS: 'analysis',   // Offline analysis of the clip (visemeAnalysis)
+  LIVE: 'live',           // wawa-lipsync analysis of the audio element
+  SPEECH: 'speech',       // Browser TTS text timeline (SpeechPlayback)
+  FALLBACK: 'fallback'    // Synthetic movement when nothing else works
+};
+
+export const LIPSYNC_CUE_FORMATS = {
+  RHUBARB: 'rhubarb',
+  AZURE: 'azure',
+  POLLY: 'polly',
+  VISEMES: 'visemes'      // Already normalized { start, end, viseme }
+};
+
+export const LIPSYNC_CUES_CONFIG = {
+  lastCueDuration: 0.15,  // Seconds for the final event of start-only formats
+  azureTicksPerSecond: 1e7
+};
+
+// Rhubarb Lip Sync mouth shapes
+// https://github.com/DanielSWolf/rhubarb-lip-sync#mouth-shapes
+const RHUBARB_VISEMES = {
+  A: 'viseme_PP',   // Closed: M, B, P
+  B: 'viseme_kk',   // Slightly open, clenched teeth: K, S, T, EE
+  C: 'viseme_E',    // Open: EH, AE
+  D: 'viseme_aa',   // Wide open: AA
+  E: 'viseme_O',    // Slightly rounded: AO, ER
+  F: 'viseme_U',    // Puckered: UW, OW, W
+  G: 'viseme_FF',   // Upper teeth on lower lip: F, V
+  H: 'viseme_nn',   // Tongue up: L
+  X: 'viseme_sil'   // Idle
+};
+
+// Azure Speech viseme ids (SAPI-style, 0-21)
+const AZURE_VISEMES = [
+  'viseme_sil', // 0 silence
+  'viseme_aa',  // 1 æ ə ʌ
+  'viseme_aa',  // 2 ɑ
+  'viseme_O',   // 3 ɔ
+  'viseme_E',   // 4 ɛ ʊ
+  'viseme_RR',  // 5 ɝ
+  'viseme_I',   // 6 j i ɪ
+  'viseme_U',   // 7 w u
+  'viseme_O',   // 8 o
+  'viseme_aa',  // 9 aʊ
+  'viseme_O',   // 10 ɔɪ
+  'viseme_aa',  // 11 aɪ
+  'viseme_kk',  // 12 h
+  'viseme_RR',  // 13 ɹ
+  'viseme_nn',  // 14 l
+  'viseme_SS',  // 15 s z
+  'viseme_CH',  // 16 ʃ tʃ dʒ ʒ
+  'viseme_TH',  // 17 ð
+  'viseme_FF',  // 18 f v
+  'viseme_DD',  // 19 d t n θ
+  'viseme_kk',  // 20 k g ŋ
+  'viseme_PP'   // 21 p b m
+];
+
+// Amazon Polly viseme speech marks (case-sensitive)
+const POLLY_VISEMES = {
+  p: 'viseme_PP',
+  t: 'viseme_DD',
+  S: 'viseme_CH',
+  T: 'viseme_TH',
+  f: 'viseme_FF',
+  k: 'viseme_kk',
+  i: 'viseme_I',
+  r: 'viseme_RR',
+  s: 'viseme_SS',
+  u: 'viseme_U',
+  '@': 'viseme_aa',
+  a: 'viseme_aa',
+  e: 'viseme_E',
+  E: 'viseme_E',
+  o: 'viseme_O',
+  O: 'viseme_O',
+  sil: 'viseme_sil'
+};
+
+const isTime = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Start-only events (Azure, Polly) end where the next one starts
+const closeEvents = (events, duration) => {
+  const sorted = events.filter((event) => event.viseme && isTime(event.start)).sort((a, b) => a.start - b.start);
+  return sorted.map((event, index) => {
+    const next = sorted[index + 1];
+    const end = next ? next.start : Math.max(event.start + LIPSYNC_CUES_CONFIG.lastCueDuration, duration || 0);
+    return { start: event.start, end, viseme: event.viseme };
+  });
+};
+
+/**
+ * Format of precomputed lipsync data
+ * @param {*} raw - `lipsync` field of a message
+ * @returns {string|null} One of LIPSYNC_CUE_FORMATS, or null when unrecognized
+ */
+export const detectLipsyncFormat = (raw) => {
+  if (Array.isArray(raw?.mouthCues)) return LIPSYNC_CUE_FORMATS.RHUBARB;
+  if (Array.isArray(raw?.cues)) return LIPSYNC_CUE_FORMATS.VISEMES;
+  const events = Array.isArray(raw) ? raw : raw?.visemes || raw?.speechMarks;
+  if (!Array.isArray(events) || events.length === 0) return null;
+  if (events.some((event) => event && event.visemeId !== undefined)) return LIPSYNC_CUE_FORMATS.AZURE;
+  if (events.some((event) => event && event.type === 'viseme')) return LIPSYNC_CUE_FORMATS.POLLY;
+  return null;
+};
+
+/**
+ * Normalize precomputed lipsync data from the backend
+ * Accepts Rhubarb JSON (`{ metadata, mouthCues: [{ start, end, value }] }`),
+ * Azure viseme events (`[{ audioOffset, visemeId }]`, offsets in 100-ns ticks,
+ * or `offset` in ms), Polly speech marks (`[{ time, type: 'viseme', value }]`,
+ * times in ms) and the normalized form this function returns. Arrays of events
+ * may also come wrapped as `{ visemes }` or `{ speechMarks }`.
+ * @param {*} raw - `lipsync` field of a message
+ * @returns {{format: string, duration: number, cues: Array<{start, end, viseme}>}|null}
+ *   Cues in seconds sorted by start, or null when the data isn't usable
+ */
+export const normalizeLipsync = (raw) => {
+  const format = detectLipsyncFormat(raw);
+  if (!format) return null;
+
+  const duration = isTime(raw?.metadata?.duration) ? raw.metadata.duration : isTime(raw?.duration) ? raw.duration : 0;
+  let cues = [];
+
+  if (format === LIPSYNC_CUE_FORMATS.RHUBARB || format === LIPSYNC_CUE_FORMATS.VISEMES) {
+    const source = format === LIPSYNC_CUE_FORMATS.RHUBARB ? raw.mouthCues : raw.cues;
+    cues = source
+      .map((cue) => ({
+        start: cue?.start,
+        end: cue?.end,
+        viseme:
+          format === LIPSYNC_CUE_FORMATS.RHUBARB
+            ? RHUBARB_VISEMES[String(cue?.value).toUpperCase()]
+            : normalizeViseme(cue?.viseme)
+      }))
+      .filter((cue) => cue.viseme && isTime(cue.start) && isTime(cue.end) && cue.end > cue.start)
+      .sort((a, b) => a.start - b.start);
+  } else {
+    const events = Array.isArray(raw) ? raw : raw.visemes || raw.speechMarks;
+    cues = closeEvents(
+      events.map((event) => {
+        if (format === LIPSYNC_CUE_FORMATS.AZURE) {
+          const start = isTime(event?.audioOffset)
+            ? event.audioOffset / LIPSYNC_CUES_CONFIG.azureTicksPerSecond
+            : event?.offset / 1000;
+          return { start, viseme: AZURE_VISEMES[event?.visemeId] };
+        }
+        if (event?.type !== 'viseme') return {};
+        return { start: event.time / 1000, viseme: POLLY_VISEMES[event.value] };
+      }),
+      duration
+    );
+  }
+
+  if (cues.length === 0) return null;
+  return {
+    format,
+    duration: Math.max(duration, cues[cues.length - 1].end),
+    cues
+  };
+};
+
+/**
+ * Cue playing at a time (binary search)
+ * @param {Array<{start, end, viseme}>} cues - Sorted cues
+ * @param {number} time - Seconds
+ * @returns {Object|null} Cue, or null between/after cues
+ */
+export const findCueAt = (cues, time) => {
+  let low = 0;
+  let high = cues.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (time < cues[mid].start) high = mid - 1;
+    else if (time >= cues[mid].end) low = mid + 1;
+    else return cues[mid];
+  }
+  return null;
+};
+
+/**
+ * Source that plays precomputed cues against the audio clock
+ * @param {Function} getLipsync - Returns the current message's normalized lipsync (or null)
+ * @returns {{type: string, getVisemes: Function, getVisemesAt: Function}} Lipsync source
+ */
+export const createCueSource = (getLipsync) => {
+  const getVisemesAt = (audio, time) => {
+    const cue = findCueAt(getLipsync()?.cues || [], time);
+    return cue && cue.viseme !== 'viseme_sil' ? { [cue.viseme]: 1 } : {};
+  };
+  return {
+    type: LIPSYNC_SOURCE_TYPES.CUES,
+    getVisemes: (audio) => getVisemesAt(audio, audio?.currentTime || 0),
+    getVisemesAt
+  };
+};
+
+/**
+ * Wrap a viseme function as a lipsync source
+ * @param {string} type - One of LIPSYNC_SOURCE_TYPES
+ * @param {Function} getVisemes - (audio) => { viseme: value }
+ * @param {Function} getVisemesAt - Optional (audio, time) => { viseme: value } for look-ahead
+ * @returns {{type: string, getVisemes: Function}} Lipsync source
+ */
+export const createLipsyncSource = (type, getVisemes, getVisemesAt = null) =>
+  getVisemesAt ? { type, getVisemes, getVisemesAt } : { type, getVisemes };
+
+/**
+ * Which source should drive the mouth for the current message
+ * Precomputed cues win over an offline analysis, which wins over live analysis
+ * (both are ready before playback and cost nothing per frame), and live
+ * analysis wins over the fallback. Browser TTS always uses its own timeline
+ * because its timing has nothing to do with the backend's cues.
+ * @param {Object} state - { lipsync, analysis, isSpeech, liveAvailable }
+ * @returns {string} One of LIPSYNC_SOURCE_TYPES
+ */
+export const selectLipsyncSource = ({
+  lipsync = null,
+  analysis = null,
+  isSpeech = false,
+  liveAvailable = false
+} = {}) => {
+  if (isSpeech) return LIPSYNC_SOURCE_TYPES.SPEECH;
+  if (lipsync?.cues?.length > 0) return LIPSYNC_SOURCE_TYPES.CUES;
+  if (analysis?.frames?.length > 0) return LIPSYNC_SOURCE_TYPES.ANALYSIS;
+  if (liveAvailable) return LIPSYNC_SOURCE_TYPES.LIVE;
+  return LIPSYNC_SOURCE_TYPES.FALLBACK;
+};
+
+export default {
+  LIPSYNC_SOURCE_TYPES,
+  LIPSYNC_CUE_FORMATS,
+  LIPSYNC_CUES_CONFIG,
+  detectLipsyncFormat,
+  normalizeLipsync,
+  findCueAt,
+  createCueSource,
+  createLipsyncSource,
+  selectLipsyncSource
+};
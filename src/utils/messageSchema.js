@@ -0,0 +1,216 @@
+/**
+ * Runtime validation and normalization of assistant messages
+ * Every message from the backend passes through normalizeMessage before it is
+ * queued, so Avatar can rely on a known animation, a known facial expression,
+ * a string base64 audio (or a safe audio URL) and a valid MIME type. Problems are reported as issues
+ * for the diagnostics log instead of throwing.
+ */
+
+import { DEFAULT_EXPRESSION, EXPRESSION_NAMES } from './facialExpressions';
+import { detectLipsyncFormat } from './lipsyncSources';
+
+// Clips shipped in /models/animations.glb; Avatar registers the real list once loaded
+export const DEFAULT_ANIMATIONS = [
+  'Idle',
+  'Talking_0',
+  'Talking_1',
+  'Talking_2',
+  'Crying',
+  'Laughing',
+  'Rumba',
+  'Terrified',
+  'Angry'
+];
+
+// Preferred fallbacks for unknown animations, first match wins
+export const FALLBACK_ANIMATIONS = ['Talking_1', 'Talking_0', 'Idle'];
+
+export const DEFAULT_AUDIO_MIME = 'audio/mpeg';
+
+export const SCHEMA_ISSUES = {
+  INVALID_MESSAGE: 'invalid_message',
+  INVALID_TEXT: 'invalid_text',
+  UNKNOWN_ANIMATION: 'unknown_animation',
+  UNKNOWN_EXPRESSION: 'unknown_expression',
+  INVALID_AUDIO: 'invalid_audio',
+  INVALID_AUDIO_MIME: 'invalid_audio_mime',
+  INVALID_AUDIO_URL: 'invalid_audio_url',
+  INVALID_LIPSYNC: 'invalid_lipsync'
+};
+
+// Fields that point to audio instead of embedding it (see audioSource.js)
+export const AUDIO_URL_FIELDS = ['audioUrl', 'audioStreamUrl'];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+const MIME_PATTERN = /^audio\/[\w.+-]+$/i;
+const DATA_URL_PATTERN = /^data:([^;,]+)?(?:;[^,]*)?;base64,/i;
+// Absolute http(s)/blob URLs or paths on the same origin
+const AUDIO_URL_PATTERN = /^(https?:\/\/|blob:|\/|\.{1,2}\/)/i;
+
+/**
+ * Animation to use when a message names one that does not exist
+ * @param {Array<string>} available - Known animation names
+ * @returns {string} Fallback animation name
+ */
+export const getFallbackAnimation = (available = DEFAULT_ANIMATIONS) =>
+  FALLBACK_ANIMATIONS.find((name) => available.includes(name)) || available[0] || 'Idle';
+
+/**
+ * Validate and normalize one assistant message
+ * Unknown fields are preserved so newer backends can add data without breaking
+ * @param {*} raw - Message as received
+ * @param {Object} options - { animations, expressions } known names
+ * @returns {{message: Object|null, issues: Array}} Normalized message (null if unusable) and issues
+ */
+export const normalizeMessage = (
+  raw,
+  { animations = DEFAULT_ANIMATIONS, expressions = EXPRESSION_NAMES } = {}
+) => {
+  const issues = [];
+  const report = (code, field, value, detail) => issues.push({ code, field, value, detail });
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    report(SCHEMA_ISSUES.INVALID_MESSAGE, null, raw, 'Message is not an object');
+    return { message: null, issues };
+  }
+
+  const message = { ...raw };
+
+  // text
+  if (typeof message.text !== 'string') {
+    if (message.text !== undefined && message.text !== null) {
+      report(SCHEMA_ISSUES.INVALID_TEXT, 'text', message.text, 'Text is not a string');
+    }
+    message.text = message.text === undefined || message.text === null ? '' : String(message.text);
+  }
+
+  // animation
+  if (typeof message.animation !== 'string' || !animations.includes(message.animation)) {
+    const fallback = getFallbackAnimation(animations);
+    if (message.animation !== undefined) {
+      report(SCHEMA_ISSUES.UNKNOWN_ANIMATION, 'animation', message.animation, `Using "${fallback}"`);
+    }
+    message.animation = fallback;
+  }
+
+  // facialExpression
+  if (typeof message.facialExpression !== 'string' || !expressions.includes(message.facialExpression)) {
+    if (message.facialExpression !== undefined) {
+      report(
+        SCHEMA_ISSUES.UNKNOWN_EXPRESSION,
+        'facialExpression',
+        message.facialExpression,
+        `Using "${DEFAULT_EXPRESSION}"`
+      );
+    }
+    message.facialExpression = DEFAULT_EXPRESSION;
+  }
+
+  // audio: base64 string, optionally sent as a data: URL
+  let mimeFromDataUrl = null;
+  if (message.audio === undefined || message.audio === null) {
+    message.audio = '';
+  } else if (typeof message.audio !== 'string') {
+    report(SCHEMA_ISSUES.INVALID_AUDIO, 'audio', typeof message.audio, 'Audio is not a base64 string');
+    message.audio = '';
+  } else {
+    const dataUrl = message.audio.match(DATA_URL_PATTERN);
+    if (dataUrl) {
+      mimeFromDataUrl = dataUrl[1] || null;
+      message.audio = message.audio.slice(dataUrl[0].length);
+    }
+    const compact = message.audio.replace(/\s+/g, '');
+    if (!BASE64_PATTERN.test(compact)) {
+      report(SCHEMA_ISSUES.INVALID_AUDIO, 'audio', `${compact.slice(0, 16)}…`, 'Audio is not valid base64');
+      message.audio = '';
+    } else {
+      // Url-safe base64 is accepted but stored with + and /: atob() and data: URLs reject - and _
+      message.audio = compact.replace(/-/g, '+').replace(/_/g, '/');
+    }
+  }
+
+  // audioUrl / audioStreamUrl
+  AUDIO_URL_FIELDS.forEach((field) => {
+    const value = message[field];
+    if (value === undefined || value === null || value === '') {
+      delete message[field];
+    } else if (typeof value !== 'string' || !AUDIO_URL_PATTERN.test(value.trim())) {
+      report(SCHEMA_ISSUES.INVALID_AUDIO_URL, field, value, 'Not an http(s), blob or relative URL');
+      delete message[field];
+    } else {
+      message[field] = value.trim();
+    }
+  });
+
+  // audioMime
+  const mime = message.audioMime ?? mimeFromDataUrl;
+  if (mime === undefined || mime === null || mime === '') {
+    message.audioMime = DEFAULT_AUDIO_MIME;
+  } else if (typeof mime !== 'string' || !MIME_PATTERN.test(mime)) {
+    report(SCHEMA_ISSUES.INVALID_AUDIO_MIME, 'audioMime', mime, `Using "${DEFAULT_AUDIO_MIME}"`);
+    message.audioMime = DEFAULT_AUDIO_MIME;
+  } else {
+    // audio/mp3 is common but not a registered type; some browsers refuse it
+    message.audioMime = mime.toLowerCase() === 'audio/mp3' ? DEFAULT_AUDIO_MIME : mime.toLowerCase();
+  }
+
+  // lipsync: precomputed viseme cues, kept as sent (see lipsyncSources.js)
+  if (message.lipsync === undefined || message.lipsync === null) {
+    delete message.lipsync;
+  } else if (!detectLipsyncFormat(message.lipsync)) {
+    report(SCHEMA_ISSUES.INVALID_LIPSYNC, 'lipsync', typeof message.lipsync, 'Unknown viseme cue format');
+    delete message.lipsync;
+  }
+
+  return { message, issues };
+};
+
+/**
+ * Data URL for a message's audio, honouring its MIME type
+ * @param {Object} message - Normalized message
+ * @returns {string} data: URL (empty payload when the message has no audio)
+ */
+export const toAudioDataUrl = (message) =>
+  `data:${message?.audioMime || DEFAULT_AUDIO_MIME};base64,${message?.audio || ''}`;
+
+/**
+ * Bounded in-memory log of schema violations and other runtime diagnostics
+ */
+export class DiagnosticsLog {
+  constructor({ limit = 100 } = {}) {
+    this.limit = limit;
+    this.entries = [];
+    this.listeners = new Set();
+  }
+
+  record(entry) {
+    const item = { timestamp: Date.now(), ...entry };
+    this.entries = [...this.entries, item].slice(-this.limit);
+    this.listeners.forEach((listener) => listener(this.entries));
+    return item;
+  }
+
+  getEntries() {
+    return this.entries;
+  }
+
+  clear() {
+    this.entries = [];
+    this.listeners.forEach((listener) => listener(this.entries));
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export default {
+  DEFAULT_ANIMATIONS,
+  SCHEMA_ISSUES,
+  AUDIO_URL_FIELDS,
+  normalizeMessage,
+  getFallbackAnimation,
+  toAudioDataUrl,
+  DiagnosticsLog
+};
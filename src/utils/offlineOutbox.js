@@ -0,0 +1,125 @@
+/**
+ * Persistent outbox for user messages
+ * Keeps unsent messages in localStorage so they survive connectivity loss and
+ * page reloads, and are flushed in order once the backend is reachable again
+ */
+
+import { createId } from './createId';
+
+export const OUTBOX_STORAGE_KEY = 'chat_outbox';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',   // Waiting for connectivity
+  SENDING: 'sending'    // Request in flight
+};
+
+const defaultStorage = () => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+export class OfflineOutbox {
+  constructor({ storage = defaultStorage(), key = OUTBOX_STORAGE_KEY } = {}) {
+    this.storage = storage;
+    this.key = key;
+    this.listeners = new Set();
+    this.items = this.load();
+  }
+
+  load() {
+    if (!this.storage) return [];
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.key) || '[]');
+      if (!Array.isArray(saved)) return [];
+      // A reload interrupted whatever was in flight: send it again
+      return saved
+        .filter((item) => item && typeof item.text === 'string')
+        .map((item) => ({ ...item, status: OUTBOX_STATUS.PENDING }));
+    } catch (error) {
+      console.warn('⚠️ Could not restore chat outbox:', error);
+      return [];
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      // Greeting requests (text null) are regenerated on load, never persisted
+      const persistent = this.items.filter((item) => item.text !== null);
+      if (persistent.length > 0) {
+        this.storage.setItem(this.key, JSON.stringify(persistent));
+      } else {
+        this.storage.removeItem(this.key);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not persist chat outbox:', error);
+    }
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.save();
+    const snapshot = this.getItems();
+    this.listeners.forEach((listener) => listener(snapshot));
+  }
+
+  getItems() {
+    return this.items.map((item) => ({ ...item }));
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  enqueue(text, sessionId) {
+    const item = {
+      id: createId('msg'),
+      text: text ?? null,
+      sessionId,
+      createdAt: Date.now(),
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0
+    };
+    this.items.push(item);
+    this.notify();
+    return item;
+  }
+
+  peek() {
+    return this.items[0] || null;
+  }
+
+  update(id, changes) {
+    const item = this.items.find((entry) => entry.id === id);
+    if (!item) return null;
+    Object.assign(item, changes);
+    this.notify();
+    return item;
+  }
+
+  markSending(id) {
+    const item = this.items.find((entry) => entry.id === id);
+    return this.update(id, {
+      status: OUTBOX_STATUS.SENDING,
+      attempts: (item?.attempts || 0) + 1
+    });
+  }
+
+  markPending(id) {
+    return this.update(id, { status: OUTBOX_STATUS.PENDING });
+  }
+
+  remove(id) {
+    const before = this.items.length;
+    this.items = this.items.filter((entry) => entry.id !== id);
+    if (this.items.length !== before) this.notify();
+  }
+
+  clear() {
+    this.items = [];
+    this.notify();
+  }
+}
+
+export default OfflineOutbox;
@@ -0,0 +1,143 @@
+/**
+ * Conversation session list
+ * Keeps title and last-activity metadata for every session in localStorage;
+ * the transcripts themselves live in the history store keyed by sessionId
+ */
+
+import { createId } from './createId';
+
+export const SESSIONS_STORAGE_KEY = 'chat_sessions';
+export const DEFAULT_SESSION_TITLE = 'Nueva conversación';
+export const SESSION_TITLE_MAX_LENGTH = 40;
+
+const defaultStorage = () => (typeof localStorage !== 'undefined' ? localStorage : null);
+
+/**
+ * Title derived from the first user message
+ * @param {string} text - User message
+ * @param {number} maxLength - Maximum title length
+ * @returns {string} Title, or the default title for empty text
+ */
+export const deriveSessionTitle = (text, maxLength = SESSION_TITLE_MAX_LENGTH) => {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return DEFAULT_SESSION_TITLE;
+  return clean.length > maxLength ? `${clean.slice(0, maxLength - 1).trimEnd()}…` : clean;
+};
+
+export class SessionStore {
+  constructor({ storage = defaultStorage(), key = SESSIONS_STORAGE_KEY } = {}) {
+    this.storage = storage;
+    this.key = key;
+    this.listeners = new Set();
+    this.sessions = this.load();
+  }
+
+  load() {
+    if (!this.storage) return [];
+    try {
+      const saved = JSON.parse(this.storage.getItem(this.key) || '[]');
+      return Array.isArray(saved) ? saved.filter((session) => session && session.id) : [];
+    } catch (error) {
+      console.warn('⚠️ Could not restore chat sessions:', error);
+      return [];
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.sessions));
+    } catch (error) {
+      console.warn('⚠️ Could not persist chat sessions:', error);
+    }
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.save();
+    const snapshot = this.list();
+    this.listeners.forEach((listener) => listener(snapshot));
+  }
+
+  /**
+   * Sessions, most recently active first
+   */
+  list() {
+    return this.sessions
+      .map((session) => ({ ...session }))
+      .sort((a, b) => b.lastActivity - a.lastActivity);
+  }
+
+  get(id) {
+    const session = this.sessions.find((entry) => entry.id === id);
+    return session ? { ...session } : null;
+  }
+
+  create({ id = createId('session'), title = DEFAULT_SESSION_TITLE } = {}) {
+    const now = Date.now();
+    const session = { id, title, customTitle: false, createdAt: now, lastActivity: now };
+    this.sessions.push(session);
+    this.notify();
+    return { ...session };
+  }
+
+  /**
+   * Register a session that was created elsewhere (saved id, backend reset)
+   */
+  ensure(id) {
+    return this.get(id) || this.create({ id });
+  }
+
+  /**
+   * Record activity; the first user message names the session unless it was renamed
+   * @param {string} id - Session id
+   * @param {Object} details - { userText } of the turn, if any
+   */
+  touch(id, { userText } = {}) {
+    const session = this.sessions.find((entry) => entry.id === id);
+    if (!session) return null;
+    session.lastActivity = Math.max(Date.now(), session.lastActivity);
+    if (userText && !session.customTitle && session.title === DEFAULT_SESSION_TITLE) {
+      session.title = deriveSessionTitle(userText);
+    }
+    this.notify();
+    return { ...session };
+  }
+
+  rename(id, title) {
+    const session = this.sessions.find((entry) => entry.id === id);
+    if (!session) return null;
+    const clean = (title || '').trim();
+    session.title = clean || DEFAULT_SESSION_TITLE;
+    session.customTitle = Boolean(clean);
+    this.notify();
+    return { ...session };
+  }
+
+  remove(id) {
+    const before = this.sessions.length;
+    this.sessions = this.sessions.filter((entry) => entry.id !== id);
+    if (this.sessions.length !== before) this.notify();
+  }
+}
+
+/**
+ * Short label for a session's last activity: time today, date otherwise
+ * @param {number} timestamp - Timestamp in ms
+ * @param {number} now - Current time (injectable for tests)
+ * @returns {string} Label
+ */
+export const formatSessionDate = (timestamp, now = Date.now()) => {
+  const date = new Date(timestamp);
+  const today = new Date(now);
+  if (date.toDateString() === today.toDateString()) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString([], { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+export default SessionStore;
@@ -0,0 +1,206 @@
+/**
+ * Client-side text-to-speech fallback
+ * When a message arrives without playable audio, the browser's speechSynthesis
+ * speaks its text instead. SpeechPlayback mimics the parts of HTMLAudioElement
+ * the Avatar relies on (currentTime, duration, paused, ended, play/pause,
+ * onended/onerror) so interrupts, replay controls and subtitles keep working,
+ * and exposes a text-driven viseme timeline (see textToVisemes.js) because
+ * speechSynthesis output can't be routed through wawa-lipsync.
+ */
+
+import { getTimelineVisemes, textToVisemeTimeline } from './textToVisemes';
+
+export const SPEECH_FALLBACK_CONFIG = {
+  lang: 'es-BO',              // Default voice language
+  rate: 1,
+  pitch: 1,
+  volume: 1
+};
+
+/**
+ * Whether the browser can speak text
+ * @param {Object} synth - speechSynthesis implementation (injectable for tests)
+ * @returns {boolean} True when speechSynthesis and SpeechSynthesisUtterance exist
+ */
+export const isSpeechSynthesisSupported = (
+  synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined
+) => Boolean(synth?.speak) && typeof window !== 'undefined' && 'SpeechSynthesisUtterance' in window;
+
+/**
+ * Pick a voice for a language
+ * Exact locale (es-BO) first, then any voice of the same language (es-*),
+ * preferring local voices; a voice name overrides both when available
+ * @param {Array<SpeechSynthesisVoice>} voices - Installed voices
+ * @param {string} lang - BCP 47 language tag
+ * @param {string} voiceName - Preferred voice name
+ * @returns {SpeechSynthesisVoice|null} Voice, or null to let the browser decide
+ */
+export const selectVoice = (voices = [], lang = SPEECH_FALLBACK_CONFIG.lang, voiceName = null) => {
+  if (!voices.length) return null;
+  if (voiceName) {
+    const named = voices.find((voice) => voice.name === voiceName);
+    if (named) return named;
+  }
+
+  const normalize = (tag) => (tag || '').toLowerCase().replace('_', '-');
+  const wanted = normalize(lang);
+  const base = wanted.split('-')[0];
+  const byLocal = (a, b) => Number(Boolean(b.localService)) - Number(Boolean(a.localService));
+
+  const exact = voices.filter((voice) => normalize(voice.lang) === wanted).sort(byLocal);
+  if (exact.length) return exact[0];
+  const sameLanguage = voices.filter((voice) => normalize(voice.lang).split('-')[0] === base).sort(byLocal);
+  return sameLanguage[0] || null;
+};
+
+/**
+ * speechSynthesis wrapped in an audio-element-like clock
+ */
+export class SpeechPlayback {
+  constructor(
+    text,
+    {
+      lang = SPEECH_FALLBACK_CONFIG.lang,
+      voiceName = null,
+      rate = SPEECH_FALLBACK_CONFIG.rate,
+      synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined,
+      Utterance = typeof window !== 'undefined' ? window.SpeechSynthesisUtterance : undefined,
+      now = () => performance.now()
+    } = {}
+  ) {
+    this.text = text || '';
+    this.lang = lang;
+    this.voiceName = voiceName;
+    this.synth = synth;
+    this.Utterance = Utterance;
+    this.now = now;
+    this.rate = rate;
+
+    this.timeline = textToVisemeTimeline(this.text, { lang: this.lang });
+    this.estimatedDuration = this.timeline.length ? this.timeline[this.timeline.length - 1].end : 0;
+
+    this.paused = true;
+    this.ended = false;
+    this.started = false;
+    this.elapsed = 0;        // Seconds of timeline time before the current run
+    this.runStartedAt = null;
+    this.utterance = null;
+    this.onended = null;
+    this.onerror = null;
+  }
+
+  // Timeline time: the clock runs at the speech rate
+  get currentTime() {
+    if (this.runStartedAt === null) return this.elapsed;
+    return this.elapsed + ((this.now() - this.runStartedAt) / 1000) * this.rate;
+  }
+
+  // Grows while the voice is still talking past the estimate
+  get duration() {
+    return this.ended ? this.currentTime : Math.max(this.estimatedDuration, this.currentTime + 0.25);
+  }
+
+  get playbackRate() {
+    return this.rate;
+  }
+
+  // Only affects the next utterance; speechSynthesis can't change speed mid-sentence
+  set playbackRate(rate) {
+    this.syncClock();
+    this.rate = rate;
+  }
+
+  syncClock(time = this.currentTime) {
+    this.elapsed = time;
+    this.runStartedAt = this.paused ? null : this.now();
+  }
+
+  // Stop the clock where it is
+  freeze() {
+    const time = this.currentTime;
+    this.paused = true;
+    this.syncClock(time);
+  }
+
+  play() {
+    if (!this.synth || !this.Utterance) {
+      return Promise.reject(new Error('speechSynthesis is not supported'));
+    }
+    if (!this.paused) return Promise.resolve();
+
+    if (this.started && !this.ended) {
+      this.synth.resume();
+    } else {
+      this.speak();
+    }
+    this.paused = false;
+    this.syncClock();
+    return Promise.resolve();
+  }
+
+  speak() {
+    const utterance = new this.Utterance(this.text);
+    utterance.lang = this.lang;
+    utterance.rate = this.rate;
+    utterance.pitch = SPEECH_FALLBACK_CONFIG.pitch;
+    utterance.volume = SPEECH_FALLBACK_CONFIG.volume;
+    const voice = selectVoice(this.synth.getVoices?.() || [], this.lang, this.voiceName);
+    if (voice) utterance.voice = voice;
+
+    // Word boundaries re-align the clock with what the voice is actually saying
+    utterance.onboundary = (event) => {
+      if (this.utterance !== utterance || this.paused) return;
+      const segment = this.timeline.find((item) => item.charIndex >= event.charIndex);
+      if (segment) this.syncClock(segment.start);
+    };
+    utterance.onend = () => {
+      if (this.utterance !== utterance) return;
+      this.freeze();
+      this.ended = true;
+      this.onended?.();
+    };
+    utterance.onerror = (event) => {
+      if (this.utterance !== utterance) return;
+      this.freeze();
+      this.onerror?.(new Error(`speechSynthesis failed: ${event.error || 'unknown'}`));
+    };
+
+    this.utterance = utterance;
+    this.started = true;
+    this.ended = false;
+    this.elapsed = 0;
+    this.synth.speak(utterance);
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.freeze();
+    this.synth?.pause();
+  }
+
+  // Stop for good; a cancelled utterance never fires onended
+  cancel() {
+    const wasSpeaking = this.started && !this.ended;
+    this.freeze();
+    this.utterance = null;
+    this.ended = true;
+    if (wasSpeaking) this.synth?.cancel();
+  }
+
+  /**
+   * Viseme values for the current (or a given) position of the speech
+   * @param {number} time - Seconds of timeline time (defaults to now)
+   * @returns {Object} Viseme values (empty while paused or silent)
+   */
+  getVisemes(time = this.currentTime) {
+    if (this.paused || this.ended) return {};
+    return getTimelineVisemes(this.timeline, time);
+  }
+}
+
+export default {
+  SPEECH_FALLBACK_CONFIG,
+  isSpeechSynthesisSupported,
+  selectVoice,
+  SpeechPlayback
+};
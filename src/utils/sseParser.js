@@ -0,0 +1,145 @@
+/**
+ * Server-Sent Events helpers for streaming chat replies
+ * Parses `text/event-stream` bodies read through fetch so each assistant
+ * message can be queued as soon as the backend emits it
+ */
+
+export const SSE_CONTENT_TYPE = 'text/event-stream';
+
+/**
+ * Check whether a fetch response is an event stream
+ * @param {Response} response - Fetch response
+ * @returns {boolean} True when the server answered with text/event-stream
+ */
+export const isEventStream = (response) => {
+  const contentType = response?.headers?.get?.('content-type') || '';
+  return contentType.toLowerCase().includes(SSE_CONTENT_TYPE);
+};
+
+/**
+ * Create an incremental SSE parser
+ * Text can be pushed in arbitrary chunks; complete events are dispatched
+ * to `onEvent` as `{ event, data, id }` once their terminating blank line arrives
+ * @param {Function} onEvent - Called for every complete event
+ * @returns {Object} Parser with push(text) and flush()
+ */
+export const createSSEParser = (onEvent) => {
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+  let lastId = '';
+
+  const dispatch = () => {
+    if (dataLines.length === 0) {
+      eventName = '';
+      return;
+    }
+    const evt = {
+      event: eventName || 'message',
+      data: dataLines.join('\n'),
+      id: lastId,
+    };
+    eventName = '';
+    dataLines = [];
+    onEvent(evt);
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    // Comment lines (keep-alive pings) start with a colon
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    switch (field) {
+      case 'event':
+        eventName = value;
+        break;
+      case 'data':
+        dataLines.push(value);
+        break;
+      case 'id':
+        lastId = value;
+        break;
+      default:
+        // `retry` and unknown fields are ignored
+        break;
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      // A trailing CR may be the first half of a CRLF split across chunks:
+      // keep it until the next chunk says whether a LF follows
+      const pendingCR = buffer.endsWith('\r');
+      const lines = (pendingCR ? buffer.slice(0, -1) : buffer).split(/\r\n|\r|\n/);
+      // The last element is an incomplete line (or '' after a newline)
+      buffer = lines.pop() + (pendingCR ? '\r' : '');
+      lines.forEach(processLine);
+    },
+    flush() {
+      if (buffer) {
+        // A held-back CR still ends its line
+        processLine(buffer.replace(/\r$/, ''));
+        buffer = '';
+      }
+      dispatch();
+    },
+  };
+};
+
+/**
+ * Read a streaming fetch response and dispatch its events
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onEvent - Called for every complete event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const readEventStream = async (response, onEvent) => {
+  const parser = createSSEParser(onEvent);
+
+  // Environments without streaming bodies still get the whole payload parsed
+  if (!response.body?.getReader) {
+    parser.push(await response.text());
+    parser.flush();
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let finished = false;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parser.push(decoder.decode(value, { stream: true }));
+    }
+    finished = true;
+    parser.push(decoder.decode());
+    parser.flush();
+  } finally {
+    // Stopped early (error event, throwing listener): close the HTTP stream too
+    if (!finished) {
+      try {
+        await reader.cancel?.();
+      } catch (error) {
+        // Already errored, e.g. by an aborted fetch
+      }
+    }
+    reader.releaseLock?.();
+  }
+};
+
+export default {
+  SSE_CONTENT_TYPE,
+  isEventStream,
+  createSSEParser,
+  readEventStream,
+};
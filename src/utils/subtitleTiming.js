@@ -0,0 +1,186 @@
+/**
+ * Word timing for karaoke subtitles
+ * Uses backend word timings when the message carries them, otherwise estimates
+ * them from the audio duration weighting each word by its length and pauses.
+ */
+
+export const SUBTITLE_POSITIONS = {
+  TOP: 'top',
+  BOTTOM: 'bottom'
+};
+
+export const SUBTITLE_MODES = {
+  OFF: 'off',
+  OVERLAY: 'overlay',  // HTML caption over the canvas
+  SCENE: '3d'          // drei Text next to the avatar
+};
+
+export const DEFAULT_SUBTITLE_SETTINGS = {
+  mode: SUBTITLE_MODES.OVERLAY,
+  fontSize: 20,                        // Overlay font size (px)
+  position: SUBTITLE_POSITIONS.BOTTOM,
+  maxWords: 14                         // Words shown at once; long replies page through chunks
+};
+
+export const SUBTITLE_TIMING_CONFIG = {
+  CHARS_PER_SECOND: 14,   // Speaking rate used when the audio duration is unknown
+  MIN_WORD_WEIGHT: 2,     // Short words still take some time
+  COMMA_PAUSE: 3,         // Extra weight (in characters) after , ; :
+  SENTENCE_PAUSE: 6       // Extra weight after . ! ?
+};
+
+/**
+ * Split text into words keeping their character offsets
+ * @param {string} text - Message text
+ * @returns {Array<{word: string, charStart: number, charEnd: number}>} Words
+ */
+export const tokenizeWords = (text = '') => {
+  const words = [];
+  const regex = /\S+/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    words.push({ word: match[0], charStart: match.index, charEnd: match.index + match[0].length });
+  }
+  return words;
+};
+
+const wordWeight = (word, config) => {
+  const letters = word.replace(/[^\p{L}\p{N}]/gu, '').length;
+  let weight = Math.max(config.MIN_WORD_WEIGHT, letters);
+  if (/[.!?…]["')\]]*$/.test(word)) weight += config.SENTENCE_PAUSE;
+  else if (/[,;:]["')\]]*$/.test(word)) weight += config.COMMA_PAUSE;
+  return weight;
+};
+
+/**
+ * Rough speech duration for a text when the audio does not report one
+ * @param {string} text - Message text
+ * @param {Object} config - Timing configuration
+ * @returns {number} Duration in seconds
+ */
+export const estimateSpeechDuration = (text = '', config = SUBTITLE_TIMING_CONFIG) =>
+  Math.max(1, text.trim().length / config.CHARS_PER_SECOND);
+
+/**
+ * Estimate word timings spreading the duration proportionally to word weight
+ * Pauses after punctuation are attached to the end of the word before them
+ * @param {string} text - Message text
+ * @param {number} duration - Audio duration in seconds
+ * @param {Object} config - Timing configuration
+ * @returns {Array<{word, start, end, charStart, charEnd}>} Word timings in seconds
+ */
+export const estimateWordTimings = (text, duration, config = SUBTITLE_TIMING_CONFIG) => {
+  const words = tokenizeWords(text);
+  if (words.length === 0) return [];
+
+  const total = Number.isFinite(duration) && duration > 0 ? duration : estimateSpeechDuration(text, config);
+  const weights = words.map(({ word }) => wordWeight(word, config));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  let cursor = 0;
+  return words.map((word, i) => {
+    const start = cursor;
+    cursor += (weights[i] / totalWeight) * total;
+    return { ...word, start, end: i === words.length - 1 ? total : cursor };
+  });
+};
+
+/**
+ * Read word timings sent by the backend
+ * Accepts `wordTimings: [{ word, start, end }]` in seconds, or the
+ * `{ words, wtimes, wdurations }` arrays in milliseconds used by several TTS services
+ * @param {Object} message - Assistant message
+ * @returns {Array<{word, start, end, charStart, charEnd}>|null} Timings, or null when absent
+ */
+export const getProvidedWordTimings = (message) => {
+  if (!message) return null;
+  let timings = null;
+
+  if (Array.isArray(message.wordTimings) && message.wordTimings.length > 0) {
+    timings = message.wordTimings
+      .filter((t) => t && (t.word || t.text) && Number.isFinite(t.start))
+      .map((t) => ({
+        word: String(t.word ?? t.text),
+        start: t.start,
+        end: Number.isFinite(t.end) ? t.end : t.start
+      }));
+  } else if (
+    Array.isArray(message.words) &&
+    Array.isArray(message.wtimes) &&
+    message.words.length === message.wtimes.length &&
+    message.words.length > 0
+  ) {
+    timings = message.words.map((word, i) => {
+      const start = message.wtimes[i] / 1000;
+      const length = Array.isArray(message.wdurations) ? message.wdurations[i] / 1000 : 0;
+      return { word: String(word), start, end: start + (Number.isFinite(length) ? length : 0) };
+    });
+  }
+
+  if (!timings || timings.length === 0) return null;
+
+  // Map the timed words back onto the text so the caption keeps its punctuation
+  const text = message.text || '';
+  let searchFrom = 0;
+  return timings.map((t) => {
+    const index = text.indexOf(t.word, searchFrom);
+    if (index === -1) return { ...t, charStart: -1, charEnd: -1 };
+    searchFrom = index + t.word.length;
+    return { ...t, charStart: index, charEnd: searchFrom };
+  });
+};
+
+/**
+ * Word timings for a message: provided by the backend or estimated
+ * @param {Object} message - Assistant message
+ * @param {number} duration - Audio duration in seconds (may be NaN while loading)
+ * @returns {Array} Word timings
+ */
+export const getWordTimings = (message, duration) =>
+  getProvidedWordTimings(message) || estimateWordTimings(message?.text || '', duration);
+
+/**
+ * Index of the word being spoken at a given time
+ * @param {Array} timings - Word timings sorted by start
+ * @param {number} time - Playback time in seconds
+ * @returns {number} Word index, -1 before the first word
+ */
+export const getActiveWordIndex = (timings, time) => {
+  if (!timings?.length || !Number.isFinite(time) || time < timings[0].start) return -1;
+  let low = 0;
+  let high = timings.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (timings[mid].start <= time) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+/**
+ * Chunk of words to display around the active word
+ * @param {Array} timings - Word timings
+ * @param {number} activeIndex - Active word index
+ * @param {number} maxWords - Words per chunk
+ * @returns {{words: Array, offset: number}} Visible words and index of the first one
+ */
+export const getCaptionWindow = (timings, activeIndex, maxWords = DEFAULT_SUBTITLE_SETTINGS.maxWords) => {
+  if (!timings?.length) return { words: [], offset: 0 };
+  const size = Math.max(1, maxWords);
+  const offset = Math.floor(Math.max(0, activeIndex) / size) * size;
+  return { words: timings.slice(offset, offset + size), offset };
+};
+
+export default {
+  SUBTITLE_MODES,
+  SUBTITLE_POSITIONS,
+  DEFAULT_SUBTITLE_SETTINGS,
+  SUBTITLE_TIMING_CONFIG,
+  tokenizeWords,
+  estimateSpeechDuration,
+  estimateWordTimings,
+  getProvidedWordTimings,
+  getWordTimings,
+  getActiveWordIndex,
+  getCaptionWindow
+};
@@ -0,0 +1,339 @@
+/**
+ * Rule-based text to viseme timeline
+ * Spanish orthography maps almost directly to phonemes, so a handful of
+ * grapheme rules (digraphs, soft c/g, silent h, seseo, diphthongs) give a
+ * usable phoneme string without a dictionary. Basic English rules cover the
+ * common digraphs and the silent final e. Phonemes map to Oculus visemes and
+ * are laid out on a timeline stretched to the audio duration; used when the
+ * audio can't be analysed (fallback mode, browser TTS).
+ */
+
+export const TEXT_VISEME_CONFIG = {
+  defaultLanguage: 'es',
+  secondsPerUnit: 0.07,       // Speaking time per weight unit when no duration is given
+  vowelValue: 0.8,            // Viseme strength for vowels
+  consonantValue: 0.5,        // Viseme strength for consonants
+  minEnvelope: 0.4,           // Lowest strength inside a segment (avoids flicker)
+  weights: {
+    vowel: 1,
+    stressedVowel: 1.3,       // Written accents (á, é…) are held longer
+    consonant: 0.6,
+    trill: 0.9,               // rr
+    space: 0.5,
+    comma: 2,
+    stop: 3,
+    silent: 0                 // Silent letters (h, final English e) take no time
+  }
+};
+
+// Phonemes (SAMPA-like) to Oculus visemes
+export const PHONEME_VISEMES = {
+  a: 'viseme_aa',
+  e: 'viseme_E',
+  i: 'viseme_I',
+  o: 'viseme_O',
+  u: 'viseme_U',
+  j: 'viseme_I',      // y in "yo", i in "bien"
+  w: 'viseme_U',      // u in "bueno", English w
+  p: 'viseme_PP',
+  b: 'viseme_PP',
+  m: 'viseme_PP',
+  f: 'viseme_FF',
+  v: 'viseme_FF',
+  T: 'viseme_TH',     // th in "think"
+  D: 'viseme_TH',     // th in "this"
+  t: 'viseme_DD',
+  d: 'viseme_DD',
+  l: 'viseme_DD',
+  n: 'viseme_nn',
+  J: 'viseme_nn',     // ñ
+  N: 'viseme_nn',     // ng
+  k: 'viseme_kk',
+  g: 'viseme_kk',
+  x: 'viseme_kk',     // Spanish j, soft g
+  h: 'viseme_kk',
+  s: 'viseme_SS',
+  z: 'viseme_SS',
+  S: 'viseme_CH',     // sh
+  tS: 'viseme_CH',    // ch
+  dZ: 'viseme_CH',    // English j
+  L: 'viseme_CH',     // ll (yeísmo)
+  r: 'viseme_RR',
+  rr: 'viseme_RR'
+};
+
+const VOWEL_PHONEMES = new Set(['a', 'e', 'i', 'o', 'u']);
+const LETTER = /\p{L}/u;
+const FRONT = new Set(['e', 'i', 'é', 'í']);
+const STRONG = new Set(['a', 'e', 'o', 'á', 'é', 'í', 'ó', 'ú']);
+const ACCENTED = { á: 'a', é: 'e', í: 'i', ó: 'o', ú: 'u' };
+
+const EN_HINTS = /\b(the|and|you|is|are|what|this|that|with|have|of|hello|thanks?)\b/gi;
+const ES_HINTS = /[ñáéíóú¿¡]|\b(el|la|los|las|que|de|y|es|con|hola|para|por|un|una|gracias)\b/gi;
+
+/**
+ * Rule set to use for a text
+ * @param {string} text - Text to speak
+ * @param {string} lang - BCP 47 tag when known (es-BO, en-US…)
+ * @returns {'es'|'en'} Language whose rules apply
+ */
+export const detectTextLanguage = (text = '', lang = null) => {
+  if (typeof lang === 'string' && lang) {
+    return lang.toLowerCase().startsWith('en') ? 'en' : 'es';
+  }
+  const english = (text.match(EN_HINTS) || []).length;
+  const spanish = (text.match(ES_HINTS) || []).length;
+  return english > spanish ? 'en' : TEXT_VISEME_CONFIG.defaultLanguage;
+};
+
+const isLetterAt = (chars, index) => index >= 0 && index < chars.length && LETTER.test(chars[index]);
+
+// Spanish: returns [phonemes, characters consumed]
+const spanishRule = (chars, i) => {
+  const c = chars[i];
+  const next = chars[i + 1];
+  const prev = chars[i - 1];
+
+  switch (c) {
+    case 'c':
+      if (next === 'h') return [['tS'], 2];
+      return [[FRONT.has(next) ? 's' : 'k'], 1];       // Seseo: ce/ci like s
+    case 'l':
+      return next === 'l' ? [['L'], 2] : [['l'], 1];
+    case 'r':
+      if (next === 'r') return [['rr'], 2];
+      // Word-initial r and r after n/l/s are trilled
+      return [[!isLetterAt(chars, i - 1) || ['n', 'l', 's'].includes(prev) ? 'rr' : 'r'], 1];
+    case 'q':
+      return next === 'u' && FRONT.has(chars[i + 2]) ? [['k'], 2] : [['k'], 1];
+    case 'g':
+      if (next === 'u' && FRONT.has(chars[i + 2])) return [['g'], 2];   // gue, gui
+      if (next === 'ü') return [['g', 'w'], 2];                         // güe, güi
+      return [[FRONT.has(next) ? 'x' : 'g'], 1];
+    case 'h':
+      return [[], 1];
+    case 'j':
+      return [['x'], 1];
+    case 'z':
+      return [['s'], 1];
+    case 'v':
+      return [['b'], 1];
+    case 'ñ':
+      return [['J'], 1];
+    case 'x':
+      return [['k', 's'], 1];
+    case 'w':
+      return [['w'], 1];
+    case 'y':
+      // Conjunction "y" and word-final y ("hoy", "muy") are vowels
+      return [[isLetterAt(chars, i + 1) ? 'j' : 'i'], 1];
+    case 'ü':
+      return [['w'], 1];
+    case 'i':
+    case 'u': {
+      // Unstressed i/u next to another vowel glide: bien, bueno, aire, ciudad
+      const beforeVowel = STRONG.has(next) || ((next === 'i' || next === 'u') && next !== c);
+      return [[beforeVowel || STRONG.has(prev) ? (c === 'i' ? 'j' : 'w') : c], 1];
+    }
+    default:
+      if (ACCENTED[c]) return [[ACCENTED[c]], 1];
+      if (PHONEME_VISEMES[c]) return [[c], 1];
+      return [null, 1];
+  }
+};
+
+// English: a few digraphs and the silent final e; everything else letter by letter
+const englishRule = (chars, i) => {
+  const c = chars[i];
+  const next = chars[i + 1];
+  const pair = c + (next || '');
+  const wordEnd = !isLetterAt(chars, i + 1);
+
+  const digraphs = {
+    th: ['T'],
+    sh: ['S'],
+    ch: ['tS'],
+    ph: ['f'],
+    wh: ['w'],
+    ck: ['k'],
+    qu: ['k', 'w'],
+    ee: ['i'],
+    ea: ['i'],
+    oo: ['u'],
+    oa: ['o'],
+    ou: ['a', 'w'],
+    ow: ['o', 'w'],
+    ai: ['e', 'j'],
+    ay: ['e', 'j']
+  };
+  if (digraphs[pair]) return [digraphs[pair], 2];
+  if (pair === 'ng' && !isLetterAt(chars, i + 2)) return [['N'], 2];
+  // Double consonants are one sound: hello, miss
+  if (next === c && !VOWEL_PHONEMES.has(c) && LETTER.test(c)) {
+    const [phonemes, length] = englishRule(chars, i + 1);
+    return [phonemes, length + 1];
+  }
+
+  switch (c) {
+    case 'c':
+      return [[FRONT.has(next) || next === 'y' ? 's' : 'k'], 1];
+    case 'g':
+      return [[FRONT.has(next) || next === 'y' ? 'dZ' : 'g'], 1];
+    case 'j':
+      return [['dZ'], 1];
+    case 'x':
+      return [['k', 's'], 1];
+    case 'q':
+      return [['k'], 1];
+    case 'y':
+      return [[isLetterAt(chars, i - 1) ? 'i' : 'j'], 1];
+    case 'e': {
+      // Silent final e: "make", "hope" (not "the", "be")
+      let start = i;
+      while (isLetterAt(chars, start - 1)) start -= 1;
+      const silent = wordEnd && i - start >= 3 && !VOWEL_PHONEMES.has(chars[i - 1]);
+      return [silent ? [] : ['e'], 1];
+    }
+    default:
+      if (PHONEME_VISEMES[c]) return [[c], 1];
+      return [null, 1];
+  }
+};
+
+/**
+ * Phonemes of a text
+ * Every character ends up in exactly one token: sounds, silent letters,
+ * spaces and punctuation pauses. Tokens keep the index of the first character
+ * they consume so speech boundary events can be matched back.
+ * @param {string} text - Text to convert
+ * @param {string} language - 'es' or 'en' (see detectTextLanguage)
+ * @returns {Array<{charIndex: number, phoneme: string|null, pause: string|null, stressed: boolean}>} Tokens
+ */
+export const textToPhonemes = (text = '', language = TEXT_VISEME_CONFIG.defaultLanguage) => {
+  const chars = [...(text || '')].map((char) => char.toLowerCase());
+  const rule = language === 'en' ? englishRule : spanishRule;
+  const tokens = [];
+
+  let i = 0;
+  while (i < chars.length) {
+    const char = chars[i];
+    if (/\s/.test(char)) {
+      tokens.push({ charIndex: i, phoneme: null, pause: 'space', stressed: false });
+      i += 1;
+    } else if (/[,;:]/.test(char)) {
+      tokens.push({ charIndex: i, phoneme: null, pause: 'comma', stressed: false });
+      i += 1;
+    } else if (/[.!?¡¿…]/.test(char)) {
+      tokens.push({ charIndex: i, phoneme: null, pause: 'stop', stressed: false });
+      i += 1;
+    } else if (/\d/.test(char)) {
+      // Digits: keep the mouth moving without spelling the number out
+      tokens.push({ charIndex: i, phoneme: 'e', pause: null, stressed: false });
+      i += 1;
+    } else {
+      const [phonemes, length] = rule(chars, i);
+      if (phonemes === null) {
+        tokens.push({ charIndex: i, phoneme: null, pause: null, stressed: false });
+      } else if (phonemes.length === 0) {
+        tokens.push({ charIndex: i, phoneme: null, pause: 'silent', stressed: false });
+      } else {
+        phonemes.forEach((phoneme) =>
+          tokens.push({ charIndex: i, phoneme, pause: null, stressed: Boolean(ACCENTED[char]) })
+        );
+      }
+      i += length;
+    }
+  }
+
+  return tokens;
+};
+
+const tokenWeight = ({ phoneme, pause, stressed }) => {
+  const { weights } = TEXT_VISEME_CONFIG;
+  if (pause) return weights[pause];
+  if (!phoneme) return weights.consonant;
+  if (VOWEL_PHONEMES.has(phoneme)) return stressed ? weights.stressedVowel : weights.vowel;
+  return phoneme === 'rr' ? weights.trill : weights.consonant;
+};
+
+/**
+ * Viseme timeline for a text
+ * Each phoneme gets a slot proportional to its weight; the whole timeline is
+ * stretched to the audio duration when it is known
+ * @param {string} text - Text to speak
+ * @param {Object} options - { duration (seconds), lang (BCP 47) }
+ * @returns {Array<{start: number, end: number, charIndex: number, phoneme: string|null, viseme: string|null, value: number}>} Segments
+ */
+export const textToVisemeTimeline = (text = '', { duration = null, lang = null } = {}) => {
+  const tokens = textToPhonemes(text, detectTextLanguage(text || '', lang));
+  const totalWeight = tokens.reduce((sum, token) => sum + tokenWeight(token), 0);
+  if (totalWeight === 0) return [];
+
+  const total = duration && duration > 0 ? duration : totalWeight * TEXT_VISEME_CONFIG.secondsPerUnit;
+  const scale = total / totalWeight;
+
+  let cursor = 0;
+  return tokens.map((token) => {
+    const start = cursor;
+    cursor += tokenWeight(token) * scale;
+    const viseme = token.phoneme ? PHONEME_VISEMES[token.phoneme] : null;
+    return {
+      start,
+      end: cursor,
+      charIndex: token.charIndex,
+      phoneme: token.phoneme,
+      viseme,
+      value: !viseme
+        ? 0
+        : VOWEL_PHONEMES.has(token.phoneme)
+          ? TEXT_VISEME_CONFIG.vowelValue
+          : TEXT_VISEME_CONFIG.consonantValue
+    };
+  });
+};
+
+/**
+ * Index of the segment active at a given time
+ * @param {Array} timeline - Timeline segments
+ * @param {number} time - Time in seconds
+ * @returns {number} Segment index, or -1 outside the timeline
+ */
+const findSegment = (timeline, time) => {
+  let low = 0;
+  let high = timeline.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (time < timeline[mid].start) high = mid - 1;
+    else if (time >= timeline[mid].end) low = mid + 1;
+    else return mid;
+  }
+  return -1;
+};
+
+/**
+ * Viseme values at a point of the timeline
+ * @param {Array} timeline - Timeline from textToVisemeTimeline
+ * @param {number} time - Time in seconds
+ * @returns {Object} Viseme values keyed by viseme name
+ */
+export const getTimelineVisemes = (timeline, time) => {
+  const index = findSegment(timeline || [], time);
+  if (index === -1) return {};
+  const segment = timeline[index];
+  if (!segment.viseme) return {};
+
+  // Rise and fall inside the segment
+  const length = segment.end - segment.start || 1;
+  const progress = (time - segment.start) / length;
+  const envelope = Math.max(TEXT_VISEME_CONFIG.minEnvelope, Math.sin(Math.PI * progress));
+  return { [segment.viseme]: segment.value * envelope };
+};
+
+export default {
+  TEXT_VISEME_CONFIG,
+  PHONEME_VISEMES,
+  detectTextLanguage,
+  textToPhonemes,
+  textToVisemeTimeline,
+  getTimelineVisemes
+};
@@ -0,0 +1,94 @@
+/**
+ * Helpers for the transcript panel
+ * Scroll-follow detection, audio sources for replay and clipboard copy
+ */
+
+import { toAudioDataUrl } from './messageSchema';
+import { audioCache } from './audioSource';
+
+// Distance from the bottom (px) still considered "following" the conversation
+export const AUTO_SCROLL_THRESHOLD = 48;
+
+/**
+ * Whether a scroll container is at (or close to) its bottom
+ * @param {HTMLElement} element - Scroll container
+ * @param {number} threshold - Tolerance in pixels
+ * @returns {boolean} True when new messages should auto-scroll into view
+ */
+export const isScrolledToBottom = (element, threshold = AUTO_SCROLL_THRESHOLD) => {
+  if (!element) return true;
+  return element.scrollHeight - element.scrollTop - element.clientHeight <= threshold;
+};
+
+/**
+ * Playable source for a history entry
+ * @param {Object} entry - History entry with base64 audio or an audio URL
+ * @returns {string|null} Data URL or audio URL, or null when the turn has no audio
+ */
+export const getAudioSource = (entry) => {
+  if (entry?.audio) return toAudioDataUrl(entry);
+  return entry?.audioUrl || entry?.audioStreamUrl || null;
+};
+
+/**
+ * Playable source for replaying a history entry
+ * Downloaded clips come from the shared AudioCache, so a clip the avatar already
+ * played (or streamed) is not fetched again
+ * @param {Object} entry - History entry with base64 audio or an audio URL
+ * @param {Object} options - { cache }
+ * @returns {Promise<string|null>} Data URL or object URL, or null when the turn has no audio
+ */
+export const loadAudioSource = async (entry, { cache = audioCache } = {}) => {
+  if (entry?.audio) return toAudioDataUrl(entry);
+  const url = entry?.audioUrl || entry?.audioStreamUrl;
+  return url ? cache.load(url) : null;
+};
+
+/**
+ * Copy text to the clipboard, falling back to execCommand on insecure origins
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Whether the copy succeeded
+ */
+export const copyToClipboard = async (text) => {
+  try {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch (error) {
+    console.warn('⚠️ Clipboard API failed, trying fallback:', error);
+  }
+
+  if (typeof document === 'undefined') return false;
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    return document.execCommand?.('copy') ?? false;
+  } catch (error) {
+    return false;
+  } finally {
+    document.body.removeChild(textarea);
+  }
+};
+
+/**
+ * Short local time label for a bubble
+ * @param {number} timestamp - Timestamp in ms
+ * @returns {string} Time as HH:MM
+ */
+export const formatTurnTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export default {
+  AUTO_SCROLL_THRESHOLD,
+  isScrolledToBottom,
+  getAudioSource,
+  loadAudioSource,
+  copyToClipboard,
+  formatTurnTime
+};
@@ -0,0 +1,349 @@
+/**
+ * Offline viseme analysis
+ * Decodes a message's base64 clip with an OfflineAudioContext as soon as it is
+ * queued and computes its whole viseme timeline ahead of playback, in a Web
+ * Worker. Each frame goes through the same analyser emulation and wawa-lipsync
+ * scoring as the live analysis, so the result looks the same. Playback then only
+ * reads the frame at `audio.currentTime`: no per-frame FFT, the same output in
+ * every browser, and a timeline that can be inspected and stored with the
+ * message.
+ */
+
+import { Lipsync } from 'wawa-lipsync';
+import { base64ToBytes } from './conversationExport';
+import { OPTIMAL_LIPSYNC_CONFIG } from './lipsyncOptimization';
+import { LIPSYNC_SOURCE_TYPES } from './lipsyncSources';
+
+export const VISEME_ANALYSIS_CONFIG = {
+  version: 1,
+  sampleRate: 48000,                          // Clips are resampled to this rate when decoded
+  frameRate: 60,                              // Timeline frames per second
+  fftSize: OPTIMAL_LIPSYNC_CONFIG.fftSize,    // Same window as the live analyser
+  historySize: OPTIMAL_LIPSYNC_CONFIG.historySize,
+  smoothingTimeConstant: 0.8,                 // AnalyserNode defaults
+  minDecibels: -100,
+  maxDecibels: -30,
+  maxEntries: 20                              // Timelines kept in memory per analyzer
+};
+
+// Frequency bands wawa-lipsync extracts its features from (Hz)
+const WAWA_BANDS = [
+  { start: 50, end: 200 },
+  { start: 200, end: 400 },
+  { start: 400, end: 800 },
+  { start: 800, end: 1500 },
+  { start: 1500, end: 2500 },
+  { start: 2500, end: 4000 },
+  { start: 4000, end: 8000 }
+];
+
+// In-place radix-2 FFT
+const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cos - im[b] * sin;
+        const tIm = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+};
+
+/**
+ * Emulation of AnalyserNode.getByteFrequencyData over a sample buffer
+ * Blackman window, magnitude smoothing over time and the dB to byte mapping of
+ * the Web Audio spec, so offline frames match what the live analyser sees.
+ * @param {Object} options - { fftSize, smoothingTimeConstant, minDecibels, maxDecibels }
+ * @returns {Function} (samples, end) => Uint8Array of fftSize / 2 bins for the
+ *   fftSize samples before `end` (zero-padded at the start of the clip)
+ */
+export const createSpectrumAnalyser = ({
+  fftSize = VISEME_ANALYSIS_CONFIG.fftSize,
+  smoothingTimeConstant = VISEME_ANALYSIS_CONFIG.smoothingTimeConstant,
+  minDecibels = VISEME_ANALYSIS_CONFIG.minDecibels,
+  maxDecibels = VISEME_ANALYSIS_CONFIG.maxDecibels
+} = {}) => {
+  const blackman = new Float32Array(fftSize);
+  for (let i = 0; i < fftSize; i++) {
+    blackman[i] = 0.42 - 0.5 * Math.cos((2 * Math.PI * i) / fftSize) + 0.08 * Math.cos((4 * Math.PI * i) / fftSize);
+  }
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  const smoothed = new Float64Array(fftSize / 2);
+  const bytes = new Uint8Array(fftSize / 2);
+  const range = maxDecibels - minDecibels;
+
+  return (samples, end) => {
+    for (let i = 0; i < fftSize; i++) {
+      const index = end - fftSize + i;
+      re[i] = index >= 0 && index < samples.length ? samples[index] * blackman[i] : 0;
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k < fftSize / 2; k++) {
+      const magnitude = Math.hypot(re[k], im[k]) / fftSize;
+      smoothed[k] = smoothingTimeConstant * smoothed[k] + (1 - smoothingTimeConstant) * magnitude;
+      const decibels = smoothed[k] > 0 ? 20 * Math.log10(smoothed[k]) : -Infinity;
+      bytes[k] = Math.min(255, Math.max(0, Math.floor((255 / range) * (decibels - minDecibels))));
+    }
+    return bytes;
+  };
+};
+
+/**
+ * wawa-lipsync scoring without an AudioContext
+ * Runs the library's own feature extraction and viseme scores on spectra we
+ * feed it, keeping its feature history between frames like the live instance.
+ * @param {Object} options - { fftSize, sampleRate, historySize }
+ * @returns {Function} (spectrum) => { viseme: score }
+ */
+export const createWawaScorer = ({ fftSize, sampleRate, historySize }) => {
+  let spectrum = null;
+  const lipsync = Object.assign(Object.create(Lipsync.prototype), {
+    analyser: { getByteFrequencyData: (array) => array.set(spectrum) },
+    dataArray: new Uint8Array(fftSize / 2),
+    history: [],
+    historySize,
+    sampleRate,
+    binWidth: sampleRate / fftSize,
+    bands: WAWA_BANDS,
+    features: null,
+    viseme: 'viseme_sil',
+    state: 'silence'
+  });
+
+  return (bytes) => {
+    spectrum = bytes;
+    lipsync.processAudio();
+    // Same call as the live analysis in the Avatar
+    return lipsync.computeVisemeScores(lipsync.features, lipsync.getAveragedFeatures(), 0, 0);
+  };
+};
+
+/**
+ * Strongest viseme scores of a frame
+ * Drops invalid and tiny scores, keeps the top few and clamps them to [0, 1].
+ * @param {Object} scores - { viseme: score }
+ * @param {Object} smoothing - { MIN_THRESHOLD, MAX_BLEND_VISEMES }
+ * @returns {Array<[string, number]>} Visemes sorted by strength
+ */
+export const selectStrongestVisemes = (scores, smoothing = OPTIMAL_LIPSYNC_CONFIG.smoothing) =>
+  Object.entries(scores || {})
+    .filter(([, value]) => typeof value === 'number' && !isNaN(value) && value > smoothing.MIN_THRESHOLD)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, smoothing.MAX_BLEND_VISEMES)
+    .map(([viseme, value]) => [viseme, Math.min(Math.max(value, 0), 1)]);
+
+/**
+ * Viseme timeline of a decoded clip
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Samples per second
+ * @param {Object} options - Overrides of VISEME_ANALYSIS_CONFIG, plus `createScorer`
+ * @returns {{version: number, frameRate: number, duration: number, frames: Array<Object>}}
+ *   One `{ viseme: value }` per frame; silent frames are empty
+ */
+export const analyzeSamples = (samples, sampleRate, options = {}) => {
+  const config = { ...VISEME_ANALYSIS_CONFIG, ...options };
+  const { frameRate, fftSize, historySize, createScorer = createWawaScorer } = config;
+  const analyse = createSpectrumAnalyser(config);
+  const score = createScorer({ fftSize, sampleRate, historySize });
+  const duration = samples.length / sampleRate;
+  const frames = [];
+
+  for (let i = 0; i < Math.ceil(duration * frameRate); i++) {
+    const end = Math.min(samples.length, Math.round(((i + 1) * sampleRate) / frameRate));
+    const visemes = selectStrongestVisemes(score(analyse(samples, end)))
+      .filter(([viseme]) => viseme !== 'viseme_sil')
+      .map(([viseme, value]) => [viseme, Math.round(value * 1000) / 1000]);
+    frames.push(Object.fromEntries(visemes));
+  }
+
+  return { version: config.version, frameRate, duration, frames };
+};
+
+/**
+ * Whether a value is a timeline produced by analyzeSamples
+ * @param {*} analysis - Candidate (e.g. a stored message field)
+ * @returns {boolean} True when it can be played back
+ */
+export const isVisemeAnalysis = (analysis) =>
+  analysis?.version === VISEME_ANALYSIS_CONFIG.version &&
+  analysis.frameRate > 0 &&
+  Array.isArray(analysis.frames);
+
+/**
+ * Viseme values of the frame playing at a time
+ * @param {Object} analysis - Timeline from analyzeSamples
+ * @param {number} time - Seconds into the clip
+ * @returns {Object} { viseme: value }, empty outside the clip
+ */
+export const getAnalysisVisemesAt = (analysis, time) => {
+  if (!isVisemeAnalysis(analysis) || !(time >= 0)) return {};
+  return analysis.frames[Math.floor(time * analysis.frameRate)] || {};
+};
+
+/**
+ * Source that plays an offline timeline against the audio clock
+ * @param {Function} getAnalysis - Returns the current message's timeline (or null)
+ * @returns {{type: string, getVisemes: Function, getVisemesAt: Function}} Lipsync source
+ */
+export const createAnalysisSource = (getAnalysis) => ({
+  type: LIPSYNC_SOURCE_TYPES.ANALYSIS,
+  getVisemes: (audio) => getAnalysisVisemesAt(getAnalysis(), audio?.currentTime || 0),
+  getVisemesAt: (audio, time) => getAnalysisVisemesAt(getAnalysis(), time)
+});
+
+/**
+ * Decode a message's base64 clip into mono samples
+ * @param {Object} message - Normalized message with `audio`
+ * @param {Object} options - { sampleRate, OfflineAudioContextImpl }
+ * @returns {Promise<{samples: Float32Array, sampleRate: number}>} Decoded clip
+ */
+export const decodeAudioClip = async (
+  message,
+  {
+    sampleRate = VISEME_ANALYSIS_CONFIG.sampleRate,
+    OfflineAudioContextImpl = globalThis.OfflineAudioContext || globalThis.webkitOfflineAudioContext
+  } = {}
+) => {
+  if (!message?.audio) throw new Error('Message has no inline audio');
+  if (!OfflineAudioContextImpl) throw new Error('OfflineAudioContext is not supported');
+
+  const context = new OfflineAudioContextImpl(1, 1, sampleRate);
+  const data = base64ToBytes(message.audio).buffer;
+  // Older Safari only has the callback form
+  const buffer = await new Promise((resolve, reject) => {
+    const result = context.decodeAudioData(data, resolve, reject);
+    result?.then?.(resolve, reject);
+  });
+
+  const samples = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const channelData = buffer.getChannelData(channel);
+    for (let i = 0; i < samples.length; i++) samples[i] += channelData[i] / buffer.numberOfChannels;
+  }
+  return { samples, sampleRate: buffer.sampleRate };
+};
+
+/**
+ * Timelines of queued messages, analysed in a worker
+ * Keyed by the message's history id. Concurrent requests for the same key
+ * share one analysis. Without a worker (or after it fails) clips are analysed
+ * on the main thread.
+ */
+export class VisemeAnalyzer {
+  constructor({ createWorker = null, decode = decodeAudioClip, maxEntries = VISEME_ANALYSIS_CONFIG.maxEntries } = {}) {
+    this.createWorker = createWorker;
+    this.decode = decode;
+    this.maxEntries = maxEntries;
+    this.worker = null;
+    this.nextJobId = 0;
+    this.jobs = new Map();      // job id -> { resolve, reject }
+    this.entries = new Map();   // key -> timeline
+    this.pending = new Map();   // key -> Promise<timeline>
+  }
+
+  get(key) {
+    return this.entries.get(key) ?? null;
+  }
+
+  /**
+   * Timeline of a message, analysing it on a miss
+   * @param {string} key - History id of the message
+   * @param {Object} message - Message with base64 `audio`
+   * @returns {Promise<Object>} Timeline from analyzeSamples
+   */
+  async analyze(key, message) {
+    if (this.entries.has(key)) return this.entries.get(key);
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const job = (async () => {
+      const { samples, sampleRate } = await this.decode(message);
+      const analysis = await this.run(samples, sampleRate);
+      this.entries.set(key, analysis);
+      while (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+      return analysis;
+    })();
+
+    this.pending.set(key, job);
+    try {
+      return await job;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  run(samples, sampleRate) {
+    const worker = this.getWorker();
+    if (!worker) return Promise.resolve(analyzeSamples(samples, sampleRate));
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextJobId;
+      this.jobs.set(id, { resolve, reject });
+      worker.postMessage({ id, samples, sampleRate }, [samples.buffer]);
+    });
+  }
+
+  getWorker() {
+    if (this.worker || !this.createWorker) return this.worker;
+    try {
+      this.worker = this.createWorker();
+    } catch (error) {
+      console.warn('⚠️ Viseme analysis worker unavailable, analysing on the main thread:', error);
+      this.createWorker = null;
+      return null;
+    }
+    this.worker.onmessage = ({ data }) => {
+      const job = this.jobs.get(data?.id);
+      if (!job) return;
+      this.jobs.delete(data.id);
+      if (data.error) job.reject(new Error(data.error));
+      else job.resolve(data.analysis);
+    };
+    this.worker.onerror = (event) => {
+      console.warn('⚠️ Viseme analysis worker failed:', event?.message || event);
+      this.createWorker = null;
+      this.dispose();
+    };
+    return this.worker;
+  }
+
+  dispose() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.jobs.forEach((job) => job.reject(new Error('Viseme analysis stopped')));
+    this.jobs.clear();
+  }
+}
+
+export default {
+  VISEME_ANALYSIS_CONFIG,
+  createSpectrumAnalyser,
+  createWawaScorer,
+  selectStrongestVisemes,
+  analyzeSamples,
+  isVisemeAnalysis,
+  getAnalysisVisemesAt,
+  createAnalysisSource,
+  decodeAudioClip,
+  VisemeAnalyzer
+};
@@ -0,0 +1,271 @@
+/**
+ * Per-model viseme calibration
+ * A calibration tunes a resolved viseme profile for one head: a gain per
+ * viseme, per-target weight overrides and min/max clamps per morph target.
+ * Calibrations are stored as JSON keyed by model URL. The runtime looks for a
+ * working copy in localStorage first, then for `<model>.calibration.json`
+ * next to the GLB.
+ */
+
+import { HISTORY_ROLES } from './chatHistoryStore';
+import { downloadBlob } from './conversationExport';
+import { getAudioSource } from './transcriptHelpers';
+import { VISEMES } from './visemeProfiles';
+
+export const CALIBRATION_CONFIG = {
+  version: 1,
+  storageKey: 'viseme_calibrations',    // localStorage: { [modelUrl]: calibration }
+  fileSuffix: '.calibration.json',      // Replaces the model extension
+  maxGain: 3,
+  previewHold: 800                      // ms a single viseme is held when previewed
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Empty calibration (every viseme at gain 1, profile weights, full range)
+ * @param {string} modelUrl - Model the calibration belongs to
+ * @param {string} profileId - Viseme profile it was made with
+ * @returns {Object} Calibration
+ */
+export const createCalibration = (modelUrl, profileId = null) => ({
+  version: CALIBRATION_CONFIG.version,
+  modelUrl,
+  profile: profileId,
+  visemes: {},
+  clamps: {}
+});
+
+/**
+ * Validate a calibration read from storage or a file
+ * Unknown visemes and non-numeric values are dropped, numbers are clamped
+ * @param {Object} raw - Parsed JSON
+ * @param {string} modelUrl - Model it is being loaded for
+ * @returns {Object|null} Calibration, or null when the input isn't one
+ */
+export const normalizeCalibration = (raw, modelUrl) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const calibration = createCalibration(modelUrl, typeof raw.profile === 'string' ? raw.profile : null);
+
+  Object.entries(raw.visemes || {}).forEach(([viseme, entry]) => {
+    if (!VISEMES.includes(viseme) || !entry || typeof entry !== 'object') return;
+    const result = {};
+    if (isNumber(entry.gain)) {
+      result.gain = Math.min(CALIBRATION_CONFIG.maxGain, Math.max(0, entry.gain));
+    }
+    const weights = Object.entries(entry.weights || {}).filter(([, weight]) => isNumber(weight));
+    if (weights.length > 0) {
+      result.weights = Object.fromEntries(weights.map(([target, weight]) => [target, clamp01(weight)]));
+    }
+    if (Object.keys(result).length > 0) calibration.visemes[viseme] = result;
+  });
+
+  Object.entries(raw.clamps || {}).forEach(([target, range]) => {
+    if (!range || !isNumber(range.min) || !isNumber(range.max)) return;
+    const min = clamp01(Math.min(range.min, range.max));
+    const max = clamp01(Math.max(range.min, range.max));
+    calibration.clamps[target] = { min, max };
+  });
+
+  return calibration;
+};
+
+/**
+ * Calibration with a new gain for one viseme
+ * @param {Object} calibration - Current calibration
+ * @param {string} viseme - Canonical viseme
+ * @param {number} gain - Multiplier for every target of the viseme
+ * @returns {Object} New calibration
+ */
+export const setVisemeGain = (calibration, viseme, gain) => ({
+  ...calibration,
+  visemes: { ...calibration.visemes, [viseme]: { ...calibration.visemes[viseme], gain } }
+});
+
+/**
+ * Calibration with a new weight for one target of a viseme
+ * @param {Object} calibration - Current calibration
+ * @param {string} viseme - Canonical viseme
+ * @param {string} target - Morph target
+ * @param {number} weight - Replaces the profile weight
+ * @returns {Object} New calibration
+ */
+export const setTargetWeight = (calibration, viseme, target, weight) => {
+  const entry = calibration.visemes[viseme] || {};
+  return {
+    ...calibration,
+    visemes: {
+      ...calibration.visemes,
+      [viseme]: { ...entry, weights: { ...entry.weights, [target]: weight } }
+    }
+  };
+};
+
+/**
+ * Calibration with a new range for one morph target
+ * @param {Object} calibration - Current calibration
+ * @param {string} target - Morph target
+ * @param {number} min - Lowest value while the target is driven
+ * @param {number} max - Highest value
+ * @returns {Object} New calibration
+ */
+export const setTargetClamp = (calibration, target, min, max) => ({
+  ...calibration,
+  clamps: { ...calibration.clamps, [target]: { min, max } }
+});
+
+/**
+ * Apply a calibration to a resolved profile
+ * @param {Object} profile - Resolved profile (see resolveVisemeProfile)
+ * @param {Object|null} calibration - Calibration for the model
+ * @returns {Object} Profile with calibrated weights and a `clamps` map
+ */
+export const applyCalibration = (profile, calibration) => {
+  if (!calibration) return profile;
+
+  const visemes = {};
+  Object.entries(profile.visemes).forEach(([viseme, targets]) => {
+    const { gain = 1, weights = {} } = calibration.visemes[viseme] || {};
+    visemes[viseme] = targets.map(({ target, weight }) => ({
+      target,
+      weight: (isNumber(weights[target]) ? weights[target] : weight) * gain
+    }));
+  });
+
+  const clamps = Object.fromEntries(
+    Object.entries(calibration.clamps).filter(([target]) => profile.targets.has(target))
+  );
+
+  return { ...profile, visemes, clamps };
+};
+
+/**
+ * Calibration file that belongs next to a model
+ * @param {string} modelUrl - e.g. /models/avatar.glb
+ * @returns {string} e.g. /models/avatar.calibration.json
+ */
+export const getCalibrationUrl = (modelUrl) => {
+  const [path] = String(modelUrl).split(/[?#]/);
+  return path.replace(/\.(glb|gltf)$/i, '') + CALIBRATION_CONFIG.fileSuffix;
+};
+
+const readStore = (storage) => {
+  try {
+    return JSON.parse(storage.getItem(CALIBRATION_CONFIG.storageKey)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Load the calibration for a model: localStorage first, then the JSON file
+ * @param {string} modelUrl - Model URL
+ * @param {Object} options - { storage, fetchImpl }
+ * @returns {Promise<Object|null>} Calibration, or null when there is none
+ */
+export const loadCalibration = async (
+  modelUrl,
+  { storage = globalThis.localStorage, fetchImpl = globalThis.fetch } = {}
+) => {
+  if (storage) {
+    const stored = normalizeCalibration(readStore(storage)[modelUrl], modelUrl);
+    if (stored) return stored;
+  }
+  if (!fetchImpl) return null;
+
+  try {
+    const response = await fetchImpl(getCalibrationUrl(modelUrl), {
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) return null;
+    return normalizeCalibration(await response.json(), modelUrl);
+  } catch (error) {
+    // No file (or the dev server answered with HTML): the model isn't calibrated
+    return null;
+  }
+};
+
+/**
+ * Keep a calibration as the working copy for its model
+ * @param {Object} calibration - Calibration with modelUrl
+ * @param {Object} options - { storage }
+ */
+export const saveCalibration = (calibration, { storage = globalThis.localStorage } = {}) => {
+  try {
+    const store = readStore(storage);
+    store[calibration.modelUrl] = calibration;
+    storage.setItem(CALIBRATION_CONFIG.storageKey, JSON.stringify(store));
+  } catch (error) {
+    console.warn('⚠️ Could not save viseme calibration:', error);
+  }
+};
+
+/**
+ * Drop the working copy so the model falls back to its calibration file
+ * @param {string} modelUrl - Model URL
+ * @param {Object} options - { storage }
+ */
+export const clearCalibration = (modelUrl, { storage = globalThis.localStorage } = {}) => {
+  try {
+    const store = readStore(storage);
+    delete store[modelUrl];
+    storage.setItem(CALIBRATION_CONFIG.storageKey, JSON.stringify(store));
+  } catch (error) {
+    console.warn('⚠️ Could not clear viseme calibration:', error);
+  }
+};
+
+/**
+ * Download a calibration as the JSON file to commit next to the model
+ * @param {Object} calibration - Calibration with modelUrl
+ */
+export const downloadCalibration = (calibration) => {
+  const blob = new Blob([JSON.stringify(calibration, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, getCalibrationUrl(calibration.modelUrl).split('/').pop());
+};
+
+/**
+ * Viseme of a preview sequence at a given time
+ * @param {Array<{viseme: string, duration: number}>} sequence - e.g. sampleVisemeSequence
+ * @param {number} elapsed - ms since the sequence started
+ * @returns {string|null} Viseme, or null once the sequence is over
+ */
+export const getSequenceVisemeAt = (sequence, elapsed) => {
+  let start = 0;
+  for (const step of sequence) {
+    if (elapsed < start + step.duration) return step.viseme;
+    start += step.duration;
+  }
+  return null;
+};
+
+/**
+ * Latest assistant reply with audio, as a one-turn conversation for replay
+ * @param {Array<Object>} history - useChat history
+ * @returns {Object|null} { session, messages } or null when nothing was recorded
+ */
+export const getPreviewConversation = (history = []) => {
+  const entry = [...history]
+    .reverse()
+    .find((item) => item.role === HISTORY_ROLES.ASSISTANT && getAudioSource(item));
+  return entry ? { session: { title: 'Calibración' }, messages: [entry] } : null;
+};
+
+export default {
+  CALIBRATION_CONFIG,
+  createCalibration,
+  normalizeCalibration,
+  setVisemeGain,
+  setTargetWeight,
+  setTargetClamp,
+  applyCalibration,
+  getCalibrationUrl,
+  loadCalibration,
+  saveCalibration,
+  clearCalibration,
+  downloadCalibration,
+  getSequenceVisemeAt,
+  getPreviewConversation
+};
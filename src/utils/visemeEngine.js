@@ -0,0 +1,133 @@
+/**
+ * Viseme playback engine
+ * Sits between the lipsync source and the morph targets. Instead of lerping
+ * every target on its own toward the latest score, it shapes the viseme values
+ * the way speech is articulated:
+ * - dominance: visemes the lips can't skip (closures, rounding) suppress the
+ *   weaker ones they overlap with, so /p/ between two vowels still closes
+ * - anticipation: sources that can look ahead start moving toward the next
+ *   viseme a configurable lead before it sounds
+ * - minimum hold: bilabials stay closed long enough to be seen even when the
+ *   source only reports them for a frame
+ * - attack/release in seconds, so the result doesn't depend on the frame rate
+ * Every parameter lives in OPTIMAL_LIPSYNC_CONFIG.smoothing.
+ */
+
+import { OPTIMAL_LIPSYNC_CONFIG } from './lipsyncOptimization';
+
+const DEFAULT_DOMINANCE = 0.5;
+// Values below this are dropped instead of decaying forever
+const SILENT_VALUE = 0.001;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * How strongly a viseme imposes its mouth shape on its neighbours
+ * @param {string} viseme - Viseme name
+ * @param {Object} smoothing - Smoothing config with DOMINANCE
+ * @returns {number} Dominance in [0, 1]
+ */
+export const getVisemeDominance = (viseme, smoothing = OPTIMAL_LIPSYNC_CONFIG.smoothing) =>
+  smoothing.DOMINANCE?.[viseme] ?? DEFAULT_DOMINANCE;
+
+/**
+ * Target values of a frame after anticipation and dominance
+ * @param {Object} current - { viseme: value } sounding now
+ * @param {Object|null} upcoming - { viseme: value } one lead ahead, when the source can tell
+ * @param {Object} smoothing - Smoothing config
+ * @returns {Object} { viseme: value }
+ */
+export const coarticulate = (current, upcoming = null, smoothing = OPTIMAL_LIPSYNC_CONFIG.smoothing) => {
+  const targets = {};
+  Object.entries(current || {}).forEach(([viseme, value]) => {
+    if (typeof value === 'number' && value > 0) targets[viseme] = clamp01(value);
+  });
+
+  // Dominant upcoming shapes are anticipated more (lip rounding starts early)
+  Object.entries(upcoming || {}).forEach(([viseme, value]) => {
+    if (!(typeof value === 'number' && value > 0)) return;
+    const anticipated = clamp01(value) * smoothing.ANTICIPATION_STRENGTH * getVisemeDominance(viseme, smoothing);
+    targets[viseme] = Math.max(targets[viseme] || 0, anticipated);
+  });
+
+  // Each viseme gives way to the most dominant one it overlaps with
+  const strengths = Object.entries(targets).map(([viseme, value]) => [
+    viseme,
+    value * getVisemeDominance(viseme, smoothing)
+  ]);
+  const result = {};
+  strengths.forEach(([viseme, strength]) => {
+    const strongest = strengths.reduce(
+      (max, [other, otherStrength]) => (other === viseme ? max : Math.max(max, otherStrength)),
+      0
+    );
+    const suppression = smoothing.COARTICULATION_STRENGTH * Math.max(0, strongest - strength);
+    result[viseme] = targets[viseme] * (1 - suppression);
+  });
+  return result;
+};
+
+/**
+ * Stateful engine fed once per frame
+ */
+export class VisemePlaybackEngine {
+  constructor(smoothing = OPTIMAL_LIPSYNC_CONFIG.smoothing) {
+    this.smoothing = smoothing;
+    this.reset();
+  }
+
+  reset() {
+    this.clock = 0;
+    this.values = {};   // viseme -> value shown last frame
+    this.holds = {};    // viseme -> { until, value }
+  }
+
+  /**
+   * Advance one frame
+   * @param {Object} current - { viseme: value } from the source for this frame
+   * @param {Object} options - { upcoming: values one lead ahead (or null), delta: seconds since last frame }
+   * @returns {Object} { viseme: value } to apply to the morph targets
+   */
+  update(current, { upcoming = null, delta = 1 / 60 } = {}) {
+    const smoothing = this.smoothing;
+    const step = Math.max(0, Number.isFinite(delta) ? delta : 0);
+    this.clock += step;
+    const targets = coarticulate(current, upcoming, smoothing);
+
+    // Closures start a hold the first time they show up, and can't end early
+    Object.entries(smoothing.MIN_HOLD || {}).forEach(([viseme, seconds]) => {
+      const sounding = current?.[viseme] > smoothing.MIN_THRESHOLD;
+      const hold = this.holds[viseme];
+      if (sounding && (!hold || this.clock >= hold.until)) {
+        this.holds[viseme] = { until: this.clock + seconds, value: clamp01(current[viseme]) };
+      } else if (sounding) {
+        hold.value = Math.max(hold.value, clamp01(current[viseme]));
+      }
+      const active = this.holds[viseme];
+      if (active && this.clock < active.until) {
+        targets[viseme] = Math.max(targets[viseme] || 0, active.value);
+      } else if (!sounding) {
+        delete this.holds[viseme];
+      }
+    });
+
+    const attack = 1 - Math.exp(-step / smoothing.ATTACK_TIME);
+    const release = 1 - Math.exp(-step / smoothing.RELEASE_TIME);
+    const visemes = new Set([...Object.keys(this.values), ...Object.keys(targets)]);
+    const next = {};
+    visemes.forEach((viseme) => {
+      const value = this.values[viseme] || 0;
+      const target = targets[viseme] || 0;
+      const updated = value + (target - value) * (target > value ? attack : release);
+      if (updated > SILENT_VALUE || target > 0) next[viseme] = updated;
+    });
+    this.values = next;
+    return { ...next };
+  }
+}
+
+export default {
+  getVisemeDominance,
+  coarticulate,
+  VisemePlaybackEngine
+};
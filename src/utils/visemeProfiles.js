@@ -0,0 +1,213 @@
+/**
+ * Viseme mapping profiles
+ * A profile says which morph targets (and how strongly) each of the 15 Oculus
+ * visemes drives. The best profile for a model is picked from its
+ * morphTargetDictionary: native Oculus `viseme_*` targets, ARKit mouth
+ * blendshapes, or the basic `mouthOpen`/`mouthSmile` pair.
+ */
+
+// Canonical viseme names (Oculus / wawa-lipsync)
+export const VISEMES = [
+  'viseme_sil',
+  'viseme_PP',
+  'viseme_FF',
+  'viseme_TH',
+  'viseme_DD',
+  'viseme_kk',
+  'viseme_CH',
+  'viseme_SS',
+  'viseme_nn',
+  'viseme_RR',
+  'viseme_aa',
+  'viseme_E',
+  'viseme_I',
+  'viseme_O',
+  'viseme_U'
+];
+
+// Single letters and phoneme shorthands some sources send
+const VISEME_ALIASES = {
+  A: 'viseme_aa',
+  E: 'viseme_E',
+  I: 'viseme_I',
+  O: 'viseme_O',
+  U: 'viseme_U',
+  P: 'viseme_PP',
+  B: 'viseme_PP',
+  M: 'viseme_PP',
+  F: 'viseme_FF',
+  V: 'viseme_FF',
+  T: 'viseme_DD',
+  D: 'viseme_DD',
+  L: 'viseme_DD',
+  N: 'viseme_nn',
+  S: 'viseme_SS',
+  Z: 'viseme_SS',
+  R: 'viseme_RR',
+  K: 'viseme_kk',
+  G: 'viseme_kk',
+  SIL: 'viseme_sil'
+};
+
+const VISEME_BY_LOWER = Object.fromEntries(VISEMES.map((viseme) => [viseme.toLowerCase(), viseme]));
+
+export const VISEME_PROFILES = {
+  // Models with the Oculus viseme blendshapes: one target per viseme
+  oculus: {
+    id: 'oculus',
+    name: 'Oculus visemes',
+    priority: 3,
+    requires: ['viseme_aa', 'viseme_PP', 'viseme_O'],
+    visemes: Object.fromEntries(
+      VISEMES.map((viseme) => [viseme, viseme === 'viseme_sil' ? {} : { [viseme]: 1 }])
+    )
+  },
+
+  // ARKit 52 blendshapes: each viseme is a jaw/lip combination
+  arkit: {
+    id: 'arkit',
+    name: 'ARKit mouth shapes',
+    priority: 2,
+    requires: ['jawOpen', 'mouthFunnel', 'mouthPucker'],
+    visemes: {
+      viseme_sil: {},
+      viseme_PP: { mouthClose: 0.6, mouthPressLeft: 0.5, mouthPressRight: 0.5, mouthRollLower: 0.2 },
+      viseme_FF: { jawOpen: 0.1, mouthRollLower: 0.6, mouthUpperUpLeft: 0.3, mouthUpperUpRight: 0.3 },
+      viseme_TH: { jawOpen: 0.2, tongueOut: 0.4, mouthStretchLeft: 0.1, mouthStretchRight: 0.1 },
+      viseme_DD: { jawOpen: 0.25, mouthStretchLeft: 0.2, mouthStretchRight: 0.2 },
+      viseme_kk: { jawOpen: 0.3, mouthStretchLeft: 0.3, mouthStretchRight: 0.3 },
+      viseme_CH: { jawOpen: 0.2, mouthFunnel: 0.5, mouthPucker: 0.2 },
+      viseme_SS: { jawOpen: 0.1, mouthStretchLeft: 0.4, mouthStretchRight: 0.4, mouthSmileLeft: 0.2, mouthSmileRight: 0.2 },
+      viseme_nn: { jawOpen: 0.2, mouthClose: 0.2 },
+      viseme_RR: { jawOpen: 0.2, mouthFunnel: 0.3, mouthPucker: 0.3 },
+      viseme_aa: { jawOpen: 0.7, mouthLowerDownLeft: 0.3, mouthLowerDownRight: 0.3 },
+      viseme_E: { jawOpen: 0.4, mouthStretchLeft: 0.4, mouthStretchRight: 0.4, mouthSmileLeft: 0.2, mouthSmileRight: 0.2 },
+      viseme_I: { jawOpen: 0.2, mouthSmileLeft: 0.5, mouthSmileRight: 0.5, mouthStretchLeft: 0.3, mouthStretchRight: 0.3 },
+      viseme_O: { jawOpen: 0.5, mouthFunnel: 0.7 },
+      viseme_U: { jawOpen: 0.2, mouthPucker: 0.8, mouthFunnel: 0.3 }
+    }
+  },
+
+  // Two-target fallback: open vowels open the mouth, the rest stretch it a little
+  basic: {
+    id: 'basic',
+    name: 'Basic (mouthOpen/mouthSmile)',
+    priority: 1,
+    requires: ['mouthOpen'],
+    visemes: {
+      viseme_sil: {},
+      viseme_PP: { mouthSmile: 0.3 },
+      viseme_FF: { mouthSmile: 0.5, mouthOpen: 0.1 },
+      viseme_TH: { mouthSmile: 0.4, mouthOpen: 0.2 },
+      viseme_DD: { mouthSmile: 0.4, mouthOpen: 0.3 },
+      viseme_kk: { mouthSmile: 0.4, mouthOpen: 0.35 },
+      viseme_CH: { mouthSmile: 0.5, mouthOpen: 0.2 },
+      viseme_SS: { mouthSmile: 0.6, mouthOpen: 0.1 },
+      viseme_nn: { mouthSmile: 0.3, mouthOpen: 0.2 },
+      viseme_RR: { mouthSmile: 0.3, mouthOpen: 0.3 },
+      viseme_aa: { mouthOpen: 1 },
+      viseme_E: { mouthOpen: 0.7, mouthSmile: 0.4 },
+      viseme_I: { mouthSmile: 0.8, mouthOpen: 0.3 },
+      viseme_O: { mouthOpen: 0.8 },
+      viseme_U: { mouthSmile: 0.6, mouthOpen: 0.3 }
+    }
+  }
+};
+
+export const DEFAULT_VISEME_PROFILE = 'basic';
+
+/**
+ * Canonical viseme name
+ * Accepts any casing of the Oculus names (viseme_AA, viseme_pp) and single-letter aliases
+ * @param {string} viseme - Viseme as reported by the lipsync source
+ * @returns {string|null} Canonical viseme, or null when unknown
+ */
+export const normalizeViseme = (viseme) => {
+  if (typeof viseme !== 'string' || !viseme) return null;
+  const lower = viseme.toLowerCase();
+  if (VISEME_BY_LOWER[lower]) return VISEME_BY_LOWER[lower];
+  const bare = lower.replace(/^viseme_/, '');
+  return VISEME_BY_LOWER[`viseme_${bare}`] || VISEME_ALIASES[bare.toUpperCase()] || null;
+};
+
+/**
+ * Best profile for a model
+ * @param {Array<string>} morphTargetNames - Morph targets the model has
+ * @returns {Object} Highest-priority profile whose required targets all exist (basic otherwise)
+ */
+export const detectVisemeProfile = (morphTargetNames = []) => {
+  const available = new Set(morphTargetNames);
+  const candidates = Object.values(VISEME_PROFILES)
+    .filter((profile) => profile.requires.every((target) => available.has(target)))
+    .sort((a, b) => b.priority - a.priority);
+  return candidates[0] || VISEME_PROFILES[DEFAULT_VISEME_PROFILE];
+};
+
+/**
+ * Profile limited to the targets a model really has
+ * @param {Object|string} profile - Profile or profile id
+ * @param {Array<string>} morphTargetNames - Morph targets the model has
+ * @returns {Object} { id, name, visemes: { viseme: [{ target, weight }] }, targets: Set }
+ */
+export const resolveVisemeProfile = (profile, morphTargetNames = []) => {
+  const base = typeof profile === 'string' ? VISEME_PROFILES[profile] : profile;
+  const available = new Set(morphTargetNames);
+  const targets = new Set();
+  const visemes = {};
+
+  VISEMES.forEach((viseme) => {
+    visemes[viseme] = Object.entries(base?.visemes?.[viseme] || {})
+      .filter(([target, weight]) => available.has(target) && weight > 0)
+      .map(([target, weight]) => {
+        targets.add(target);
+        return { target, weight };
+      });
+  });
+
+  return { id: base?.id || DEFAULT_VISEME_PROFILE, name: base?.name || '', visemes, targets };
+};
+
+/**
+ * Morph targets driven by a viseme
+ * @param {string} viseme - Viseme in any supported spelling
+ * @param {Object} profile - Resolved profile
+ * @returns {Array<{target: string, weight: number}>} Weighted targets (empty for silence/unknown)
+ */
+export const mapVisemeToMorphTarget = (viseme, profile) => {
+  const canonical = normalizeViseme(viseme);
+  return (canonical && profile?.visemes?.[canonical]) || [];
+};
+
+/**
+ * Morph target values for a frame
+ * Several visemes may be active at once; their weighted contributions are
+ * summed per target and clamped to [0, 1], or to the profile's per-target
+ * `clamps` ({ target: { min, max } }) when it has been calibrated
+ * @param {Object} visemeValues - { viseme: value }
+ * @param {Object} profile - Resolved profile
+ * @returns {Object} { morphTarget: value }
+ */
+export const combineVisemeWeights = (visemeValues, profile) => {
+  const result = {};
+  Object.entries(visemeValues || {}).forEach(([viseme, value]) => {
+    if (typeof value !== 'number' || Number.isNaN(value) || value <= 0) return;
+    mapVisemeToMorphTarget(viseme, profile).forEach(({ target, weight }) => {
+      result[target] = Math.min(1, (result[target] || 0) + value * weight);
+    });
+  });
+  Object.entries(profile?.clamps || {}).forEach(([target, { min, max }]) => {
+    if (result[target] > 0) result[target] = Math.min(max, Math.max(min, result[target]));
+  });
+  return result;
+};
+
+export default {
+  VISEMES,
+  VISEME_PROFILES,
+  DEFAULT_VISEME_PROFILE,
+  normalizeViseme,
+  detectVisemeProfile,
+  resolveVisemeProfile,
+  mapVisemeToMorphTarget,
+  combineVisemeWeights
+};
@@ -1,7 +1,10 @@
 // Test utility for validating viseme mapping
 // This file can be used to test the viseme mapping functionality
 
-export const testVisemeMapping = (visemeMapping, mapVisemeToMorphTarget) => {
+import { VISEMES, mapVisemeToMorphTarget, normalizeViseme } from './visemeProfiles';
+
+// profile: resolved viseme profile of the loaded model (see visemeProfiles.js)
+export const testVisemeMapping = (profile) => {
   console.log("🧪 Starting comprehensive viseme mapping test...");
   
   // Test cases for different viseme formats
@@ -9,14 +12,14 @@ export const testVisemeMapping = (visemeMapping, mapVisemeToMorphTarget) => {
     // Standard wawa-lipsync visemes
     { input: 'viseme_sil', expected: 'viseme_sil' },
     { input: 'viseme_PP', expected: 'viseme_PP' },
-    { input: 'viseme_AA', expected: 'viseme_AA' },
+    { input: 'viseme_AA', expected: 'viseme_aa' },
     { input: 'viseme_E', expected: 'viseme_E' },
     { input: 'viseme_I', expected: 'viseme_I' },
     { input: 'viseme_O', expected: 'viseme_O' },
     { input: 'viseme_U', expected: 'viseme_U' },
     
     // Alternative formats
-    { input: 'A', expected: 'viseme_AA' },
+    { input: 'A', expected: 'viseme_aa' },
     { input: 'E', expected: 'viseme_E' },
     { input: 'I', expected: 'viseme_I' },
     { input: 'O', expected: 'viseme_O' },
@@ -40,7 +43,7 @@ export const testVisemeMapping = (visemeMapping, mapVisemeToMorphTarget) => {
   
   testCases.forEach(({ input, expected }, index) => {
     try {
-      const result = mapVisemeToMorphTarget(input, 1.0);
+      const result = normalizeViseme(input);
       
       if (result === expected) {
         console.log(`✅ Test ${index + 1}: ${input} -> ${result} (PASS)`);
@@ -57,12 +60,13 @@ export const testVisemeMapping = (visemeMapping, mapVisemeToMorphTarget) => {
   
   console.log(`\n📊 Test Results: ${passed} passed, ${failed} failed`);
   
-  // Test mapping coverage
-  const requiredVisemes = ['viseme_sil', 'viseme_PP', 'viseme_FF', 'viseme_AA', 'viseme_E', 'viseme_I', 'viseme_O', 'viseme_U'];
-  const missingMappings = requiredVisemes.filter(viseme => !visemeMapping[viseme]);
+  // Test mapping coverage (silence has no targets by design)
+  const missingMappings = VISEMES.filter(
+    viseme => viseme !== 'viseme_sil' && mapVisemeToMorphTarget(viseme, profile).length === 0
+  );
   
   if (missingMappings.length === 0) {
-    console.log("✅ All required viseme mappings are present");
+    console.log(`✅ All visemes are mapped by the ${profile.name} profile`);
   } else {
     console.log("⚠️ Missing required mappings:", missingMappings);
   }
@@ -85,7 +89,7 @@ export const sampleVisemeSequence = [
   { viseme: 'viseme_sil', duration: 300 }
 ];
 
-export const playVisemeSequence = (sequence, lerpMorphTarget, mapVisemeToMorphTarget) => {
+export const playVisemeSequence = (sequence, lerpMorphTarget, profile) => {
   console.log("🎭 Playing sample viseme sequence...");
   
   let currentIndex = 0;
@@ -93,15 +97,15 @@ export const playVisemeSequence = (sequence, lerpMorphTarget, mapVisemeToMorphTa
   const playNext = () => {
     if (currentIndex < sequence.length) {
       const { viseme, duration } = sequence[currentIndex];
-      const morphTarget = mapVisemeToMorphTarget(viseme, 1.0);
+      const morphTargets = mapVisemeToMorphTarget(viseme, profile);
       
-      console.log(`Playing: ${viseme} -> ${morphTarget} for ${duration}ms`);
+      console.log(`Playing: ${viseme} -> ${morphTargets.map(({ target }) => target).join('+')} for ${duration}ms`);
       
-      if (morphTarget) {
-        lerpMorphTarget(morphTarget, 1.0, 1.0);
+      if (morphTargets.length > 0) {
+        morphTargets.forEach(({ target, weight }) => lerpMorphTarget(target, weight, 1.0));
         
         setTimeout(() => {
-          lerpMorphTarget(morphTarget, 0, 1.0);
+          morphTargets.forEach(({ target }) => lerpMorphTarget(target, 0, 1.0));
           currentIndex++;
           setTimeout(playNext, 50); // Small gap between visemes
         }, duration);
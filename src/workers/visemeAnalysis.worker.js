@@ -0,0 +1,17 @@
+/**
+ * Viseme analysis worker
+ * Receives decoded clips ({ id, samples, sampleRate }) and answers with their
+ * viseme timeline ({ id, analysis }) or an error ({ id, error }), keeping the
+ * FFT work off the render thread.
+ */
+
+import { analyzeSamples } from '../utils/visemeAnalysis';
+
+self.onmessage = ({ data }) => {
+  const { id, samples, sampleRate } = data;
+  try {
+    self.postMessage({ id, analysis: analyzeSamples(samples, sampleRate) });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+};
@@ -2,7 +2,8 @@ import { defineConfig } from 'vitest/config'
 import react from '@vitejs/plugin-react'
 
 export default defineConfig({
-  plugins: [react()],
+  // No Fast Refresh preamble in jsdom: components from .jsx modules load in tests
+  plugins: [react({ fastRefresh: false })],
   test: {
     environment: 'jsdom',
     globals: true,